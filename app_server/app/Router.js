@@ -9,15 +9,20 @@ var Promise = require('bluebird');
 
 var Utility = rfr('app/util/Utility');
 var ServerConfig = rfr('config/ServerConfig');
+var Storage = rfr('app/models/Storage');
 var Authenticator = rfr('app/policies/Authenticator');
+var SessionStore = rfr('app/policies/SessionStore');
+var CacheStore = rfr('app/util/CacheStore');
 var GoodMemoryLogger = rfr('app/util/GoodMemoryLogger');
 
 
 var logger = Utility.createLogger(__filename);
 
 /* Configure Hapi server connection */
-var server = new Hapi.Server();
-server.connection({port: 3000});
+var server = new Hapi.Server({
+  cache: CacheStore.create(ServerConfig.sessionCache)
+});
+server.connection({port: ServerConfig.port});
 
 /* Configure Good process monitor */
 var goodOptions = {
@@ -45,12 +50,21 @@ server.register({
 
 /* Configure Authentication plugin */
 server.register(require('hapi-auth-cookie'), function (err) {
-  server.app.cache = server.cache({segment: 'sessions',
-                                   expiresIn: 3 * 24 * 60 * 60 * 1000});
+  server.app.cache = server.cache({
+    segment: 'sessions',
+    expiresIn: ServerConfig.sessionCache.expiresIn
+  });
+  server.app.sessions = new SessionStore(server.cache({
+    segment: 'sessionList',
+    expiresIn: ServerConfig.sessionCache.expiresIn
+  }));
 
   server.auth.strategy('session', 'cookie', {
     password: ServerConfig.cookiePassword,
     cookie: Authenticator.SID,
+    // the cookie lasts as long as its session is kept in the cache
+    ttl: ServerConfig.sessionCache.expiresIn,
+    keepAlive: true,
     isSecure: false,
     isHttpOnly: false,
     validateFunc: function (request, session, callback) {
@@ -72,13 +86,26 @@ server.register(require('hapi-auth-cookie'), function (err) {
   });
 });
 
+server.auth.scheme('bearer', Authenticator.bearerScheme);
+server.auth.strategy('token', 'bearer');
+
 server.app.authenticator = Authenticator;
 
 server.auth.default({
-  strategy: 'session',
+  strategies: ['session', 'token'],
   scope: Authenticator.SCOPE.ADMIN.DEFAULT
 });
 
+/* Configure audit trail of admin actions */
+server.register({
+  register: rfr('app/policies/Auditor')
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register Auditor: %j', err);
+    throw err;
+  }
+});
+
 /* Register controllers */
 server.register({
   register: rfr('app/controllers/UserController.js')
@@ -142,6 +169,26 @@ server.register({
   }
 });
 
+server.register({
+  register: rfr('app/controllers/RoleController.js')
+}, {
+  routes: {prefix: '/api/roles'}
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register RoleController: %j', err);
+  }
+});
+
+server.register({
+  register: rfr('app/controllers/AuditController.js')
+}, {
+  routes: {prefix: '/api/audit'}
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register AuditController: %j', err);
+  }
+});
+
 server.route({
   method: 'GET',
   path: '/',
@@ -164,6 +211,61 @@ server.register({
   }
 });
 
+server.register({
+  register: rfr('app/controllers/StickerController.js')
+}, {
+  routes: {prefix: '/api/stickers'}
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register StickerController: %j', err);
+    throw err;
+  }
+});
+
+server.register({
+  register: rfr('app/controllers/SearchController.js')
+}, {
+  routes: {prefix: '/api/search'}
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register SearchController: %j', err);
+    throw err;
+  }
+});
+
+server.register({
+  register: rfr('app/controllers/ModerationController.js')
+}, {
+  routes: {prefix: '/api/moderations'}
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register ModerationController: %j', err);
+    throw err;
+  }
+});
+
+server.register({
+  register: rfr('app/controllers/FilterController.js')
+}, {
+  routes: {prefix: '/api/filters'}
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register FilterController: %j', err);
+    throw err;
+  }
+});
+
+server.register({
+  register: rfr('app/controllers/SettingsController.js')
+}, {
+  routes: {prefix: '/api/settings'}
+}, function (err) {
+  if (err) {
+    logger.error('Unable to register SettingsController: %j', err);
+    throw err;
+  }
+});
+
 /* Register static file handler */
 server.register(require('inert'), function(err) {
   if (err) {
@@ -205,8 +307,18 @@ server.register(require('inert'), function(err) {
 var socketAdapter = rfr('app/adapters/socket/SocketAdapter');
 socketAdapter.init(server);
 
-server.start(function () {
-  logger.info('Server running at: ' + server.info.uri);
+/* Start once the database is migrated, as the log and session stores can be
+ * kept in tables that pending migrations create. The tests migrate their
+ * database themselves before each test */
+Storage.dbSyncPromise.then(function (isUpToDate) {
+  if (!isUpToDate && process.env.NODE_ENV !== 'test') {
+    logger.error('Database is not up to date, run npm run migrate');
+    return process.exit(1);
+  }
+
+  server.start(function () {
+    logger.info('Server running at: ' + server.info.uri);
+  });
 });
 
 module.exports = server;
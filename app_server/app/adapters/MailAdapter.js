@@ -0,0 +1,134 @@
+/**
+ * Sends mail through a configurable transport. The file transport writes
+ * every message to a directory and the memory transport keeps them in a list.
+ * Other transports such as SMTP can be added with registerTransport.
+ * @module MailAdapter
+ */
+'use strict';
+
+var rfr = require('rfr');
+var path = require('path');
+var util = require('util');
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+
+var Utility = rfr('app/util/Utility');
+var ServerConfig = rfr('config/ServerConfig');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * Writes each message to a file in the configured directory
+ * @constructor
+ * @param {Object} config
+ * @param {string} config.directory
+ */
+var FileTransport = function(config) {
+  this.directory = config.directory;
+};
+
+FileTransport.prototype.send = function(mail) {
+  var fileName = util.format('%d-%s.txt', Date.now(),
+                             Utility.randomValueBase64(8));
+  var content = util.format('From: %s\nTo: %s\nSubject: %s\n\n%s\n',
+                            mail.from, mail.to, mail.subject, mail.text);
+
+  return fs.mkdirAsync(this.directory).catch(function(err) {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  }).then(() => {
+    return fs.writeFileAsync(path.join(this.directory, fileName), content);
+  });
+};
+
+/**
+ * Keeps every message in memory, mostly for tests
+ * @constructor
+ */
+var MemoryTransport = function() {
+  this.sent = [];
+};
+
+MemoryTransport.prototype.send = function(mail) {
+  this.sent.push(mail);
+  return Promise.resolve();
+};
+
+/**
+ * @param {Object} config
+ * @param {string} config.transport name of the transport to use
+ * @param {string} config.from sender of every message
+ */
+function MailAdapter(config) {
+  this.config = config;
+  this.transports = {};
+  this.transport = null;
+
+  this.registerTransport(MailAdapter.prototype.TRANSPORTS.FILE, FileTransport);
+  this.registerTransport(MailAdapter.prototype.TRANSPORTS.MEMORY,
+                         MemoryTransport);
+}
+
+var Class = MailAdapter.prototype;
+
+Class.TRANSPORTS = {
+  FILE: 'file',
+  MEMORY: 'memory'
+};
+
+/**
+ * @param {string} name
+ * @param {Function} Transport constructor that takes the mail config, whose
+ *        instances have a send(mail) method that returns a Promise
+ */
+Class.registerTransport = function(name, Transport) {
+  if (typeof Transport.prototype.send !== 'function') {
+    throw new Error('Transport ' + name + ' does not implement send');
+  }
+
+  this.transports[name] = Transport;
+};
+
+/**
+ * Replaces the transport that messages are sent through
+ * @param {string} name of a registered transport
+ * @return {Object} the new transport
+ */
+Class.useTransport = function(name) {
+  var Transport = this.transports[name];
+  if (!Transport) {
+    throw new Error('Unknown mail transport ' + name);
+  }
+
+  this.transport = new Transport(this.config);
+  return this.transport;
+};
+
+/**
+ * @return {Object} the transport that messages are sent through
+ */
+Class.getTransport = function() {
+  return this.transport || this.useTransport(this.config.transport);
+};
+
+/**
+ * @param  {Object} mail
+ * @param  {string} mail.to
+ * @param  {string} mail.subject
+ * @param  {string} mail.text
+ * @return {Promise<Boolean>} true if the message was sent
+ */
+Class.send = function(mail) {
+  mail = Object.assign({from: this.config.from}, mail);
+  logger.info('Sending mail to %s: %s', mail.to, mail.subject);
+
+  return Promise.resolve(this.getTransport().send(mail)).then(function() {
+    return true;
+  }).catch(function(err) {
+    logger.error('Unable to send mail to %s: %j', mail.to, err);
+    return false;
+  });
+};
+
+module.exports = new MailAdapter(ServerConfig.mail);
@@ -87,6 +87,37 @@ Class.stopStream = function(appName, appInstance, streamName) {
   });
 };
 
+/**
+ * Looks up the recording of a stream, see the media server's README for where
+ * it is saved
+ * @param appName {string}
+ * @param appInstance {string}
+ * @param streamName {string}
+ * @return {Promise<Object>} {path, size} of the recording, or an Error
+ */
+Class.getRecording = function(appName, appInstance, streamName) {
+  let data = {
+    recording: 1,
+    app: appName,
+    appInstance: appInstance,
+    stream: streamName
+  };
+
+  return this.__makePOST('/control', data)
+  .then((response) => {
+    if (!response || response instanceof Error
+        || !(response instanceof Object)) {
+      return new Error('Failed to request media server ' + response);
+    }
+
+    if (response.status !== 'OK') {
+      return new Error(response.message);
+    }
+
+    return {path: response.path, size: response.size};
+  });
+};
+
 Class.getConnectionCounts = function(appName) {
   return this.__makeGET('/connectioncounts')
   .then((response) => {
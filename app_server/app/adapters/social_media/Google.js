@@ -0,0 +1,31 @@
+/**
+ * Google platform
+ * @module app/adapters/social_media/Google
+ */
+
+var rfr = require('rfr');
+var util = require('util');
+
+var OpenIdConnect = rfr('app/adapters/social_media/OpenIdConnect');
+var SocialMediaConfig = rfr('config/SocialMediaConfig');
+
+/**
+ * Create a new Google platform. Google supports OpenID Connect so its
+ * userinfo endpoint is used to get the user's profile.
+ * @constructor Google
+ * @param options {object} options including accessToken and appId
+ * @return {Google}
+ */
+function Google(options) {
+  var config = {
+    appId: SocialMediaConfig.google.appId,
+    userInfoUrl: Google.GOOGLE_USERINFO_URL
+  };
+
+  OpenIdConnect.call(this, options, config, 'google');
+}
+util.inherits(Google, OpenIdConnect);
+
+Google.GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v3/userinfo';
+
+module.exports = Google;
@@ -0,0 +1,67 @@
+/**
+ * Generic OAuth2/OpenID Connect platform, which gets the user's profile
+ * from the provider's userinfo endpoint
+ * @module app/adapters/social_media/OpenIdConnect
+ */
+
+var rfr = require('rfr');
+var util = require('util');
+
+var Utility = rfr('app/util/Utility');
+var Platform = rfr('app/adapters/social_media/Platform');
+var SocialMediaConfig = rfr('config/SocialMediaConfig');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * Create a new OpenID Connect platform
+ * @constructor OpenIdConnect
+ * @param options {object} options including accessToken and appId
+ * @param config {object} provider config, SocialMediaConfig.oidc by default
+ * @param name {string} name of the provider used in error messages
+ * @return {OpenIdConnect}
+ */
+function OpenIdConnect(options, config, name) {
+  config = config || SocialMediaConfig.oidc;
+  name = name || 'OpenID Connect';
+
+  Platform.call(this, config.userInfoUrl);
+
+  if (!options.accessToken) {
+    var errorMsg = util.format('%s platform requires an access token', name);
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+  if (!options.appId || options.appId !== config.appId) {
+    var errorMsg = util.format('App id for %s does not match', name);
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  this.accessToken = options.accessToken;
+}
+util.inherits(OpenIdConnect, Platform);
+var Class = OpenIdConnect.prototype;
+
+/**
+ * Get a user's profile from the userinfo endpoint
+ * @return {Promise} of a profile with id and name, or of the provider's
+ *                   error response
+ */
+Class.getUser = function () {
+  var headers = {'Authorization': 'Bearer ' + this.accessToken};
+
+  return this.__makeAPICall('', {}, null, headers).then((userInfo) => {
+    if (!userInfo || !userInfo.sub) {
+      return userInfo;
+    }
+
+    return {
+      id: userInfo.sub,
+      name: userInfo.name || userInfo['preferred_username'],
+      email: userInfo.email
+    };
+  });
+};
+
+module.exports = OpenIdConnect;
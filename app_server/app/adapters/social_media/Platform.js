@@ -23,9 +23,11 @@ var Class = Platform.prototype;
  * @param apiPath {string}
  * @param pathParams {object} object of string keys to string values
  * @param payload {object}
+ * @param headers {object} extra request headers, e.g. Authorization
  * @return {Promise} a promise of response JSON object or null if error
  */
-Class.__makeAPICall = function makeAPICall(apiPath, pathParams, payload) {
+Class.__makeAPICall = function makeAPICall(apiPath, pathParams, payload,
+                                           headers) {
   var paramsArr = _.map(pathParams, function(value, key) {
     return util.format('%s=%s', key, value);
   });
@@ -35,7 +37,7 @@ Class.__makeAPICall = function makeAPICall(apiPath, pathParams, payload) {
 
   logger.info('Requesting: ' + request);
 
-  return Wreck.getAsync(request, {json: 'force'})
+  return Wreck.getAsync(request, {json: 'force', headers: headers})
   .spread(function processAPICallResponse(res, payload) {
     return payload;
   }).catch(function processAPICallError(err) {
@@ -45,4 +47,13 @@ Class.__makeAPICall = function makeAPICall(apiPath, pathParams, payload) {
   });
 };
 
+/**
+ * Get a user's profile from the platform. Subclasses must override this.
+ * @return {Promise} of a profile with at least id and name, or of the
+ *                   platform's error response if the user cannot be retrieved
+ */
+Class.getUser = function () {
+  return Promise.reject(new Error('getUser is not implemented'));
+};
+
 module.exports = Platform;
@@ -7,30 +7,65 @@ var rfr = require('rfr');
 var util = require('util');
 
 var Utility = rfr('app/util/Utility');
-var Config = rfr('config/SocialMediaConfig');
+var Platform = rfr('app/adapters/social_media/Platform');
 var Facebook = rfr('app/adapters/social_media/Facebook');
+var Google = rfr('app/adapters/social_media/Google');
+var Twitter = rfr('app/adapters/social_media/Twitter');
+var OpenIdConnect = rfr('app/adapters/social_media/OpenIdConnect');
 
 var logger = Utility.createLogger(__filename);
 
+/**
+ * A map from platform names to their Platform subclasses
+ * @private
+ */
+var registry = {};
+
 /**
  * @constructor SocialMediaAdapter
- * @param platform {string} can be: "facebook"
+ * @param platform {string} name of a registered platform,
+ *                          see SocialMediaAdapter.PLATFORMS
  * @param options {object} options including accessToken
  * @return {object}
  */
 function SocialMediaAdapter(platform, options) {
-  if (platform === SocialMediaAdapter.PLATFORMS.FACEBOOK) {
-    this.platform = new Facebook(options);
-  } else {
+  if (!registry.hasOwnProperty(platform)) {
     var errorMsg = util.format('Platform %s is not supported', platform);
     logger.error(errorMsg);
     throw new Error(errorMsg);
   }
+
+  this.platform = new registry[platform](options);
 }
 var Class = SocialMediaAdapter.prototype;
 
 SocialMediaAdapter.PLATFORMS = Class.PLATFORMS = {
-  FACEBOOK: 'facebook'
+  FACEBOOK: 'facebook',
+  GOOGLE: 'google',
+  TWITTER: 'twitter',
+  OIDC: 'oidc'
+};
+
+/**
+ * Make a platform available for logging in. Its config, if any, should be
+ * under the same name in SocialMediaConfig.
+ * @param name {string}
+ * @param PlatformClass {function} a subclass of Platform
+ */
+SocialMediaAdapter.registerPlatform = function (name, PlatformClass) {
+  if (!(PlatformClass.prototype instanceof Platform)) {
+    throw new Error(util.format('%s is not a Platform', name));
+  }
+
+  logger.info('Registering platform %s', name);
+  registry[name] = PlatformClass;
+};
+
+/**
+ * @return {Array<string>} names of the registered platforms
+ */
+SocialMediaAdapter.getPlatforms = function () {
+  return Object.keys(registry);
 };
 
 /**
@@ -41,4 +76,9 @@ Class.getUser = function () {
   return this.platform.getUser();
 };
 
+SocialMediaAdapter.registerPlatform(Class.PLATFORMS.FACEBOOK, Facebook);
+SocialMediaAdapter.registerPlatform(Class.PLATFORMS.GOOGLE, Google);
+SocialMediaAdapter.registerPlatform(Class.PLATFORMS.TWITTER, Twitter);
+SocialMediaAdapter.registerPlatform(Class.PLATFORMS.OIDC, OpenIdConnect);
+
 module.exports = SocialMediaAdapter;
@@ -0,0 +1,110 @@
+/**
+ * Twitter platform
+ * @module app/adapters/social_media/Twitter
+ */
+
+var rfr = require('rfr');
+var util = require('util');
+var crypto = require('crypto');
+
+var Utility = rfr('app/util/Utility');
+var Platform = rfr('app/adapters/social_media/Platform');
+var SocialMediaConfig = rfr('config/SocialMediaConfig');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * Create a new Twitter platform
+ * @constructor Twitter
+ * @param options {object} options including appId, accessToken and
+ *                         accessTokenSecret
+ * @return {Twitter}
+ */
+function Twitter(options) {
+  Platform.call(this, Twitter.TWITTER_API_URL);
+
+  if (!options.accessToken || !options.accessTokenSecret) {
+    var errorMsg = 'Twitter platform requires an access token and secret';
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+  if (!options.appId || options.appId !== SocialMediaConfig.twitter.appId) {
+    var errorMsg = 'App id for twitter does not match';
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  this.accessToken = options.accessToken;
+  this.accessTokenSecret = options.accessTokenSecret;
+  this.apiVersion = '1.1';
+}
+util.inherits(Twitter, Platform);
+var Class = Twitter.prototype;
+
+Twitter.TWITTER_API_URL = 'https://api.twitter.com';
+
+/**
+ * Get a user's profile from twitter
+ * @return {Promise} of a profile with id and name, or of twitter's error
+ *                   response
+ */
+Class.getUser = function () {
+  var apiPath = util.format('/%s/account/verify_credentials.json',
+                            this.apiVersion);
+  var headers = {
+    'Authorization': this.__signRequest('GET', this.apiDomain + apiPath)
+  };
+
+  return this.__makeAPICall(apiPath, {}, null, headers).then((profile) => {
+    if (!profile || !profile['id_str']) {
+      return profile;
+    }
+
+    return {id: profile['id_str'], name: profile.name};
+  });
+};
+
+/**
+ * Creates the OAuth 1.0a Authorization header of a request without
+ * query parameters
+ * @param method {string}
+ * @param url {string}
+ * @return {string}
+ */
+Class.__signRequest = function (method, url) {
+  var oauthParams = {
+    'oauth_consumer_key': SocialMediaConfig.twitter.appId,
+    'oauth_nonce': crypto.randomBytes(16).toString('hex'),
+    'oauth_signature_method': 'HMAC-SHA1',
+    'oauth_timestamp': Math.floor(Date.now() / 1000).toString(),
+    'oauth_token': this.accessToken,
+    'oauth_version': '1.0'
+  };
+
+  var paramString = Object.keys(oauthParams).sort().map((key) =>
+    util.format('%s=%s', percentEncode(key), percentEncode(oauthParams[key]))
+  ).join('&');
+
+  var baseString = [method, percentEncode(url), percentEncode(paramString)]
+    .join('&');
+  var signingKey = percentEncode(SocialMediaConfig.twitter.appSecret) + '&' +
+                   percentEncode(this.accessTokenSecret);
+
+  oauthParams['oauth_signature'] = crypto.createHmac('sha1', signingKey)
+    .update(baseString).digest('base64');
+
+  return 'OAuth ' + Object.keys(oauthParams).sort().map((key) =>
+    util.format('%s="%s"', percentEncode(key), percentEncode(oauthParams[key]))
+  ).join(', ');
+};
+
+/**
+ * Percent encoding as required by OAuth 1.0a
+ * @private
+ */
+function percentEncode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, (c) =>
+    '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+module.exports = Twitter;
@@ -0,0 +1,128 @@
+/**
+ * Brokers pass messages between the app servers that serve the same chat
+ * rooms. A broker is either in-process, which only reaches the server itself
+ * and is used for a single server and in tests, or a Redis server.
+ * Messages are serialised as JSON, so Dates arrive as strings.
+ * @module Broker
+ */
+'use strict';
+var rfr = require('rfr');
+var Promise = require('bluebird');
+var EventEmitter = require('events').EventEmitter;
+
+var Utility = rfr('app/util/Utility');
+
+var logger = Utility.createLogger(__filename);
+
+var TYPES = exports.TYPES = {
+  MEMORY: 'memory',
+  REDIS: 'redis'
+};
+
+/**
+ * Creates the broker according to the cluster config
+ * @param {Object} config
+ * @param {string} config.broker one of TYPES
+ * @param {Object} config.redis options of the Redis clients
+ * @return {MemoryBroker|RedisBroker}
+ */
+exports.create = function(config) {
+  switch (config.broker) {
+  case TYPES.REDIS:
+    return new RedisBroker(config.redis);
+  default:
+    return new MemoryBroker();
+  }
+};
+
+/**
+ * Delivers messages to the subscribers in the same process
+ * @constructor
+ */
+var MemoryBroker = exports.MemoryBroker = function() {
+  this.emitter = new EventEmitter();
+  this.emitter.setMaxListeners(0);
+};
+
+/**
+ * @param {string} channel
+ * @param {Object} message
+ * @return {Promise}
+ */
+MemoryBroker.prototype.publish = function(channel, message) {
+  let data = JSON.stringify(message);
+  let handlers = this.emitter.listeners(channel);
+
+  // delivered later like a message over the network
+  setImmediate(() => handlers.forEach((handler) => handler(JSON.parse(data))));
+  return Promise.resolve();
+};
+
+/**
+ * @param {string} channel
+ * @param {Function} handler called with each message of the channel
+ * @return {Promise}
+ */
+MemoryBroker.prototype.subscribe = function(channel, handler) {
+  this.emitter.on(channel, handler);
+  return Promise.resolve();
+};
+
+/**
+ * @param {string} channel
+ * @param {Function} handler
+ * @return {Promise}
+ */
+MemoryBroker.prototype.unsubscribe = function(channel, handler) {
+  this.emitter.removeListener(channel, handler);
+  return Promise.resolve();
+};
+
+/**
+ * Delivers messages through Redis pub/sub, which needs a connection for
+ * publishing and another for subscribing
+ * @constructor
+ * @param {Object} options passed to redis.createClient
+ */
+var RedisBroker = exports.RedisBroker = function(options) {
+  let redis = require('redis');
+
+  this.handlers = {}; // A map from channel to its handlers
+  this.pub = redis.createClient(options);
+  this.sub = redis.createClient(options);
+
+  this.pub.on('error', (err) => logger.error('Redis publisher: %s', err));
+  this.sub.on('error', (err) => logger.error('Redis subscriber: %s', err));
+  this.sub.on('message', (channel, data) => {
+    let handlers = this.handlers[channel] || [];
+    handlers.forEach((handler) => handler(JSON.parse(data)));
+  });
+};
+
+RedisBroker.prototype.publish = function(channel, message) {
+  return Promise.fromCallback((callback) =>
+    this.pub.publish(channel, JSON.stringify(message), callback));
+};
+
+RedisBroker.prototype.subscribe = function(channel, handler) {
+  if (this.handlers[channel]) {
+    this.handlers[channel].push(handler);
+    return Promise.resolve();
+  }
+
+  this.handlers[channel] = [handler];
+  return Promise.fromCallback((callback) =>
+    this.sub.subscribe(channel, callback));
+};
+
+RedisBroker.prototype.unsubscribe = function(channel, handler) {
+  let handlers = (this.handlers[channel] || []).filter((h) => h !== handler);
+  if (handlers.length > 0) {
+    this.handlers[channel] = handlers;
+    return Promise.resolve();
+  }
+
+  delete this.handlers[channel];
+  return Promise.fromCallback((callback) =>
+    this.sub.unsubscribe(channel, callback));
+};
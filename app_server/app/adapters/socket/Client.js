@@ -10,6 +10,8 @@ var util = require('util');
 
 var Utility = rfr('app/util/Utility');
 var Room = rfr('app/adapters/socket/Room');
+var CommentFilter = rfr('app/adapters/socket/CommentFilter');
+var ServerConfig = rfr('config/ServerConfig');
 
 var logger = Utility.createLogger(__filename);
 
@@ -19,6 +21,8 @@ function Client(socket, credentials) {
   this.socket = socket;
   this.credentials = credentials;
   this.rooms = {}; // A map from room's name to Room object
+  this.stickerWindowStart = 0;
+  this.stickersInWindow = 0;
 
   delete this.credentials['username'];
   delete this.credentials['password'];
@@ -34,6 +38,9 @@ Client.EVENT_STICKER = Class.EVENT_STICKER = 'sticker';
 Client.EVENT_DISCONNECT = Class.EVENT_DISCONNECT = 'disconnect';
 Client.EVENT_JOIN = Class.EVENT_JOIN = 'join';
 Client.EVENT_LEAVE = Class.EVENT_LEAVE = 'leave';
+Client.EVENT_MODERATE = Class.EVENT_MODERATE = 'moderate';
+Client.EVENT_MODERATION = Class.EVENT_MODERATION = 'moderation';
+Client.EVENT_REJECTED = Class.EVENT_REJECTED = 'rejected';
 
 Class.getUserId = function getUserId() {
   return this.credentials['userId'];
@@ -134,7 +141,8 @@ Class.broadcastToRoom = function(event, message, room) {
 
 /**
  * Broadcasts @msg under the message name @event to all
- * `ROOM_TYPES.STREAM` rooms that this client is in
+ * `ROOM_TYPES.STREAM` rooms that this client is in. Comments to rooms that
+ * the client is muted in are rejected back to the client
  * @param event {string}
  * @param msg {string}
  */
@@ -151,6 +159,16 @@ Class.broadcastToStreamRooms = function(event, msg) {
     if (room.getType() !== Room.ROOM_TYPES.STREAM) {
       continue;
     }
+    if (event === this.EVENT_COMMENT && room.isMuted(this.getUserId())) {
+      logger.debug('%s is muted in #%s', this.getSocketId(), room.getName());
+      this.socket.emit(this.EVENT_REJECTED, {
+        event: event,
+        message: msg,
+        room: room.getName(),
+        reason: 'You are muted in this room'
+      });
+      continue;
+    }
     logger.debug('%s comments in #%s: %s',
                  this.getSocketId(), room.getName(), msg);
     let msgToRoom = this.broadcastToRoom(event, msg, room);
@@ -173,6 +191,23 @@ Class.__emitInternalRoomBroadcastEvent = function(event, msg, room) {
   this.emit(event, data);
 };
 
+/**
+ * Counts a sticker against the rate limit of the client
+ * @return {boolean} true if the client has not exceeded the rate limit
+ */
+Class.__allowSticker = function() {
+  let limit = ServerConfig.stickerRateLimit;
+  let now = Date.now();
+
+  if (now - this.stickerWindowStart >= limit.interval) {
+    this.stickerWindowStart = now;
+    this.stickersInWindow = 0;
+  }
+
+  this.stickersInWindow++;
+  return this.stickersInWindow <= limit.max;
+};
+
 Class.equals = function(otherClient) {
   if (!(otherClient instanceof Client)) {
     return false;
@@ -185,9 +220,22 @@ Class.equals = function(otherClient) {
 
 Class.handleSocketEvents = function handleSocketEvents(socket) {
   socket.on(this.EVENT_COMMENT, (comment) => {
-    this.broadcastToStreamRooms(this.EVENT_COMMENT, comment);
+    let filtered = CommentFilter.apply(this.getUserId(), comment);
+    if (filtered instanceof Error) {
+      socket.emit(this.EVENT_REJECTED, {
+        event: this.EVENT_COMMENT,
+        message: comment,
+        reason: filtered.message
+      });
+      return;
+    }
+    this.broadcastToStreamRooms(this.EVENT_COMMENT, filtered);
   });
   socket.on(this.EVENT_STICKER, (sticker) => {
+    if (!this.__allowSticker()) {
+      logger.debug('%s exceeded the sticker rate limit', this.getSocketId());
+      return;
+    }
     this.broadcastToStreamRooms(this.EVENT_STICKER, sticker);
   });
   socket.on(this.EVENT_DISCONNECT, () => {
@@ -199,6 +247,9 @@ Class.handleSocketEvents = function handleSocketEvents(socket) {
   socket.on(this.EVENT_LEAVE, (roomName) => {
     this.emit(this.EVENT_LEAVE, roomName);
   });
+  socket.on(this.EVENT_MODERATE, (action) => {
+    this.emit(this.EVENT_MODERATE, action);
+  });
 };
 
 module.exports = Client;
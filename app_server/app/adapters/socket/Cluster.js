@@ -0,0 +1,210 @@
+/**
+ * @module Cluster
+ * Keeps the chat rooms of the app servers that share a Broker in sync. Rooms
+ * created, closed or moderated on one server are relayed to the others, as
+ * are changes to the blocklist of the comment filter, and every server
+ * publishes the users of its rooms at intervals so that each knows the
+ * number of users on all of them
+ */
+'use strict';
+var rfr = require('rfr');
+
+var Utility = rfr('app/util/Utility');
+var CommentFilter = rfr('app/adapters/socket/CommentFilter');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * @param broker {MemoryBroker|RedisBroker}
+ * @param roomsManager {RoomsManager}
+ * @param options {Object}
+ * @param options.nodeId {string} identifies this app server
+ * @param options.channel {string} prefix of the channel of the cluster
+ * @param options.interval {number} ms between states published
+ */
+function Cluster(broker, roomsManager, options) {
+  this.broker = broker;
+  this.roomsManager = roomsManager;
+  this.nodeId = options.nodeId;
+  this.channel = `${options.channel}:cluster`;
+  this.interval = options.interval;
+
+  this.nodes = {}; // A map from nodeId of other app servers to their state
+  this.timer = null;
+  this.__onMessage = this.__onMessage.bind(this);
+}
+
+var Class = Cluster.prototype;
+
+Cluster.EVENTS = Class.EVENTS = {
+  STATE: 'state',
+  CREATE_ROOM: 'createRoom',
+  CLOSE_ROOM: 'closeRoom',
+  MODERATION: 'moderation',
+  BLOCKLIST: 'blocklist'
+};
+
+// intervals without a state before an app server is considered gone
+Cluster.MISSED_STATES = Class.MISSED_STATES = 3;
+
+Class.start = function() {
+  this.broker.subscribe(this.channel, this.__onMessage);
+  this.timer = setInterval(() => this.update(), this.interval);
+  this.timer.unref();
+  return this.publishState();
+};
+
+Class.stop = function() {
+  clearInterval(this.timer);
+  this.timer = null;
+  return this.broker.unsubscribe(this.channel, this.__onMessage);
+};
+
+/**
+ * Forgets app servers that stopped publishing and publishes the state of
+ * this app server
+ */
+Class.update = function() {
+  let expiry = Date.now() - this.interval * Class.MISSED_STATES;
+  for (let nodeId in this.nodes) {
+    if (this.nodes[nodeId].receivedAt < expiry) {
+      logger.info(`App server ${nodeId} left the cluster`);
+      this.__removeNode(nodeId);
+    }
+  }
+
+  return this.publishState();
+};
+
+/**
+ * @param event {string} one of EVENTS
+ * @param data {Object}
+ * @return {Promise}
+ */
+Class.publish = function(event, data) {
+  let msg = {nodeId: this.nodeId, event: event, data: data};
+  return this.broker.publish(this.channel, msg).catch((err) => {
+    logger.error('Failed to publish %s: %s', event, err);
+  });
+};
+
+Class.publishState = function() {
+  let rooms = this.roomsManager.getRooms();
+  let state = {
+    users: this.roomsManager.getUserIds(),
+    clients: this.roomsManager.getNumberOfClients(),
+    rooms: {}
+  };
+
+  for (let roomName in rooms) {
+    state.rooms[roomName] = rooms[roomName].getLocalViewers();
+  }
+  return this.publish(Class.EVENTS.STATE, state);
+};
+
+/**
+ * @return {boolean} true if this app server should do the work that only one
+ *         server in the cluster should do
+ */
+Class.isLeader = function() {
+  return Object.keys(this.nodes).every((nodeId) => this.nodeId < nodeId);
+};
+
+/**
+ * @return {number} users connected to all app servers
+ */
+Class.getNumberOfUsers = function() {
+  let users = {};
+  this.roomsManager.getUserIds().forEach((userId) => users[userId] = true);
+  for (let nodeId in this.nodes) {
+    this.nodes[nodeId].users.forEach((userId) => users[userId] = true);
+  }
+  return Object.keys(users).length;
+};
+
+/**
+ * @return {number} clients connected to all app servers
+ */
+Class.getNumberOfClients = function() {
+  let count = this.roomsManager.getNumberOfClients();
+  for (let nodeId in this.nodes) {
+    count += this.nodes[nodeId].clients;
+  }
+  return count;
+};
+
+Class.__onMessage = function(msg) {
+  if (msg.nodeId === this.nodeId) {
+    return;
+  }
+
+  try {
+    let data = msg.data;
+    switch (msg.event) {
+    case Class.EVENTS.STATE:
+      this.__updateNode(msg.nodeId, data);
+      break;
+    case Class.EVENTS.CREATE_ROOM:
+      if (!this.roomsManager.getRooms()[data.roomName]) {
+        this.roomsManager.createNewRoom(data.roomName, data.streamId,
+                                        data.ownerId);
+      }
+      break;
+    case Class.EVENTS.CLOSE_ROOM:
+      if (this.roomsManager.getRooms()[data.roomName]) {
+        this.roomsManager.removeRoom(data.roomName);
+      }
+      break;
+    case Class.EVENTS.MODERATION:
+      if (data.expiresAt) {
+        data.expiresAt = new Date(data.expiresAt);
+      }
+
+      // the clients were notified by the app server that applied it
+      this.roomsManager.restoreModeration(data);
+      break;
+    case Class.EVENTS.BLOCKLIST:
+      CommentFilter.setBlocklist(data.words);
+      break;
+    }
+  } catch (e) {
+    logger.error(e);
+  }
+};
+
+Class.__updateNode = function(nodeId, state) {
+  if (!this.nodes[nodeId]) {
+    logger.info(`App server ${nodeId} joined the cluster`);
+  }
+
+  this.nodes[nodeId] = {
+    receivedAt: Date.now(),
+    users: state.users,
+    clients: state.clients
+  };
+
+  let rooms = this.roomsManager.getRooms();
+  for (let roomName in rooms) {
+    rooms[roomName].setRemoteViewers(nodeId, state.rooms[roomName]);
+  }
+};
+
+Class.__removeNode = function(nodeId) {
+  delete this.nodes[nodeId];
+
+  let rooms = this.roomsManager.getRooms();
+  for (let roomName in rooms) {
+    rooms[roomName].setRemoteViewers(nodeId, null);
+  }
+};
+
+/**
+ * Should only be used for testing
+ */
+Class.__reset__ = function() {
+  for (let nodeId in this.nodes) {
+    this.__removeNode(nodeId);
+  }
+};
+
+module.exports = Cluster;
@@ -0,0 +1,60 @@
+/**
+ * @module ClusterAdapter
+ * socket.io adapter that also sends broadcasts to the sockets connected to
+ * the other app servers, by publishing them through a Broker
+ */
+'use strict';
+var rfr = require('rfr');
+var util = require('util');
+var Adapter = require('socket.io-adapter');
+
+var Utility = rfr('app/util/Utility');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * Broadcasts with the `local` flag, such as io.local.to(room).emit(...), only
+ * reach the sockets of this app server. Packets are published as JSON, so
+ * binary data is not supported
+ * @param broker {MemoryBroker|RedisBroker}
+ * @param nodeId {string} identifies this app server
+ * @param channel {string} prefix of the channels of the broadcasts
+ * @return {Function} the adapter to give to socket.io
+ */
+exports.create = function(broker, nodeId, channel) {
+  function ClusterAdapter(nsp) {
+    Adapter.call(this, nsp);
+
+    this.channel = `${channel}#${nsp.name}`;
+    this.__onBroadcast = this.__onBroadcast.bind(this);
+    broker.subscribe(this.channel, this.__onBroadcast);
+  }
+  util.inherits(ClusterAdapter, Adapter);
+
+  /**
+   * @param packet {Object}
+   * @param opts {Object} see socket.io-adapter
+   * @param remote {boolean} true if the broadcast is from another app server
+   */
+  ClusterAdapter.prototype.broadcast = function(packet, opts, remote) {
+    Adapter.prototype.broadcast.call(this, packet, opts);
+
+    if (remote || (opts.flags && opts.flags.local)) {
+      return;
+    }
+
+    let msg = {nodeId: nodeId, packet: packet, opts: opts};
+    broker.publish(this.channel, msg)
+    .catch((err) => logger.error('Failed to publish broadcast: %s', err));
+  };
+
+  ClusterAdapter.prototype.__onBroadcast = function(msg) {
+    if (msg.nodeId === nodeId) {
+      return;
+    }
+
+    this.broadcast(msg.packet, msg.opts, true);
+  };
+
+  return ClusterAdapter;
+};
@@ -0,0 +1,173 @@
+/**
+ * @module CommentFilter
+ * Chain of filters that comments go through before they are broadcast
+ */
+'use strict';
+
+var rfr = require('rfr');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var ServerConfig = rfr('config/ServerConfig');
+
+var logger = Utility.createLogger(__filename);
+
+var LINK_PATTERN = new RegExp('(\\bhttps?://|\\bwww\\.)\\S+|' +
+                              '\\b[a-z0-9-]+\\.(com|net|org|info|io|ly|tk|co)' +
+                              '(/\\S*)?\\b', 'i');
+
+/**
+ * Runs the filters named in config.filters in order. A filter returns the
+ * comment, possibly modified, or a RejectedCommentError to drop it.
+ * @param config {Object} see ServerConfig.commentFilter
+ */
+function CommentFilter(config) {
+  this.config = config;
+  this.blocklistPattern = null;
+  this.users = {}; // A map from userId to the user's recent comments
+}
+
+var Class = CommentFilter.prototype;
+
+CommentFilter.FILTERS = Class.FILTERS = {
+  RATE: 'rate',
+  LENGTH: 'length',
+  LINKS: 'links',
+  DUPLICATE: 'duplicate',
+  BLOCKLIST: 'blocklist'
+};
+
+/**
+ * @param userId {string} author of the comment
+ * @param comment {string}
+ * @return {string} the comment to broadcast
+ *         {RejectedCommentError} if the comment is rejected
+ */
+Class.apply = function(userId, comment) {
+  let user = this.__getUser(userId);
+
+  for (let i = 0; i < this.config.filters.length; i++) {
+    let name = this.config.filters[i];
+    comment = this.__filters[name].call(this, user, comment);
+    if (comment instanceof Error) {
+      logger.debug('Comment from %s rejected by %s filter', userId, name);
+      return comment;
+    }
+  }
+
+  user.lastComment = normalise(comment);
+  user.lastCommentTime = Date.now();
+  return comment;
+};
+
+/**
+ * Replaces the blocked words
+ * @param words {Array<string>}
+ */
+Class.setBlocklist = function(words) {
+  logger.info('Blocklist updated with %d words', words.length);
+
+  if (words.length === 0) {
+    this.blocklistPattern = null;
+    return;
+  }
+
+  let escaped = words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g,
+                                                 '\\$&'));
+  this.blocklistPattern = new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi');
+};
+
+/**
+ * Forgets the recent comments of a user
+ * @param userId {string}
+ */
+Class.clearUser = function(userId) {
+  delete this.users[userId];
+};
+
+Class.__getUser = function(userId) {
+  if (!this.users[userId]) {
+    this.users[userId] = {
+      windowStart: 0,
+      commentsInWindow: 0,
+      lastComment: null,
+      lastCommentTime: 0
+    };
+  }
+  return this.users[userId];
+};
+
+Class.__filters = {};
+
+Class.__filters[Class.FILTERS.RATE] = function(user, comment) {
+  let limit = this.config.rateLimit;
+  let now = Date.now();
+
+  if (now - user.windowStart >= limit.interval) {
+    user.windowStart = now;
+    user.commentsInWindow = 0;
+  }
+
+  user.commentsInWindow++;
+  if (user.commentsInWindow > limit.max) {
+    return new CustomError.RejectedCommentError(
+      'Too many comments, please slow down', Class.FILTERS.RATE);
+  }
+  return comment;
+};
+
+Class.__filters[Class.FILTERS.LENGTH] = function(user, comment) {
+  if (typeof comment !== 'string' || comment.trim().length === 0) {
+    return new CustomError.RejectedCommentError(
+      'Comment is empty', Class.FILTERS.LENGTH);
+  }
+
+  if (comment.length > this.config.maxLength) {
+    return new CustomError.RejectedCommentError(
+      `Comment is longer than ${this.config.maxLength} characters`,
+      Class.FILTERS.LENGTH);
+  }
+  return comment;
+};
+
+Class.__filters[Class.FILTERS.LINKS] = function(user, comment) {
+  if (LINK_PATTERN.test(comment)) {
+    return new CustomError.RejectedCommentError(
+      'Links are not allowed in comments', Class.FILTERS.LINKS);
+  }
+  return comment;
+};
+
+Class.__filters[Class.FILTERS.DUPLICATE] = function(user, comment) {
+  if (user.lastComment === normalise(comment) &&
+      Date.now() - user.lastCommentTime < this.config.duplicateInterval) {
+    return new CustomError.RejectedCommentError(
+      'Comment is a repeat of the previous one', Class.FILTERS.DUPLICATE);
+  }
+  return comment;
+};
+
+Class.__filters[Class.FILTERS.BLOCKLIST] = function(user, comment) {
+  if (!this.blocklistPattern) {
+    return comment;
+  }
+
+  return comment.replace(this.blocklistPattern,
+                         (word) => this.config.mask.repeat(word.length));
+};
+
+/**
+ * Should only be used for testing
+ */
+Class.__reset__ = function() {
+  this.users = {};
+};
+
+/**
+ * @private
+ */
+function normalise(comment) {
+  return comment.trim().toLowerCase();
+}
+
+module.exports = new CommentFilter(ServerConfig.commentFilter);
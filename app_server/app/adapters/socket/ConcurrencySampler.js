@@ -0,0 +1,73 @@
+/**
+ * @module ConcurrencySampler
+ * Periodically samples the number of users in the room of each stream
+ */
+'use strict';
+
+var rfr = require('rfr');
+var Promise = require('bluebird');
+
+var Utility = rfr('app/util/Utility');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * @param roomsManager {RoomsManager}
+ * @param record {Function} stores a list of samples {streamId, time,
+ *                          viewers} and returns a Promise
+ * @param interval {number} ms between samples
+ */
+function ConcurrencySampler(roomsManager, record, interval) {
+  this.roomsManager = roomsManager;
+  this.record = record;
+  this.interval = interval;
+  this.timer = null;
+}
+
+var Class = ConcurrencySampler.prototype;
+
+Class.start = function() {
+  if (this.timer) {
+    return;
+  }
+
+  logger.info(`Sampling concurrent viewers every ${this.interval} ms`);
+  this.timer = setInterval(() => this.sample(), this.interval);
+  this.timer.unref();
+};
+
+Class.stop = function() {
+  clearInterval(this.timer);
+  this.timer = null;
+};
+
+/**
+ * Records the number of users in the rooms of streams
+ * @return {Promise}
+ */
+Class.sample = function() {
+  let time = new Date();
+  let rooms = this.roomsManager.getRooms();
+  let samples = [];
+
+  for (let roomName in rooms) {
+    let room = rooms[roomName];
+    if (room.getStreamId()) {
+      samples.push({
+        streamId: room.getStreamId(),
+        time: time,
+        viewers: room.getNumberOfUsers()
+      });
+    }
+  }
+
+  if (samples.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return Promise.resolve(this.record(samples)).catch((err) => {
+    logger.error('Unable to record concurrent viewers: %s', err);
+  });
+};
+
+module.exports = ConcurrencySampler;
@@ -19,7 +19,10 @@ var Class = RequestInjector.prototype;
 
 RequestInjector.API_PATHS = Class.API_PATHS = {
   CREATE_COMMENT: '/api/comments',
-  CREATE_VIEW: '/api/views'
+  CREATE_STICKER: '/api/stickers',
+  CREATE_VIEW: '/api/views',
+  END_VIEW: '/api/views',
+  MODERATE: '/api/moderations'
 };
 
 /**
@@ -84,8 +87,103 @@ Class.createView = function(credentials, streamId) {
   });
 };
 
-Class.updateStickers = function(credentials, msg) {
-  return true;
+/**
+ * Ends the view of a client who stopped watching a stream
+ * @param credentials {Object} {userId: <string>}
+ * @param streamId {string}
+ * @return {Promise}
+ */
+Class.endView = function(credentials, streamId) {
+  return new Promise((resolve, reject) => {
+    var options = {
+      method: 'DELETE',
+      url: `${RequestInjector.API_PATHS.END_VIEW}/${streamId}`,
+      credentials: credentials,
+      allowInternals: true
+    };
+
+    logger.debug('Making internal request: %s', JSON.stringify(options)),
+    this.server.inject(options, function(res) {
+      if (res.statusCode === 200) {
+        resolve(res.result);
+      } else {
+        logger.error('Error requesting interal route %s', options.url);
+        reject(new Error(res.result));
+      }
+    });
+  });
+};
+
+/**
+ * Creates a new sticker in the main pipeline
+ * @param credentials {Object} {userId: <string>}
+ * @param msg {Object} {message: <sticker>, streamId: <string>}
+ * @return {Promise}
+ */
+Class.createSticker = function(credentials, msg) {
+  return new Promise((resolve, reject) => {
+    var options = {
+      method: 'POST',
+      url: RequestInjector.API_PATHS.CREATE_STICKER,
+      credentials: credentials,
+      payload: {
+        streamId: msg.streamId,
+        sticker: {
+          type: msg.message.message || undefined,
+          time: msg.message.time
+        }
+      },
+      allowInternals: true
+    };
+
+    logger.debug('Making internal request: %s', JSON.stringify(options));
+    this.server.inject(options, function(res) {
+      if (res.statusCode === 200) {
+        resolve(res.result);
+      } else {
+        logger.error('Error requesting interal route %s', options.url);
+        reject(new Error(res.result));
+      }
+    });
+  });
+};
+
+/**
+ * Moderates a stream in the main pipeline
+ * @param credentials {Object} {userId: <string>}
+ * @param streamId {string}
+ * @param action {Object} {action: <string>, userId: <string>,
+ *                         commentId: <string>, time: <number>,
+ *                         duration: <number>, reason: <string>}
+ * @return {Promise}
+ */
+Class.moderate = function(credentials, streamId, action) {
+  return new Promise((resolve, reject) => {
+    var options = {
+      method: 'POST',
+      url: RequestInjector.API_PATHS.MODERATE,
+      credentials: credentials,
+      payload: {
+        streamId: streamId,
+        action: action.action,
+        userId: action.userId,
+        commentId: action.commentId,
+        time: action.time,
+        duration: action.duration,
+        reason: action.reason
+      }
+    };
+
+    logger.debug('Making internal request: %s', JSON.stringify(options));
+    this.server.inject(options, function(res) {
+      if (res.statusCode === 200) {
+        resolve(res.result);
+      } else {
+        logger.error('Error requesting interal route %s', options.url);
+        reject(new Error(res.result));
+      }
+    });
+  });
 };
 
 module.exports = RequestInjector;
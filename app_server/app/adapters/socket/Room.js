@@ -7,10 +7,19 @@
 var rfr = require('rfr');
 
 var Utility = rfr('app/util/Utility');
+var ServerConfig = rfr('config/ServerConfig');
 
 var logger = Utility.createLogger(__filename);
 
-function Room(name, type, streamId) {
+/**
+ * @param name {string}
+ * @param type {string} see ROOM_TYPES
+ * @param streamId {string}
+ * @param ownerId {string} userId of the streamer
+ * @param io {Server} socket.io server to broadcast the number of viewers
+ *                    with, the number is not broadcast without it
+ */
+function Room(name, type, streamId, ownerId, io) {
   if (!name) {
     logger.error('Room name is invalid');
     throw new Error('Room name must be provided');
@@ -24,7 +33,13 @@ function Room(name, type, streamId) {
   this.__name = name;
   this.__type = type;
   this.__streamId = streamId;
+  this.__ownerId = ownerId;
   this.__clients = {}; // A map from client's socket.io id to Client object
+  this.__mutedUsers = {}; // A map from userId to the time the mute expires
+  this.__io = io;
+  this.__remoteViewers = {}; // A map from nodeId to viewers on other servers
+  this.__viewersBroadcastTime = 0;
+  this.__viewersTimer = null;
 }
 
 var Class = Room.prototype;
@@ -33,12 +48,16 @@ Room.ROOM_TYPES = Class.ROOM_TYPES = {
   GENERAL: 'general'
 };
 
+Room.EVENT_VIEWERS = Class.EVENT_VIEWERS = 'viewers';
+
 Class.getName = function() { return this.__name; };
 
 Class.getType = function() { return this.__type; };
 
 Class.getStreamId = function() { return this.__streamId; };
 
+Class.getOwnerId = function() { return this.__ownerId; };
+
 Class.getClients = function() { return this.__clients; };
 
 Class.getClient = function(socketId) { return this.__clients[socketId]; };
@@ -49,7 +68,9 @@ Class.getClient = function(socketId) { return this.__clients[socketId]; };
 Class.addClient = function(client) {
   this.__clients[client.getSocketId()] = client;
   logger.info(`${client.getSocketId()} added to ${this.getName()}`);
-  return client.__joinRoom__(this);
+  let joined = client.__joinRoom__(this);
+  this.__notifyViewers();
+  return joined;
 };
 
 /**
@@ -64,7 +85,9 @@ Class.removeClient = function(client) {
 
   delete this.__clients[client.getSocketId()];
   logger.info(`${client.getSocketId()} removed from ${this.getName()}`);
-  return client.__leaveRoom__(this);
+  let left = client.__leaveRoom__(this);
+  this.__notifyViewers();
+  return left;
 };
 
 Class.removeAllClients = function() {
@@ -73,23 +96,165 @@ Class.removeAllClients = function() {
     this.__clients[client].__leaveRoom__(this);
   }
   this.__clients = {};
+
+  // nobody is left to tell
+  clearTimeout(this.__viewersTimer);
+  this.__viewersTimer = null;
+};
+
+/**
+ * Removes all clients of a user from the room
+ * @param userId {string}
+ */
+Class.removeUser = function(userId) {
+  logger.info(`Removing user ${userId} from ${this.getName()}`);
+  for (let socketId in this.__clients) {
+    let client = this.__clients[socketId];
+    if (client.getUserId() === userId) {
+      this.removeClient(client);
+    }
+  }
+};
+
+/**
+ * @param userId {string}
+ * @param expiresAt {Date}
+ */
+Class.muteUser = function(userId, expiresAt) {
+  logger.info(`Muting user ${userId} in ${this.getName()} until ${expiresAt}`);
+  this.__mutedUsers[userId] = expiresAt.getTime();
+};
+
+/**
+ * @param userId {string}
+ * @return {boolean}
+ */
+Class.isMuted = function(userId) {
+  if (!(userId in this.__mutedUsers)) {
+    return false;
+  }
+
+  if (this.__mutedUsers[userId] <= Date.now()) {
+    delete this.__mutedUsers[userId];
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * @param userId {string}
+ * @return {boolean} true if a client of the user is in the room
+ */
+Class.hasUser = function(userId) {
+  for (let socketId in this.__clients) {
+    if (this.__clients[socketId].getUserId() === userId) {
+      return true;
+    }
+  }
+  return false;
 };
 
+/**
+ * @return {number} users in the room on all app servers
+ */
 Class.getNumberOfUsers = function() {
   let users = {};
   let count = 0;
-  for (let socketId in this.getClients()) {
-    let userId = this.getClient(socketId).getUserId(); 
+  let userIds = this.getLocalViewers().users;
+  for (let nodeId in this.__remoteViewers) {
+    userIds = userIds.concat(this.__remoteViewers[nodeId].users);
+  }
+
+  userIds.forEach((userId) => {
     if (!users[userId]) {
       users[userId] = true;
       count++;
     }
-  }
+  });
   return count;
 };
 
+/**
+ * @return {number} clients in the room on all app servers
+ */
 Class.getNumberOfClients = function() {
-  return Object.keys(this.getClients()).length;
+  let count = Object.keys(this.getClients()).length;
+  for (let nodeId in this.__remoteViewers) {
+    count += this.__remoteViewers[nodeId].clients;
+  }
+  return count;
+};
+
+/**
+ * @return {Object} {users, clients} the userIds and number of clients in the
+ *         room on this app server
+ */
+Class.getLocalViewers = function() {
+  let users = {};
+  for (let socketId in this.getClients()) {
+    users[this.getClient(socketId).getUserId()] = true;
+  }
+  return {
+    users: Object.keys(users),
+    clients: Object.keys(this.getClients()).length
+  };
+};
+
+/**
+ * @param nodeId {string} another app server
+ * @param viewers {Object} see getLocalViewers, null if the app server has no
+ *                         clients in the room
+ */
+Class.setRemoteViewers = function(nodeId, viewers) {
+  let previous = this.__remoteViewers[nodeId];
+  if (viewers && viewers.clients > 0) {
+    this.__remoteViewers[nodeId] = viewers;
+  } else {
+    delete this.__remoteViewers[nodeId];
+  }
+
+  let current = this.__remoteViewers[nodeId];
+  if (JSON.stringify(previous) !== JSON.stringify(current)) {
+    this.__notifyViewers();
+  }
+};
+
+/**
+ * Broadcasts the number of viewers after the members of the room change, at
+ * most once every ServerConfig.viewersBroadcast.interval ms. Changes within
+ * the interval are sent together once it is over. Every app server tells its
+ * own clients, as each knows the viewers on all of them
+ */
+Class.__notifyViewers = function() {
+  if (!this.__io || this.__viewersTimer) {
+    return;
+  }
+
+  let wait = this.__viewersBroadcastTime +
+             ServerConfig.viewersBroadcast.interval - Date.now();
+  if (wait <= 0) {
+    return this.__broadcastViewers();
+  }
+
+  this.__viewersTimer = setTimeout(() => {
+    this.__viewersTimer = null;
+    this.__broadcastViewers();
+  }, wait);
+  this.__viewersTimer.unref();
+};
+
+Class.__broadcastViewers = function() {
+  this.__viewersBroadcastTime = Date.now();
+
+  let msg = {
+    time: this.__viewersBroadcastTime,
+    room: this.getName(),
+    streamId: this.getStreamId(),
+    users: this.getNumberOfUsers(),
+    clients: this.getNumberOfClients()
+  };
+  this.__io.local.to(this.getName()).emit(Room.EVENT_VIEWERS, msg);
 };
 
 module.exports = Room;
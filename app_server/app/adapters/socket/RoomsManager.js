@@ -10,6 +10,7 @@ var Utility = rfr('app/util/Utility');
 var RequestInjector = rfr('app/adapters/socket/RequestInjector');
 var Room = rfr('app/adapters/socket/Room');
 var Client = rfr('app/adapters/socket/Client');
+var CommentFilter = rfr('app/adapters/socket/CommentFilter');
 
 var logger = Utility.createLogger(__filename);
 
@@ -18,6 +19,7 @@ function RoomsManager(server, io) {
 
   this.rooms = {}; // A map from room name to Room objects
   this.users = {}; // A map from userId to a map of socketId to Client object
+  this.bannedUsers = {}; // A map from streamer's userId to a map of userId
 
   this.requestInjector = new RequestInjector(server);
 }
@@ -34,6 +36,14 @@ Class.createUser = function(userId) {
 
 Class.__removeUser = function(userId) {
   delete this.users[userId];
+  CommentFilter.clearUser(userId);
+};
+
+/**
+ * @return {Array<string>} userIds of the clients on this app server
+ */
+Class.getUserIds = function() {
+  return Object.keys(this.users);
 };
 
 Class.getNumberOfUsers = function() {
@@ -77,6 +87,12 @@ Class.__addClientToRoom = function(client, roomName) {
     return new Error(err);
   }
 
+  if (this.isBanned(room.getOwnerId(), client.getUserId())) {
+    let err = `User ${client.getUserId()} is banned from room ${roomName}`;
+    logger.info(err);
+    return new Error(err);
+  }
+
   return room.addClient(client);
 };
 
@@ -95,10 +111,39 @@ Class.__removeClientFromRoom = function(client, roomName) {
     return new Error(err);
   }
 
-  return room.removeClient(client);
+  let removed = room.removeClient(client);
+  if (!(removed instanceof Error)) {
+    this.__endViews(room, [client]);
+  }
+  return removed;
+};
+
+/**
+ * Ends the views of the users of clients that left a room, unless the user
+ * is still watching the stream on another client
+ * @param room {Room}
+ * @param clients {Array<Client>}
+ */
+Class.__endViews = function(room, clients) {
+  if (!room.getStreamId()) {
+    return;
+  }
+
+  let ended = {};
+  clients.forEach((client) => {
+    let userId = client.getUserId();
+    if (ended[userId] || room.hasUser(userId)) {
+      return;
+    }
+
+    ended[userId] = true;
+    this.requestInjector.endView(client.getCredentials(), room.getStreamId())
+    .catch((err) => logger.warn('Failed to end view: %s',
+                                JSON.stringify(err)));
+  });
 };
 
-Class.createNewRoom = function(roomName, streamId) {
+Class.createNewRoom = function(roomName, streamId, ownerId) {
   if (this.rooms[roomName]) {
     let errorMsg = `Room ${roomName} already exists`;
     logger.error(errorMsg);
@@ -106,7 +151,8 @@ Class.createNewRoom = function(roomName, streamId) {
   }
 
   logger.info(`Creating room ${roomName}/${streamId}`);
-  var newRoom = new Room(roomName, Room.ROOM_TYPES.STREAM, streamId);
+  var newRoom = new Room(roomName, Room.ROOM_TYPES.STREAM, streamId, ownerId,
+                         this.io);
   this.rooms[roomName] = newRoom;
   return newRoom;
 };
@@ -114,7 +160,10 @@ Class.createNewRoom = function(roomName, streamId) {
 Class.removeRoom = function(roomName) {
   logger.info(`Removing ${roomName} from chat room system`);
   let room = this.__getRoom(roomName);
+  let clients = room.getClients();
   room.removeAllClients();
+  this.__endViews(room,
+                  Object.keys(clients).map((socketId) => clients[socketId]));
   delete this.rooms[roomName];
 };
 
@@ -146,6 +195,116 @@ Class.getRoomByStreamId = function(streamId) {
   return null;
 };
 
+/**
+ * @param ownerId {string}
+ * @return {Array<Room>} rooms of the streams of a streamer
+ */
+Class.getRoomsByOwnerId = function(ownerId) {
+  let rooms = [];
+  for (let roomName in this.rooms) {
+    if (this.rooms[roomName].getOwnerId() === ownerId) {
+      rooms.push(this.rooms[roomName]);
+    }
+  }
+  return rooms;
+};
+
+/**
+ * Bans a user from all rooms of a streamer
+ * @param ownerId {string} userId of the streamer
+ * @param userId {string}
+ */
+Class.banUser = function(ownerId, userId) {
+  logger.info(`Banning user ${userId} from rooms of ${ownerId}`);
+  this.bannedUsers[ownerId] = this.bannedUsers[ownerId] || {};
+  this.bannedUsers[ownerId][userId] = true;
+};
+
+/**
+ * @param ownerId {string} userId of the streamer
+ * @param userId {string}
+ * @return {boolean}
+ */
+Class.isBanned = function(ownerId, userId) {
+  return !!this.bannedUsers[ownerId] && !!this.bannedUsers[ownerId][userId];
+};
+
+/**
+ * Enforces a moderation action and notifies the clients in the affected
+ * rooms, so that they can hide the messages of the moderated user
+ * @param moderation {Object}
+ * @param moderation.action {string} delete, mute, kick or ban
+ * @param moderation.streamId {string}
+ * @param moderation.ownerId {string} userId of the streamer
+ * @param moderation.userId {string} the moderated user
+ * @param moderation.commentId {string} the deleted comment
+ * @param moderation.commentTime {number} unix time of the deleted comment
+ * @param moderation.expiresAt {Date} end of a mute
+ */
+Class.applyModeration = function(moderation) {
+  let rooms = this.__getModeratedRooms(moderation);
+  rooms.forEach((room) => this.__broadcastModeration(room, moderation));
+  this.__enforceModeration(moderation, rooms);
+};
+
+/**
+ * Enforces a moderation action again, without notifying the clients. Used to
+ * restore stored bans and mutes
+ * @param moderation {Object} see RoomsManager#applyModeration
+ */
+Class.restoreModeration = function(moderation) {
+  this.__enforceModeration(moderation, this.__getModeratedRooms(moderation));
+};
+
+Class.__getModeratedRooms = function(moderation) {
+  if (moderation.action === 'ban') {
+    return this.getRoomsByOwnerId(moderation.ownerId);
+  }
+
+  let room = this.getRoomByStreamId(moderation.streamId);
+  return room ? [room] : [];
+};
+
+Class.__enforceModeration = function(moderation, rooms) {
+  if (moderation.action === 'ban') {
+    this.banUser(moderation.ownerId, moderation.userId);
+  }
+
+  rooms.forEach((room) => {
+    switch (moderation.action) {
+    case 'mute':
+      room.muteUser(moderation.userId, moderation.expiresAt);
+      break;
+    case 'kick':
+    case 'ban':
+      this.__removeUserFromRoom(room, moderation.userId);
+      break;
+    }
+  });
+};
+
+Class.__removeUserFromRoom = function(room, userId) {
+  let clients = room.getClients();
+  let removed = Object.keys(clients).map((socketId) => clients[socketId])
+    .filter((client) => client.getUserId() === userId);
+
+  room.removeUser(userId);
+  this.__endViews(room, removed);
+};
+
+Class.__broadcastModeration = function(room, moderation) {
+  let msg = {
+    time: Date.now(),
+    room: room.getName(),
+    action: moderation.action,
+    userId: moderation.userId,
+    commentId: moderation.commentId,
+    commentTime: moderation.commentTime,
+    expiresAt: moderation.expiresAt ? moderation.expiresAt.getTime() : undefined
+  };
+  this.io.to(room.getName()).emit(Client.EVENT_MODERATION, msg);
+};
+
 Class.__removeClient = function(client) {
   logger.info('Removing client %s/%s from chat room system',
               client.getUserId(), client.getSocketId());
@@ -182,6 +341,7 @@ Class.__reset__ = function() {
   }
   this.rooms = {};
   this.users = {};
+  this.bannedUsers = {};
 };
 
 /*
@@ -205,7 +365,9 @@ Class.__handleClientEvents = function(client) {
     try {
       logger.debug('Receive %s event from %s',
                    Client.EVENT_STICKER, client.getUserId());
-      this.requestInjector.updateStickers(client.getCredentials(), msg);
+      this.requestInjector.createSticker(client.getCredentials(), msg)
+      .catch((err) => logger.warn('Failed to store sticker: %s',
+                                    JSON.stringify(err)));
     } catch (e) {
       logger.error(e);
     }
@@ -225,7 +387,10 @@ Class.__handleClientEvents = function(client) {
     try {
       logger.info('Client %s/%s joining room %s',
                    client.getUserId(), client.getSocketId(), roomName);
-      this.__addClientToRoom(client, roomName);
+      let joined = this.__addClientToRoom(client, roomName);
+      if (joined instanceof Error) {
+        return;
+      }
       this.requestInjector.createView(client.getCredentials(),
                                       this.__getRoom(roomName).getStreamId())
       .catch((err) => logger.warn('Failed to create new view',
@@ -235,6 +400,25 @@ Class.__handleClientEvents = function(client) {
     }
   });
 
+  client.on(Client.EVENT_MODERATE, (action) => {
+    try {
+      logger.info('Client %s/%s moderating room %s: %j',
+                   client.getUserId(), client.getSocketId(), action.room,
+                   action);
+      let room = this.__getRoom(action.room);
+      if (!room) {
+        logger.error(`Room ${action.room} does not exist`);
+        return;
+      }
+      this.requestInjector.moderate(client.getCredentials(),
+                                    room.getStreamId(), action)
+      .catch((err) => logger.warn('Failed to moderate: %s',
+                                   JSON.stringify(err)));
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
   client.on(Client.EVENT_LEAVE, (roomName) => {
     try {
       logger.info('Client %s/%s leaving room %s',
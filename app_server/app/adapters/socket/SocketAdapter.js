@@ -3,12 +3,17 @@
  */
 'use strict';
 var rfr = require('rfr');
+var os = require('os');
 var Promise = require('bluebird');
 var Iron = Promise.promisifyAll(require('iron'));
 
 var Utility = rfr('app/util/Utility');
 var Client = rfr('app/adapters/socket/Client');
 var RoomsManager = rfr('app/adapters/socket/RoomsManager');
+var ConcurrencySampler = rfr('app/adapters/socket/ConcurrencySampler');
+var Broker = rfr('app/adapters/socket/Broker');
+var Cluster = rfr('app/adapters/socket/Cluster');
+var ClusterAdapter = rfr('app/adapters/socket/ClusterAdapter');
 var ServerConfig = rfr('config/ServerConfig.js');
 
 var logger = Utility.createLogger(__filename);
@@ -20,10 +25,32 @@ function SocketAdapter() {
 var Class = SocketAdapter.prototype;
 
 Class.init = function init(server) {
+  let config = ServerConfig.cluster;
+  let nodeId = config.nodeId || `${os.hostname()}:${process.pid}`;
+
+  // broadcasts and rooms are shared with the other app servers of the broker
   this.server = server;
-  this.io = require('socket.io')(server.listener);
+  this.broker = Broker.create(config);
+  this.io = require('socket.io')(server.listener, {
+    adapter: ClusterAdapter.create(this.broker, nodeId, config.channel)
+  });
 
   this.roomsManager = new RoomsManager(server, this.io);
+  this.cluster = new Cluster(this.broker, this.roomsManager, {
+    nodeId: nodeId,
+    channel: config.channel,
+    interval: config.interval
+  });
+  this.cluster.start();
+
+  // every app server counts the viewers of all, only one records them
+  this.sampler = new ConcurrencySampler(this.roomsManager, (samples) => {
+    if (!this.cluster.isLeader()) {
+      return Promise.resolve([]);
+    }
+    return server.app.service.recordConcurrency(samples);
+  }, ServerConfig.concurrencySampler.interval);
+  this.sampler.start();
 
   this.io.on('connection', (socket) => {
     logger.info('New websocket connection from: ' +
@@ -36,12 +63,17 @@ Class.init = function init(server) {
 };
 
 /**
- * Handles the `identify` socket.io events that identify a user by cookie
+ * Handles the `identify` socket.io events that identify a user by cookie,
+ * or by access token when the event data is {token: <access token>}
  * @param socket {Socket}
  */
 Class.__handleIdentifyEvent = function(socket) {
-  socket.on('identify', (cookie) => {
-    let cookieData = this.__extractCookieData(cookie);
+  socket.on('identify', (data) => {
+    if (data && typeof data === 'object') {
+      return this.__identifyByToken(socket, data.token);
+    }
+
+    let cookieData = this.__extractCookieData(data);
     Iron.unsealAsync(cookieData, ServerConfig.cookiePassword, Iron.defaults)
     .then((credentials) => {
       if (!credentials || credentials instanceof Error) {
@@ -72,6 +104,22 @@ Class.__handleIdentifyEvent = function(socket) {
   });
 };
 
+/**
+ * @param socket {Socket}
+ * @param token {string} an access token
+ */
+Class.__identifyByToken = function(socket, token) {
+  let Authenticator = this.server.app.authenticator;
+
+  return Authenticator.validateBearerToken(token).then((credentials) => {
+    if (credentials instanceof Error) {
+      logger.error(credentials);
+      return socket.emit('identify', 'ERR');
+    }
+    return this.__createNewClient(socket, credentials);
+  });
+};
+
 Class.__extractCookieData = function(cookie) {
   if (!cookie) {
     return '';
@@ -87,10 +135,20 @@ Class.__extractCookieData = function(cookie) {
 
 /**
  * @param roomName {string}
+ * @param streamId {string}
+ * @param ownerId {string} userId of the streamer
  * @return {Room}
  */
-Class.createNewRoom = function(roomName, streamId) {
-  return this.roomsManager.createNewRoom(roomName, streamId);
+Class.createNewRoom = function(roomName, streamId, ownerId) {
+  let room = this.roomsManager.createNewRoom(roomName, streamId, ownerId);
+  if (!(room instanceof Error)) {
+    this.cluster.publish(Cluster.EVENTS.CREATE_ROOM, {
+      roomName: roomName,
+      streamId: streamId,
+      ownerId: ownerId
+    });
+  }
+  return room;
 };
 
 /**
@@ -98,12 +156,37 @@ Class.createNewRoom = function(roomName, streamId) {
  */
 Class.closeRoom = function(roomName) {
   this.roomsManager.removeRoom(roomName);
+  this.cluster.publish(Cluster.EVENTS.CLOSE_ROOM, {roomName: roomName});
 };
 
 Class.getRooms = function() {
   return this.roomsManager.getRooms();
 };
 
+/**
+ * @param moderation {Object} see RoomsManager#applyModeration
+ */
+Class.applyModeration = function(moderation) {
+  this.roomsManager.applyModeration(moderation);
+  this.cluster.publish(Cluster.EVENTS.MODERATION, moderation);
+};
+
+/**
+ * @param moderation {Object} see RoomsManager#applyModeration
+ */
+Class.restoreModeration = function(moderation) {
+  this.roomsManager.restoreModeration(moderation);
+};
+
+/**
+ * Gives the blocklist that was changed on this app server to the comment
+ * filters of the others
+ * @param words {Array<string>}
+ */
+Class.publishBlocklist = function(words) {
+  this.cluster.publish(Cluster.EVENTS.BLOCKLIST, {words: words});
+};
+
 /**
  * @param socket {Socket}
  * @param credentials {Object}
@@ -131,14 +214,21 @@ Class.__createNewClient = function(socket, credentials) {
  */
 Class.__reset__ = function() {
   this.roomsManager.__reset__();
+  this.cluster.__reset__();
 };
 
+/**
+ * @return {number} users connected to all app servers
+ */
 Class.getNumberOfUsers = function() {
-  return this.roomsManager.getNumberOfUsers();
+  return this.cluster.getNumberOfUsers();
 };
 
+/**
+ * @return {number} clients connected to all app servers
+ */
 Class.getNumberOfClients = function() {
-  return this.roomsManager.getNumberOfClients();
+  return this.cluster.getNumberOfClients();
 };
 
 Class.getNumberOfClientsInStream = function(streamId) {
@@ -5,11 +5,14 @@
 var rfr = require('rfr');
 var Joi = require('joi');
 var Boom = require('boom');
-var bcrypt = require('bcryptjs');
+var Promise = require('bluebird');
 
+var CustomError = rfr('app/util/Error');
 var Utility = rfr('app/util/Utility');
 var Authenticator = rfr('app/policies/Authenticator');
+var PasswordPolicy = rfr('app/policies/PasswordPolicy');
 var Service = rfr('app/services/Service');
+var ServerConfig = rfr('config/ServerConfig');
 
 var logger = Utility.createLogger(__filename);
 
@@ -53,7 +56,8 @@ Class.registerRoutes = function() {
     method: 'POST', path: '/',
     config: {
       auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
-      validate: accountPayloadValidator
+      validate: accountPayloadValidator,
+      plugins: {audit: auditAdmin('admin.create', getCreatedId)}
     },
     handler: this.createAdmin
   });
@@ -62,7 +66,8 @@ Class.registerRoutes = function() {
     method: 'PUT', path: '/{id}',
     config: {
       auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
-      validate: updatePayloadValidator
+      validate: updatePayloadValidator,
+      plugins: {audit: auditAdmin('admin.update')}
     },
     handler: this.updateAdmin
   });
@@ -70,20 +75,127 @@ Class.registerRoutes = function() {
   this.server.route({
     method: 'DELETE', path: '/{id}',
     config: {
-      auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS}
+      auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+      plugins: {audit: auditAdmin('admin.delete')}
     },
     handler: this.deleteAdmin
   });
 
+  this.server.route({
+    method: 'POST', path: '/{id}/unlock',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+      plugins: {audit: auditAdmin('admin.unlock')}
+    },
+    handler: this.unlockAdmin
+  });
+
   this.server.route({
     method: 'POST', path: '/login',
     config: {
       auth: false,
-      validate: accountPayloadValidator
+      validate: loginPayloadValidator
     },
     handler: this.login
   });
 
+  this.server.route({
+    method: 'POST', path: '/login/2fa',
+    config: {
+      auth: false,
+      validate: twoFactorLoginPayloadValidator
+    },
+    handler: this.verifyLogin
+  });
+
+  this.server.route({
+    method: 'GET', path: '/2fa',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.DEFAULT}
+    },
+    handler: this.getTwoFactorStatus
+  });
+
+  this.server.route({
+    method: 'POST', path: '/2fa/enroll',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.DEFAULT}
+    },
+    handler: this.startTwoFactorEnrollment
+  });
+
+  this.server.route({
+    method: 'POST', path: '/2fa/confirm',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.DEFAULT},
+      validate: twoFactorCodePayloadValidator,
+      plugins: {audit: auditAdmin('admin.enableTwoFactor', getOwnId)}
+    },
+    handler: this.confirmTwoFactorEnrollment
+  });
+
+  this.server.route({
+    method: 'POST', path: '/2fa/recovery-codes',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.DEFAULT},
+      validate: twoFactorCredentialsPayloadValidator
+    },
+    handler: this.regenerateRecoveryCodes
+  });
+
+  this.server.route({
+    method: 'POST', path: '/2fa/disable',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.DEFAULT},
+      validate: twoFactorCredentialsPayloadValidator,
+      plugins: {audit: auditAdmin('admin.disableTwoFactor', getOwnId)}
+    },
+    handler: this.disableTwoFactor
+  });
+
+  this.server.route({
+    method: 'PUT', path: '/2fa/settings',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+      validate: twoFactorSettingsPayloadValidator,
+      plugins: {audit: {
+        action: 'settings.twoFactor',
+        targetType: 'setting',
+        getTargetId: () => 'twoFactorMandatory',
+        getState: () => Service.isTwoFactorMandatory()
+          .then((mandatory) => ({mandatory: mandatory}))
+      }}
+    },
+    handler: this.setTwoFactorSettings
+  });
+
+  this.server.route({
+    method: 'DELETE', path: '/{id}/2fa',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+      plugins: {audit: auditAdmin('admin.resetTwoFactor')}
+    },
+    handler: this.resetTwoFactor
+  });
+
+  this.server.route({
+    method: 'POST', path: '/password/forgot',
+    config: {
+      auth: false,
+      validate: forgotPasswordPayloadValidator
+    },
+    handler: this.forgotPassword
+  });
+
+  this.server.route({
+    method: 'POST', path: '/password/reset',
+    config: {
+      auth: false,
+      validate: resetPasswordPayloadValidator
+    },
+    handler: this.resetPassword
+  });
+
   this.server.route({
     method: 'GET', path: '/logout',
     config: {
@@ -103,8 +215,10 @@ Class.getAdminByUsername = function(request, reply) {
       ));
     }
 
-    admin.permissions = unwrapPermissionsFromDB(admin.permissions);
-    return reply(Utility.clearUserProfile(admin));
+    return addRoles(admin).then(function(admin) {
+      admin.permissions = unwrapPermissionsFromDB(admin.permissions);
+      return reply(Utility.clearUserProfile(admin));
+    });
   });
 };
 
@@ -118,12 +232,14 @@ Class.getListOfAdmins = function(request, reply) {
       return reply(Boom.badRequest('Unable to get list of admins'));
     }
 
-    admins = admins.map((admin) => {
-      admin.permissions = unwrapPermissionsFromDB(admin.permissions);
-      return admin;
-    });
+    return Promise.map(admins, addRoles).then(function(admins) {
+      admins = admins.map((admin) => {
+        admin.permissions = unwrapPermissionsFromDB(admin.permissions);
+        return admin;
+      });
 
-    return reply(admins);
+      return reply(admins.map(Utility.clearUserProfile));
+    });
   });
 };
 
@@ -147,27 +263,45 @@ Class.createRootAdmin = function(request, reply) {
 */
 
 Class.createAdmin = function(request, reply) {
+  var invalid = PasswordPolicy.validate(request.payload.password,
+                                        request.payload.username);
+  if (invalid) {
+    return reply(Boom.badRequest(invalid.message));
+  }
+
   var permissions = request.payload.permissions;
   permissions = ensureDefaultAdminScope(permissions);
   permissions = wrapPermissionsForDB(permissions);
 
   var credentials = {
     username: request.payload.username,
-    password: encrypt(request.payload.password),
+    password: PasswordPolicy.hash(request.payload.password),
     email: request.payload.email || null,
     permissions: permissions
   };
+  var roleIds = request.payload.roles;
 
-  Service.createNewAdmin(credentials)
-  .then(function(admin) {
-    if (!admin || admin instanceof Error) {
-      return reply(Boom.badRequest('Unable to create admin ' + credentials));
+  Service.validateRoleIds(roleIds).then(function(invalid) {
+    if (invalid) {
+      return reply(Boom.badRequest(invalid.message));
     }
 
-    // overwrite with unencrypted password
-    admin.password = request.payload.password;
-    admin.permissions = unwrapPermissionsFromDB(admin.permissions);
-    reply(admin).created();
+    return Service.createNewAdmin(credentials)
+    .then(function(admin) {
+      if (!admin || admin instanceof Error) {
+        return reply(Boom.badRequest('Unable to create admin ' +
+                                     credentials.username));
+      }
+
+      return Service.setRolesOfAdmin(admin.userId, roleIds)
+      .then(function(roles) {
+        // overwrite with unencrypted password
+        admin.password = request.payload.password;
+        admin.permissions = unwrapPermissionsFromDB(admin.permissions);
+        admin.roles = roles;
+        reply(admin).created();
+      });
+    });
   });
 };
 
@@ -177,7 +311,13 @@ Class.updateAdmin = function(request, reply) {
   var particulars = request.payload;
 
   if (particulars.password) {
-    particulars.password = encrypt(particulars.password);
+    var invalid = PasswordPolicy.validate(password, particulars.username);
+    if (invalid) {
+      return reply(Boom.badRequest(invalid.message));
+    }
+
+    particulars.password = PasswordPolicy.hash(password);
+    particulars.passwordChangedAt = new Date();
   } else {
     // no password provided, don't change
     delete particulars.password;
@@ -186,31 +326,51 @@ Class.updateAdmin = function(request, reply) {
   particulars.permissions = ensureDefaultAdminScope(particulars.permissions);
   particulars.permissions = wrapPermissionsForDB(particulars.permissions);
 
-  return Service.updateAdmin(id, particulars)
-  .then(function(admin) {
-    if (!admin || admin instanceof Error) {
-      return reply(Boom.badRequest('Unable to update admin with id ' + id));
-    }
-
-    admin.permissions = unwrapPermissionsFromDB(admin.permissions);
+  // roles are left unchanged if they are not given
+  var roleIds = particulars.roles;
+  delete particulars.roles;
 
-    var account = {
-      userId: admin.userId,
-      username: admin.username,
-      scope: admin.permissions
-    };
-
-    if (particulars.password) {
-      // rewrite with unencrypted password
-      account.password = admin.password = password;
+  return Promise.resolve(roleIds && Service.validateRoleIds(roleIds))
+  .then(function(invalid) {
+    if (invalid) {
+      return reply(Boom.badRequest(invalid.message));
     }
 
-    return updateCache(request, account, function() {
-      if (request.auth.credentials.userId === admin.userId) {
-        request.cookieAuth.set('scope', admin.permissions);
+    return Service.updateAdmin(id, particulars)
+    .then(function(admin) {
+      if (!admin || admin instanceof Error) {
+        return reply(Boom.badRequest('Unable to update admin with id ' + id));
       }
 
-      return reply(admin);
+      var rolesPromise = roleIds ? Service.setRolesOfAdmin(id, roleIds) :
+                                   Service.getRolesOfAdmin(id);
+
+      return Promise.join(rolesPromise, Service.getAdminScopes(admin))
+      .spread(function(roles, scopes) {
+        admin.permissions = unwrapPermissionsFromDB(admin.permissions);
+        admin.roles = roles;
+        admin.scopes = scopes;
+
+        var account = {
+          userId: admin.userId,
+          username: admin.username,
+          scope: scopes
+        };
+
+        if (particulars.password) {
+          account.password = Authenticator.generateAdminToken(admin);
+          // rewrite with unencrypted password
+          admin.password = password;
+        }
+
+        return updateCache(request, account, function() {
+          if (request.auth.credentials.userId === admin.userId) {
+            request.cookieAuth.set('scope', scopes);
+          }
+
+          return reply(admin);
+        });
+      });
     });
   });
 };
@@ -235,38 +395,232 @@ Class.login = function(request, reply) {
   };
 
   return Authenticator.authenticateAdmin(credentials)
+  .then(function renewExpiredPassword(admin) {
+    if (!admin || admin instanceof Error || !PasswordPolicy.isExpired(admin)) {
+      return admin;
+    }
+
+    var newPassword = request.payload.newPassword;
+    if (!newPassword) {
+      return new CustomError.NotAuthorisedError(
+        'Password has expired, log in with a new password');
+    }
+
+    credentials.password = newPassword;
+    return Service.changeAdminPassword(admin, newPassword);
+  })
   .then(function afterAuthentication(admin) {
+    if (admin instanceof CustomError.NotAuthorisedError) {
+      return reply(Boom.forbidden(admin.message));
+    }
+
+    if (admin instanceof CustomError.InvalidFieldError) {
+      return reply(Boom.badRequest(admin.message));
+    }
+
     if (!admin || admin instanceof Error) {
       return reply(Boom.unauthorized(
           'Failed to authenticate admin ' + credentials.username
       ));
     }
 
-    admin.permissions = unwrapPermissionsFromDB(admin.permissions);
-
-    var account = {
-      userId: admin.userId,
-      username: admin.username,
-      password: credentials.password,
-      scope: admin.permissions
-    };
-
-    return updateCache(request, account, function() {
-      request.cookieAuth.set(account);
+    return Service.isTwoFactorRequired(admin).then(function(required) {
+      if (required) {
+        return startTwoFactorLogin(request, reply, admin);
+      }
 
-      // rewrite with unencrypted password
-      admin.password = credentials.password;
-      return reply(admin);
+      return completeLogin(request, reply, admin);
     });
   }).catch(function fail(err) {
     return reply(Boom.badRequest('Failed to authenticate admin: ' + err));
   });
 };
 
+Class.verifyLogin = function(request, reply) {
+  var key = getChallengeKey(request.payload.challenge);
+
+  request.server.app.cache.get(key, function(err, pending, cached) {
+    if (err || !pending) {
+      return reply(Boom.unauthorized('Login has expired, please log in again'));
+    }
+
+    return Service.getUserById(pending.userId)
+    .then(function verifyCode(admin) {
+      if (!admin) {
+        return reply(Boom.unauthorized('Failed to authenticate admin'));
+      }
+
+      if (Service.isAdminLocked(admin)) {
+        return reply(Boom.forbidden(Authenticator.ERRORS.LOCKED_ACCOUNT));
+      }
+
+      var verification = admin.twoFactorEnabled ?
+        Service.verifyTwoFactor(admin.userId, request.payload) :
+        Service.confirmTwoFactorEnrollment(admin.userId, request.payload.code);
+
+      return verification.then(function afterVerification(result) {
+        if (result instanceof CustomError.NotAuthorisedError) {
+          return Service.recordFailedAdminLogin(admin).then(() => {
+            return recordFailedChallenge(request, key, pending, cached.ttl);
+          }).then(() => reply(Boom.unauthorized(result.message)));
+        }
+
+        if (!result || result instanceof Error) {
+          return reply(Boom.badRequest(
+            'Unable to verify two-factor code: ' + (result && result.message)
+          ));
+        }
+
+        request.server.app.cache.drop(key);
+        return Service.recordSuccessfulAdminLogin(admin).then(() => {
+          return completeLogin(request, reply, admin, result.recoveryCodes);
+        });
+      });
+    }).catch(function fail(err) {
+      return reply(Boom.badRequest('Failed to authenticate admin: ' + err));
+    });
+  });
+};
+
+Class.getTwoFactorStatus = function(request, reply) {
+  return Promise.join(
+    Service.getUserById(request.auth.credentials.userId),
+    Service.isTwoFactorMandatory(),
+    function(admin, mandatory) {
+      if (!admin) {
+        return reply(Boom.badRequest('Unable to get admin'));
+      }
+
+      return reply({
+        enabled: admin.twoFactorEnabled,
+        mandatory: mandatory
+      });
+    });
+};
+
+Class.startTwoFactorEnrollment = function(request, reply) {
+  return Service.startTwoFactorEnrollment(request.auth.credentials.userId)
+  .then(function(enrollment) {
+    if (!enrollment) {
+      return reply(Boom.badImplementation());
+    }
+
+    if (enrollment instanceof Error) {
+      return reply(Boom.badRequest('Unable to set up two-factor ' +
+                                   'authentication: ' + enrollment.message));
+    }
+
+    return reply(enrollment);
+  });
+};
+
+Class.confirmTwoFactorEnrollment = function(request, reply) {
+  return Service.confirmTwoFactorEnrollment(request.auth.credentials.userId,
+                                            request.payload.code)
+  .then(function(result) {
+    return reply(formatTwoFactorResult(result));
+  });
+};
+
+Class.regenerateRecoveryCodes = function(request, reply) {
+  return Service.regenerateRecoveryCodes(request.auth.credentials.userId,
+                                         request.payload)
+  .then(function(result) {
+    return reply(formatTwoFactorResult(result));
+  });
+};
+
+Class.disableTwoFactor = function(request, reply) {
+  return Service.disableTwoFactor(request.auth.credentials.userId,
+                                  request.payload)
+  .then(function(result) {
+    return reply(formatTwoFactorResult(result));
+  });
+};
+
+Class.resetTwoFactor = function(request, reply) {
+  var id = request.params.id;
+
+  return Service.resetTwoFactor(id).then(function(result) {
+    if (!result || result instanceof Error) {
+      return reply(Boom.badRequest(
+          'Unable to reset two-factor authentication of admin with id ' + id
+      ));
+    }
+
+    return reply();
+  });
+};
+
+Class.setTwoFactorSettings = function(request, reply) {
+  return Service.setTwoFactorMandatory(request.payload.mandatory)
+  .then(function(mandatory) {
+    return reply({mandatory: mandatory});
+  });
+};
+
+Class.unlockAdmin = function(request, reply) {
+  var id = request.params.id;
+
+  return Service.unlockAdmin(id)
+  .then(function(admin) {
+    if (!admin || admin instanceof Error) {
+      return reply(Boom.badRequest('Unable to unlock admin with id ' + id));
+    }
+
+    admin.permissions = unwrapPermissionsFromDB(admin.permissions);
+    return reply(Utility.clearUserProfile(admin));
+  });
+};
+
+Class.forgotPassword = function(request, reply) {
+  return Service.requestAdminPasswordReset(request.payload.username)
+  .then(function() {
+    // same reply for unknown admins so that usernames cannot be discovered
+    return reply({
+      message: 'A password reset link has been sent to the admin\'s email'
+    });
+  });
+};
+
+Class.resetPassword = function(request, reply) {
+  return Service.resetAdminPassword(request.payload.token,
+                                    request.payload.password)
+  .then(function(admin) {
+    if (admin instanceof CustomError.NotAuthorisedError) {
+      return reply(Boom.unauthorized(admin.message));
+    }
+
+    if (admin instanceof CustomError.InvalidFieldError) {
+      return reply(Boom.badRequest(admin.message));
+    }
+
+    if (!admin || admin instanceof Error) {
+      return reply(Boom.badRequest('Unable to reset password'));
+    }
+
+    // sessions that were logged in with the old password
+    request.server.app.cache.drop(admin.userId);
+    return reply({username: admin.username});
+  });
+};
+
 Class.logout = function(request, reply) {
-  request.server.app.cache.drop(request.auth.credentials.userId);
+  var credentials = request.auth.credentials;
+  request.server.app.cache.drop(credentials.userId);
   request.cookieAuth.clear();
-  return reply('Logged out');
+
+  if (!credentials.sessionId) {
+    return reply('Logged out');
+  }
+
+  return request.server.app.sessions.revoke(credentials.userId,
+                                            credentials.sessionId)
+  .catch(function(err) {
+    logger.error(err);
+  }).then(function() {
+    return reply('Logged out');
+  });
 };
 
 /* Validator for routes */
@@ -279,12 +633,70 @@ var validPermissions = Joi.string().valid([
   Authenticator.SCOPE.ADMIN.SETTINGS
 ]);
 
+var validRoles = Joi.array().items(Joi.string().guid()).unique();
+
 var accountPayloadValidator = {
   payload: {
     username: Joi.string().required(),
     password: Joi.string().required(),
     email: Joi.string().email().optional(),
-    permissions: Joi.array().items(validPermissions).unique().default([])
+    permissions: Joi.array().items(validPermissions).unique().default([]),
+    roles: validRoles.default([])
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var loginPayloadValidator = {
+  payload: {
+    username: Joi.string().required(),
+    password: Joi.string().required(),
+    newPassword: Joi.string().optional()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var forgotPasswordPayloadValidator = {
+  payload: {
+    username: Joi.string().required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var twoFactorLoginPayloadValidator = {
+  payload: Joi.object().keys({
+    challenge: Joi.string().required(),
+    code: Joi.string().regex(/^[0-9 ]+$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var twoFactorCodePayloadValidator = {
+  payload: {
+    code: Joi.string().regex(/^[0-9 ]+$/).required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var twoFactorCredentialsPayloadValidator = {
+  payload: Joi.object().keys({
+    code: Joi.string().regex(/^[0-9 ]+$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var twoFactorSettingsPayloadValidator = {
+  payload: {
+    mandatory: Joi.boolean().required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var resetPasswordPayloadValidator = {
+  payload: {
+    token: Joi.string().required(),
+    password: Joi.string().required()
   },
   failAction: Utility.addValidationDetailsForJoi
 };
@@ -294,15 +706,118 @@ var updatePayloadValidator = {
     username: Joi.string().required(),
     password: Joi.string().optional(),
     email: Joi.string().email().required(),
-    permissions: Joi.array().items(validPermissions).unique().required()
+    permissions: Joi.array().items(validPermissions).unique().required(),
+    roles: validRoles.optional()
   },
   failAction: Utility.addValidationDetailsForJoi
 };
 
 /* Helpers for everything above */
-var encrypt = function(password) {
-  var salt = bcrypt.genSaltSync(10);
-  return bcrypt.hashSync(password, salt);
+var completeLogin = function(request, reply, admin, recoveryCodes) {
+  return Service.getAdminScopes(admin).then(function(scopes) {
+    admin.permissions = unwrapPermissionsFromDB(admin.permissions);
+    admin.scopes = scopes;
+
+    var account = {
+      userId: admin.userId,
+      username: admin.username,
+      password: Authenticator.generateAdminToken(admin),
+      scope: scopes
+    };
+
+    return request.server.app.sessions.create(account, request)
+    .catch(function(err) {
+      logger.error(err);
+      return err;
+    }).then(function(session) {
+      if (session instanceof Error) {
+        // the cookie would be refused without its session
+        return reply(Boom.badImplementation('Failed to start session'));
+      }
+
+      return updateCache(request, account, function() {
+        request.cookieAuth.set(account);
+
+        admin = Utility.clearUserProfile(admin);
+        if (recoveryCodes) {
+          admin.recoveryCodes = recoveryCodes;
+        }
+        return reply(admin);
+      });
+    });
+  });
+};
+
+// Keeps the admin who entered the right password until the two-factor code is
+// entered, and asks admins who have to use 2FA but have not set it up to do so
+var startTwoFactorLogin = function(request, reply, admin) {
+  var challenge = Utility.randomValueBase64(32);
+  var pending = {userId: admin.userId, attempts: 0};
+  var ttl = ServerConfig.twoFactor.challengeLifetime * 1000;
+
+  var enrollment = admin.twoFactorEnabled ? Promise.resolve(null) :
+                   Service.startTwoFactorEnrollment(admin.userId);
+
+  return enrollment.then(function(enrollment) {
+    if (enrollment instanceof Error) {
+      return reply(Boom.badRequest('Unable to set up two-factor ' +
+                                   'authentication: ' + enrollment.message));
+    }
+
+    var key = getChallengeKey(challenge);
+    request.server.app.cache.set(key, pending, ttl, function(err) {
+      if (err) {
+        logger.error(err);
+        return reply(Boom.badImplementation());
+      }
+
+      var result = {twoFactorRequired: true, challenge: challenge};
+      if (enrollment) {
+        result.enrollment = enrollment;
+      }
+      return reply(result);
+    });
+  });
+};
+
+var getChallengeKey = (challenge) => '2fa:' + challenge;
+
+// Counts a wrong code against the challenge, which is dropped once it has had
+// too many so that the password has to be entered again
+var recordFailedChallenge = function(request, key, pending, ttl) {
+  var cache = request.server.app.cache;
+  pending.attempts += 1;
+
+  return new Promise(function(resolve) {
+    var done = function(err) {
+      if (err) {
+        logger.error(err);
+      }
+      return resolve();
+    };
+
+    if (pending.attempts >= ServerConfig.twoFactor.challengeAttempts) {
+      return cache.drop(key, done);
+    }
+    return cache.set(key, pending, ttl, done);
+  });
+};
+
+var formatTwoFactorResult = function(result) {
+  if (result instanceof CustomError.NotAuthorisedError) {
+    return Boom.unauthorized(result.message);
+  }
+
+  if (result instanceof CustomError.NotFoundError) {
+    return Boom.notFound(result.message);
+  }
+
+  if (!result || result instanceof Error) {
+    return Boom.badRequest(result ? result.message :
+                           'Unable to update two-factor authentication');
+  }
+
+  return result === true ? {} : result;
 };
 
 var updateCache = function(request, account, callback) {
@@ -324,6 +839,39 @@ var updateCache = function(request, account, callback) {
   });
 };
 
+var addRoles = function(admin) {
+  return Service.getRolesOfAdmin(admin.userId).then(function(roles) {
+    admin.roles = roles;
+    return admin;
+  });
+};
+
+// Audit config of routes that change an admin, see Auditor
+var auditAdmin = function(action, getTargetId) {
+  return {
+    action: action,
+    targetType: 'admin',
+    getTargetId: getTargetId,
+    getState: getAdminState
+  };
+};
+
+// The admin with the names of their roles, so that role changes are audited
+var getAdminState = function(id) {
+  return Service.getUserById(id).then(function(admin) {
+    if (!admin) {
+      return null;
+    }
+
+    return Service.getRolesOfAdmin(id).then(function(roles) {
+      return Object.assign({}, admin, {roles: roles.map((role) => role.name)});
+    });
+  });
+};
+
+var getCreatedId = (request, admin) => admin ? admin.userId : undefined;
+var getOwnId = (request) => request.auth.credentials.userId;
+
 var ensureDefaultAdminScope = function(scopes) {
   if (scopes.indexOf(Authenticator.SCOPE.ADMIN.DEFAULT) === -1) {
     scopes.push(Authenticator.SCOPE.ADMIN.DEFAULT);
@@ -0,0 +1,84 @@
+/**
+ * Audit Controller
+ * @module AuditController
+ */
+'use strict';
+var rfr = require('rfr');
+var Joi = require('joi');
+var Boom = require('boom');
+
+var Utility = rfr('app/util/Utility');
+var Service = rfr('app/services/Service');
+var Authenticator = rfr('app/policies/Authenticator');
+
+var logger = Utility.createLogger(__filename);
+
+function AuditController(server, options) {
+  this.server = server;
+  this.options = options;
+}
+
+var Class = AuditController.prototype;
+
+Class.registerRoutes = function() {
+  this.server.route({method: 'GET', path: '/',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+      validate: auditTrailValidator
+    },
+    handler: this.getAuditTrail});
+};
+
+/* Routes handlers */
+Class.getAuditTrail = function(request, reply) {
+  var filters = {
+    actorId: request.query.actorId,
+    action: request.query.action,
+    targetType: request.query.targetType,
+    targetId: request.query.targetId,
+    after: request.query.after,
+    before: request.query.before
+  };
+
+  var page = {
+    limit: request.query.limit,
+    offset: request.query.offset
+  };
+
+  return Service.getAuditTrail(filters, page).then(function(result) {
+    if (result instanceof Error) {
+      logger.error('Unable to get audit trail: %s', result.message);
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(page.limit ? result : result.entries);
+  });
+};
+/* End of route handlers */
+
+/* Validator for routes */
+var auditTrailValidator = {
+  query: {
+    actorId: Joi.string().guid(),
+    action: Joi.string(),
+    targetType: Joi.string(),
+    targetId: Joi.string(),
+    after: Joi.number().integer().min(0),  // unix time in ms
+    before: Joi.number().integer().min(0),
+    limit: Joi.number().integer().min(1).max(500),
+    offset: Joi.number().integer().min(0).default(0)
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+/* End of validators */
+
+exports.register = function(server, options, next) {
+  var auditController = new AuditController(server, options);
+  server.bind(auditController);
+  auditController.registerRoutes();
+  next();
+};
+
+exports.register.attributes = {
+  name: 'AuditController'
+};
@@ -7,6 +7,7 @@ var Joi = require('joi');
 var Boom = require('boom');
 
 var Service = rfr('app/services/Service');
+var CustomError = rfr('app/util/Error');
 var Authenticator = rfr('app/policies/Authenticator');
 var Utility = rfr('app/util/Utility');
 
@@ -34,6 +35,13 @@ Class.registerRoutes = function () {
                        auth: {scope: Authenticator.SCOPE.ALL}
                      },
                      handler: this.getListOfCommentsForStream});
+
+  this.server.route({method: 'GET', path: '/streams/{id}/replay',
+                     config: {
+                       validate: replayValidator,
+                       auth: {scope: Authenticator.SCOPE.ALL}
+                     },
+                     handler: this.getCommentsForStreamReplay});
 };
 
 Class.createNewComment = function(request, reply) {
@@ -72,6 +80,29 @@ Class.getListOfCommentsForStream = function(request, reply) {
     });
 };
 
+Class.getCommentsForStreamReplay = function(request, reply) {
+  logger.debug('Get comments for replay of: %s', request.params.id);
+
+  var streamId = request.params.id;
+  var window = {
+    from: request.query.from,
+    duration: request.query.duration
+  };
+
+  Service.getCommentsForStreamReplay(streamId, window)
+    .then((result) => {
+      if (result instanceof CustomError.UnexpectedError) {
+        return reply(Boom.badImplementation(result.message));
+      }
+
+      if (result instanceof Error) {
+        return reply(Boom.notFound(result.message));
+      }
+
+      return reply(result);
+    });
+};
+
 exports.register = function (server, options, next) {
   var commentController = new CommentController(server, options);
   server.bind(commentController);
@@ -100,3 +131,13 @@ var streamIdValidator = {
     id: Joi.string().guid().required()
   }
 };
+
+var replayValidator = {
+  params: {
+    id: Joi.string().guid().required()
+  },
+  query: {
+    from: Joi.number().min(0).default(0),
+    duration: Joi.number().greater(0).max(600).default(60)
+  }
+};
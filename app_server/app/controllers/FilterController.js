@@ -0,0 +1,131 @@
+/**
+ * Filter Controller
+ * @module FilterController
+ */
+'use strict';
+var rfr = require('rfr');
+var Joi = require('joi');
+var Boom = require('boom');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Service = rfr('app/services/Service');
+var Authenticator = rfr('app/policies/Authenticator');
+
+var logger = Utility.createLogger(__filename);
+
+function FilterController(server, options) {
+  this.server = server;
+  this.options = options;
+}
+
+var Class = FilterController.prototype;
+
+Class.registerRoutes = function() {
+  this.server.route({method: 'GET', path: '/blocklist',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.ADMIN.SETTINGS}
+                     },
+                     handler: this.getBlocklist});
+
+  this.server.route({method: 'POST', path: '/blocklist',
+                     config: {
+                       validate: blockedWordPayloadValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.SETTINGS},
+                       plugins: {
+                         audit: {
+                           action: 'blocklist.add',
+                           targetType: 'word',
+                           getTargetId: (request) => request.payload.word
+                         }
+                       }
+                     },
+                     handler: this.addBlockedWord});
+
+  this.server.route({method: 'DELETE', path: '/blocklist/{word}',
+                     config: {
+                       validate: blockedWordParamsValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.SETTINGS},
+                       plugins: {
+                         audit: {
+                           action: 'blocklist.remove',
+                           targetType: 'word',
+                           getTargetId: (request) => request.params.word
+                         }
+                       }
+                     },
+                     handler: this.removeBlockedWord});
+};
+
+/* Routes handlers */
+Class.getBlocklist = function(request, reply) {
+  logger.debug('Getting blocklist');
+
+  Service.getBlocklist().then(function(result) {
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.addBlockedWord = function(request, reply) {
+  logger.debug('Blocking word %s', request.payload.word);
+
+  Service.addBlockedWord(request.payload.word).then(function(result) {
+    if (result instanceof CustomError.InvalidFieldError) {
+      return reply(Boom.badRequest(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.removeBlockedWord = function(request, reply) {
+  logger.debug('Unblocking word %s', request.params.word);
+
+  Service.removeBlockedWord(request.params.word).then(function(result) {
+    if (result instanceof CustomError.NotFoundError) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+/* End of route handlers */
+
+exports.register = function(server, options, next) {
+  var filterController = new FilterController(server, options);
+  server.bind(filterController);
+  filterController.registerRoutes();
+  next();
+};
+
+exports.register.attributes = {
+  name: 'FilterController'
+};
+
+/* Validator for routes */
+var blockedWordPayloadValidator = {
+  payload: {
+    word: Joi.string().trim().min(1).max(100).required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var blockedWordParamsValidator = {
+  params: {
+    word: Joi.string().trim().min(1).max(100).required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+/* End of validators */
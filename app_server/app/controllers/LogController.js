@@ -5,11 +5,14 @@
 'use strict';
 var rfr = require('rfr');
 var Joi = require('joi');
+var Boom = require('boom');
 
 var Utility = rfr('app/util/Utility');
 var MemoryLogger = rfr('app/util/MemoryLogger');
 var Authenticator = rfr('app/policies/Authenticator');
 
+var logger = Utility.createLogger(__filename);
+
 function LogController(server, options) {
   this.server = server;
   this.options = options;
@@ -21,44 +24,85 @@ Class.registerRoutes = function() {
   this.server.route({method: 'GET', path: '/',
     config: {
       auth: {scope: Authenticator.SCOPE.ADMIN.SETTINGS},
-      validate: timeValidator
+      validate: logValidator
     },
     handler: this.getLog});
 
   this.server.route({method: 'GET', path: '/response',
     config: {
       auth: {scope: Authenticator.SCOPE.ADMIN.SETTINGS},
-      validate: timeValidator
+      validate: responseLogValidator
     },
     handler: this.getResponseLog});
 };
 
 /* Routes handlers */
 Class.getLog = function(request, reply) {
-  var after = request.query.after;
-  var log = MemoryLogger.log;
-  if (after) {
-    log = log.filter((item) => after < new Date(item.timestamp).getTime());
-  }
+  var filters = {
+    level: request.query.level,
+    label: request.query.label,
+    after: request.query.after,
+    before: request.query.before
+  };
 
-  return reply(log);
+  return queryLog(MemoryLogger.log, filters, request.query, reply);
 };
 
 Class.getResponseLog = function(request, reply) {
-  var after = request.query.after;
-  var log = MemoryLogger.responseLog;
-  if (after) {
-    log = log.filter((item) => after < new Date(item.timestamp).getTime());
-  }
-  return reply(log);
+  var filters = {
+    path: request.query.path,
+    status: request.query.status,
+    after: request.query.after,
+    before: request.query.before
+  };
+
+  return queryLog(MemoryLogger.responseLog, filters, request.query, reply);
 };
 /* End of route handlers */
 
+/**
+ * Replies with the entries of a log store matching the filters. Pages are
+ * most recent first, so that the first page holds the latest entries.
+ * Without a limit, all entries are replied as a list, oldest first
+ * @private
+ */
+function queryLog(store, filters, query, reply) {
+  var page = {
+    limit: query.limit,
+    offset: query.offset
+  };
+
+  return store.query(filters, page).then(function(result) {
+    return reply(page.limit ? result : result.logs.reverse());
+  }).catch(function(err) {
+    logger.error('Unable to query log: %s', err);
+    return reply(Boom.badImplementation(err.message));
+  });
+}
+
 /* Validator for routes */
-var timeValidator = {
-  query: {
-    after: Joi.string() // use date.timestamp after updating Joi
-  }
+var pageValidator = {
+  after: Joi.number().integer().min(0),  // unix time in ms
+  before: Joi.number().integer().min(0),
+  limit: Joi.number().integer().min(1).max(500),
+  offset: Joi.number().integer().min(0).default(0)
+};
+
+var logValidator = {
+  query: Object.assign({
+    level: Joi.any().valid('error', 'warn', 'info', 'verbose', 'debug',
+                           'silly'),
+    label: Joi.string()
+  }, pageValidator),
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var responseLogValidator = {
+  query: Object.assign({
+    path: Joi.string(),
+    status: Joi.number().integer().min(100).max(599)
+  }, pageValidator),
+  failAction: Utility.addValidationDetailsForJoi
 };
 /* End of validators */
 
@@ -0,0 +1,129 @@
+/**
+ * Moderation Controller
+ * @module ModerationController
+ */
+'use strict';
+var rfr = require('rfr');
+var Joi = require('joi');
+var Boom = require('boom');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Service = rfr('app/services/Service');
+var Authenticator = rfr('app/policies/Authenticator');
+
+var logger = Utility.createLogger(__filename);
+
+function ModerationController(server, options) {
+  this.server = server;
+  this.options = options;
+}
+
+var Class = ModerationController.prototype;
+
+Class.registerRoutes = function() {
+  this.server.route({method: 'POST', path: '/',
+                     config: {
+                       validate: moderationPayloadValidator,
+                       auth: {
+                         scope: [
+                           Authenticator.SCOPE.USER,
+                           Authenticator.SCOPE.ADMIN.STREAMS
+                         ]
+                       }
+                     },
+                     handler: this.moderate});
+
+  this.server.route({method: 'GET', path: '/streams/{id}',
+                     config: {
+                       validate: streamIdValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.STREAMS}
+                     },
+                     handler: this.getModerationsForStream});
+};
+
+/* Routes handlers */
+Class.moderate = function(request, reply) {
+  logger.debug('%s moderating stream %s', request.auth.credentials.userId,
+               request.payload.streamId);
+
+  var scopes = [].concat(request.auth.credentials.scope);
+  var moderator = {
+    userId: request.auth.credentials.userId,
+    isAdmin: scopes.indexOf(Authenticator.SCOPE.ADMIN.STREAMS) !== -1
+  };
+
+  var payload = request.payload;
+  if (payload.action === 'delete' && !payload.commentId &&
+      !(payload.userId && payload.time)) {
+    return reply(Boom.badRequest(
+      'commentId, or userId and time, of the comment must be given'));
+  }
+
+  Service.moderate(moderator, payload).then(function(result) {
+    if (result instanceof CustomError.NotFoundError) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    if (result instanceof CustomError.NotAuthorisedError) {
+      return reply(Boom.forbidden(result.message));
+    }
+
+    if (result instanceof CustomError.InvalidFieldError) {
+      return reply(Boom.badRequest(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.getModerationsForStream = function(request, reply) {
+  logger.debug('Getting moderations of stream %s', request.params.id);
+
+  Service.getModerationsForStream(request.params.id).then(function(result) {
+    if (result instanceof Error) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    return reply(result);
+  });
+};
+/* End of route handlers */
+
+exports.register = function(server, options, next) {
+  var moderationController = new ModerationController(server, options);
+  server.bind(moderationController);
+  moderationController.registerRoutes();
+  next();
+};
+
+exports.register.attributes = {
+  name: 'ModerationController'
+};
+
+/* Validator for routes */
+var moderationPayloadValidator = {
+  payload: {
+    streamId: Joi.string().guid().required(),
+    action: Joi.any().valid('delete', 'mute', 'kick', 'ban').required(),
+    userId: Joi.string().guid()
+      .when('action', {is: 'delete', otherwise: Joi.required()}),
+    commentId: Joi.string().guid(),
+    time: Joi.number(),
+    duration: Joi.number().integer().min(1).max(86400).default(300),
+    reason: Joi.string().max(500)
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var streamIdValidator = {
+  params: {
+    id: Joi.string().guid().required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+/* End of validators */
@@ -0,0 +1,203 @@
+/**
+ * Role Controller
+ * @module RoleController
+ */
+'use strict';
+var rfr = require('rfr');
+var Joi = require('joi');
+var Boom = require('boom');
+var _ = require('underscore');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Service = rfr('app/services/Service');
+var Authenticator = rfr('app/policies/Authenticator');
+
+var logger = Utility.createLogger(__filename);
+
+function RoleController(server, options) {
+  this.server = server;
+  this.options = options;
+}
+
+var Class = RoleController.prototype;
+
+Class.registerRoutes = function() {
+  this.server.route({method: 'GET', path: '/',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS}
+                     },
+                     handler: this.getListOfRoles});
+
+  this.server.route({method: 'GET', path: '/{id}',
+                     config: {
+                       validate: singleRoleValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS}
+                     },
+                     handler: this.getRoleById});
+
+  this.server.route({method: 'POST', path: '/',
+                     config: {
+                       validate: createRolePayloadValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+                       plugins: {
+                         audit: auditRole('role.create', (request, role) =>
+                                          role ? role.roleId : undefined)
+                       }
+                     },
+                     handler: this.createRole});
+
+  this.server.route({method: 'PUT', path: '/{id}',
+                     config: {
+                       validate: updateRolePayloadValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+                       plugins: {audit: auditRole('role.update')}
+                     },
+                     handler: this.updateRole});
+
+  this.server.route({method: 'DELETE', path: '/{id}',
+                     config: {
+                       validate: singleRoleValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.ADMINS},
+                       plugins: {audit: auditRole('role.delete')}
+                     },
+                     handler: this.deleteRole});
+};
+
+/* Routes handlers */
+Class.getListOfRoles = function(request, reply) {
+  Service.getListOfRoles().then(function(roles) {
+    return reply(roles);
+  }).catch(function(err) {
+    logger.error('Unable to get list of roles: %s', err);
+    return reply(Boom.badImplementation());
+  });
+};
+
+Class.getRoleById = function(request, reply) {
+  Service.getRoleById(request.params.id).then(function(role) {
+    return reply(formatResult(role));
+  }).catch(function(err) {
+    logger.error('Unable to get role: %s', err);
+    return reply(Boom.badImplementation());
+  });
+};
+
+Class.createRole = function(request, reply) {
+  Service.createRole(request.payload).then(function(role) {
+    if (role instanceof Error) {
+      return reply(formatResult(role));
+    }
+
+    return reply(role).created();
+  }).catch(function(err) {
+    logger.error('Unable to create role: %s', err);
+    return reply(Boom.badImplementation());
+  });
+};
+
+Class.updateRole = function(request, reply) {
+  Service.updateRole(request.params.id, request.payload)
+  .then(function(role) {
+    if (!(role instanceof Error)) {
+      refreshSessions(request, role);
+    }
+
+    return reply(formatResult(role));
+  }).catch(function(err) {
+    logger.error('Unable to update role: %s', err);
+    return reply(Boom.badImplementation());
+  });
+};
+
+Class.deleteRole = function(request, reply) {
+  Service.deleteRole(request.params.id).then(function(role) {
+    if (!(role instanceof Error)) {
+      refreshSessions(request, role);
+    }
+
+    return reply(formatResult(role));
+  }).catch(function(err) {
+    logger.error('Unable to delete role: %s', err);
+    return reply(Boom.badImplementation());
+  });
+};
+/* End of route handlers */
+
+/* Validator for routes */
+var validPermissions = Joi.string().valid(_.values(Authenticator.SCOPE.ADMIN));
+
+var singleRoleValidator = {
+  params: {
+    id: Joi.string().guid().required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var createRolePayloadValidator = {
+  payload: {
+    name: Joi.string().max(50).required(),
+    description: Joi.string().allow(''),
+    permissions: Joi.array().items(validPermissions).unique().required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
+var updateRolePayloadValidator = {
+  params: singleRoleValidator.params,
+  payload: Joi.object().keys({
+    name: Joi.string().max(50),
+    description: Joi.string().allow(''),
+    permissions: Joi.array().items(validPermissions).unique()
+  }).or('name', 'description', 'permissions'),
+  failAction: Utility.addValidationDetailsForJoi
+};
+/* End of validators */
+
+/* Helpers for everything above */
+var formatResult = function(result) {
+  if (result instanceof CustomError.NotFoundError) {
+    return Boom.notFound(result.message);
+  }
+
+  if (result instanceof CustomError.DuplicateEntryError) {
+    return Boom.conflict(result.message);
+  }
+
+  if (result instanceof CustomError.UnexpectedError) {
+    return Boom.badImplementation(result.message);
+  }
+
+  if (result instanceof Error) {
+    return Boom.badRequest(result.message);
+  }
+
+  return result;
+};
+
+// Cached sessions of the role's admins are dropped, so that their scope is
+// read again from the database on their next request without logging out
+var refreshSessions = function(request, role) {
+  role.admins.forEach((admin) => request.server.app.cache.drop(admin.userId));
+};
+
+// Audit config of routes that change a role, see Auditor
+var auditRole = function(action, getTargetId) {
+  return {
+    action: action,
+    targetType: 'role',
+    getTargetId: getTargetId,
+    getState: (id) => Service.getRoleById(id)
+  };
+};
+
+exports.register = function(server, options, next) {
+  var roleController = new RoleController(server, options);
+  server.bind(roleController);
+  roleController.registerRoutes();
+  next();
+};
+
+exports.register.attributes = {
+  name: 'RoleController'
+};
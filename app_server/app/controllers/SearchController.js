@@ -0,0 +1,108 @@
+/**
+ * Search Controller
+ * @module SearchController
+ */
+'use strict';
+var rfr = require('rfr');
+var Joi = require('joi');
+var Boom = require('boom');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Service = rfr('app/services/Service');
+var Authenticator = rfr('app/policies/Authenticator');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * Scopes allowed to search for each type of result
+ * @private
+ */
+var TYPE_SCOPES = {
+  stream: [Authenticator.SCOPE.USER, Authenticator.SCOPE.ADMIN.STREAMS],
+  user: [Authenticator.SCOPE.USER, Authenticator.SCOPE.ADMIN.USERS],
+  comment: Authenticator.SCOPE.ALL
+};
+
+function SearchController(server, options) {
+  this.server = server;
+  this.options = options;
+}
+
+var Class = SearchController.prototype;
+
+Class.registerRoutes = function() {
+  this.server.route({method: 'GET', path: '/',
+                     config: {
+                       validate: searchParamsValidator,
+                       auth: {scope: Authenticator.SCOPE.ALL}
+                     },
+                     handler: this.search});
+};
+
+/* Routes handlers */
+Class.search = function(request, reply) {
+  logger.debug('Searching for %s', request.query.q);
+
+  var scopes = [].concat(request.auth.credentials.scope);
+  var types = Object.keys(TYPE_SCOPES).filter((type) => {
+    return hasAnyScope(scopes, TYPE_SCOPES[type]);
+  });
+
+  if (request.query.type !== 'all') {
+    if (types.indexOf(request.query.type) === -1) {
+      return reply(Boom.forbidden('Not allowed to search for ' +
+                                  request.query.type));
+    }
+
+    types = [request.query.type];
+  }
+
+  var options = {
+    types: types,
+    includeDeleted: scopes.indexOf(Authenticator.SCOPE.ADMIN.STREAMS) !== -1,
+    limit: request.query.limit,
+    offset: request.query.offset
+  };
+
+  Service.search(request.query.q, options).then(function(result) {
+    if (result instanceof CustomError.InvalidFieldError) {
+      return reply(Boom.badRequest(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+/**
+ * @private
+ */
+function hasAnyScope(scopes, allowed) {
+  return allowed.some((scope) => scopes.indexOf(scope) !== -1);
+}
+
+exports.register = function(server, options, next) {
+  var searchController = new SearchController(server, options);
+  server.bind(searchController);
+  searchController.registerRoutes();
+  next();
+};
+
+exports.register.attributes = {
+  name: 'SearchController'
+};
+
+/* Validator for routes */
+var searchParamsValidator = {
+  query: {
+    q: Joi.string().trim().required().max(100),
+    type: Joi.any().valid('all', 'stream', 'user', 'comment').default('all'),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0)
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
@@ -0,0 +1,42 @@
+/**
+ * Settings Controller
+ * @module SettingsController
+ */
+'use strict';
+var rfr = require('rfr');
+
+var Config = rfr('config/Config');
+var ConfigLoader = rfr('app/util/ConfigLoader');
+var Authenticator = rfr('app/policies/Authenticator');
+
+function SettingsController(server, options) {
+  this.server = server;
+  this.options = options;
+}
+
+var Class = SettingsController.prototype;
+
+Class.registerRoutes = function() {
+  this.server.route({method: 'GET', path: '/',
+    config: {
+      auth: {scope: Authenticator.SCOPE.ADMIN.SETTINGS}
+    },
+    handler: this.getSettings});
+};
+
+/* Routes handlers */
+Class.getSettings = function(request, reply) {
+  return reply(ConfigLoader.getPublicSettings(Config));
+};
+/* End of route handlers */
+
+exports.register = function(server, options, next) {
+  var settingsController = new SettingsController(server, options);
+  server.bind(settingsController);
+  settingsController.registerRoutes();
+  next();
+};
+
+exports.register.attributes = {
+  name: 'SettingsController'
+};
@@ -0,0 +1,109 @@
+/**
+ * StickerController
+ * @module StickerController
+ */
+var rfr = require('rfr');
+var Joi = require('joi');
+var Boom = require('boom');
+
+var Service = rfr('app/services/Service');
+var Authenticator = rfr('app/policies/Authenticator');
+var Utility = rfr('app/util/Utility');
+var CustomError = rfr('app/util/Error');
+
+var logger = Utility.createLogger(__filename);
+
+function StickerController(server, options) {
+  this.server = server;
+  this.options = options;
+}
+
+var Class = StickerController.prototype;
+
+Class.registerRoutes = function () {
+  this.server.route({method: 'POST', path: '/',
+                     config: {
+                       validate: singleStickerValidator,
+                       auth: {scope: Authenticator.SCOPE.ALL},
+                       isInternal: true
+                     },
+                     handler: this.createNewSticker});
+
+  this.server.route({method: 'GET', path: '/streams/{id}',
+                     config: {
+                       validate: streamIdValidator,
+                       auth: {scope: Authenticator.SCOPE.ALL}
+                     },
+                     handler: this.getStickerCountsForStream});
+};
+
+Class.createNewSticker = function(request, reply) {
+  logger.debug(request.auth.credentials.userId + ' sends sticker ' +
+               request.payload.sticker.type);
+  var userId = request.auth.credentials.userId;
+  var streamId = request.payload.streamId;
+  var sticker = {
+    type: request.payload.sticker.type,
+    createdAt: request.payload.sticker.time
+  };
+
+  Service.createSticker(userId, streamId, sticker)
+    .then((result) => {
+      if (result instanceof CustomError.NotFoundError) {
+        return reply(Boom.notFound(result.message));
+      }
+
+      if (result instanceof Error) {
+        return reply(Boom.badRequest(result.message));
+      }
+
+      return reply({status: 'OK'});
+    });
+};
+
+Class.getStickerCountsForStream = function(request, reply) {
+  logger.debug('Get sticker counts for: %s', request.params.id);
+
+  var streamId = request.params.id;
+
+  Service.getStickerCountsForStream(streamId)
+    .then((result) => {
+      if (result instanceof CustomError.NotFoundError) {
+        return reply(Boom.notFound(result.message));
+      }
+
+      if (result instanceof Error) {
+        return reply(Boom.badRequest(result.message));
+      }
+
+      return reply(result);
+    });
+};
+
+exports.register = function (server, options, next) {
+  var stickerController = new StickerController(server, options);
+  server.bind(stickerController);
+  stickerController.registerRoutes();
+  next();
+};
+
+exports.register.attributes = {
+  name: 'StickerController'
+};
+
+/* Validator for routes */
+var singleStickerValidator = {
+  payload: {
+    streamId: Joi.string().guid().required(),
+    sticker: Joi.object().keys({
+      type: Joi.string().max(50).default('default'),
+      time: Joi.number()
+    }).default({type: 'default'})
+  }
+};
+
+var streamIdValidator = {
+  params: {
+    id: Joi.string().guid().required()
+  }
+};
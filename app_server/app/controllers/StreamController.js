@@ -50,6 +50,32 @@ Class.registerRoutes = function() {
                      },
                      handler: this.getStreamById});
 
+  this.server.route({method: 'GET', path: '/{id}/recording',
+                     config: {
+                       validate: singleStreamValidator,
+                       auth: {
+                         mode: 'optional',
+                         scope: [
+                           Authenticator.SCOPE.USER,
+                           Authenticator.SCOPE.ADMIN.STREAMS
+                         ]
+                       }
+                     },
+                     handler: this.getStreamRecording});
+
+  this.server.route({method: 'GET', path: '/{id}/concurrency',
+                     config: {
+                       validate: streamConcurrencyValidator,
+                       auth: {
+                         scope: [
+                           Authenticator.SCOPE.USER,
+                           Authenticator.SCOPE.ADMIN.STREAMS,
+                           Authenticator.SCOPE.ADMIN.METRICS
+                         ]
+                       }
+                     },
+                     handler: this.getStreamConcurrency});
+
   this.server.route({method: 'GET', path: '/subscriptions',
                      config: {
                        auth: {
@@ -69,6 +95,14 @@ Class.registerRoutes = function() {
                            Authenticator.SCOPE.USER,
                            Authenticator.SCOPE.ADMIN.STREAMS
                          ]
+                       },
+                       plugins: {
+                         audit: {
+                           action: 'stream.stop',
+                           targetType: 'stream',
+                           getTargetId: (request) => request.payload.streamId,
+                           getState: (id) => Service.getStreamById(id)
+                         }
                        }
                      },
                      handler: this.controlStopStream});
@@ -100,7 +134,14 @@ Class.registerRoutes = function() {
   this.server.route({method: 'DELETE', path: '/{id}', // for admins only
                      config: {
                        validate: singleStreamValidator,
-                       auth: {scope: Authenticator.SCOPE.ADMIN.STREAMS}
+                       auth: {scope: Authenticator.SCOPE.ADMIN.STREAMS},
+                       plugins: {
+                         audit: {
+                           action: 'stream.delete',
+                           targetType: 'stream',
+                           getState: (id) => Service.getStreamById(id)
+                         }
+                       }
                      },
                      handler: this.deleteStream});
 
@@ -161,6 +202,40 @@ Class.getStreamById = function(request, reply) {
   });
 };
 
+Class.getStreamRecording = function(request, reply) {
+  logger.debug('Getting recording of stream');
+
+  Service.getStreamRecording(request.params.id).then(function(result) {
+    if (result instanceof Error) {
+      logger.error(result.message);
+      return reply(Boom.notFound(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.getStreamConcurrency = function(request, reply) {
+  logger.debug('Getting concurrent viewers of stream');
+
+  var filters = {
+    after: request.query.after,
+    before: request.query.before
+  };
+
+  Service.getConcurrency(request.params.id, filters).then(function(result) {
+    if (result instanceof CustomError.NotFoundError) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
 Class.getListOfStreams = function(request, reply) {
   logger.debug('Getting list of streams');
 
@@ -170,8 +245,16 @@ Class.getListOfStreams = function(request, reply) {
     sort: request.query.sort,
     order: request.query.order
   };
+  var page = {
+    limit: request.query.limit,
+    next: request.query.next
+  };
+
+  Service.getListOfStreams(filters, userId, page).then(function(listStreams) {
+    if (listStreams instanceof CustomError.InvalidFieldError) {
+      return reply(Boom.badRequest(listStreams.message));
+    }
 
-  Service.getListOfStreams(filters, userId).then(function(listStreams) {
     if (!listStreams || listStreams instanceof Error) {
       return reply(Boom.notFound('Stream not found'));
     }
@@ -258,6 +341,17 @@ var singleStreamValidator = {
   failAction: Utility.addValidationDetailsForJoi
 };
 
+var streamConcurrencyValidator = {
+  params: {
+    id: Joi.string().guid().required()
+  },
+  query: {
+    after: Joi.number().integer().min(0),
+    before: Joi.number().integer().min(0)
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
 var singleStreamPayloadValidator = {
   payload: {
     streamId: Joi.string().guid().required()
@@ -276,7 +370,9 @@ var streamListParamsValidator = {
   query: {
     state: Joi.any().valid('live', 'done', 'all').default('live'),
     sort: Joi.any().valid('time', 'viewers', 'title').default('time'),
-    order: Joi.any().valid('desc', 'asc').default('desc')
+    order: Joi.any().valid('desc', 'asc').default('desc'),
+    limit: Joi.number().integer().min(1).max(100),
+    next: Joi.string()
   },
   failAction: Utility.addValidationDetailsForJoi
 };
@@ -7,6 +7,7 @@ var Joi = require('joi');
 var Boom = require('boom');
 
 var Utility = rfr('app/util/Utility');
+var CustomError = rfr('app/util/Error');
 var Authenticator = rfr('app/policies/Authenticator');
 var SocialMediaAdapter = rfr('app/adapters/social_media/SocialMediaAdapter');
 var Service = rfr('app/services/Service');
@@ -51,6 +52,72 @@ Class.registerRoutes = function() {
                      },
                      handler: this.getSelf});
 
+  this.server.route({method: 'GET', path: '/me/identities',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.USER}
+                     },
+                     handler: this.getIdentities});
+
+  this.server.route({method: 'POST', path: '/me/identities',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.USER},
+                       validate: linkIdentityPayloadValidator
+                     },
+                     handler: this.linkIdentity});
+
+  this.server.route({method: 'DELETE', path: '/me/identities/{id}',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.USER},
+                       validate: singleIdentityValidator
+                     },
+                     handler: this.unlinkIdentity});
+
+  this.server.route({method: 'GET', path: '/me/analytics',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.USER},
+                       validate: analyticsParamsValidator
+                     },
+                     handler: this.getAnalytics});
+
+  this.server.route({method: 'GET', path: '/me/sessions',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.USER}
+                     },
+                     handler: this.getSessions});
+
+  this.server.route({method: 'DELETE', path: '/me/sessions',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.USER}
+                     },
+                     handler: this.revokeSessions});
+
+  this.server.route({method: 'DELETE', path: '/me/sessions/{sessionId}',
+                     config: {
+                       auth: {scope: Authenticator.SCOPE.USER},
+                       validate: singleSessionValidator
+                     },
+                     handler: this.revokeSession});
+
+  this.server.route({method: 'GET', path: '/{id}/sessions',
+                     config: {
+                       validate: singleUserValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.USERS}
+                     },
+                     handler: this.getUserSessions});
+
+  this.server.route({method: 'DELETE', path: '/{id}/sessions',
+                     config: {
+                       validate: singleUserValidator,
+                       auth: {scope: Authenticator.SCOPE.ADMIN.USERS},
+                       plugins: {
+                         audit: {
+                           action: 'user.revokeSessions',
+                           targetType: 'user'
+                         }
+                       }
+                     },
+                     handler: this.revokeUserSessions});
+
   this.server.route({method: 'GET', path: '/all/statistics',
                      config: {
                        auth: {
@@ -66,7 +133,14 @@ Class.registerRoutes = function() {
   this.server.route({method: 'PUT', path: '/{id}',
                      config: {
                        validate: updateUserValidator,
-                       auth: {scope: Authenticator.SCOPE.ADMIN.USERS}
+                       auth: {scope: Authenticator.SCOPE.ADMIN.USERS},
+                       plugins: {
+                         audit: {
+                           action: 'user.update',
+                           targetType: 'user',
+                           getState: (id) => Service.getUserById(id)
+                         }
+                       }
                      },
                      handler: this.updateUser});
 
@@ -89,6 +163,20 @@ Class.registerRoutes = function() {
                      },
                      handler: this.login});
 
+  this.server.route({method: 'POST', path: '/tokens/refresh',
+                     config: {
+                       auth: false,
+                       validate: refreshTokenPayloadValidator
+                     },
+                     handler: this.refreshTokens});
+
+  this.server.route({method: 'POST', path: '/tokens/revoke',
+                     config: {
+                       auth: false,
+                       validate: refreshTokenPayloadValidator
+                     },
+                     handler: this.revokeToken});
+
   this.server.route({method: 'GET', path: '/logout',
                      config: {auth: false},
                      handler: this.logout});
@@ -139,6 +227,27 @@ Class.getNumberOfUsers = function(request, reply) {
   });
 };
 
+Class.getAnalytics = function(request, reply) {
+  var range = {
+    from: request.query.from,
+    to: request.query.to,
+    interval: request.query.interval
+  };
+
+  Service.getStreamerAnalytics(request.auth.credentials.userId, range)
+  .then(function(result) {
+    if (result instanceof CustomError.UnexpectedError) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badRequest(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
 Class.updateUser = function(request, reply) {
   var updates = {
     alias: request.payload.alias,
@@ -164,10 +273,12 @@ Class.updateSelf = function(request, reply) {
 Class.login = function(request, reply) {
   var credentials = {
     accessToken: request.payload.accessToken,
+    accessTokenSecret: request.payload.accessTokenSecret,
     appId: request.payload.appId
   };
+  var platform = request.payload.platform || this.defaultPlatform;
 
-  return Authenticator.authenticateUser(this.defaultPlatform, credentials)
+  return Authenticator.authenticateUser(platform, credentials)
   .then(function afterAuthentication(user) {
     if (!user || user instanceof Error) {
       return reply(Boom.badRequest('Failed to authenticate user ' + user));
@@ -180,23 +291,194 @@ Class.login = function(request, reply) {
       scope: Authenticator.SCOPE.USER
     };
 
-    request.server.app.cache.set(account.userId, account, 0, function(err) {
-      if (err) {
-        logger.error(err);
+    return Service.issueTokens(account).then(function receiveTokens(tokens) {
+      if (tokens instanceof Error) {
+        return reply(Boom.badImplementation(tokens.message));
       }
 
-      request.cookieAuth.set(account);
-
-      return reply(Utility.formatUserObject(user));
+      request.server.app.cache.set(account.userId, account, 0, function(err) {
+        if (err) {
+          logger.error(err);
+        }
+
+        request.server.app.sessions.create(account, request)
+        .catch(function(err) {
+          logger.error(err);
+          return err;
+        }).then(function(session) {
+          if (session instanceof Error) {
+            // the cookie would be refused without its session
+            return reply(Boom.badImplementation('Failed to start session'));
+          }
+
+          request.cookieAuth.set(account);
+
+          user = Utility.formatUserObject(user);
+          user.tokens = tokens;
+          return reply(user);
+        });
+      });
     });
   }).catch(function fail(err) {
     return reply(Boom.badRequest('Failed to authenticate user: ' + err));
   });
 };
 
+Class.getIdentities = function(request, reply) {
+  Service.getIdentities(request.auth.credentials.userId)
+  .then(function(result) {
+    if (result instanceof Error) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.linkIdentity = function(request, reply) {
+  var credentials = {
+    accessToken: request.payload.accessToken,
+    accessTokenSecret: request.payload.accessTokenSecret,
+    appId: request.payload.appId
+  };
+
+  Authenticator.linkIdentity(request.auth.credentials.userId,
+                             request.payload.platform, credentials)
+  .then(function(result) {
+    if (result instanceof CustomError.UnexpectedError) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badRequest('Failed to link identity: ' +
+                                   result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.unlinkIdentity = function(request, reply) {
+  Service.unlinkIdentity(request.auth.credentials.userId, request.params.id)
+  .then(function(result) {
+    if (result instanceof CustomError.NotFoundError) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.refreshTokens = function(request, reply) {
+  Service.refreshTokens(request.payload.refreshToken)
+  .then(function(result) {
+    if (result instanceof CustomError.NotAuthorisedError) {
+      return reply(Boom.unauthorized(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.revokeToken = function(request, reply) {
+  Service.revokeToken(request.payload.refreshToken)
+  .then(function(result) {
+    if (result instanceof CustomError.NotAuthorisedError) {
+      return reply(Boom.unauthorized(result.message));
+    }
+
+    if (result instanceof Error) {
+      return reply(Boom.badImplementation(result.message));
+    }
+
+    return reply({status: 'OK'});
+  });
+};
+
+Class.getSessions = function(request, reply) {
+  var credentials = request.auth.credentials;
+
+  request.server.app.sessions.list(credentials.userId)
+  .then(function(sessions) {
+    return reply(sessions.map(function(session) {
+      session.current = session.sessionId === credentials.sessionId;
+      return session;
+    }));
+  }).catch(function(err) {
+    return reply(Boom.badImplementation('Unable to get sessions: ' + err));
+  });
+};
+
+Class.revokeSessions = function(request, reply) {
+  request.server.app.sessions.revokeAll(request.auth.credentials.userId)
+  .then(function(revoked) {
+    request.cookieAuth.clear();
+    return reply({revoked: revoked});
+  }).catch(function(err) {
+    return reply(Boom.badImplementation('Unable to revoke sessions: ' + err));
+  });
+};
+
+Class.revokeSession = function(request, reply) {
+  var credentials = request.auth.credentials;
+  var sessionId = request.params.sessionId;
+
+  request.server.app.sessions.revoke(credentials.userId, sessionId)
+  .then(function(isRevoked) {
+    if (!isRevoked) {
+      return reply(Boom.notFound('Session not found: ' + sessionId));
+    }
+
+    if (sessionId === credentials.sessionId) {
+      request.cookieAuth.clear();
+    }
+    return reply({status: 'OK'});
+  }).catch(function(err) {
+    return reply(Boom.badImplementation('Unable to revoke session: ' + err));
+  });
+};
+
+Class.getUserSessions = function(request, reply) {
+  request.server.app.sessions.list(request.params.id)
+  .then(function(sessions) {
+    return reply(sessions);
+  }).catch(function(err) {
+    return reply(Boom.badImplementation('Unable to get sessions: ' + err));
+  });
+};
+
+Class.revokeUserSessions = function(request, reply) {
+  request.server.app.sessions.revokeAll(request.params.id)
+  .then(function(revoked) {
+    return reply({revoked: revoked});
+  }).catch(function(err) {
+    return reply(Boom.badImplementation('Unable to revoke sessions: ' + err));
+  });
+};
+
 Class.logout = function(request, reply) {
+  // the route is not authenticated, but the cookie is still decoded
+  var session = request.state[Authenticator.SID];
   request.cookieAuth.clear();
-  return reply({status: 'OK'});
+
+  if (!session || !session.sessionId) {
+    return reply({status: 'OK'});
+  }
+
+  return request.server.app.sessions.revoke(session.userId, session.sessionId)
+  .catch(function(err) {
+    logger.error(err);
+  }).then(function() {
+    return reply({status: 'OK'});
+  });
 };
 
 /* Validator for routes */
@@ -207,6 +489,13 @@ var singleUserValidator = {
   failAction: Utility.addValidationDetailsForJoi
 };
 
+var singleSessionValidator = {
+  params: {
+    sessionId: Joi.string().required()
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
 var userListParamsValidator = {
   query: {
     order: Joi.any().valid('desc', 'asc').default('asc')
@@ -214,10 +503,42 @@ var userListParamsValidator = {
   failAction: Utility.addValidationDetailsForJoi
 };
 
+var analyticsParamsValidator = {
+  query: {
+    from: Joi.number().integer().min(0),
+    to: Joi.number().integer().min(0),
+    interval: Joi.any().valid('hour', 'day').default('day')
+  },
+  failAction: Utility.addValidationDetailsForJoi
+};
+
 var loginPayloadValidator = {
   payload: {
+    platform: Joi.string().lowercase(),
+    appId: Joi.string().required(),
+    accessToken: Joi.string().required(),
+    accessTokenSecret: Joi.string()
+  }
+};
+
+var refreshTokenPayloadValidator = {
+  payload: {
+    refreshToken: Joi.string().required()
+  }
+};
+
+var linkIdentityPayloadValidator = {
+  payload: {
+    platform: Joi.string().lowercase().required(),
     appId: Joi.string().required(),
-    accessToken: Joi.string().required()
+    accessToken: Joi.string().required(),
+    accessTokenSecret: Joi.string()
+  }
+};
+
+var singleIdentityValidator = {
+  params: {
+    id: Joi.string().guid().required()
   }
 };
 
@@ -37,6 +37,32 @@ Class.registerRoutes = function() {
                      },
                      handler: this.createView});
 
+  this.server.route({method: 'DELETE', path: '/{id}',
+                     config: {
+                       validate: singleViewValidator,
+                       auth: {scope: Authenticator.SCOPE.ALL}
+                     },
+                     handler: this.endView});
+
+  this.server.route({method: 'GET', path: '/{id}/durations',
+                     config: {
+                       validate: singleViewValidator,
+                       auth: {scope: Authenticator.SCOPE.ALL}
+                     },
+                     handler: this.getWatchDurationOfStream});
+
+  this.server.route({method: 'GET', path: '/users/{id}/durations',
+                     config: {
+                       validate: singleViewValidator,
+                       auth: {
+                         scope: [
+                           Authenticator.SCOPE.USER,
+                           Authenticator.SCOPE.ADMIN.METRICS
+                         ]
+                       }
+                     },
+                     handler: this.getWatchDurationOfUser});
+
   this.server.route({method: 'GET', path: '/{id}/statistics',
                      config: {
                        validate: singleViewValidator,
@@ -62,6 +88,52 @@ Class.createView = function(request, reply) {
   });
 };
 
+Class.endView = function(request, reply) {
+  logger.debug('Ending View');
+
+  var userId = request.auth.credentials.userId;
+  var streamId = request.params.id;
+
+  Service.endView(userId, streamId).then(function receiveResult(result) {
+    if (result instanceof Error) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.getWatchDurationOfStream = function(request, reply) {
+  Service.getWatchDurationOfStream(request.params.id)
+  .then(function receiveResult(result) {
+    if (result instanceof Error) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
+Class.getWatchDurationOfUser = function(request, reply) {
+  var credentials = request.auth.credentials;
+  var scopes = [].concat(credentials.scope);
+
+  // users can only see how long they watched streams themselves
+  if (scopes.indexOf(Authenticator.SCOPE.ADMIN.METRICS) === -1 &&
+      credentials.userId !== request.params.id) {
+    return reply(Boom.forbidden('Not allowed to get views of other users'));
+  }
+
+  Service.getWatchDurationOfUser(request.params.id)
+  .then(function receiveResult(result) {
+    if (result instanceof Error) {
+      return reply(Boom.notFound(result.message));
+    }
+
+    return reply(result);
+  });
+};
+
 Class.getListOfUsersViewingStream = function(request, reply) {
   logger.debug('Get list of users view a stream');
 
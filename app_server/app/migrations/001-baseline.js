@@ -0,0 +1,112 @@
+/*
+ * The schema that the models had before migrations, when the tables were
+ * created by synchronising the models. Databases created that way already
+ * have it, and get the tables and columns added since from the migrations
+ * that follow.
+ */
+'use strict';
+var Promise = require('bluebird');
+
+var TABLES = ['User', 'Stream', 'View', 'Subscription', 'Comment'];
+
+// Emojis in comments need utf8mb4 on MySQL, the other dialects ignore these
+var utf8mb4 = () => ({charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci'});
+
+exports.up = function(queryInterface, Sequelize) {
+  var uuid = () => ({
+    type: Sequelize.UUID,
+    allowNull: false,
+    unique: true,
+    primaryKey: true
+  });
+
+  var references = (model, key, onDelete) => ({
+    type: Sequelize.UUID,
+    references: {model: model, key: key},
+    onDelete: onDelete,
+    onUpdate: 'CASCADE'
+  });
+
+  var timestamps = (attributes, options) => {
+    attributes.createdAt = {type: Sequelize.DATE, allowNull: false};
+    attributes.updatedAt = {type: Sequelize.DATE, allowNull: false};
+    if (options && options.paranoid) {
+      attributes.deletedAt = {type: Sequelize.DATE};
+    }
+    return attributes;
+  };
+
+  var createTables = () => Promise.resolve().then(() => {
+    return queryInterface.createTable('User', timestamps({
+      userId: uuid(),
+      platformType: {type: Sequelize.ENUM, values: ['facebook']},
+      platformId: {type: Sequelize.STRING(191)},
+      username: {type: Sequelize.STRING(191), allowNull: false, unique: true},
+      alias: {type: Sequelize.STRING(191)},
+      email: {type: Sequelize.STRING(191), unique: true},
+      password: {type: Sequelize.STRING, allowNull: false},
+      accessToken: {type: Sequelize.STRING(191)},
+      description: {type: Sequelize.TEXT},
+      permissions: {type: Sequelize.STRING(191), defaultValue: null}
+    }, {paranoid: true}));
+  }).then(() => {
+    return queryInterface.createTable('Stream', timestamps({
+      streamId: uuid(),
+      appInstance: {type: Sequelize.STRING(191), allowNull: false,
+                    unique: true},
+      title: {type: Sequelize.STRING, allowNull: false},
+      roomId: {type: Sequelize.STRING},
+      totalStickers: {type: Sequelize.INTEGER, defaultValue: 0},
+      totalViewers: {type: Sequelize.INTEGER, defaultValue: 0},
+      live: {type: Sequelize.BOOLEAN, defaultValue: true},
+      duration: {type: Sequelize.STRING, defaultValue: '0'},
+      endedAt: {type: Sequelize.DATE},
+      description: {type: Sequelize.TEXT},
+      owner: references('User', 'userId', 'SET NULL')
+    }, {paranoid: true}));
+  }).then(() => {
+    return queryInterface.createTable('View', timestamps({
+      viewId: uuid(),
+      endedAt: {type: Sequelize.DATE},
+      userId: references('User', 'userId', 'CASCADE'),
+      streamId: references('Stream', 'streamId', 'CASCADE')
+    }, {paranoid: true}), {
+      uniqueKeys: {
+        View_streamId_userId_unique: {fields: ['userId', 'streamId']}
+      }
+    });
+  }).then(() => {
+    return queryInterface.createTable('Subscription', timestamps({
+      subscriptionId: uuid(),
+      subscriber: references('User', 'userId', 'CASCADE'),
+      subscribeTo: references('User', 'userId', 'CASCADE')
+    }), {
+      uniqueKeys: {
+        Subscription_subscribeTo_subscriber_unique: {
+          fields: ['subscriber', 'subscribeTo']
+        }
+      }
+    });
+  }).then(() => {
+    return queryInterface.createTable('Comment', timestamps({
+      commentId: uuid(),
+      content: {type: Sequelize.TEXT},
+      alias: {type: Sequelize.STRING},
+      userId: references('User', 'userId', 'SET NULL'),
+      streamId: references('Stream', 'streamId', 'SET NULL')
+    }, {paranoid: true}), utf8mb4());
+  });
+
+  return queryInterface.showAllTables().then((tables) => {
+    // databases synchronised before migrations are left as they are
+    if (tables.indexOf('User') !== -1) {
+      return;
+    }
+    return createTables();
+  });
+};
+
+exports.down = function(queryInterface) {
+  return Promise.each(TABLES.slice().reverse(),
+                      (table) => queryInterface.dropTable(table));
+};
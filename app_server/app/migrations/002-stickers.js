@@ -0,0 +1,29 @@
+/*
+ * Stickers sent to streams
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  var references = (model, key) => ({
+    type: Sequelize.UUID,
+    references: {model: model, key: key},
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  });
+
+  return queryInterface.createTable('Sticker', {
+    stickerId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      unique: true,
+      primaryKey: true
+    },
+    type: {type: Sequelize.STRING(50), allowNull: false,
+           defaultValue: 'default'},
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    userId: references('User', 'userId'),
+    streamId: references('Stream', 'streamId')
+  });
+};
+
+exports.down = (queryInterface) => queryInterface.dropTable('Sticker');
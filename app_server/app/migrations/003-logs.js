@@ -0,0 +1,41 @@
+/*
+ * Tables of the sql log store
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  var logId = () => ({
+    type: Sequelize.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  });
+
+  return queryInterface.createTable('Log', {
+    logId: logId(),
+    timestamp: {type: Sequelize.DATE, allowNull: false},
+    level: {type: Sequelize.STRING(10)},
+    label: {type: Sequelize.STRING},
+    message: {type: Sequelize.TEXT},
+    meta: {type: Sequelize.TEXT}
+  }, {charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci'})
+  .then(() => queryInterface.addIndex('Log', ['timestamp']))
+  .then(() => {
+    return queryInterface.createTable('ResponseLog', {
+      logId: logId(),
+      timestamp: {type: Sequelize.DATE, allowNull: false},
+      event: {type: Sequelize.STRING},
+      instance: {type: Sequelize.STRING},
+      method: {type: Sequelize.STRING(10)},
+      path: {type: Sequelize.STRING(191)},
+      query: {type: Sequelize.TEXT},
+      status: {type: Sequelize.INTEGER},
+      responseTime: {type: Sequelize.INTEGER}
+    });
+  })
+  .then(() => queryInterface.addIndex('ResponseLog', ['timestamp']));
+};
+
+exports.down = function(queryInterface) {
+  return queryInterface.dropTable('ResponseLog')
+  .then(() => queryInterface.dropTable('Log'));
+};
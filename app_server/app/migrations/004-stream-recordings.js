@@ -0,0 +1,24 @@
+/*
+ * Recordings of ended streams
+ */
+'use strict';
+var Promise = require('bluebird');
+
+var columns = (Sequelize) => ({
+  recordingPath: {type: Sequelize.STRING},
+  recordingSize: {type: Sequelize.BIGINT},
+  recordingDuration: {type: Sequelize.INTEGER}
+});
+
+exports.up = function(queryInterface, Sequelize) {
+  var attributes = columns(Sequelize);
+  return Promise.each(Object.keys(attributes), (column) => {
+    return queryInterface.addColumn('Stream', column, attributes[column]);
+  });
+};
+
+exports.down = function(queryInterface, Sequelize) {
+  return Promise.each(Object.keys(columns(Sequelize)).reverse(),
+                      (column) => queryInterface.removeColumn('Stream',
+                                                              column));
+};
@@ -0,0 +1,32 @@
+/*
+ * Deleted comments, mutes, kicks and bans in chat rooms
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  var references = (model, key) => ({
+    type: Sequelize.UUID,
+    references: {model: model, key: key},
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  });
+
+  return queryInterface.createTable('Moderation', {
+    moderationId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      unique: true,
+      primaryKey: true
+    },
+    action: {type: Sequelize.STRING(20), allowNull: false},
+    reason: {type: Sequelize.TEXT},
+    expiresAt: {type: Sequelize.DATE},
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    moderatorId: references('User', 'userId'),
+    userId: references('User', 'userId'),
+    streamId: references('Stream', 'streamId'),
+    commentId: references('Comment', 'commentId')
+  });
+};
+
+exports.down = (queryInterface) => queryInterface.dropTable('Moderation');
@@ -0,0 +1,13 @@
+/*
+ * Words masked in comments
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  return queryInterface.createTable('BlockedWord', {
+    word: {type: Sequelize.STRING(100), allowNull: false, primaryKey: true},
+    createdAt: {type: Sequelize.DATE, allowNull: false}
+  });
+};
+
+exports.down = (queryInterface) => queryInterface.dropTable('BlockedWord');
@@ -0,0 +1,35 @@
+/*
+ * Users log in with more platforms than Facebook, so their platform is no
+ * longer an ENUM
+ */
+'use strict';
+var rfr = require('rfr');
+var Promise = require('bluebird');
+
+var Dialect = rfr('app/models/Dialect');
+
+// SQLite keeps ENUM columns as TEXT, and changing a column there rebuilds
+// the table without its unique keys
+var isSqlite = (queryInterface) => {
+  return queryInterface.sequelize.options.dialect === Dialect.DIALECTS.SQLITE;
+};
+
+exports.up = function(queryInterface, Sequelize) {
+  if (isSqlite(queryInterface)) {
+    return Promise.resolve();
+  }
+
+  return queryInterface.changeColumn('User', 'platformType',
+                                     {type: Sequelize.STRING(50)});
+};
+
+exports.down = function(queryInterface, Sequelize) {
+  if (isSqlite(queryInterface)) {
+    return Promise.resolve();
+  }
+
+  return queryInterface.changeColumn('User', 'platformType', {
+    type: Sequelize.ENUM,
+    values: ['facebook']
+  });
+};
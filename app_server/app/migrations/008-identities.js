@@ -0,0 +1,32 @@
+/*
+ * Social identities linked to an account
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  return queryInterface.createTable('Identity', {
+    identityId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      unique: true,
+      primaryKey: true
+    },
+    platformType: {type: Sequelize.STRING(50), allowNull: false},
+    platformId: {type: Sequelize.STRING(191), allowNull: false},
+    accessToken: {type: Sequelize.STRING(191)},
+    userId: {
+      type: Sequelize.UUID,
+      references: {model: 'User', key: 'userId'},
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    },
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    updatedAt: {type: Sequelize.DATE, allowNull: false}
+  }, {
+    uniqueKeys: {
+      platformIdentity: {fields: ['platformType', 'platformId']}
+    }
+  });
+};
+
+exports.down = (queryInterface) => queryInterface.dropTable('Identity');
@@ -0,0 +1,29 @@
+/*
+ * Refresh tokens of the bearer access tokens
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  return queryInterface.createTable('RefreshToken', {
+    tokenId: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      unique: true,
+      primaryKey: true
+    },
+    tokenHash: {type: Sequelize.STRING(64), allowNull: false},
+    scope: {type: Sequelize.STRING(191), allowNull: false},
+    expiresAt: {type: Sequelize.DATE, allowNull: false},
+    revokedAt: {type: Sequelize.DATE, defaultValue: null},
+    userId: {
+      type: Sequelize.UUID,
+      references: {model: 'User', key: 'userId'},
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    updatedAt: {type: Sequelize.DATE, allowNull: false}
+  });
+};
+
+exports.down = (queryInterface) => queryInterface.dropTable('RefreshToken');
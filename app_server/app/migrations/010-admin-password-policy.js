@@ -0,0 +1,26 @@
+/*
+ * Lockout, expiry and reset of admin passwords
+ */
+'use strict';
+var Promise = require('bluebird');
+
+var columns = (Sequelize) => ({
+  failedLogins: {type: Sequelize.INTEGER, defaultValue: 0},
+  lockedAt: {type: Sequelize.DATE},
+  passwordChangedAt: {type: Sequelize.DATE},
+  passwordResetHash: {type: Sequelize.STRING(64)},
+  passwordResetExpiresAt: {type: Sequelize.DATE}
+});
+
+exports.up = function(queryInterface, Sequelize) {
+  var attributes = columns(Sequelize);
+  return Promise.each(Object.keys(attributes), (column) => {
+    return queryInterface.addColumn('User', column, attributes[column]);
+  });
+};
+
+exports.down = function(queryInterface, Sequelize) {
+  return Promise.each(Object.keys(columns(Sequelize)).reverse(),
+                      (column) => queryInterface.removeColumn('User',
+                                                              column));
+};
@@ -0,0 +1,34 @@
+/*
+ * Two-factor login of admins, and the settings that make it mandatory
+ */
+'use strict';
+var Promise = require('bluebird');
+
+var columns = (Sequelize) => ({
+  twoFactorEnabled: {type: Sequelize.BOOLEAN, defaultValue: false},
+  twoFactorSecret: {type: Sequelize.STRING(64)},
+  twoFactorRecoveryCodes: {type: Sequelize.TEXT},
+  twoFactorLastStep: {type: Sequelize.INTEGER}
+});
+
+exports.up = function(queryInterface, Sequelize) {
+  var attributes = columns(Sequelize);
+  return Promise.each(Object.keys(attributes), (column) => {
+    return queryInterface.addColumn('User', column, attributes[column]);
+  }).then(() => {
+    return queryInterface.createTable('Setting', {
+      key: {type: Sequelize.STRING(100), allowNull: false, primaryKey: true},
+      value: {type: Sequelize.TEXT},
+      createdAt: {type: Sequelize.DATE, allowNull: false},
+      updatedAt: {type: Sequelize.DATE, allowNull: false}
+    });
+  });
+};
+
+exports.down = function(queryInterface, Sequelize) {
+  return queryInterface.dropTable('Setting').then(() => {
+    return Promise.each(Object.keys(columns(Sequelize)).reverse(),
+                        (column) => queryInterface.removeColumn('User',
+                                                                column));
+  });
+};
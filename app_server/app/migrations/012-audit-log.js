@@ -0,0 +1,23 @@
+/*
+ * Audit trail of admin actions
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  return queryInterface.createTable('AuditLog', {
+    auditId: {type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true},
+    timestamp: {type: Sequelize.DATE, allowNull: false},
+    actorId: {type: Sequelize.UUID, allowNull: false},
+    actorUsername: {type: Sequelize.STRING(191)},
+    action: {type: Sequelize.STRING(100), allowNull: false},
+    targetType: {type: Sequelize.STRING(50)},
+    targetId: {type: Sequelize.STRING(191)},
+    changes: {type: Sequelize.TEXT},
+    ipAddress: {type: Sequelize.STRING(45)}
+  }, {charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci'})
+  .then(() => queryInterface.addIndex('AuditLog', ['timestamp']))
+  .then(() => queryInterface.addIndex('AuditLog', ['actorId']))
+  .then(() => queryInterface.addIndex('AuditLog', ['targetType', 'targetId']));
+};
+
+exports.down = (queryInterface) => queryInterface.dropTable('AuditLog');
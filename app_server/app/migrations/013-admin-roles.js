@@ -0,0 +1,45 @@
+/*
+ * Roles that bundle the permissions of admins
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  var uuid = () => ({
+    type: Sequelize.UUID,
+    allowNull: false,
+    unique: true,
+    primaryKey: true
+  });
+
+  var references = (model, key) => ({
+    type: Sequelize.UUID,
+    references: {model: model, key: key},
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  });
+
+  return queryInterface.createTable('Role', {
+    roleId: uuid(),
+    name: {type: Sequelize.STRING(50), allowNull: false, unique: true},
+    description: {type: Sequelize.TEXT},
+    permissions: {type: Sequelize.TEXT, allowNull: false},
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    updatedAt: {type: Sequelize.DATE, allowNull: false}
+  }).then(() => {
+    return queryInterface.createTable('AdminRole', {
+      adminRoleId: uuid(),
+      userId: references('User', 'userId'),
+      roleId: references('Role', 'roleId'),
+      createdAt: {type: Sequelize.DATE, allowNull: false}
+    }, {
+      uniqueKeys: {
+        AdminRole_roleId_userId_unique: {fields: ['userId', 'roleId']}
+      }
+    });
+  });
+};
+
+exports.down = function(queryInterface) {
+  return queryInterface.dropTable('AdminRole')
+  .then(() => queryInterface.dropTable('Role'));
+};
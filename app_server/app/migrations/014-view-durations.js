@@ -0,0 +1,23 @@
+/*
+ * Time that viewers watched streams for
+ */
+'use strict';
+var Promise = require('bluebird');
+
+var columns = (Sequelize) => ({
+  resumedAt: {type: Sequelize.DATE},
+  duration: {type: Sequelize.INTEGER, allowNull: false, defaultValue: 0}
+});
+
+exports.up = function(queryInterface, Sequelize) {
+  var attributes = columns(Sequelize);
+  return Promise.each(Object.keys(attributes), (column) => {
+    return queryInterface.addColumn('View', column, attributes[column]);
+  });
+};
+
+exports.down = function(queryInterface, Sequelize) {
+  return Promise.each(Object.keys(columns(Sequelize)).reverse(),
+                      (column) => queryInterface.removeColumn('View',
+                                                              column));
+};
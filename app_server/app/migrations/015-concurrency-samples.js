@@ -0,0 +1,31 @@
+/*
+ * Samples of the viewers of each stream over time, and its peak
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  return queryInterface.addColumn('Stream', 'peakViewers', {
+    type: Sequelize.INTEGER,
+    defaultValue: 0
+  }).then(() => {
+    return queryInterface.createTable('ConcurrencySample', {
+      sampleId: {type: Sequelize.INTEGER, primaryKey: true,
+                 autoIncrement: true},
+      time: {type: Sequelize.DATE, allowNull: false},
+      viewers: {type: Sequelize.INTEGER, allowNull: false},
+      streamId: {
+        type: Sequelize.UUID,
+        references: {model: 'Stream', key: 'streamId'},
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      }
+    });
+  }).then(() => {
+    return queryInterface.addIndex('ConcurrencySample', ['streamId', 'time']);
+  });
+};
+
+exports.down = function(queryInterface) {
+  return queryInterface.dropTable('ConcurrencySample')
+  .then(() => queryInterface.removeColumn('Stream', 'peakViewers'));
+};
@@ -0,0 +1,15 @@
+/*
+ * Items of the sql cache store
+ */
+'use strict';
+
+exports.up = function(queryInterface, Sequelize) {
+  return queryInterface.createTable('CacheEntry', {
+    key: {type: Sequelize.STRING(191), allowNull: false, primaryKey: true},
+    item: {type: Sequelize.TEXT},
+    stored: {type: Sequelize.BIGINT, allowNull: false},
+    expiresAt: {type: Sequelize.DATE, allowNull: false}
+  }).then(() => queryInterface.addIndex('CacheEntry', ['expiresAt']));
+};
+
+exports.down = (queryInterface) => queryInterface.dropTable('CacheEntry');
@@ -0,0 +1,21 @@
+/*
+ * AdminRole is a sequelize object linking an admin to a role
+ * @module AdminRole
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var AdminRole = sequelize.define('AdminRole', {
+    adminRoleId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      unique: true,
+      allowNull: false,
+      primaryKey: true
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: true,
+    updatedAt: false
+  });
+  return AdminRole;
+};
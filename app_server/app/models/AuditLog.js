@@ -0,0 +1,69 @@
+/*
+ * AuditLog is a sequelize object storing an action done by an admin. Entries
+ * can only be added, never changed or removed
+ * @module AuditLog
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var rejectChange = function() {
+    throw new Error('Audit log entries cannot be changed');
+  };
+
+  var AuditLog = sequelize.define('AuditLog', {
+    auditId: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    timestamp: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    actorUsername: {
+      type: DataTypes.STRING(191)
+    },
+    action: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    targetType: {
+      type: DataTypes.STRING(50)
+    },
+    targetId: {
+      type: DataTypes.STRING(191)
+    },
+    changes: {
+      type: DataTypes.TEXT,
+      get: function() {
+        var changes = this.getDataValue('changes');
+        return changes ? JSON.parse(changes) : null;
+      },
+      set: function(changes) {
+        this.setDataValue('changes', changes ? JSON.stringify(changes) : null);
+      }
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45)
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: false,
+    indexes: [
+      {fields: ['timestamp']},
+      {fields: ['actorId']},
+      {fields: ['targetType', 'targetId']}
+    ],
+    hooks: {
+      beforeUpdate: rejectChange,
+      beforeBulkUpdate: rejectChange,
+      beforeDestroy: rejectChange,
+      beforeBulkDestroy: rejectChange
+    }
+  });
+  return AuditLog;
+};
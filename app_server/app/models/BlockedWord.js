@@ -0,0 +1,22 @@
+/*
+ * BlockedWord is a sequelize object
+ * @module BlockedWord
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var BlockedWord = sequelize.define('BlockedWord', {
+    word: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      primaryKey: true,
+      validate: {
+        notEmpty: true
+      }
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: true,
+    updatedAt: false
+  });
+  return BlockedWord;
+};
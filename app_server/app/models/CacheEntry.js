@@ -0,0 +1,33 @@
+/*
+ * CacheEntry is a sequelize object
+ * @module CacheEntry
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var CacheEntry = sequelize.define('CacheEntry', {
+    key: {
+      type: DataTypes.STRING(191), // <segment>:<id>
+      allowNull: false,
+      primaryKey: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    item: {
+      type: DataTypes.TEXT // JSON
+    },
+    stored: {
+      type: DataTypes.BIGINT, // ms
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: false,
+    indexes: [{fields: ['expiresAt']}]
+  });
+  return CacheEntry;
+};
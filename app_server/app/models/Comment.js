@@ -28,8 +28,6 @@ module.exports = function(sequelize, DataTypes) {
     freezeTableName: true,
     paranoid: true,
     timestamps: true,
-    charset: 'utf8mb4',
-    collate: 'utf8mb4_unicode_ci',
     setterMethods: {
       createdAt: function(newDate) {
         this.setDataValue('createdAt', newDate);
@@ -0,0 +1,37 @@
+/*
+ * ConcurrencySample is a sequelize object storing the number of users in the
+ * chat room of a stream at a point in time
+ * @module ConcurrencySample
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var ConcurrencySample = sequelize.define('ConcurrencySample', {
+    sampleId: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    time: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    viewers: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: false,
+    indexes: [{fields: ['streamId', 'time']}],
+    classMethods: {
+      associate: function(models) {
+        ConcurrencySample.belongsTo(models.Stream, {
+          as: 'stream',
+          onDelete: 'CASCADE',
+          foreignKey: 'streamId'
+        });
+      }
+    }
+  });
+  return ConcurrencySample;
+};
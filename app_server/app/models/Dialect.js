@@ -0,0 +1,93 @@
+/*
+ * Dialect keeps the behaviour of Storage that differs between the SQL
+ * databases it runs on. MySQL is used in production, SQLite for the tests and
+ * local development, and PostgreSQL is supported as well.
+ * @module Dialect
+ */
+'use strict';
+
+var DIALECTS = exports.DIALECTS = {
+  MYSQL: 'mysql',
+  POSTGRES: 'postgres',
+  SQLITE: 'sqlite'
+};
+
+var dialects = {};
+
+dialects[DIALECTS.MYSQL] = {
+  /**
+   * @param config {Object} the database config
+   * @return {Object} the options of Sequelize for the connection
+   */
+  getConnectionOptions: (config) => ({
+    host: config.host,
+    port: config.port,
+    timezone: config.timezone,
+    dialectOptions: {
+      charset: 'utf8mb4'
+    }
+  }),
+
+  /**
+   * Tables that keep text written by users are utf8mb4 so that emojis can be
+   * stored. Indexed columns are at most STRING(191) as InnoDB keys are
+   * limited to 767 bytes
+   * @return {Object} the options of createTable, which changes them
+   */
+  getTextTableOptions: () => ({
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci'
+  }),
+
+  // LIKE is case insensitive with the collation of the tables
+  like: '$like',
+  likeKeyword: 'LIKE',
+
+  dropAllTables: (queryInterface) => queryInterface.dropAllTables()
+};
+
+dialects[DIALECTS.POSTGRES] = {
+  getConnectionOptions: (config) => ({
+    host: config.host,
+    port: config.port,
+    timezone: config.timezone
+  }),
+
+  getTextTableOptions: () => ({}),
+
+  like: '$ilike',
+  likeKeyword: 'ILIKE',
+
+  // the types of ENUM columns are kept when their tables are dropped
+  dropAllTables: (queryInterface) => {
+    return queryInterface.dropAllTables()
+    .then(() => queryInterface.dropAllEnums());
+  }
+};
+
+dialects[DIALECTS.SQLITE] = {
+  // SQLite keeps dates in UTC and has no time zone
+  getConnectionOptions: (config) => ({
+    storage: config.storage
+  }),
+
+  getTextTableOptions: () => ({}),
+
+  // LIKE is case insensitive for ASCII characters
+  like: '$like',
+  likeKeyword: 'LIKE',
+
+  dropAllTables: (queryInterface) => queryInterface.dropAllTables()
+};
+
+/**
+ * @param name {string} one of DIALECTS
+ * @return {Object} the behaviour of the dialect
+ */
+exports.get = function(name) {
+  if (!dialects.hasOwnProperty(name)) {
+    throw new Error('Unsupported database dialect: ' + name);
+  }
+
+  return dialects[name];
+};
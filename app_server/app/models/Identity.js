@@ -0,0 +1,48 @@
+/*
+ * Identity is a sequelize object. It is a social media account linked to a
+ * user in addition to the one the user signed up with.
+ * @module Identity
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var Identity = sequelize.define('Identity', {
+    identityId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      unique: true,
+      allowNull: false,
+      primaryKey: true
+    },
+    platformType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: 'platformIdentity',
+      validate: {
+        notEmpty: true
+      }
+    },
+    platformId: {
+      type: DataTypes.STRING(191),
+      allowNull: false,
+      unique: 'platformIdentity',
+      validate: {
+        notEmpty: true
+      }
+    },
+    accessToken: {
+      type: DataTypes.STRING(191)
+    }
+  }, {
+    freezeTableName: true,
+    classMethods: {
+      associate: function(models) {
+        Identity.belongsTo(models.User, {
+          as: 'user',
+          onDelete: 'CASCADE',
+          foreignKey: 'userId'
+        });
+      }
+    }
+  });
+  return Identity;
+};
@@ -0,0 +1,42 @@
+/*
+ * Log is a sequelize object storing an entry of the application log
+ * @module Log
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var Log = sequelize.define('Log', {
+    logId: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    timestamp: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    level: {
+      type: DataTypes.STRING(10)
+    },
+    label: {
+      type: DataTypes.STRING
+    },
+    message: {
+      type: DataTypes.TEXT
+    },
+    meta: {
+      type: DataTypes.TEXT,
+      get: function() {
+        var meta = this.getDataValue('meta');
+        return meta ? JSON.parse(meta) : undefined;
+      },
+      set: function(meta) {
+        this.setDataValue('meta', meta ? JSON.stringify(meta) : null);
+      }
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: false,
+    indexes: [{fields: ['timestamp']}]
+  });
+  return Log;
+};
@@ -0,0 +1,131 @@
+/*
+ * Migrator applies the migrations in a directory to the database in the order
+ * of their file names, and records the ones applied in the Migration table.
+ * A migration exports up and down functions, which are called with the query
+ * interface and Sequelize and return a promise.
+ * @module Migrator
+ */
+'use strict';
+var rfr = require('rfr');
+var path = require('path');
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var Sequelize = require('sequelize');
+
+var Utility = rfr('app/util/Utility');
+var logger = Utility.createLogger(__filename);
+
+/**
+ * @constructor
+ * @param sequelize {Sequelize}
+ * @param directory {string} of the migration files
+ */
+function Migrator(sequelize, directory) {
+  this.sequelize = sequelize;
+  this.directory = directory;
+  this.Migration = sequelize.define('Migration', {
+    name: {
+      type: Sequelize.STRING(191),
+      allowNull: false,
+      primaryKey: true
+    },
+    migratedAt: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: false
+  });
+}
+
+var Class = Migrator.prototype;
+
+/**
+ * @return {Promise<Array<Object>>} the migrations with the time they were
+ *         applied, or null if they are pending
+ */
+Class.status = function() {
+  return Promise.all([this.__getNames(), this.__getApplied()])
+  .then((result) => {
+    var migratedAt = {};
+    result[1].forEach((migration) => {
+      migratedAt[migration.name] = migration.migratedAt;
+    });
+
+    return result[0].map((name) => ({
+      name: name,
+      migratedAt: migratedAt[name] || null
+    }));
+  });
+};
+
+/**
+ * @return {Promise<Array<string>>} names of the migrations not applied yet
+ */
+Class.pending = function() {
+  return this.status().then((migrations) => {
+    return migrations.filter((migration) => !migration.migratedAt)
+      .map((migration) => migration.name);
+  });
+};
+
+/**
+ * Applies the pending migrations, and stops at the first that fails
+ * @return {Promise<Array<string>>} names of the migrations applied
+ */
+Class.up = function() {
+  return this.pending().then((names) => {
+    return Promise.mapSeries(names, (name) => {
+      logger.info('Migrating %s', name);
+      return Promise.resolve(this.__load(name).up(this.__getQueryInterface(),
+                                                  Sequelize))
+      .then(() => this.Migration.create({name: name, migratedAt: new Date()}))
+      .then(() => name);
+    });
+  });
+};
+
+/**
+ * Reverts the migrations applied last
+ * @param steps {number} of migrations to revert, 1 by default
+ * @return {Promise<Array<string>>} names of the migrations reverted
+ */
+Class.down = function(steps) {
+  return this.__getApplied().then((applied) => {
+    var names = applied.map((migration) => migration.name)
+      .reverse().slice(0, steps || 1);
+
+    return Promise.mapSeries(names, (name) => {
+      logger.info('Reverting %s', name);
+      return Promise.resolve(this.__load(name).down(this.__getQueryInterface(),
+                                                    Sequelize))
+      .then(() => this.Migration.destroy({where: {name: name}}))
+      .then(() => name);
+    });
+  });
+};
+
+Class.__getNames = function() {
+  return fs.readdirAsync(this.directory).then((files) => {
+    return files.filter((file) => path.extname(file) === '.js')
+      .map((file) => path.basename(file, '.js'))
+      .sort();
+  });
+};
+
+Class.__getApplied = function() {
+  return Promise.resolve(this.Migration.sync()).then(() => {
+    return this.Migration.findAll({order: [['name', 'ASC']], raw: true});
+  });
+};
+
+Class.__load = function(name) {
+  return require(path.join(this.directory, name));
+};
+
+Class.__getQueryInterface = function() {
+  return this.sequelize.getQueryInterface();
+};
+
+module.exports = Migrator;
@@ -0,0 +1,62 @@
+/*
+ * Moderation is a sequelize object
+ * @module Moderation
+ */
+
+var ACTIONS = ['delete', 'mute', 'kick', 'ban'];
+
+module.exports = function(sequelize, DataTypes) {
+  var Moderation = sequelize.define('Moderation', {
+    moderationId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      unique: true,
+      allowNull: false,
+      primaryKey: true
+    },
+    action: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [ACTIONS]
+      }
+    },
+    reason: {
+      type: DataTypes.TEXT
+    },
+    expiresAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: true,
+    updatedAt: false,
+    classMethods: {
+      associate: function(models) {
+        Moderation.belongsTo(models.User, {
+          as: 'moderator',
+          onDelete: 'CASCADE',
+          foreignKey: 'moderatorId'
+        });
+        Moderation.belongsTo(models.User, {
+          as: 'user',
+          onDelete: 'CASCADE',
+          foreignKey: 'userId'
+        });
+        Moderation.belongsTo(models.Stream, {
+          as: 'streams',
+          onDelete: 'CASCADE',
+          foreignKey: 'streamId'
+        });
+        Moderation.belongsTo(models.Comment, {
+          as: 'comments',
+          onDelete: 'CASCADE',
+          foreignKey: 'commentId'
+        });
+      }
+    }
+  });
+
+  Moderation.ACTIONS = ACTIONS;
+  return Moderation;
+};
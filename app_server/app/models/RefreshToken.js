@@ -0,0 +1,45 @@
+/*
+ * RefreshToken is a sequelize object. Only a hash of the token is stored.
+ * Access tokens issued with a refresh token stop working once it is revoked.
+ * @module RefreshToken
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var RefreshToken = sequelize.define('RefreshToken', {
+    tokenId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      unique: true,
+      allowNull: false,
+      primaryKey: true
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    scope: {
+      type: DataTypes.STRING(191),
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      defaultValue: null
+    }
+  }, {
+    freezeTableName: true,
+    classMethods: {
+      associate: function(models) {
+        RefreshToken.belongsTo(models.User, {
+          as: 'user',
+          onDelete: 'CASCADE',
+          foreignKey: 'userId'
+        });
+      }
+    }
+  });
+  return RefreshToken;
+};
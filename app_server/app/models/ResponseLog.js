@@ -0,0 +1,51 @@
+/*
+ * ResponseLog is a sequelize object storing an entry of the response log
+ * @module ResponseLog
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var ResponseLog = sequelize.define('ResponseLog', {
+    logId: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    timestamp: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    event: {
+      type: DataTypes.STRING
+    },
+    instance: {
+      type: DataTypes.STRING
+    },
+    method: {
+      type: DataTypes.STRING(10)
+    },
+    path: {
+      type: DataTypes.STRING(191)
+    },
+    query: {
+      type: DataTypes.TEXT,
+      get: function() {
+        var query = this.getDataValue('query');
+        return query ? JSON.parse(query) : undefined;
+      },
+      set: function(query) {
+        this.setDataValue('query', query ? JSON.stringify(query) : null);
+      }
+    },
+    status: {
+      type: DataTypes.INTEGER
+    },
+    responseTime: {
+      type: DataTypes.INTEGER
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: false,
+    indexes: [{fields: ['timestamp']}]
+  });
+  return ResponseLog;
+};
@@ -0,0 +1,50 @@
+/*
+ * Role is a sequelize object bundling admin scopes under a name
+ * @module Role
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var Role = sequelize.define('Role', {
+    roleId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      unique: true,
+      allowNull: false,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    permissions: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      get: function() {
+        var permissions = this.getDataValue('permissions');
+        return permissions ? JSON.parse(permissions) : [];
+      },
+      set: function(permissions) {
+        this.setDataValue('permissions', JSON.stringify(permissions || []));
+      }
+    }
+  }, {
+    freezeTableName: true,
+    classMethods: {
+      associate: function(models) {
+        Role.belongsToMany(models.User, {
+          through: models.AdminRole,
+          as: 'admins',
+          foreignKey: 'roleId'
+        });
+      }
+    }
+  });
+  return Role;
+};
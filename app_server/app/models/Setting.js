@@ -0,0 +1,24 @@
+/*
+ * Setting is a sequelize object
+ * @module Setting
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var Setting = sequelize.define('Setting', {
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      primaryKey: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    value: {
+      type: DataTypes.TEXT // JSON
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: true
+  });
+  return Setting;
+};
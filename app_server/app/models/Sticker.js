@@ -0,0 +1,48 @@
+/*
+ * Sticker is a sequelize object
+ * @module Sticker
+ */
+
+module.exports = function(sequelize, DataTypes) {
+  var Sticker = sequelize.define('Sticker', {
+    stickerId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      unique: true,
+      allowNull: false,
+      primaryKey: true
+    },
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'default',
+      validate: {
+        notEmpty: true
+      }
+    }
+  }, {
+    freezeTableName: true,
+    timestamps: true,
+    updatedAt: false,
+    setterMethods: {
+      createdAt: function(newDate) {
+        this.setDataValue('createdAt', newDate);
+      }
+    },
+    classMethods: {
+      associate: function(models) {
+        Sticker.belongsTo(models.User, {
+          as: 'users',
+          onDelete: 'CASCADE',
+          foreignKey: 'userId'
+        });
+        Sticker.belongsTo(models.Stream, {
+          as: 'streams',
+          onDelete: 'CASCADE',
+          foreignKey: 'streamId'
+        });
+      }
+    }
+  });
+  return Sticker;
+};
@@ -7,14 +7,22 @@
 var rfr = require('rfr');
 var Promise = require('bluebird');
 var Sequelize = require('sequelize');
+var util = require('util');
 var _ = require('underscore');
 
 var config = rfr('config/DatabaseConfig');
+var Dialect = rfr('app/models/Dialect');
+var Migrator = rfr('app/models/Migrator');
 var Utility = rfr('app/util/Utility');
 var CustomError = rfr('app/util/Error');
 var logger = Utility.createLogger(__filename);
 
-var modelNames = ['User', 'Stream', 'View', 'Subscription', 'Comment'];
+var modelNames = ['User', 'Identity', 'RefreshToken', 'Stream', 'View',
+                  'Subscription', 'Comment', 'Sticker', 'Moderation',
+                  'BlockedWord', 'Setting', 'Log', 'ResponseLog', 'AuditLog',
+                  'Role', 'AdminRole', 'ConcurrencySample', 'CacheEntry'];
+
+var MIGRATIONS_DIRECTORY = __dirname + '/../migrations';
 
 /**
  * Initialises the database connection and load the models written in
@@ -25,23 +33,20 @@ function Storage() {
   var models = {};
 
   // initialize database connection
+  var dialect = Dialect.get(config.dialect);
   var sequelize = new Sequelize(
       config.name,
       config.username,
-      config.password, {
-        host: config.host,
+      config.password,
+      Object.assign({
         dialect: config.dialect,
-        dialectOptions: {
-          charset: 'utf8mb4'
-        },
-        timezone: config.timezone,
         logging: config.logging,
         define: {
           hooks: {
             beforeUpdate: isFieldsMatched
           }
         }
-      });
+      }, dialect.getConnectionOptions(config)));
 
   // importing models
   for (var i = 0; i < modelNames.length; i++) {
@@ -58,23 +63,26 @@ function Storage() {
     }
   });
 
-  // create the tables
-  this.dbSyncPromise = sequelize
-  .sync()
-  .then(function(res) {
-    logger.info('Table synchronized');
+  // the tables are created and changed by migrations
+  this.migrator = new Migrator(sequelize, MIGRATIONS_DIRECTORY);
+  this.dbSyncPromise = this.migrator.pending()
+  .then(function(pending) {
+    if (pending.length > 0) {
+      logger.warn('Pending migrations %s, run npm run migrate',
+                  pending.join(', '));
+      return false;
+    }
+
+    logger.info('Database is up to date');
     return true;
   }, function(err) {
-    if (err.parent.code === 'ER_NO_SUCH_TABLE') {
-      logger.info('Building table');
-    } else {
-      logger.error('An error occurred while synchronizing table: %j', err);
-    }
+    logger.error('An error occurred while checking migrations: %s', err);
     return false;
   });
 
   this.Sequelize = Sequelize;
   this.sequelize = sequelize;
+  this.dialect = dialect;
   this.models = models;
 }
 
@@ -143,16 +151,28 @@ Class.getUserById = function(userId) {
 };
 
 /**
+ * Finds the user who signed up with, or has linked, the platform account
  * @param  {string} platformType
  * @param  {string} platformId
  * @return {Promise<Sequelize.object> | False}
  */
 Class.getUserByPlatformId = function(platformType, platformId) {
+  var where = {
+    platformType: platformType,
+    platformId: platformId
+  };
+
   return this.models.User.findOne({
-    where: {
-      platformType: platformType,
-      platformId: platformId
+    where: where
+  }).then((res) => {
+    if (res !== null) {
+      return res;
     }
+
+    return this.models.Identity.findOne({
+      where: where,
+      include: [{model: this.models.User, as: 'user'}]
+    }).then((identity) => identity ? identity.user : null);
   }).then(function(res) {
     if (res === null) {
       logger.info('No such user at %s with platform id %s',
@@ -213,6 +233,28 @@ Class.getUserByUsernamePassword = function(username, password) {
   });
 };
 
+/**
+ * @param  {string} hash sha256 hash of a password reset token
+ * @return {Promise<Sequelize.object> | False}
+ */
+Class.getUserByPasswordResetHash = function(hash) {
+  return this.models.User.findOne({
+    where: {
+      passwordResetHash: hash
+    }
+  }).then(function(res) {
+    if (res === null) {
+      logger.info('No user found');
+      return false;
+    } else {
+      return res;
+    }
+  }).catch(function(err) {
+    logger.error('Error in retrieving user: %j', err);
+    return false;
+  });
+};
+
 /**
  * @param  {string} userId
  * @return {boolean}
@@ -317,6 +359,128 @@ Class.getNumberOfAdmins = function() {
   });
 };
 
+/************************************************************************
+ *                                                                       *
+ *                            IDENTITY API                               *
+ *                                                                       *
+ *************************************************************************/
+
+/**
+ * @param  {string} userId
+ * @param  {object} identity
+ * @param  {string} identity.platformType
+ * @param  {string} identity.platformId
+ * @param  {string} identity.accessToken
+ * @return {Promise<Sequelize.Identity>}
+ */
+Class.createIdentity = function(userId, identity) {
+  return this.models.Identity.create({
+    userId: userId,
+    platformType: identity.platformType,
+    platformId: identity.platformId,
+    accessToken: identity.accessToken
+  });
+};
+
+/**
+ * @param  {string} userId
+ * @return {Promise<List<Sequelize.Identity>>} in the order they were linked
+ */
+Class.getIdentitiesForUser = function(userId) {
+  return this.models.Identity.findAll({
+    where: {
+      userId: userId
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * @param  {string} userId
+ * @param  {string} platformType
+ * @param  {string} platformId
+ * @param  {object} particulars the fields to update
+ * @return {Promise<Boolean>} false if the user has no such identity
+ */
+Class.updateIdentity = function(userId, platformType, platformId,
+                                particulars) {
+  return this.models.Identity.update(particulars, {
+    where: {
+      userId: userId,
+      platformType: platformType,
+      platformId: platformId
+    },
+    fields: Object.keys(particulars)
+  }).then((result) => result[0] > 0);
+};
+
+/**
+ * @param  {string} userId
+ * @param  {string} identityId
+ * @return {Promise<Boolean>} false if the user has no such identity
+ */
+Class.deleteIdentity = function(userId, identityId) {
+  return this.models.Identity.destroy({
+    where: {
+      userId: userId,
+      identityId: identityId
+    }
+  }).then((count) => count > 0);
+};
+
+/************************************************************************
+ *                                                                       *
+ *                              TOKEN API                                *
+ *                                                                       *
+ *************************************************************************/
+
+/**
+ * @param  {object} token
+ * @param  {string} token.userId
+ * @param  {string} token.tokenHash
+ * @param  {string} token.scope scope of the access tokens, as JSON
+ * @param  {Date} token.expiresAt
+ * @return {Promise<Sequelize.RefreshToken>}
+ */
+Class.createRefreshToken = function(token) {
+  return this.models.RefreshToken.create(token);
+};
+
+/**
+ * @param  {string} tokenId
+ * @return {Promise<Sequelize.RefreshToken>} null if not found
+ */
+Class.getRefreshToken = function(tokenId) {
+  return this.models.RefreshToken.findById(tokenId);
+};
+
+/**
+ * @param  {string} tokenId
+ * @return {Promise<Boolean>} false if the token is not found or is already
+ *                            revoked
+ */
+Class.revokeRefreshToken = function(tokenId) {
+  return this.models.RefreshToken.update({revokedAt: new Date()}, {
+    where: {
+      tokenId: tokenId,
+      revokedAt: null
+    }
+  }).spread((count) => count > 0);
+};
+
+/**
+ * @param  {string} userId
+ * @return {Promise<Number>} the number of tokens revoked
+ */
+Class.revokeRefreshTokensOfUser = function(userId) {
+  return this.models.RefreshToken.update({revokedAt: new Date()}, {
+    where: {
+      userId: userId,
+      revokedAt: null
+    }
+  }).spread((count) => count);
+};
+
 /************************************************************************
  *                                                                       *
  *                            STREAM API                                 *
@@ -369,36 +533,20 @@ Class.getStreamById = function(streamId) {
  * @param  {string} filters.sort
  * @param  {string} filters.state
  * @param  {object} filters.order
+ * @param  {object} page - optional, see Storage#getStreamCursor
+ * @param  {number} page.limit - maximum number of streams to return
+ * @param  {object} page.after - cursor of the last stream of previous page
  * @return {Promise<List<Sequelize.object>>} - a list of streams
  */
-Class.getListOfStreams = function(originalFilters) {
-
-  var filters = mapParams(originalFilters);
-
-  if (filters.sort !== 'createdAt') {
-    return this.models.Stream.findAll({
-      include: [{
-        model: this.models.User,
-        as: 'streamer'
-      }],
-      where: {
-        live: filters.state
-      },
-      order: [[filters.sort, filters.order], ['createdAt', 'DESC']]
-    });
-  }
+Class.getListOfStreams = function(originalFilters, page) {
+  var query = buildStreamListQuery(originalFilters, page);
 
-  return this.models.Stream.findAll({
-    include: [{
-      model: this.models.User,
-      as: 'streamer'
-    }],
-    where: {
-      live: filters.state
-    },
-    order: [[filters.sort, filters.order]]
-  });
+  query.include = [{
+    model: this.models.User,
+    as: 'streamer'
+  }];
 
+  return this.models.Stream.findAll(query);
 };
 
 /**
@@ -408,44 +556,45 @@ Class.getListOfStreams = function(originalFilters) {
  * @param  {string} filters.sort
  * @param  {string} filters.state
  * @param  {object} filters.order
+ * @param  {object} page - optional, see Storage#getListOfStreams
  * @return {Promise<List<Sequelize.object>>} - a list of streams
  */
-Class.getListOfStreamsForUser = function(originalFilters) {
-
-  var filters = mapParams(originalFilters);
-
-  if (filters.sort !== 'createdAt') {
-    return this.models.Stream.findAll({
-      include: [{
-        model: this.models.User,
-        as: 'streamer',
-        include: [{
-          model: this.models.User,
-          as: 'Subscribers'
-        }]
-      }],
-      where: {
-        live: filters.state
-      },
-      order: [[filters.sort, filters.order], ['createdAt', 'DESC']]
-    });
-  }
+Class.getListOfStreamsForUser = function(originalFilters, page) {
+  var query = buildStreamListQuery(originalFilters, page);
 
-  return this.models.Stream.findAll({
+  query.include = [{
+    model: this.models.User,
+    as: 'streamer',
     include: [{
       model: this.models.User,
-      as: 'streamer',
-      include: [{
-        model: this.models.User,
-        as: 'Subscribers'
-      }]
-    }],
-    where: {
-      live: filters.state
-    },
-    order: [[filters.sort, filters.order]]
-  });
+      as: 'Subscribers'
+    }]
+  }];
+
+  return this.models.Stream.findAll(query);
+};
 
+/**
+ * Return the position of a stream in a list of streams sorted with filters.
+ * Passing it as page.after to getListOfStreams returns the streams after it,
+ * as long as the list is sorted the same way
+ * @param  {Sequelize.object} stream
+ * @param  {object} filters
+ * @param  {string} filters.sort
+ * @param  {string} filters.order
+ * @return {object} cursor with the sort and order of the list, the sort key
+ *                  value, createdAt and streamId
+ */
+Class.getStreamCursor = function(stream, originalFilters) {
+  var filters = mapParams(originalFilters);
+
+  return {
+    sort: originalFilters.sort,
+    order: originalFilters.order,
+    value: stream.get(filters.sort),
+    createdAt: stream.get('createdAt'),
+    streamId: stream.get('streamId')
+  };
 };
 
 /**
@@ -507,6 +656,35 @@ Class.updateStream = function(streamId, newAttributes) {
   });
 };
 
+/**
+ * Marks a stream as ended and keeps the metadata of its recording, which the
+ * media server saves as <appInstance>/<streamId>.mp4 (see the media server's
+ * README). Its size is filled in once the media server has finished writing
+ * it. The views of the users still watching end with it. A stream that has
+ * already ended is left as it is.
+ * @param  {string} streamId
+ * @return {Promise<Sequelize.object>} the ended stream
+ *         {Promise<null>} if the stream does not exist
+ */
+Class.endStream = function(streamId) {
+  return this.getStreamById(streamId).then((stream) => {
+    if (!stream || !stream.live) {
+      return stream;
+    }
+
+    var endedAt = new Date();
+    return stream.update({
+      live: false,
+      endedAt: endedAt,
+      recordingPath: util.format('%s/%s.mp4', stream.appInstance,
+                                              stream.streamId),
+      recordingDuration: Math.round((endedAt - stream.createdAt) / 1000)
+    }).then((endedStream) => {
+      return this.endViewsOfStream(streamId).then(() => endedStream);
+    });
+  });
+};
+
 /**
  * Delete stream, removes the entry
  * @param  {string} stringId
@@ -557,12 +735,11 @@ Class.createView = function(userId, streamId) {
 
       return this.models.View.create({
         userId: userId,
-        streamId: streamId
+        streamId: streamId,
+        resumedAt: new Date()
       }).catch(err => {
         if (err.name === 'SequelizeUniqueConstraintError') {
-          var err = new CustomError.DuplicateEntryError('Duplicate View');
-          logger.error(err.message);
-          return err;
+          return this.resumeView(userId, streamId);
         }
 
         return new CustomError.UnexpectedError(err);
@@ -570,6 +747,76 @@ Class.createView = function(userId, streamId) {
     }.bind(this));
 };
 
+/**
+ * Opens the ended view of a user who watches a stream again
+ * @param  {string} userId
+ * @param  {string} streamId
+ * @return {Promise<Sequelize.View>}
+ *         {Promise<DuplicateEntryError>} if the view has not ended
+ */
+Class.resumeView = function(userId, streamId) {
+  return this.models.View.findOne({
+    where: {userId: userId, streamId: streamId}
+  }).then(function(view) {
+    if (!view || !view.endedAt) {
+      var err = new CustomError.DuplicateEntryError('Duplicate View');
+      logger.error(err.message);
+      return err;
+    }
+
+    return view.update({resumedAt: new Date(), endedAt: null});
+  });
+};
+
+/**
+ * Ends the open view of a user and adds the time watched to its duration
+ * @param  {string} userId
+ * @param  {string} streamId
+ * @return {Promise<Sequelize.View>} null if the user is not viewing the stream
+ */
+Class.endView = function(userId, streamId) {
+  return this.models.View.findOne({
+    where: {userId: userId, streamId: streamId, endedAt: null}
+  }).then(function(view) {
+    if (!view) {
+      return null;
+    }
+
+    return endView(view, new Date());
+  });
+};
+
+/**
+ * Ends the open views of a stream, such as when the stream ends
+ * @param  {string} streamId
+ * @return {Promise<List<Sequelize.View>>} the views that were ended
+ */
+Class.endViewsOfStream = function(streamId) {
+  return this.models.View.findAll({
+    where: {streamId: streamId, endedAt: null}
+  }).then(function(views) {
+    var endedAt = new Date();
+    return Promise.all(views.map((view) => endView(view, endedAt)));
+  });
+};
+
+/**
+ * @param  {Object} filters
+ * @param  {string} filters.streamId
+ * @param  {string} filters.userId
+ * @return {Promise<List<Object>>} {userId, streamId, createdAt, resumedAt,
+ *         endedAt, duration} of the views matching the filters
+ */
+Class.getWatchedViews = function(filters) {
+  return this.models.View.findAll({
+    attributes: ['userId', 'streamId', 'createdAt', 'resumedAt', 'endedAt',
+                 'duration'],
+    where: filters,
+    order: [['createdAt', 'ASC']],
+    raw: true
+  });
+};
+
 /**
  * @param  {string} streamId
  * @return {Promise<Sequelize.Stream>} - a list of users
@@ -863,33 +1110,910 @@ Class.getListOfCommentsForStream = function(streamId) {
 };
 
 /**
- * Check if the fields to be changed match the fields available in object
- * @private
+ * @param  {string} streamId
+ * @param  {Date} from
+ * @param  {Date} to
+ * @return {Promise<List<Sequelize.Comment>>} comments posted from `from` and
+ *                                            before `to`, oldest first
  */
-function isFieldsMatched(user, options, fn) {
-  var fieldsToChange = options.fields;
-  var index = fieldsToChange.indexOf('updatedAt');
-  var objFields = Object.keys(user.dataValues);
+Class.getCommentsForStreamBetween = function(streamId, from, to) {
+  return this.models.Comment.findAll({
+    where: {
+      streamId: streamId,
+      createdAt: {
+        $gte: from,
+        $lt: to
+      }
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
 
-  if (index === 0) { //only change updatedAt time
-    return fn();
-  }
+/************************************************************************
+ *                                                                       *
+ *                           STICKER API                                 *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * Stores a sticker and adds it to the total stickers of the stream, both or
+ * neither
+ * @param  {string} userId
+ * @param  {string} streamId
+ * @param  {Object} stickerObj
+ * @param  {string} stickerObj.type
+ * @param  {Date} stickerObj.createdAt
+ * @return {Promise<Sequelize.Sticker>}
+ */
+Class.createSticker = function(userId, streamId, stickerObj) {
+  var userPromise = this.models.User.findById(userId);
+  var streamPromise = this.models.Stream.findById(streamId);
 
-  if (_(fieldsToChange).difference(objFields).length !== 0) {
-    var err = new CustomError.InvalidColumnError('Column name undefined');
-    logger.error(err.message);
+  return Promise.join(userPromise, streamPromise, (user, stream) => {
+    if (user === null) {
+      var err = new CustomError.NotFoundError('User');
+      logger.error(err.message, userId);
 
-    throw err;
-  } else {
-    return fn();
-  }
+      return err;
+    }
+
+    if (stream === null) {
+      var err = new CustomError.NotFoundError('Stream');
+      logger.error(err.message, streamId);
+
+      return err;
+    }
+
+    // unset fields are left out so that their default values are used
+    var sticker = _.omit({
+      type: stickerObj.type,
+      createdAt: stickerObj.createdAt,
+      userId: userId,
+      streamId: streamId
+    }, _.isUndefined);
+
+    return this.sequelize.transaction((transaction) => {
+      var options = {transaction: transaction};
+      return this.models.Sticker.create(sticker, options)
+      .then((newSticker) => {
+        return stream.increment('totalStickers', options)
+                     .then(() => newSticker);
+      });
+    });
+  });
+};
+
+/**
+ * @param  {string} streamId
+ * @return {Promise<Object>} a map from sticker type to number of stickers
+ */
+Class.getStickerCountsForStream = function(streamId) {
+  return this.models.Stream.findById(streamId).then((stream) => {
+    if (stream === null) {
+      var err = new CustomError.NotFoundError('Stream', streamId);
+      logger.error(err.message, err.details);
+
+      return err;
+    }
+
+    return this.models.Sticker.count({
+      where: {
+        streamId: streamId
+      },
+      attributes: ['type'],
+      group: ['type']
+    }).then(function receiveResult(result) {
+      return result.reduce((counts, row) => {
+        counts[row.type] = Number(row.count);
+        return counts;
+      }, {});
+    });
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                          MODERATION API                               *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * Deletes a comment of a stream, identified either by its id or by its
+ * author and the time it was posted
+ * @param  {string} streamId
+ * @param  {Object} identifier
+ * @param  {string} identifier.commentId
+ * @param  {string} identifier.userId
+ * @param  {Date} identifier.createdAt
+ * @return {Promise<Sequelize.Comment>} the deleted comment
+ *         {Promise<NotFoundError>} if there is no such comment
+ */
+Class.deleteComment = function(streamId, identifier) {
+  var where = _.omit({
+    streamId: streamId,
+    commentId: identifier.commentId,
+    userId: identifier.userId,
+    createdAt: identifier.createdAt
+  }, _.isUndefined);
+
+  return this.models.Comment.findOne({where: where}).then((comment) => {
+    if (comment === null) {
+      var err = new CustomError.NotFoundError('Comment');
+      logger.error(err.message, identifier);
+
+      return err;
+    }
+
+    return comment.destroy();
+  });
+};
+
+/**
+ * @param  {Object} moderationObj
+ * @param  {string} moderationObj.action
+ * @param  {string} moderationObj.moderatorId
+ * @param  {string} moderationObj.userId
+ * @param  {string} moderationObj.streamId
+ * @param  {string} moderationObj.commentId
+ * @param  {Date} moderationObj.expiresAt
+ * @param  {string} moderationObj.reason
+ * @return {Promise<Sequelize.Moderation>}
+ */
+Class.createModeration = function(moderationObj) {
+  return this.models.Moderation.create(_.omit(moderationObj, _.isUndefined));
+};
+
+/**
+ * @param  {string} streamId
+ * @return {Promise<List<Sequelize.Moderation>>} most recent first
+ */
+Class.getModerationsForStream = function(streamId) {
+  return this.models.Moderation.findAll({
+    include: [{
+      model: this.models.User,
+      as: 'moderator',
+      attributes: ['userId', 'username', 'alias']
+    }, {
+      model: this.models.User,
+      as: 'user',
+      attributes: ['userId', 'username', 'alias']
+    }],
+    where: {
+      streamId: streamId
+    },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * @return {Promise<List<Sequelize.Moderation>>} bans and unexpired mutes,
+ *                                               with their stream
+ */
+Class.getActiveModerations = function() {
+  return this.models.Moderation.findAll({
+    include: [{
+      model: this.models.Stream,
+      as: 'streams',
+      attributes: ['streamId', 'appInstance', 'owner'],
+      paranoid: false
+    }],
+    where: {
+      $or: [
+        {action: 'ban'},
+        {action: 'mute', expiresAt: {$gt: new Date()}}
+      ]
+    }
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                          CONCURRENCY API                              *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * Stores samples of the number of concurrent viewers and raises the peak of
+ * the streams that have more viewers than before
+ * @param  {Array<Object>} samples {streamId, time, viewers}
+ * @return {Promise<List<Sequelize.ConcurrencySample>>}
+ */
+Class.createConcurrencySamples = function(samples) {
+  return this.models.ConcurrencySample.bulkCreate(samples).then((created) => {
+    return Promise.all(samples.map((sample) => {
+      return this.models.Stream.update({peakViewers: sample.viewers}, {
+        where: {
+          streamId: sample.streamId,
+          peakViewers: {$lt: sample.viewers}
+        }
+      });
+    })).then(() => created);
+  });
+};
+
+/**
+ * @param  {string} streamId
+ * @param  {Object} filters
+ * @param  {Date} filters.after
+ * @param  {Date} filters.before
+ * @return {Promise<List<Object>>} {time, viewers} of the samples of the stream
+ *         in order of time
+ */
+Class.getConcurrencySamples = function(streamId, filters) {
+  var where = {streamId: streamId};
+  if (filters.after || filters.before) {
+    where.time = _.omit({$gte: filters.after, $lt: filters.before},
+                        _.isUndefined);
+  }
+
+  return this.models.ConcurrencySample.findAll({
+    attributes: ['time', 'viewers'],
+    where: where,
+    order: [['time', 'ASC']],
+    raw: true
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                          ANALYTICS API                                *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * @param  {string} userId
+ * @return {Promise<List<Object>>} {streamId, title, live, createdAt, endedAt}
+ *         of the streams of the user
+ */
+Class.getStreamsOfUser = function(userId) {
+  return this.models.Stream.findAll({
+    attributes: ['streamId', 'title', 'live', 'createdAt', 'endedAt'],
+    where: {owner: userId},
+    order: [['createdAt', 'ASC']],
+    raw: true
+  });
+};
+
+/**
+ * @param  {Array<string>} streamIds
+ * @param  {Date} from
+ * @param  {Date} to
+ * @return {Promise<List<Object>>} {userId, streamId, createdAt, endedAt,
+ *         duration} of the views of the streams that overlap the range
+ */
+Class.getViewsOfStreams = function(streamIds, from, to) {
+  return this.models.View.findAll({
+    attributes: ['userId', 'streamId', 'createdAt', 'endedAt', 'duration'],
+    where: {
+      streamId: {$in: streamIds},
+      createdAt: {$lt: to},
+      $or: [{endedAt: null}, {endedAt: {$gte: from}}]
+    },
+    raw: true
+  });
+};
+
+/**
+ * @param  {Array<string>} streamIds
+ * @param  {Date} from
+ * @param  {Date} to
+ * @return {Promise<List<Object>>} {createdAt} of the comments in the range
+ */
+Class.getCommentTimesOfStreams = function(streamIds, from, to) {
+  return this.models.Comment.findAll({
+    attributes: ['createdAt'],
+    where: {
+      streamId: {$in: streamIds},
+      createdAt: {$gte: from, $lt: to}
+    },
+    raw: true
+  });
+};
+
+/**
+ * @param  {string} userId
+ * @param  {Date} to
+ * @return {Promise<List<Object>>} {createdAt} of the subscriptions to the
+ *         user made before the given time
+ */
+Class.getSubscriptionTimesOfUser = function(userId, to) {
+  return this.models.Subscription.findAll({
+    attributes: ['createdAt'],
+    where: {
+      subscribeTo: userId,
+      createdAt: {$lt: to}
+    },
+    raw: true
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                          BLOCKLIST API                                *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * @return {Promise<List<Sequelize.BlockedWord>>} in alphabetical order
+ */
+Class.getBlockedWords = function() {
+  return this.models.BlockedWord.findAll({
+    order: [['word', 'ASC']]
+  });
+};
+
+/**
+ * @param  {string} word
+ * @return {Promise<Sequelize.BlockedWord>}
+ */
+Class.addBlockedWord = function(word) {
+  return this.models.BlockedWord.findOrCreate({
+    where: {
+      word: word
+    }
+  }).spread((blockedWord) => blockedWord);
+};
+
+/**
+ * @param  {string} word
+ * @return {Promise<Boolean>} false if the word was not blocked
+ */
+Class.removeBlockedWord = function(word) {
+  return this.models.BlockedWord.destroy({
+    where: {
+      word: word
+    }
+  }).then((count) => count > 0);
+};
+
+/************************************************************************
+ *                                                                       *
+ *                              ROLE API                                 *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * @param  {Object} particulars
+ * @param  {string} particulars.name
+ * @param  {string} particulars.description
+ * @param  {Array<string>} particulars.permissions
+ * @return {Promise<Sequelize.Role>}
+ *         {DuplicateEntryError} if there is a role with the name
+ */
+Class.createRole = function(particulars) {
+  return this.models.Role.create(particulars).catch(function(err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return new CustomError.DuplicateEntryError('Duplicate Role');
+    }
+    throw err;
+  });
+};
+
+/**
+ * Creates the role if there is no role with its name
+ * @param  {Object} particulars see createRole
+ * @return {Promise<Sequelize.Role>}
+ */
+Class.ensureRole = function(particulars) {
+  return this.models.Role.findOrCreate({
+    where: {name: particulars.name},
+    defaults: particulars
+  }).spread((role) => role);
+};
+
+/**
+ * @param  {string} roleId
+ * @return {Promise<Sequelize.Role>} with its admins, or null
+ */
+Class.getRoleById = function(roleId) {
+  return this.models.Role.findOne({
+    where: {roleId: roleId},
+    include: [{model: this.models.User, as: 'admins'}]
+  });
+};
+
+/**
+ * @param  {Array<string>} roleIds
+ * @return {Promise<List<Sequelize.Role>>}
+ */
+Class.getRolesByIds = function(roleIds) {
+  return this.models.Role.findAll({
+    where: {roleId: {$in: roleIds}}
+  });
+};
+
+/**
+ * @return {Promise<List<Sequelize.Role>>} with their admins, by name
+ */
+Class.getListOfRoles = function() {
+  return this.models.Role.findAll({
+    include: [{model: this.models.User, as: 'admins'}],
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * @param  {string} roleId
+ * @param  {Object} particulars see createRole
+ * @return {Promise<Sequelize.Role>} null if there is no such role
+ *         {DuplicateEntryError} if there is another role with the name
+ */
+Class.updateRole = function(roleId, particulars) {
+  return this.getRoleById(roleId).then(function(role) {
+    if (!role) {
+      return null;
+    }
+
+    return role.update(particulars, {fields: Object.keys(particulars)});
+  }).catch(function(err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return new CustomError.DuplicateEntryError('Duplicate Role');
+    }
+    throw err;
+  });
+};
+
+/**
+ * @param  {string} roleId
+ * @return {Promise<Boolean>} false if there is no such role
+ */
+Class.deleteRole = function(roleId) {
+  return this.models.AdminRole.destroy({
+    where: {roleId: roleId}
+  }).then(() => this.models.Role.destroy({
+    where: {roleId: roleId}
+  })).then((count) => count > 0);
+};
+
+/**
+ * @param  {string} userId
+ * @return {Promise<List<Sequelize.Role>>} by name
+ */
+Class.getRolesOfAdmin = function(userId) {
+  return this.models.User.findById(userId).then(function(user) {
+    return user ? user.getRoles({order: [['name', 'ASC']]}) : [];
+  });
+};
+
+/**
+ * Replaces the roles of the admin
+ * @param  {string} userId
+ * @param  {Array<string>} roleIds
+ * @return {Promise}
+ */
+Class.setRolesOfAdmin = function(userId, roleIds) {
+  return this.getUserById(userId).then(function(user) {
+    return user.setRoles(roleIds);
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                            SETTING API                                *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * @param  {string} key
+ * @param  {*} defaultValue returned if the setting has not been saved
+ * @return {Promise<*>} the value of the setting
+ */
+Class.getSetting = function(key, defaultValue) {
+  return this.models.Setting.findById(key).then(function(setting) {
+    return setting ? JSON.parse(setting.value) : defaultValue;
+  });
+};
+
+/**
+ * @param  {string} key
+ * @param  {*} value anything that can be stored as JSON
+ * @return {Promise<*>} the saved value
+ */
+Class.setSetting = function(key, value) {
+  return this.models.Setting.upsert({
+    key: key,
+    value: JSON.stringify(value)
+  }).then(() => value);
+};
+
+/************************************************************************
+ *                                                                       *
+ *                            CACHE API                                  *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * @param  {string} key
+ * @return {Promise<Sequelize.CacheEntry>} null if the entry has expired
+ */
+Class.getCacheEntry = function(key) {
+  return this.models.CacheEntry.findById(key).then(function(entry) {
+    if (entry && entry.expiresAt.getTime() <= Date.now()) {
+      return entry.destroy().then(() => null);
+    }
+    return entry;
+  });
+};
+
+/**
+ * @param  {string} key
+ * @param  {*} item anything that can be stored as JSON
+ * @param  {number} ttl ms before the entry expires
+ * @return {Promise}
+ */
+Class.setCacheEntry = function(key, item, ttl) {
+  var stored = Date.now();
+  return this.models.CacheEntry.upsert({
+    key: key,
+    item: JSON.stringify(item),
+    stored: stored,
+    expiresAt: new Date(stored + ttl)
+  });
+};
+
+/**
+ * @param  {string} key
+ * @return {Promise<number>} the number of entries deleted
+ */
+Class.deleteCacheEntry = function(key) {
+  return this.models.CacheEntry.destroy({where: {key: key}});
+};
+
+/**
+ * @return {Promise<number>} the number of expired entries deleted
+ */
+Class.deleteExpiredCacheEntries = function() {
+  return this.models.CacheEntry.destroy({
+    where: {expiresAt: {$lte: new Date()}}
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                             LOG API                                   *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * @param  {string} modelName either Log or ResponseLog
+ * @param  {Array<Object>} entries
+ * @return {Promise<List<Sequelize.Log>>}
+ */
+Class.createLogEntries = function(modelName, entries) {
+  return this.models[modelName].bulkCreate(entries);
+};
+
+/**
+ * Fields of the filters are matched exactly, except the path which is
+ * matched as a prefix
+ * @param  {string} modelName either Log or ResponseLog
+ * @param  {Object} filters
+ * @param  {string} filters.level
+ * @param  {string} filters.label
+ * @param  {string} filters.path
+ * @param  {number} filters.status
+ * @param  {number} filters.after only entries logged after this unix time
+ * @param  {number} filters.before only entries logged before this unix time
+ * @param  {Object} page
+ * @param  {number} page.limit
+ * @param  {number} page.offset
+ * @return {Promise<List<Sequelize.Log>>} most recent entries first
+ */
+Class.getLogEntries = function(modelName, filters, page) {
+  var where = _.omit(_.pick(filters, 'level', 'label', 'status'),
+                    _.isUndefined);
+
+  if (filters.path) {
+    where.path = buildLikeCondition(this.dialect, filters.path + '%');
+  }
+
+  if (filters.after || filters.before) {
+    where.timestamp = {};
+    if (filters.after) {
+      where.timestamp.$gt = new Date(filters.after);
+    }
+    if (filters.before) {
+      where.timestamp.$lt = new Date(filters.before);
+    }
+  }
+
+  return this.models[modelName].findAll({
+    where: where,
+    order: [['timestamp', 'DESC'], ['logId', 'DESC']],
+    limit: page.limit,
+    offset: page.offset
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                            AUDIT API                                  *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * @param  {Object} entry
+ * @param  {string} entry.actorId
+ * @param  {string} entry.action
+ * @return {Promise<Sequelize.AuditLog>}
+ */
+Class.createAuditEntry = function(entry) {
+  return this.models.AuditLog.create(entry);
+};
+
+/**
+ * Fields of the filters are matched exactly, except the action which is
+ * matched as a prefix, e.g. "stream." matches every stream action
+ * @param  {Object} filters
+ * @param  {string} filters.actorId
+ * @param  {string} filters.action
+ * @param  {string} filters.targetType
+ * @param  {string} filters.targetId
+ * @param  {number} filters.after only entries logged after this unix time
+ * @param  {number} filters.before only entries logged before this unix time
+ * @param  {Object} page
+ * @param  {number} page.limit
+ * @param  {number} page.offset
+ * @return {Promise<List<Sequelize.AuditLog>>} most recent entries first
+ */
+Class.getAuditEntries = function(filters, page) {
+  var where = _.omit(_.pick(filters, 'actorId', 'targetType', 'targetId'),
+                    _.isUndefined);
+
+  if (filters.action) {
+    where.action = buildLikeCondition(this.dialect, filters.action + '%');
+  }
+
+  if (filters.after || filters.before) {
+    where.timestamp = {};
+    if (filters.after) {
+      where.timestamp.$gt = new Date(filters.after);
+    }
+    if (filters.before) {
+      where.timestamp.$lt = new Date(filters.before);
+    }
+  }
+
+  return this.models.AuditLog.findAll({
+    where: where,
+    order: [['timestamp', 'DESC'], ['auditId', 'DESC']],
+    limit: page.limit,
+    offset: page.offset
+  });
+};
+
+/************************************************************************
+ *                                                                       *
+ *                           SEARCH API                                  *
+ *                                                                       *
+ *************************************************************************/
+/**
+ * Searchable columns of each model and the weight a match in the column
+ * adds to the rank of a result
+ * @private
+ */
+var SEARCH_FIELDS = {
+  Stream: {title: 2, description: 1},
+  User: {alias: 2, description: 1},
+  Comment: {content: 1}
+};
+
+/**
+ * @param  {Array<string>} terms
+ * @param  {Object} options
+ * @param  {boolean} options.includeDeleted include deleted streams
+ * @param  {number} options.limit
+ * @param  {number} options.offset
+ * @return {Promise<List<Sequelize.Stream>>} ordered by rank
+ */
+Class.searchStreams = function(terms, options) {
+  var search = buildSearchQuery(this, 'Stream', terms);
+
+  return this.models.Stream.findAll({
+    attributes: {include: [[search.rank, 'rank']]},
+    include: [{
+      model: this.models.User,
+      as: 'streamer'
+    }],
+    where: search.where,
+    order: [[search.rank, 'DESC'], ['createdAt', 'DESC']],
+    paranoid: !options.includeDeleted,
+    limit: options.limit,
+    offset: options.offset
+  });
+};
+
+/**
+ * Admins are not returned as they are stored as users with permissions
+ * @param  {Array<string>} terms
+ * @param  {Object} options
+ * @param  {number} options.limit
+ * @param  {number} options.offset
+ * @return {Promise<List<Sequelize.User>>} ordered by rank
+ */
+Class.searchUsers = function(terms, options) {
+  var search = buildSearchQuery(this, 'User', terms);
+  search.where.permissions = null;
+
+  return this.models.User.findAll({
+    attributes: {include: [[search.rank, 'rank']]},
+    where: search.where,
+    order: [[search.rank, 'DESC'], ['createdAt', 'DESC']],
+    limit: options.limit,
+    offset: options.offset
+  });
+};
+
+/**
+ * Only comments of streams visible to the searcher are returned
+ * @param  {Array<string>} terms
+ * @param  {Object} options
+ * @param  {boolean} options.includeDeleted include comments of deleted streams
+ * @param  {number} options.limit
+ * @param  {number} options.offset
+ * @return {Promise<List<Sequelize.Comment>>} ordered by rank
+ */
+Class.searchComments = function(terms, options) {
+  var search = buildSearchQuery(this, 'Comment', terms);
+
+  return this.models.Comment.findAll({
+    attributes: {include: [[search.rank, 'rank']]},
+    include: [{
+      model: this.models.Stream,
+      as: 'streams',
+      attributes: ['streamId', 'title'],
+      required: true,
+      paranoid: !options.includeDeleted
+    }],
+    where: search.where,
+    order: [[search.rank, 'DESC'], ['createdAt', 'DESC']],
+    limit: options.limit,
+    offset: options.offset
+  });
+};
+
+/**
+ * Check if the fields to be changed match the fields available in object
+ * @private
+ */
+function isFieldsMatched(user, options, fn) {
+  var fieldsToChange = options.fields;
+  var index = fieldsToChange.indexOf('updatedAt');
+  var objFields = Object.keys(user.dataValues);
+
+  if (index === 0) { //only change updatedAt time
+    return fn();
+  }
+
+  if (_(fieldsToChange).difference(objFields).length !== 0) {
+    var err = new CustomError.InvalidColumnError('Column name undefined');
+    logger.error(err.message);
+
+    throw err;
+  } else {
+    return fn();
+  }
+}
+
+/**
+ * End a view and add the time since it was last resumed to its duration
+ * @private
+ */
+function endView(view, endedAt) {
+  var resumedAt = view.resumedAt || view.createdAt;
+  var watched = Math.max(0, Math.round((endedAt - resumedAt) / 1000));
+
+  return view.update({
+    endedAt: endedAt,
+    duration: view.duration + watched
+  });
+}
+
+/**
+ * Build the where, order and limit options of a list of streams query
+ * @private
+ */
+function buildStreamListQuery(originalFilters, page) {
+  var filters = mapParams(originalFilters);
+  var query = {
+    where: {
+      live: filters.state
+    }
+  };
+
+  // streamId is the last tie breaker so that every stream has a unique
+  // position in the list, which is required for paging with a cursor
+  if (filters.sort !== 'createdAt') {
+    query.order = [[filters.sort, filters.order], ['createdAt', 'DESC'],
+                   ['streamId', 'DESC']];
+  } else {
+    query.order = [[filters.sort, filters.order], ['streamId', filters.order]];
+  }
+
+  if (page && page.after) {
+    query.where.$or = buildCursorConditions(filters, page.after);
+  }
+
+  if (page && page.limit) {
+    query.limit = page.limit;
+  }
+
+  return query;
+}
+
+/**
+ * Build the conditions selecting the streams sorted after the cursor
+ * @private
+ */
+function buildCursorConditions(filters, cursor) {
+  var cmp = filters.order === 'ASC' ? '$gt' : '$lt';
+
+  if (filters.sort === 'createdAt') {
+    var createdAfter = {};
+    var streamAfter = {};
+    createdAfter[cmp] = cursor.createdAt;
+    streamAfter[cmp] = cursor.streamId;
+
+    return [
+      {createdAt: createdAfter},
+      {createdAt: cursor.createdAt, streamId: streamAfter}
+    ];
+  }
+
+  var valueAfter = {};
+  valueAfter[cmp] = cursor.value;
+
+  var conditions = [
+    {},
+    {createdAt: {$lt: cursor.createdAt}},
+    {createdAt: cursor.createdAt, streamId: {$lt: cursor.streamId}}
+  ];
+  conditions[0][filters.sort] = valueAfter;
+  conditions[1][filters.sort] = cursor.value;
+  conditions[2][filters.sort] = cursor.value;
+  return conditions;
+}
+
+/**
+ * Build the condition matching a LIKE pattern, case insensitively on every
+ * dialect
+ * @private
+ */
+function buildLikeCondition(dialect, pattern) {
+  var condition = {};
+  condition[dialect.like] = pattern;
+  return condition;
+}
+
+/**
+ * Build the where condition matching any of the terms in the searchable
+ * columns of a model, and the rank expression of the matches
+ * @private
+ */
+function buildSearchQuery(storage, modelName, terms) {
+  var fields = SEARCH_FIELDS[modelName];
+  var sequelize = storage.sequelize;
+  var queryInterface = sequelize.getQueryInterface();
+  var conditions = [];
+  var ranks = [];
+
+  terms.forEach(function(term) {
+    var pattern = '%' + term + '%';
+
+    Object.keys(fields).forEach(function(field) {
+      var column = queryInterface.quoteIdentifiers(modelName + '.' + field);
+
+      var condition = {};
+      condition[field] = buildLikeCondition(storage.dialect, pattern);
+      conditions.push(condition);
+      ranks.push(util.format('CASE WHEN %s %s %s THEN %d ELSE 0 END',
+                             column, storage.dialect.likeKeyword,
+                             sequelize.escape(pattern), fields[field]));
+    });
+  });
+
+  return {
+    where: {$or: conditions},
+    rank: sequelize.literal('(' + ranks.join(' + ') + ')')
+  };
 }
 
 /**
  * Map the database query parameters
  * @private
  */
-function mapParams(filters) {
+function mapParams(originalFilters) {
+  var filters = _.clone(originalFilters);
 
   var filterMap = {
     'time': 'createdAt',
@@ -35,6 +35,10 @@ module.exports = function(sequelize, DataTypes) {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    peakViewers: {          // most users in the chat room at once
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
     live: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
@@ -46,6 +50,15 @@ module.exports = function(sequelize, DataTypes) {
     endedAt: {
       type: DataTypes.DATE
     },
+    recordingPath: {
+      type: DataTypes.STRING
+    },
+    recordingSize: {
+      type: DataTypes.BIGINT
+    },
+    recordingDuration: {
+      type: DataTypes.INTEGER
+    },
     description: {
       type: DataTypes.TEXT
     }
@@ -75,6 +88,10 @@ module.exports = function(sequelize, DataTypes) {
           as: 'comments',
           foreignKey: 'streamId'
         });
+        Stream.hasMany(models.Sticker, {
+          as: 'stickers',
+          foreignKey: 'streamId'
+        });
       }
     }
   });
@@ -13,8 +13,7 @@ module.exports = function(sequelize, DataTypes) {
       primaryKey: true
     },
     platformType: {
-      type: DataTypes.ENUM,
-      values: ['facebook']
+      type: DataTypes.STRING(50)
     },
     platformId: {
       type: DataTypes.STRING(191)
@@ -54,6 +53,36 @@ module.exports = function(sequelize, DataTypes) {
     permissions: {
       type: DataTypes.STRING(191),
       defaultValue: null // default to null for all users
+    },
+    failedLogins: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lockedAt: {
+      type: DataTypes.DATE
+    },
+    passwordChangedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    passwordResetHash: {
+      type: DataTypes.STRING(64)
+    },
+    passwordResetExpiresAt: {
+      type: DataTypes.DATE
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    twoFactorSecret: {
+      type: DataTypes.STRING(64)
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.TEXT // JSON array of hashed codes
+    },
+    twoFactorLastStep: {
+      type: DataTypes.INTEGER // last TOTP time step used, against replays
     }
   }, {
     freezeTableName: true,
@@ -143,6 +172,19 @@ module.exports = function(sequelize, DataTypes) {
           as: 'comments',
           foreignKey: 'userId'
         });
+        User.hasMany(models.Sticker, {
+          as: 'stickers',
+          foreignKey: 'userId'
+        });
+        User.hasMany(models.Identity, {
+          as: 'identities',
+          foreignKey: 'userId'
+        });
+        User.belongsToMany(models.Role, {
+          through: models.AdminRole,
+          as: 'roles',
+          foreignKey: 'userId'
+        });
       }
     }
   });
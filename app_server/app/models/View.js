@@ -12,8 +12,16 @@ module.exports = function(sequelize, DataTypes) {
       allowNull: false,
       primaryKey: true
     },
+    resumedAt: {         // start of the current watch, set again on rejoin
+      type: DataTypes.DATE
+    },
     endedAt: {
       type: DataTypes.DATE
+    },
+    duration: {          // s watched in the watches that have ended
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
     }
   }, {
     paranoid: true,
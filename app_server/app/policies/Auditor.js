@@ -0,0 +1,188 @@
+/**
+ * Hapi plugin that records the actions of admins in the audit trail. Routes
+ * are audited by adding an audit config to their plugins, e.g.
+ *
+ *   config: {
+ *     plugins: {
+ *       audit: {
+ *         action: 'stream.delete',
+ *         targetType: 'stream',
+ *         getTargetId: (request, response) => request.params.id,
+ *         getState: (id) => Service.getStreamById(id)
+ *       }
+ *     }
+ *   }
+ *
+ * getTargetId defaults to the id in the path and is called again with the
+ * response if there is no id before the handler, e.g. when creating.
+ * getState is optional and gives the target before and after the handler,
+ * so that the changed fields can be recorded.
+ * @module app/policies/Auditor
+ */
+var rfr = require('rfr');
+var Promise = require('bluebird');
+
+var Service = rfr('app/services/Service');
+var Utility = rfr('app/util/Utility');
+
+var logger = Utility.createLogger(__filename);
+
+var ADMIN_SCOPE = 'admin';
+
+var IGNORED_FIELDS = ['password', 'accessToken', 'passwordResetHash',
+                      'passwordResetExpiresAt', 'twoFactorSecret',
+                      'twoFactorRecoveryCodes', 'twoFactorLastStep',
+                      'updatedAt'];
+
+exports.register = function(server, options, next) {
+  server.ext('onPreHandler', function(request, reply) {
+    var audit = getAuditConfig(request);
+    if (!audit) {
+      return reply.continue();
+    }
+
+    var targetId = getTargetId(audit, request);
+    request.plugins.audit = {targetId: targetId};
+
+    return getState(audit, targetId).then(function(before) {
+      request.plugins.audit.before = before;
+    }).catch(function(err) {
+      logger.error('Unable to get state before %s: %s', audit.action, err);
+    }).finally(() => reply.continue());
+  });
+
+  server.ext('onPreResponse', function(request, reply) {
+    var audit = getAuditConfig(request);
+    var response = request.response;
+    if (!audit || response.isBoom || response.statusCode >= 400) {
+      return reply.continue();
+    }
+
+    var context = request.plugins.audit || {};
+    var targetId = context.targetId || getTargetId(audit, request,
+                                                   response.source);
+
+    return getState(audit, targetId).then(function(after) {
+      var credentials = request.auth.credentials;
+
+      return Service.recordAuditEntry({
+        actorId: credentials.userId,
+        actorUsername: credentials.username,
+        action: audit.action,
+        targetType: audit.targetType,
+        targetId: targetId === undefined ? null : String(targetId),
+        changes: diff(context.before, after),
+        ipAddress: request.info.remoteAddress
+      });
+    }).then(function(result) {
+      if (result instanceof Error) {
+        logger.error('Unable to audit %s: %s', audit.action, result.message);
+      }
+    }).catch(function(err) {
+      logger.error('Unable to audit %s: %s', audit.action, err);
+    }).finally(() => reply.continue());
+  });
+
+  next();
+};
+
+exports.register.attributes = {
+  name: 'Auditor'
+};
+
+var diff =
+/**
+ * Compares two states of a target, ignoring nested objects and fields that
+ * must not be stored such as passwords
+ * @param  {Object} before null if the target did not exist
+ * @param  {Object} after null if the target does not exist anymore
+ * @return {Object} {<field>: {before, after}} of the changed fields, or null
+ *         if nothing has changed
+ */
+exports.diff = function(before, after) {
+  before = before || {};
+  after = after || {};
+
+  var changes = {};
+  var fields = new Set(Object.keys(before).concat(Object.keys(after)));
+
+  fields.forEach(function(field) {
+    if (IGNORED_FIELDS.indexOf(field) !== -1 ||
+        isNestedObject(before[field]) || isNestedObject(after[field])) {
+      return;
+    }
+
+    var beforeValue = normalise(before[field]);
+    var afterValue = normalise(after[field]);
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = {before: beforeValue, after: afterValue};
+    }
+  });
+
+  return Object.keys(changes).length ? changes : null;
+};
+
+/**
+ * @private
+ * @return {Object} the audit config of the route if it was requested by an
+ *         admin, or null
+ */
+function getAuditConfig(request) {
+  var audit = request.route.settings.plugins.audit;
+  var credentials = request.auth.credentials;
+  if (!audit || !credentials) {
+    return null;
+  }
+
+  var scope = [].concat(credentials.scope);
+  return scope.indexOf(ADMIN_SCOPE) === -1 ? null : audit;
+}
+
+/**
+ * @private
+ */
+function getTargetId(audit, request, source) {
+  if (audit.getTargetId) {
+    return audit.getTargetId(request, source);
+  }
+
+  return request.params.id;
+}
+
+/**
+ * @private
+ * @return {Promise<Object>} the state of the target, or null if it cannot
+ *         be found
+ */
+function getState(audit, targetId) {
+  if (!audit.getState || targetId === undefined) {
+    return Promise.resolve(null);
+  }
+
+  return Promise.resolve(audit.getState(targetId)).then(function(state) {
+    if (!state || state instanceof Error) {
+      return null;
+    }
+
+    return state.get ? state.get({plain: true}) : state;
+  });
+}
+
+/**
+ * @private
+ */
+function isNestedObject(value) {
+  return value !== null && typeof value === 'object' &&
+         !(value instanceof Date) && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function normalise(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  return value === undefined ? null : value;
+}
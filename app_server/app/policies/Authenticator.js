@@ -7,9 +7,11 @@ var util = require('util');
 var Promise = require('bluebird');
 var bcrypt = Promise.promisifyAll(require('bcryptjs'));
 var crypto = require('crypto');
+var Boom = require('boom');
 
 var SocialMediaAdapter = rfr('app/adapters/social_media/SocialMediaAdapter');
 var Service = rfr('app/services/Service');
+var CustomError = rfr('app/util/Error');
 var Utility = rfr('app/util/Utility');
 var ServerConfig = rfr('config/ServerConfig');
 
@@ -24,9 +26,14 @@ Class.ERRORS = {
   RETRIEVE_PROFILE: 'Error retrieving user\'s social media profile',
   INVALID_CREDENTIALS: 'Username or password is invalid',
   INVALID_SESSION: 'Session cookie is invalid',
-  UNKNOWN_SCOPE: 'Unknown scope'
+  REVOKED_SESSION: 'Session has been revoked',
+  UNKNOWN_SCOPE: 'Unknown scope',
+  INVALID_TOKEN: 'Access token is invalid',
+  LOCKED_ACCOUNT: 'Account is locked after too many failed logins'
 };
 
+Class.BEARER = 'Bearer';
+
 Class.SCOPE = {
   USER: 'user',
   ADMIN: {
@@ -41,8 +48,11 @@ Class.SCOPE = {
 };
 
 Class.CRYPTO = {
-  METHOD: 'aes-256-ctr',
-  ENCODING: 'base64'
+  VERSION: 'v2',
+  METHOD: 'aes-256-gcm',
+  IV_LENGTH: 12,
+  ENCODING: 'base64',
+  LEGACY_METHOD: 'aes-256-ctr'
 };
 
 /**
@@ -55,17 +65,9 @@ Class.CRYPTO = {
 Class.authenticateUser = function (platformType, credentials) {
   logger.info('Authenticating with %s', platformType);
 
-  var profilePromise =
-    Promise.method(function getSocialMediaAdapter() {
-      return new SocialMediaAdapter(platformType, credentials);
-    })().then((adapter) => adapter.getUser());
+  var profilePromise = getProfile(platformType, credentials);
 
   var userPromise = profilePromise.then(function receiveProfile(profile) {
-    if (!profile || profile instanceof Error || !('id' in profile)) {
-      throw new Error(Class.ERRORS.RETRIEVE_PROFILE + ' ' +
-                      JSON.stringify(profile));
-    }
-
     return Service.getUserByPlatform(platformType, profile.id);
   });
 
@@ -74,7 +76,7 @@ Class.authenticateUser = function (platformType, credentials) {
       return Class.generateNewUser(platformType, profile, credentials);
     }
 
-    return Class.updateUser(user, credentials);
+    return Class.updateUser(user, platformType, profile, credentials);
   })
   .then((resultUser) => Class.generateUserToken(resultUser))
   .catch(function (err) {
@@ -83,15 +85,58 @@ Class.authenticateUser = function (platformType, credentials) {
   });
 };
 
+/**
+ * Link a social media account to an existing user after checking the
+ * credentials with the platform
+ * @param userId {string}
+ * @param platformType the name of the social media platform
+ * @param credentials the user's credentials in that platform
+ * @return {Promise} of the user's identities or an Error
+ */
+Class.linkIdentity = function (userId, platformType, credentials) {
+  logger.info('Linking %s identity to user %s', platformType, userId);
+
+  return getProfile(platformType, credentials)
+  .then(function receiveProfile(profile) {
+    return Service.linkIdentity(userId, {
+      platformType: platformType,
+      platformId: profile.id,
+      accessToken: credentials.accessToken
+    });
+  })
+  .catch(function (err) {
+    logger.debug(err);
+    return err;
+  });
+};
+
+/**
+ * Replaces the user's password with a token for the user's session. The token
+ * is "v2.<key id>.<iv>.<auth tag>.<encrypted claims>" and is encrypted with
+ * the key in ServerConfig.userToken.keys named by ServerConfig.userToken.keyId
+ * @param user {object}
+ * @return {object} the user
+ */
 Class.generateUserToken = function (user) {
-  var cipher = crypto.createCipher(Class.CRYPTO.METHOD,
-                                   ServerConfig.tokenPassword);
-  var rawToken = util.format('%s;%s;%s', user.password,
-                              user.userId, user.accessToken);
+  var keyId = ServerConfig.userToken.keyId;
+  var key = getUserTokenKey(keyId);
+  var iv = crypto.randomBytes(Class.CRYPTO.IV_LENGTH);
+  var cipher = crypto.createCipheriv(Class.CRYPTO.METHOD, key, iv);
+  cipher.setAAD(new Buffer(util.format('%s.%s', Class.CRYPTO.VERSION, keyId)));
+
+  var claims = {
+    uid: user.userId,
+    pwd: fingerprint(user.password),
+    iat: Math.floor(Date.now() / 1000)
+  };
+  var encrypted = Buffer.concat([cipher.update(JSON.stringify(claims), 'utf8'),
+                                 cipher.final()]);
 
-  var encrypted = cipher.update(rawToken, 'utf8', Class.CRYPTO.ENCODING);
-  encrypted += cipher.final(Class.CRYPTO.ENCODING);
-  user.password = encrypted;
+  user.password = [
+    Class.CRYPTO.VERSION, keyId, Utility.encodeBase64Url(iv),
+    Utility.encodeBase64Url(cipher.getAuthTag()),
+    Utility.encodeBase64Url(encrypted)
+  ].join('.');
 
   return user;
 };
@@ -126,22 +171,76 @@ Class.generateNewUser = function (platformType, profile, credentials) {
   return Service.createNewUser(newUser);
 };
 
-Class.updateUser = function (user, credentials) {
+/**
+ * Keeps the access token the user logged in with. It belongs to the user if
+ * the user signed up with the platform account, or to the linked identity
+ * otherwise
+ * @param user {object}
+ * @param platformType {string}
+ * @param profile {object}
+ * @param credentials {object}
+ * @return {Promise} of the user
+ */
+Class.updateUser = function (user, platformType, profile, credentials) {
   var updatedFields = {
     accessToken: credentials.accessToken
   };
 
-  return Service.updateUser(user.userId, updatedFields);
+  if (user.platformType === platformType &&
+      String(user.platformId) === String(profile.id)) {
+    return Service.updateUser(user.userId, updatedFields);
+  }
+
+  return Service.updateIdentity(user.userId, platformType, profile.id,
+                                updatedFields).then(() => user);
+};
+
+/**
+ * Makes the token that stands in for the password in the session of an admin,
+ * so that the password itself is never kept in the cookie or the cache. The
+ * token is tied to the hash of the password, and is refused once the password
+ * is changed
+ * @param admin {object} with the hashed password
+ * @return {string} the token
+ */
+Class.generateAdminToken = function (admin) {
+  return Class.generateUserToken({
+    userId: admin.userId,
+    password: admin.password
+  }).password;
 };
 
+/**
+ * @param user {object}
+ * @param token {string} made by generateUserToken or generateAdminToken
+ * @return {boolean} true if the token was made for the user
+ */
 Class.verifyUserToken = function (user, token) {
-  var decipher = crypto.createDecipher(Class.CRYPTO.METHOD,
-                                       ServerConfig.tokenPassword);
-  var rawToken = decipher.update(token, Class.CRYPTO.ENCODING, 'utf8');
-  rawToken += decipher.final('utf8');
+  var parts = (token || '').split('.');
+  if (parts[0] !== Class.CRYPTO.VERSION) {
+    return verifyLegacyUserToken(user, token);
+  }
 
-  var parsedToken = rawToken.split(';');
-  return user.password === parsedToken[0] && user.userId === parsedToken[1];
+  var key = parts.length === 5 && getUserTokenKey(parts[1]);
+  if (!key) {
+    return false;
+  }
+
+  try {
+    var decipher = crypto.createDecipheriv(Class.CRYPTO.METHOD, key,
+                                           Utility.decodeBase64Url(parts[2]));
+    decipher.setAAD(new Buffer(util.format('%s.%s', parts[0], parts[1])));
+    decipher.setAuthTag(Utility.decodeBase64Url(parts[3]));
+
+    var encrypted = Utility.decodeBase64Url(parts[4]);
+    var claims = JSON.parse(Buffer.concat([decipher.update(encrypted),
+                                           decipher.final()]).toString());
+    return claims.uid === user.userId &&
+           claims.pwd === fingerprint(user.password);
+  } catch (err) {
+    logger.info('Invalid user token: %s', err.message);
+    return false;
+  }
 };
 
 /**
@@ -149,25 +248,79 @@ Class.verifyUserToken = function (user, token) {
  * @param credentials the user's credentials in that platform
  * @return {Promise} of the admin credentials for worldscope
  *                   or null if failed to authenticate admin
+ *                   or NotAuthorisedError if the admin is locked
  */
 Class.authenticateAdmin = function (credentials) {
   logger.info('Authenticating admin with %j', credentials);
 
-  var adminPromise = Service.getAdminByUsername(credentials.username);
-  var checkPassword = adminPromise.then(function checkPassword(admin) {
-    if (admin) {
-      return bcrypt.compareAsync(credentials.password, admin.password);
+  return Service.getAdminByUsername(credentials.username)
+  .then(function checkPassword(admin) {
+    if (!admin) {
+      return null;
     }
 
-    return false;
+    if (Service.isAdminLocked(admin)) {
+      logger.info('Admin %s is locked', admin.username);
+      return new CustomError.NotAuthorisedError(Class.ERRORS.LOCKED_ACCOUNT);
+    }
+
+    return bcrypt.compareAsync(credentials.password, admin.password)
+    .then(function returnAuthenticationResult(isAuthenticated) {
+      if (!isAuthenticated) {
+        return Service.recordFailedAdminLogin(admin).then(() => null);
+      }
+
+      return Service.recordSuccessfulAdminLogin(admin).then(() => admin);
+    });
   });
+};
+
+/**
+ * hapi auth scheme that accepts the access tokens issued by the token
+ * service in the Authorization header, e.g. "Bearer <token>"
+ * @param server {Hapi.Server}
+ * @param options {object}
+ * @return {object} the scheme
+ */
+Class.bearerScheme = function (server, options) {
+  return {
+    authenticate: function (request, reply) {
+      var authorization = request.headers.authorization || '';
+      var match = authorization.match(/^Bearer\s+(\S+)$/i);
+      if (!match) {
+        return reply(Boom.unauthorized(null, Class.BEARER));
+      }
+
+      Class.validateBearerToken(match[1]).then(function (credentials) {
+        if (credentials instanceof Error) {
+          return reply(Boom.unauthorized(credentials.message, Class.BEARER));
+        }
 
-  return Promise.join(adminPromise, checkPassword,
-      function returnAuthenticationResult(admin, isAuthenticated) {
-        return isAuthenticated ? admin : null;
+        return reply.continue({credentials: credentials});
       });
+    }
+  };
+};
+
+/**
+ * @param token {string} an access token
+ * @return {Promise} of the credentials in the token or an Error
+ */
+Class.validateBearerToken = function (token) {
+  return Service.verifyAccessToken(token).catch(function (err) {
+    logger.error(err);
+    return new Error(Class.ERRORS.INVALID_TOKEN);
+  });
 };
 
+/**
+ * Validates the credentials in a session cookie, against the cached account
+ * or else the database. Sessions that have been revoked are refused
+ * @param server {Server}
+ * @param session {Object} the credentials in the cookie
+ * @param request {Request}
+ * @return {Promise} of the account or an Error
+ */
 Class.validateAccount = function (server, session, request) {
   return Promise.resolve(session.userId)
   .then(function getAccountFromCache(userId) {
@@ -193,15 +346,17 @@ Class.validateAccount = function (server, session, request) {
     var isCredentialsValidated = session.username === cached.username &&
                                  session.password === cached.password;
 
-    if (!isAdminScope(session.scope)) {
-      return isCredentialsValidated;
+    if (isAdminScope(session.scope)) {
+      isCredentialsValidated = isCredentialsValidated &&
+          request.headers['x-csrf-token'] === request.headers.cookie;
     }
 
-    return isCredentialsValidated &&
-           request.headers['x-csrf-token'] === request.headers.cookie;
-  }).then(function getAccountFromDatabase(cacheValidateResult) {
-    if (cacheValidateResult) {
-      return session;
+    // the cached scope of admins is kept up to date with their roles
+    return isCredentialsValidated ?
+           Object.assign({}, session, {scope: cached.scope}) : null;
+  }).then(function getAccountFromDatabase(cachedAccount) {
+    if (cachedAccount) {
+      return cachedAccount;
     }
 
     return Service.getUserById(session.userId)
@@ -211,42 +366,133 @@ Class.validateAccount = function (server, session, request) {
       }
 
       if (session.scope === Class.SCOPE.USER) {
-        return Class.verifyUserToken(user, session.password);
+        return Class.verifyUserToken(user, session.password) && session;
       } else if (isAdminScope(session.scope)) {
-        return request.headers['x-csrf-token'] === request.headers.cookie &&
-               isSimilarScope(session.scope, JSON.parse(user.permissions)) &&
-               bcrypt.compareAsync(session.password, user.password);
+        return verifyAdminSession(user, session, request);
       } else {
         return new Error(Class.ERRORS.UNKNOWN_SCOPE);
       }
     })
-    .then(function compareResult(res) {
-      if (!res) {
+    .then(function compareResult(account) {
+      if (!account) {
         return new Error(Class.ERRORS.INVALID_CREDENTIALS);
       }
 
-      if (res instanceof Error) {
-        return res;
+      if (account instanceof Error) {
+        return account;
       }
 
-      server.app.cache.set(session.userId, session, 0,
+      server.app.cache.set(session.userId, account, 0,
                            function (err) {
                              if (err) {
                                logger.error(err);
                              }
                            });
-      return session;
+      return account;
+    });
+  }).then(function trackSession(account) {
+    if (!account || account instanceof Error) {
+      return account;
+    }
+
+    return server.app.sessions.track(session, request)
+    .then(function (isTracked) {
+      return isTracked ? account : new Error(Class.ERRORS.REVOKED_SESSION);
     });
   });
 };
 
 var isAdminScope = (scope) => Array.isArray(scope) &&
                               scope.indexOf(Class.SCOPE.ADMIN.DEFAULT) !== -1;
-var isSimilarScope = (s1, s2) => {
-  var set1 = new Set(s1);
-  var set2 = new Set(s2);
-  return set1.size === set2.size &&
-      s1.filter((s) => !set2.has(s)).length === 0;
-};
+
+/**
+ * Checks the session of an admin against the database. The scope of the
+ * session is replaced with the current scope of the admin, so that changes
+ * to their permissions or roles apply without logging in again
+ * @private
+ * @return {Promise} of the account, or false if the session is invalid
+ */
+function verifyAdminSession(user, session, request) {
+  if (request.headers['x-csrf-token'] !== request.headers.cookie ||
+      user.permissions === null) {
+    return Promise.resolve(false);
+  }
+
+  if (!Class.verifyUserToken(user, session.password)) {
+    return Promise.resolve(false);
+  }
+
+  return Service.getAdminScopes(user).then(function(scope) {
+    return Object.assign({}, session, {scope: scope});
+  });
+}
+
+/**
+ * Get a user's profile from a social media platform
+ * @private
+ * @return {Promise} of the profile, rejected if it cannot be retrieved
+ */
+function getProfile(platformType, credentials) {
+  return Promise.method(function getSocialMediaAdapter() {
+    return new SocialMediaAdapter(platformType, credentials);
+  })().then((adapter) => adapter.getUser())
+  .then(function receiveProfile(profile) {
+    if (!profile || profile instanceof Error || !('id' in profile)) {
+      throw new Error(Class.ERRORS.RETRIEVE_PROFILE + ' ' +
+                      JSON.stringify(profile));
+    }
+
+    return profile;
+  });
+}
+
+/**
+ * Tokens made before tokens were versioned are accepted until
+ * ServerConfig.userToken.legacyTokensUntil, so that users stay logged in
+ * while the new tokens are rolled out
+ * @private
+ */
+function verifyLegacyUserToken(user, token) {
+  var gracePeriodEnd = Date.parse(ServerConfig.userToken.legacyTokensUntil);
+  if (!(Date.now() < gracePeriodEnd)) {
+    return false;
+  }
+
+  try {
+    var decipher = crypto.createDecipher(Class.CRYPTO.LEGACY_METHOD,
+                                         ServerConfig.tokenPassword);
+    var rawToken = decipher.update(token, Class.CRYPTO.ENCODING, 'utf8');
+    rawToken += decipher.final('utf8');
+
+    var parsedToken = rawToken.split(';');
+    return user.password === parsedToken[0] && user.userId === parsedToken[1];
+  } catch (err) {
+    logger.info('Invalid legacy user token: %s', err.message);
+    return false;
+  }
+}
+
+/**
+ * @private
+ * @return {Buffer} the key with the given id, or null if there is none
+ */
+function getUserTokenKey(keyId) {
+  var keys = ServerConfig.userToken.keys;
+  if (!keys.hasOwnProperty(keyId)) {
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(keys[keyId]).digest();
+}
+
+/**
+ * Identifies the user's password without revealing it, so that tokens stop
+ * working when the password changes
+ * @private
+ */
+function fingerprint(password) {
+  return crypto.createHash('sha256').update(String(password)).digest('hex')
+    .slice(0, 16);
+}
 
 module.exports = new Authenticator();
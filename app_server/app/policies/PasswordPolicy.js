@@ -0,0 +1,94 @@
+/**
+ * Rules that admin passwords have to follow and how they are stored
+ * @module PasswordPolicy
+ */
+'use strict';
+
+var rfr = require('rfr');
+var bcrypt = require('bcryptjs');
+
+var CustomError = rfr('app/util/Error');
+var ServerConfig = rfr('config/ServerConfig');
+
+function PasswordPolicy(config) {
+  this.config = config;
+}
+
+var Class = PasswordPolicy.prototype;
+
+Class.SALT_ROUNDS = 10;
+
+/**
+ * @param  {string} password
+ * @param  {string} username
+ * @return {InvalidFieldError} listing every rule that the password breaks,
+ *         or null if it follows the policy
+ */
+Class.validate = function(password, username) {
+  var policy = this.config.policy;
+  var problems = [];
+
+  password = password || '';
+
+  if (password.length < policy.minLength) {
+    problems.push('be at least ' + policy.minLength + ' characters long');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('contain a lowercase letter');
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('contain an uppercase letter');
+  }
+
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    problems.push('contain a digit');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('contain a symbol');
+  }
+
+  if (policy.disallowUsername && username &&
+      password.toLowerCase().indexOf(username.toLowerCase()) !== -1) {
+    problems.push('not contain the username');
+  }
+
+  if (problems.length === 0) {
+    return null;
+  }
+
+  return new CustomError.InvalidFieldError(
+    'Password must ' + problems.join(', '), 'password');
+};
+
+/**
+ * @param  {Object} admin
+ * @param  {Date} admin.passwordChangedAt
+ * @return {boolean} true if the password is older than the allowed age
+ */
+Class.isExpired = function(admin) {
+  if (!this.config.maxAge) {
+    return false;
+  }
+
+  var changedAt = admin.passwordChangedAt || admin.createdAt;
+  if (!changedAt) {
+    return false;
+  }
+
+  return new Date(changedAt).getTime() + this.config.maxAge * 1000 <=
+         Date.now();
+};
+
+/**
+ * @param  {string} password
+ * @return {string} the bcrypt hash of the password
+ */
+Class.hash = function(password) {
+  var salt = bcrypt.genSaltSync(Class.SALT_ROUNDS);
+  return bcrypt.hashSync(password, salt);
+};
+
+module.exports = new PasswordPolicy(ServerConfig.adminPassword);
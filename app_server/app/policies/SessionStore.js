@@ -0,0 +1,204 @@
+/**
+ * Keeps track of the cookie sessions of each account, so that they can be
+ * listed and revoked. Sessions are kept in the server cache, with a list of
+ * the sessions of each account. Cookies are only accepted while their session
+ * is in the cache, so that the cookies of sessions that were revoked, that
+ * expired or that the cache lost are refused.
+ * @module SessionStore
+ */
+'use strict';
+var rfr = require('rfr');
+var Promise = require('bluebird');
+
+var Utility = rfr('app/util/Utility');
+var ServerConfig = rfr('config/ServerConfig');
+
+var logger = Utility.createLogger(__filename);
+
+/**
+ * @param cache {Policy} a segment of the server cache
+ */
+function SessionStore(cache) {
+  this.cache = cache;
+}
+
+var Class = SessionStore.prototype;
+
+SessionStore.ID_LENGTH = Class.ID_LENGTH = 24;
+
+/**
+ * Starts a session for an account that logged in
+ * @param account {Object} the credentials to put in the cookie
+ * @param request {Request}
+ * @return {Promise<Object>} the session, whose id is added to the account
+ */
+Class.create = function(account, request) {
+  account.sessionId = Utility.randomValueBase64(Class.ID_LENGTH);
+  return this.__add(account, request);
+};
+
+/**
+ * Records the use of the session in a cookie
+ * @param credentials {Object} the credentials in the cookie
+ * @param request {Request}
+ * @return {Promise<Boolean>} false if the session has been revoked, or is not
+ *         in the cache
+ */
+Class.track = function(credentials, request) {
+  if (!credentials.sessionId) {
+    // logged in before sessions were tracked, so it cannot be revoked
+    return Promise.resolve(false);
+  }
+
+  return this.__get(credentials.sessionId).then((session) => {
+    if (!session || session.revoked ||
+        session.userId !== credentials.userId) {
+      return false;
+    }
+
+    let now = Date.now();
+    if (now - session.lastSeenAt < ServerConfig.sessionCache.touchInterval) {
+      return true;
+    }
+
+    session.lastSeenAt = now;
+    session.ip = getIp(request);
+    return this.__set(session).then(() => true);
+  });
+};
+
+/**
+ * @param userId {string}
+ * @return {Promise<Array<Object>>} the sessions of the account, most recently
+ *         used first
+ */
+Class.list = function(userId) {
+  return this.__getSessionIds(userId).then((sessionIds) => {
+    return Promise.map(sessionIds, (sessionId) => this.__get(sessionId));
+  }).then((sessions) => {
+    return sessions.filter((session) => session && !session.revoked)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .map(formatSession);
+  });
+};
+
+/**
+ * @param userId {string}
+ * @param sessionId {string}
+ * @return {Promise<Boolean>} false if the account has no such session
+ */
+Class.revoke = function(userId, sessionId) {
+  return this.__get(sessionId).then((session) => {
+    if (!session || session.revoked || session.userId !== userId) {
+      return false;
+    }
+
+    logger.info('Revoking session %s of %s', sessionId, userId);
+    session.revoked = true;
+    return this.__set(session)
+    .then(() => this.__removeSessionId(userId, sessionId))
+    .then(() => true);
+  });
+};
+
+/**
+ * @param userId {string}
+ * @return {Promise<Number>} the number of sessions revoked
+ */
+Class.revokeAll = function(userId) {
+  return this.__getSessionIds(userId).then((sessionIds) => {
+    return Promise.mapSeries(sessionIds,
+                             (sessionId) => this.revoke(userId, sessionId));
+  }).then((revoked) => revoked.filter((result) => result).length);
+};
+
+Class.__add = function(credentials, request) {
+  let now = Date.now();
+  let session = {
+    sessionId: credentials.sessionId,
+    userId: credentials.userId,
+    createdAt: now,
+    lastSeenAt: now,
+    userAgent: request.headers['user-agent'] || null,
+    ip: getIp(request)
+  };
+
+  return this.__set(session).then(() => {
+    return this.__getSessionIds(session.userId);
+  }).then((sessionIds) => {
+    // the sessions that expired are left out of the list
+    return Promise.filter(sessionIds, (sessionId) => {
+      return sessionId !== session.sessionId &&
+             this.__get(sessionId).then((other) => !!other);
+    });
+  }).then((sessionIds) => {
+    return this.__setSessionIds(session.userId,
+                                sessionIds.concat(session.sessionId));
+  }).then(() => session);
+};
+
+Class.__get = function(sessionId) {
+  return this.__getItem(getSessionKey(sessionId));
+};
+
+Class.__set = function(session) {
+  return this.__setItem(getSessionKey(session.sessionId), session);
+};
+
+Class.__getSessionIds = function(userId) {
+  return this.__getItem(getUserKey(userId))
+  .then((sessionIds) => sessionIds || []);
+};
+
+Class.__setSessionIds = function(userId, sessionIds) {
+  return this.__setItem(getUserKey(userId), sessionIds);
+};
+
+Class.__removeSessionId = function(userId, sessionId) {
+  return this.__getSessionIds(userId).then((sessionIds) => {
+    return this.__setSessionIds(userId,
+      sessionIds.filter((id) => id !== sessionId));
+  });
+};
+
+Class.__getItem = function(key) {
+  return Promise.fromCallback((callback) => this.cache.get(key, callback))
+  .then((item) => item || null);
+};
+
+Class.__setItem = function(key, item) {
+  return Promise.fromCallback((callback) => {
+    this.cache.set(key, item, 0, callback);
+  });
+};
+
+/**
+ * @private
+ */
+function formatSession(session) {
+  return {
+    sessionId: session.sessionId,
+    createdAt: new Date(session.createdAt),
+    lastSeenAt: new Date(session.lastSeenAt),
+    userAgent: session.userAgent,
+    ip: session.ip
+  };
+}
+
+/**
+ * @private
+ */
+function getIp(request) {
+  if (request.headers['x-forwarded-for']) {
+    return request.headers['x-forwarded-for'];
+  }
+
+  // requests of socket.io are not hapi requests
+  return request.info ? request.info.remoteAddress :
+                        request.connection.remoteAddress;
+}
+
+var getSessionKey = (sessionId) => 'session:' + sessionId;
+var getUserKey = (userId) => 'user:' + userId;
+
+module.exports = SessionStore;
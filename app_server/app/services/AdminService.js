@@ -1,7 +1,13 @@
 var rfr = require('rfr');
+var Promise = require('bluebird');
+var util = require('util');
 
+var CustomError = rfr('app/util/Error');
 var Utility = rfr('app/util/Utility');
 var Storage = rfr('app/models/Storage');
+var PasswordPolicy = rfr('app/policies/PasswordPolicy');
+var MailAdapter = rfr('app/adapters/MailAdapter');
+var ServerConfig = rfr('config/ServerConfig');
 
 var logger = Utility.createLogger(__filename);
 
@@ -10,6 +16,12 @@ function AdminService() {
 
 var Class = AdminService.prototype;
 
+Class.ERRORS = {
+  INVALID_RESET_TOKEN: 'Password reset token is invalid or has expired'
+};
+
+Class.RESET_TOKEN_LENGTH = 32;
+
 Class.createNewAdmin = function(particulars) {
   logger.debug('Creating new admin: %j', particulars);
 
@@ -81,4 +93,141 @@ Class.deleteAdminById = function(id) {
   });
 };
 
+/**
+ * @param  {Object} admin
+ * @return {boolean} true if the admin has failed to log in too many times
+ *         and the lockout has not ended
+ */
+Class.isLocked = function(admin) {
+  if (!admin.lockedAt) {
+    return false;
+  }
+
+  var duration = ServerConfig.adminPassword.lockoutDuration;
+  return !duration ||
+         new Date(admin.lockedAt).getTime() + duration * 1000 > Date.now();
+};
+
+/**
+ * Counts a failed login and locks the admin once the limit is reached
+ * @param  {Object} admin
+ * @return {Promise<Object>} the updated admin or null
+ */
+Class.recordFailedLogin = function(admin) {
+  // start counting again once an earlier lockout has ended
+  var failedLogins = (admin.lockedAt ? 0 : admin.failedLogins || 0) + 1;
+  var particulars = {failedLogins: failedLogins, lockedAt: null};
+
+  if (failedLogins >= ServerConfig.adminPassword.maxFailedLogins) {
+    logger.info('Locking admin %s after %d failed logins',
+                admin.username, failedLogins);
+    particulars.lockedAt = new Date();
+  }
+
+  return this.updateParticulars(admin.userId, particulars);
+};
+
+/**
+ * @param  {Object} admin
+ * @return {Promise<Object>} the updated admin or null
+ */
+Class.recordSuccessfulLogin = function(admin) {
+  if (!admin.failedLogins && !admin.lockedAt) {
+    return Promise.resolve(admin);
+  }
+
+  return this.unlockAdmin(admin.userId);
+};
+
+/**
+ * @param  {string} id
+ * @return {Promise<Object>} the updated admin or null
+ */
+Class.unlockAdmin = function(id) {
+  logger.info('Unlocking admin %s', id);
+  return this.updateParticulars(id, {failedLogins: 0, lockedAt: null});
+};
+
+/**
+ * Replaces the password of an admin if it follows the password policy
+ * @param  {Object} admin
+ * @param  {string} password
+ * @return {Promise<Object>} the updated admin or null
+ *         {InvalidFieldError} if the password breaks the policy
+ */
+Class.changePassword = function(admin, password) {
+  var invalid = PasswordPolicy.validate(password, admin.username);
+  if (invalid) {
+    return Promise.resolve(invalid);
+  }
+
+  logger.info('Changing password of admin %s', admin.userId);
+  return this.updateParticulars(admin.userId, {
+    password: PasswordPolicy.hash(password),
+    passwordChangedAt: new Date(),
+    failedLogins: 0,
+    lockedAt: null,
+    passwordResetHash: null,
+    passwordResetExpiresAt: null
+  });
+};
+
+/**
+ * Mails a password reset token to an admin
+ * @param  {string} username
+ * @return {Promise<Boolean>} true if the token was sent
+ */
+Class.requestPasswordReset = function(username) {
+  var token = Utility.randomValueBase64(Class.RESET_TOKEN_LENGTH);
+  var lifetime = ServerConfig.adminPassword.resetTokenLifetime;
+
+  return Storage.getUserByUsername(username).then((admin) => {
+    if (!admin || admin.permissions === null || !admin.email) {
+      logger.info('Unable to reset password of %s', username);
+      return false;
+    }
+
+    return this.updateParticulars(admin.userId, {
+      passwordResetHash: Utility.hash(token),
+      passwordResetExpiresAt: new Date(Date.now() + lifetime * 1000)
+    }).then(function(updated) {
+      if (!updated) {
+        return false;
+      }
+
+      return MailAdapter.send({
+        to: updated.email,
+        subject: 'Reset your WorldScope password',
+        text: util.format(
+          'A password reset was requested for %s.\n\n' +
+          'Open %s within %d minutes to choose a new password, ' +
+          'or ignore this message to keep the current one.',
+          updated.username,
+          util.format(ServerConfig.adminPassword.resetUrl, token),
+          Math.floor(lifetime / 60))
+      });
+    });
+  });
+};
+
+/**
+ * @param  {string} token sent by requestPasswordReset
+ * @param  {string} password
+ * @return {Promise<Object>} the updated admin or null
+ *         {NotAuthorisedError} if the token is invalid or has expired
+ *         {InvalidFieldError} if the password breaks the policy
+ */
+Class.resetPassword = function(token, password) {
+  var resetHash = Utility.hash(token);
+  return Storage.getUserByPasswordResetHash(resetHash).then((admin) => {
+    if (!admin || admin.permissions === null ||
+        admin.passwordResetExpiresAt.getTime() <= Date.now()) {
+      return new CustomError.NotAuthorisedError(
+        Class.ERRORS.INVALID_RESET_TOKEN);
+    }
+
+    return this.changePassword(admin.dataValues, password);
+  });
+};
+
 module.exports = new AdminService();
@@ -0,0 +1,213 @@
+/**
+ * Time series of the audience of a streamer's streams, bucketed by hour or
+ * day, so that streamers can see how their streams are doing over time
+ * @module AnalyticsService
+ */
+'use strict';
+
+var rfr = require('rfr');
+var Promise = require('bluebird');
+var util = require('util');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var TimeSeries = rfr('app/util/TimeSeries');
+var Storage = rfr('app/models/Storage');
+var ServerConfig = rfr('config/ServerConfig');
+
+var logger = Utility.createLogger(__filename);
+
+function AnalyticsService() {
+}
+
+var Class = AnalyticsService.prototype;
+
+Class.ERRORS = {
+  INVALID_RANGE: 'Range must end after it starts',
+  RANGE_TOO_LONG: 'Range has more than %d buckets, use a longer interval'
+};
+
+/**
+ * @param  {string} userId of the streamer
+ * @param  {Object} range
+ * @param  {number} range.from unix time in ms, defaults to
+ *         ServerConfig.analytics.defaultRange before range.to
+ * @param  {number} range.to unix time in ms, defaults to now
+ * @param  {string} range.interval hour or day
+ * @return {Promise<Object>} {interval, buckets, streams, uniqueViewers,
+ *         peakConcurrentViewers, averageWatchTime, commentsPerMinute,
+ *         newSubscribers, subscribers} where buckets are the start times of
+ *         the buckets and the other series have a value for each bucket.
+ *         streams is a list of {streamId, title, views} of the streams that
+ *         were viewed in the range. averageWatchTime is in seconds and null
+ *         for buckets in which no view ended
+ */
+Class.getStreamerAnalytics = function(userId, range) {
+  var now = Date.now();
+  var interval = range.interval;
+  var to = range.to === undefined ? now : range.to;
+  var from = range.from === undefined ?
+             to - ServerConfig.analytics.defaultRange[interval] * 1000 :
+             range.from;
+
+  if (from >= to) {
+    return Promise.resolve(
+      new CustomError.InvalidFieldError(Class.ERRORS.INVALID_RANGE, 'from'));
+  }
+
+  var buckets = TimeSeries.getBuckets(from, to, interval);
+  var maxBuckets = ServerConfig.analytics.maxBuckets;
+  if (buckets.length > maxBuckets) {
+    return Promise.resolve(new CustomError.InvalidFieldError(
+      util.format(Class.ERRORS.RANGE_TOO_LONG, maxBuckets), 'interval'));
+  }
+
+  var start = new Date(buckets[0]);
+  var end = new Date(to);
+
+  return Storage.getStreamsOfUser(userId).then(function(streams) {
+    var streamIds = streams.map((stream) => stream.streamId);
+    var hasStreams = streamIds.length > 0;
+
+    return Promise.join(
+      hasStreams ? Storage.getViewsOfStreams(streamIds, start, end) : [],
+      hasStreams ? Storage.getCommentTimesOfStreams(streamIds, start, end) : [],
+      Storage.getSubscriptionTimesOfUser(userId, end),
+      function(views, comments, subscriptions) {
+        var series = new Series(buckets, interval, now);
+        var result = {
+          interval: interval,
+          buckets: buckets,
+          streams: series.getViewsPerStream(streams, views)
+        };
+
+        views = views.map((view) => series.toInterval(view, streams));
+        result.uniqueViewers = series.getUniqueViewers(views);
+        result.peakConcurrentViewers = series.getPeakConcurrency(views);
+        result.averageWatchTime = series.getAverageWatchTime(views);
+        result.commentsPerMinute = series.getRatePerMinute(comments);
+        result.newSubscribers = series.getCount(subscriptions);
+        result.subscribers = series.getTotal(subscriptions);
+
+        return result;
+      });
+  }).catch(function(err) {
+    logger.error('Unable to get analytics of %s: %s', userId, err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * Builds the series of a list of buckets
+ * @private
+ */
+function Series(buckets, interval, now) {
+  this.buckets = buckets;
+  this.size = TimeSeries.INTERVALS[interval];
+  this.now = now;
+}
+
+/**
+ * @return {Object} {userId, start, end, ended, duration} of a view in ms.
+ *         Views that have not ended last until their stream ended, or until
+ *         now. duration is the time watched, without the time between
+ *         leaving and rejoining the stream
+ */
+Series.prototype.toInterval = function(view, streams) {
+  var stream = streams.find((s) => s.streamId === view.streamId);
+  var start = toTime(view.createdAt);
+  var end = this.now;
+
+  if (view.endedAt) {
+    end = toTime(view.endedAt);
+  } else if (!stream.live && stream.endedAt) {
+    end = toTime(stream.endedAt);
+  }
+
+  return {
+    userId: view.userId,
+    start: start,
+    end: Math.max(start, end),
+    ended: !!view.endedAt,
+    duration: view.duration * 1000
+  };
+};
+
+Series.prototype.getCount = function(rows) {
+  return TimeSeries.count(this.buckets, this.size,
+                          rows.map((row) => toTime(row.createdAt)));
+};
+
+Series.prototype.getTotal = function(rows) {
+  var counts = this.getCount(rows);
+  var total = rows.filter((row) => toTime(row.createdAt) < this.buckets[0])
+                  .length;
+
+  return counts.map((count) => total += count);
+};
+
+Series.prototype.getRatePerMinute = function(rows) {
+  var minutes = this.size / 60000;
+  return this.getCount(rows).map((count) =>
+    Math.round(count / minutes * 100) / 100);
+};
+
+Series.prototype.getViewsPerStream = function(streams, views) {
+  return streams.map((stream) => ({
+    streamId: stream.streamId,
+    title: stream.title,
+    views: this.getCount(views.filter((v) => v.streamId === stream.streamId))
+  })).filter((stream) => stream.views.some((count) => count > 0));
+};
+
+Series.prototype.getUniqueViewers = function(views) {
+  var viewers = this.buckets.map(() => new Set());
+  var last = this.buckets.length - 1;
+
+  views.forEach((view) => {
+    var first = Math.max(0, this.indexOf(view.start));
+    var until = Math.min(last, this.indexOf(Math.max(view.start,
+                                                     view.end - 1)));
+    for (var i = first; i <= until; i++) {
+      viewers[i].add(view.userId);
+    }
+  });
+
+  return viewers.map((users) => users.size);
+};
+
+Series.prototype.getPeakConcurrency = function(views) {
+  return TimeSeries.peakOverlap(this.buckets, this.size, views);
+};
+
+Series.prototype.getAverageWatchTime = function(views) {
+  var totals = this.buckets.map(() => ({duration: 0, count: 0}));
+
+  views.filter((view) => view.ended).forEach((view) => {
+    var index = TimeSeries.getBucketIndex(this.buckets, this.size, view.end);
+    if (index !== -1) {
+      totals[index].duration += view.duration;
+      totals[index].count++;
+    }
+  });
+
+  return totals.map((total) => total.count ?
+    Math.round(total.duration / total.count / 1000) : null);
+};
+
+/**
+ * @return {number} index of the bucket of the time, which is before the
+ *         first or after the last bucket if the time is out of range
+ */
+Series.prototype.indexOf = function(time) {
+  return Math.floor((time - this.buckets[0]) / this.size);
+};
+
+/**
+ * @private
+ */
+function toTime(date) {
+  return new Date(date).getTime();
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,71 @@
+/**
+ * Records actions of admins, such as deleting a stream or changing the
+ * permissions of another admin, so that they can be reviewed later
+ * @module AuditService
+ */
+'use strict';
+
+var rfr = require('rfr');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Storage = rfr('app/models/Storage');
+
+var logger = Utility.createLogger(__filename);
+
+function AuditService() {
+}
+
+var Class = AuditService.prototype;
+
+/**
+ * @param  {Object} entry
+ * @param  {string} entry.actorId userId of the admin
+ * @param  {string} entry.actorUsername
+ * @param  {string} entry.action e.g. stream.delete
+ * @param  {string} entry.targetType e.g. stream
+ * @param  {string} entry.targetId
+ * @param  {Object} entry.changes {<field>: {before, after}}
+ * @param  {string} entry.ipAddress
+ * @return {Promise<Object>} the recorded entry
+ */
+Class.record = function(entry) {
+  logger.info('Recording %s of %s %s by %s', entry.action, entry.targetType,
+              entry.targetId, entry.actorId);
+
+  return Storage.createAuditEntry(entry).then(function(result) {
+    return result.get({plain: true});
+  }).catch(function(err) {
+    logger.error('Unable to record audit entry: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @param  {Object} filters see Storage.getAuditEntries
+ * @param  {Object} page
+ * @param  {number} page.limit
+ * @param  {number} page.offset
+ * @return {Promise<Object>} {entries: <Array>, next: <number>} where next is
+ *         the offset of the next page or null if there is none
+ */
+Class.getAuditTrail = function(filters, page) {
+  var offset = page.offset || 0;
+  var limit = page.limit ? page.limit + 1 : undefined;
+
+  return Storage.getAuditEntries(filters, {limit: limit, offset: offset})
+  .then(function(results) {
+    var entries = results.map((result) => result.get({plain: true}));
+
+    if (!page.limit || entries.length <= page.limit) {
+      return {entries: entries, next: null};
+    }
+
+    return {entries: entries.slice(0, page.limit), next: offset + page.limit};
+  }).catch(function(err) {
+    logger.error('Unable to get audit trail: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+module.exports = new AuditService();
@@ -0,0 +1,112 @@
+/**
+ * @module FilterService
+ */
+'use strict';
+
+var rfr = require('rfr');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Storage = rfr('app/models/Storage');
+var CommentFilter = rfr('app/adapters/socket/CommentFilter');
+var SocketAdapter = rfr('app/adapters/socket/SocketAdapter');
+
+var logger = Utility.createLogger(__filename);
+
+function FilterService() {
+  Storage.dbSyncPromise.then((status) => {
+    if (status) {
+      this.loadBlocklist();
+    }
+  });
+}
+
+var Class = FilterService.prototype;
+
+/**
+ * Gives the stored blocklist to the comment filter
+ * @return {Promise<Array<string>>} the blocked words
+ */
+Class.loadBlocklist = function() {
+  return this.getBlocklist().then((words) => {
+    if (!(words instanceof Error)) {
+      CommentFilter.setBlocklist(words);
+    }
+    return words;
+  });
+};
+
+/**
+ * @return {Promise<Array<string>>} the blocked words
+ */
+Class.getBlocklist = function() {
+  logger.debug('Getting blocklist');
+
+  return Storage.getBlockedWords().then(function receiveResult(results) {
+    return results.map((result) => result.word);
+  }).catch(function(err) {
+    logger.error('Unable to get blocklist: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @param  {string} word
+ * @return {Promise<Array<string>>} the blocked words
+ */
+Class.addBlockedWord = function(word) {
+  logger.info('Blocking word %s', word);
+
+  return Storage.addBlockedWord(normaliseWord(word))
+    .then(() => this.loadBlocklist())
+    .then(publishBlocklist)
+    .catch(function(err) {
+      logger.error('Unable to block word: %j', err);
+
+      if (err.name === 'SequelizeValidationError') {
+        return new CustomError.InvalidFieldError(err.errors[0].message,
+                                                 err.errors[0].path);
+      }
+      return new CustomError.UnexpectedError(err);
+    });
+};
+
+/**
+ * @param  {string} word
+ * @return {Promise<Array<string>>} the blocked words
+ */
+Class.removeBlockedWord = function(word) {
+  logger.info('Unblocking word %s', word);
+
+  return Storage.removeBlockedWord(normaliseWord(word)).then((removed) => {
+    if (!removed) {
+      return new CustomError.NotFoundError('Word', word);
+    }
+
+    return this.loadBlocklist().then(publishBlocklist);
+  }).catch(function(err) {
+    logger.error('Unable to unblock word: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * The blocklist of the other app servers is only loaded when they start, so
+ * the changes are relayed to them
+ * @private
+ */
+function publishBlocklist(words) {
+  if (!(words instanceof Error) && SocketAdapter.isInitialized) {
+    SocketAdapter.publishBlocklist(words);
+  }
+  return words;
+}
+
+/**
+ * @private
+ */
+function normaliseWord(word) {
+  return word.trim().toLowerCase();
+}
+
+module.exports = new FilterService();
@@ -0,0 +1,217 @@
+/**
+ * @module ModerationService
+ */
+'use strict';
+
+var rfr = require('rfr');
+var Promise = require('bluebird');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Storage = rfr('app/models/Storage');
+var SocketAdapter = rfr('app/adapters/socket/SocketAdapter');
+
+var logger = Utility.createLogger(__filename);
+
+function ModerationService() {
+}
+
+var Class = ModerationService.prototype;
+
+Class.ACTIONS = {
+  DELETE: 'delete',
+  MUTE: 'mute',
+  KICK: 'kick',
+  BAN: 'ban'
+};
+
+/**
+ * Moderates the chat of a stream. Streamers can only moderate their own
+ * streams. Every action is stored and broadcast to the affected rooms.
+ * @param  {Object} moderator
+ * @param  {string} moderator.userId
+ * @param  {boolean} moderator.isAdmin
+ * @param  {Object} moderation
+ * @param  {string} moderation.action one of ACTIONS
+ * @param  {string} moderation.streamId
+ * @param  {string} moderation.userId user to mute, kick or ban, or author of
+ *                                    the comment to delete
+ * @param  {string} moderation.commentId comment to delete
+ * @param  {number} moderation.time unix time of the comment to delete, used
+ *                                  with userId when commentId is not known
+ * @param  {number} moderation.duration of a mute in seconds
+ * @param  {string} moderation.reason
+ * @return {Promise<Moderation>}
+ */
+Class.moderate = function(moderator, moderation) {
+  logger.debug('User %s moderating stream %s: %j',
+               moderator.userId, moderation.streamId, moderation);
+
+  return Storage.getStreamById(moderation.streamId).then((stream) => {
+    if (!stream) {
+      return new CustomError.NotFoundError('Stream', moderation.streamId);
+    }
+
+    if (!moderator.isAdmin && stream.owner !== moderator.userId) {
+      return new CustomError.NotAuthorisedError(
+        'Not authorised to moderate stream');
+    }
+
+    if (moderation.userId === stream.owner) {
+      return new CustomError.InvalidFieldError(
+        'Streamer cannot be moderated in own stream', 'userId');
+    }
+
+    return getModeratedUser(moderation).then((target) => {
+      if (target instanceof Error) {
+        return target;
+      }
+
+      var expiresAt;
+      if (moderation.action === Class.ACTIONS.MUTE) {
+        expiresAt = new Date(Date.now() + moderation.duration * 1000);
+      }
+
+      return Storage.createModeration({
+        action: moderation.action,
+        moderatorId: moderator.userId,
+        userId: target.userId,
+        streamId: stream.streamId,
+        commentId: target.commentId,
+        expiresAt: expiresAt,
+        reason: moderation.reason
+      }).then((result) => {
+        applyModeration(result, stream.owner, target.commentTime);
+        return formatModerationObject(result.dataValues);
+      });
+    });
+  }).catch((err) => {
+    logger.error('Unable to moderate stream: %j', err);
+
+    if (err.name === 'SequelizeValidationError') {
+      return new CustomError.InvalidFieldError(err.errors[0].message,
+                                               err.errors[0].path);
+    }
+
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @param  {string} streamId
+ * @return {Promise<Array<Moderation>>} most recent first
+ */
+Class.getModerationsForStream = function(streamId) {
+  logger.debug('Getting moderations of stream %s', streamId);
+
+  return Storage.getStreamById(streamId).then((stream) => {
+    if (!stream) {
+      return new CustomError.NotFoundError('Stream', streamId);
+    }
+
+    return Storage.getModerationsForStream(streamId)
+      .then((results) => results.map((result) => {
+        var moderation = formatModerationObject(result.dataValues);
+        moderation.moderator = result.moderator.dataValues;
+        moderation.user = result.user.dataValues;
+        return moderation;
+      }));
+  });
+};
+
+/**
+ * Enforces the stored bans and unexpired mutes in the chat rooms again, for
+ * when the chat rooms are recreated
+ * @return {Promise}
+ */
+Class.restoreModerations = function() {
+  if (!SocketAdapter.isInitialized) {
+    return Promise.resolve();
+  }
+
+  return Storage.getActiveModerations().then((results) => {
+    results.forEach((result) => {
+      SocketAdapter.restoreModeration({
+        action: result.action,
+        streamId: result.streamId,
+        ownerId: result.streams.owner,
+        userId: result.userId,
+        expiresAt: result.expiresAt
+      });
+    });
+  }).catch((err) => {
+    logger.error('Unable to restore moderations: %j', err);
+  });
+};
+
+/**
+ * Gets the user that is moderated, deleting the comment first if the action
+ * is to delete a comment
+ * @private
+ * @return {Promise<Object>} {userId, commentId, commentTime}
+ */
+function getModeratedUser(moderation) {
+  if (moderation.action !== Class.ACTIONS.DELETE) {
+    return Storage.getUserById(moderation.userId).then((user) => {
+      if (!user) {
+        return new CustomError.NotFoundError('User', moderation.userId);
+      }
+
+      return {userId: user.userId};
+    });
+  }
+
+  var identifier = moderation.commentId ?
+    {commentId: moderation.commentId} :
+    {userId: moderation.userId, createdAt: new Date(moderation.time)};
+
+  return Storage.deleteComment(moderation.streamId, identifier)
+    .then((comment) => {
+      if (comment instanceof Error) {
+        return comment;
+      }
+
+      return {
+        userId: comment.userId,
+        commentId: comment.commentId,
+        commentTime: comment.createdAt.getTime()
+      };
+    });
+}
+
+/**
+ * @private
+ */
+function applyModeration(moderation, ownerId, commentTime) {
+  if (!SocketAdapter.isInitialized) {
+    logger.error('SocketAdapter is not isInitialized');
+    return;
+  }
+
+  try {
+    SocketAdapter.applyModeration({
+      action: moderation.action,
+      streamId: moderation.streamId,
+      ownerId: ownerId,
+      userId: moderation.userId,
+      commentId: moderation.commentId,
+      commentTime: commentTime,
+      expiresAt: moderation.expiresAt
+    });
+  } catch (e) {
+    logger.error('Unable to apply moderation %s: %s',
+                 moderation.moderationId, e.message);
+  }
+}
+
+/**
+ * @private
+ */
+function formatModerationObject(moderation) {
+  moderation.createdAt = moderation.createdAt.getTime();
+  moderation.expiresAt = moderation.expiresAt ?
+    moderation.expiresAt.getTime() : null;
+  return moderation;
+}
+
+module.exports = new ModerationService();
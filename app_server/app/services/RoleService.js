@@ -0,0 +1,222 @@
+/**
+ * Roles bundle admin scopes under a name such as moderator, so that admins
+ * can be given the scopes of a role instead of each scope. The scope of an
+ * admin is made up of their own permissions and those of their roles.
+ * @module RoleService
+ */
+'use strict';
+
+var rfr = require('rfr');
+var Promise = require('bluebird');
+var _ = require('underscore');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Storage = rfr('app/models/Storage');
+var ServerConfig = rfr('config/ServerConfig');
+
+var logger = Utility.createLogger(__filename);
+
+var ADMIN_SCOPE = 'admin';
+
+function RoleService() {
+  Storage.dbSyncPromise.then((status) => {
+    if (status) {
+      this.createDefaultRoles();
+    }
+  });
+}
+
+var Class = RoleService.prototype;
+
+Class.ERRORS = {
+  UNKNOWN_ROLE: 'Role does not exist'
+};
+
+/**
+ * Creates the roles in ServerConfig.adminRoles that do not exist yet
+ * @return {Promise}
+ */
+Class.createDefaultRoles = function() {
+  return Promise.each(ServerConfig.adminRoles,
+                      (role) => Storage.ensureRole(role))
+  .catch(function(err) {
+    logger.error('Unable to create default roles: %j', err);
+  });
+};
+
+/**
+ * @param  {Object} particulars
+ * @param  {string} particulars.name
+ * @param  {string} particulars.description
+ * @param  {Array<string>} particulars.permissions
+ * @return {Promise<Object>} the role
+ */
+Class.createRole = function(particulars) {
+  logger.info('Creating role %s', particulars.name);
+
+  return Storage.createRole(particulars).then(function(role) {
+    if (role instanceof Error) {
+      return role;
+    }
+
+    return formatRole(role);
+  }).catch(function(err) {
+    logger.error('Unable to create role: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @param  {string} roleId
+ * @return {Promise<Object>} the role with the ids and usernames of its admins
+ */
+Class.getRoleById = function(roleId) {
+  return Storage.getRoleById(roleId).then(function(role) {
+    if (!role) {
+      return new CustomError.NotFoundError('Role', roleId);
+    }
+
+    return formatRole(role);
+  }).catch(function(err) {
+    logger.error('Unable to get role: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @return {Promise<Array<Object>>} see getRoleById
+ */
+Class.getListOfRoles = function() {
+  return Storage.getListOfRoles().then((roles) => roles.map(formatRole));
+};
+
+/**
+ * @param  {string} roleId
+ * @param  {Object} particulars see createRole
+ * @return {Promise<Object>} see getRoleById
+ */
+Class.updateRole = function(roleId, particulars) {
+  logger.info('Updating role %s: %j', roleId, particulars);
+
+  return Storage.updateRole(roleId, particulars).then(function(role) {
+    if (!role) {
+      return new CustomError.NotFoundError('Role', roleId);
+    }
+
+    if (role instanceof Error) {
+      return role;
+    }
+
+    return Class.getRoleById(roleId);
+  }).catch(function(err) {
+    logger.error('Unable to update role: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @param  {string} roleId
+ * @return {Promise<Object>} the deleted role, see getRoleById
+ */
+Class.deleteRole = function(roleId) {
+  logger.info('Deleting role %s', roleId);
+
+  return this.getRoleById(roleId).then(function(role) {
+    if (role instanceof Error) {
+      return role;
+    }
+
+    return Storage.deleteRole(roleId).then(() => role);
+  }).catch(function(err) {
+    logger.error('Unable to delete role: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @param  {string} userId
+ * @return {Promise<Array<Object>>} the roles of the admin, without admins
+ */
+Class.getRolesOfAdmin = function(userId) {
+  return Storage.getRolesOfAdmin(userId).then(function(roles) {
+    return roles.map(formatRole);
+  });
+};
+
+/**
+ * Replaces the roles of the admin
+ * @param  {string} userId
+ * @param  {Array<string>} roleIds
+ * @return {Promise<Array<Object>>} the roles of the admin
+ *         {InvalidFieldError} if a role does not exist
+ */
+Class.setRolesOfAdmin = function(userId, roleIds) {
+  roleIds = _.uniq(roleIds);
+
+  return this.validateRoleIds(roleIds).then(function(invalid) {
+    if (invalid) {
+      return invalid;
+    }
+
+    return Storage.setRolesOfAdmin(userId, roleIds)
+      .then(() => Class.getRolesOfAdmin(userId));
+  });
+};
+
+/**
+ * @param  {Array<string>} roleIds
+ * @return {Promise} of null if every role exists
+ *         {InvalidFieldError} otherwise
+ */
+Class.validateRoleIds = function(roleIds) {
+  roleIds = _.uniq(roleIds);
+
+  return Storage.getRolesByIds(roleIds).then(function(roles) {
+    if (roles.length !== roleIds.length) {
+      return new CustomError.InvalidFieldError(Class.ERRORS.UNKNOWN_ROLE,
+                                               'roles');
+    }
+
+    return null;
+  });
+};
+
+/**
+ * @param  {Object} admin
+ * @param  {string} admin.userId
+ * @param  {string} admin.permissions JSON list of the admin's own scopes
+ * @return {Promise<Array<string>>} the admin's own scopes and those of their
+ *         roles
+ */
+Class.getScopesOfAdmin = function(admin) {
+  var permissions = JSON.parse(admin.permissions || '[]');
+  if (!Array.isArray(permissions)) {
+    permissions = [permissions];
+  }
+
+  return Storage.getRolesOfAdmin(admin.userId).then(function(roles) {
+    var rolePermissions = roles.map((role) => role.permissions);
+    return _.union.apply(_, [permissions, [ADMIN_SCOPE]]
+                                 .concat(rolePermissions));
+  });
+};
+
+/**
+ * @private
+ */
+function formatRole(role) {
+  var formatted = role.get({plain: true});
+  delete formatted.AdminRole;
+
+  if (role.admins) {
+    formatted.admins = role.admins.map((admin) => ({
+      userId: admin.userId,
+      username: admin.username
+    }));
+  }
+
+  return formatted;
+}
+
+module.exports = new RoleService();
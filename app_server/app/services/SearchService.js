@@ -0,0 +1,147 @@
+/**
+ * @module SearchService
+ */
+'use strict';
+
+var rfr = require('rfr');
+var Promise = require('bluebird');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Storage = rfr('app/models/Storage');
+
+var logger = Utility.createLogger(__filename);
+
+var MAX_TERMS = 10;
+
+function SearchService() {
+}
+
+var Class = SearchService.prototype;
+
+Class.TYPES = ['stream', 'user', 'comment'];
+
+/**
+ * Results of every type are merged into a single list ranked by the number
+ * of terms matched, with the most recent results first on equal ranks
+ * @param  {string} query
+ * @param  {Object} options
+ * @param  {Array<string>} options.types types of results to search for
+ * @param  {boolean} options.includeDeleted include deleted streams
+ * @param  {number} options.limit
+ * @param  {number} options.offset
+ * @return {Promise<Object>} results and the offset of the next page, or null
+ *                           on the last page
+ */
+Class.search = function(query, options) {
+  logger.debug('Searching %j for %s', options.types, query);
+
+  var terms = extractTerms(query);
+  if (terms.length === 0) {
+    return Promise.resolve(
+      new CustomError.InvalidFieldError('Search query has no terms', 'q'));
+  }
+
+  // A single type is paged by the database, while a merged list is paged
+  // after fetching enough results of each type to fill up to the last page
+  var isSingleType = options.types.length === 1;
+  var searchOptions = {
+    includeDeleted: options.includeDeleted,
+    limit: isSingleType ? options.limit + 1
+                        : options.offset + options.limit + 1,
+    offset: isSingleType ? options.offset : 0
+  };
+
+  return Promise.all(options.types.map((type) => {
+    return searchers[type](terms, searchOptions);
+  })).then(function receiveResults(resultsByType) {
+    var results = [].concat.apply([], resultsByType).sort(compareResults);
+    if (!isSingleType) {
+      results = results.slice(options.offset);
+    }
+
+    var next = null;
+    if (results.length > options.limit) {
+      next = options.offset + options.limit;
+    }
+
+    return {
+      results: results.slice(0, options.limit),
+      next: next
+    };
+  }).catch(function(err) {
+    logger.error('Unable to search for %s: %j', query, err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * Search functions of each type, returning formatted results
+ * @private
+ */
+var searchers = {
+  stream: function(terms, options) {
+    return Storage.searchStreams(terms, options).then((streams) => {
+      return streams.map((stream) => {
+        return toResult('stream', Utility.formatStreamObject(stream, 'view'));
+      });
+    });
+  },
+
+  user: function(terms, options) {
+    return Storage.searchUsers(terms, options).then((users) => {
+      return users.map((user) => {
+        return toResult('user', Utility.formatUserObject(user.dataValues));
+      });
+    });
+  },
+
+  comment: function(terms, options) {
+    return Storage.searchComments(terms, options).then((comments) => {
+      return comments.map((comment) => {
+        var res = Utility.changeToUnixTime(comment.dataValues);
+        res.stream = res.streams.dataValues;
+        delete res.streams;
+        delete res.deletedAt;
+        return toResult('comment', res);
+      });
+    });
+  }
+};
+
+/**
+ * Wraps a formatted object in a search result, moving the rank computed by
+ * the database out of the object
+ * @private
+ */
+function toResult(type, obj) {
+  var result = {type: type, rank: Number(obj.rank)};
+  delete obj.rank;
+  result[type] = obj;
+  return result;
+}
+
+/**
+ * @private
+ */
+function compareResults(a, b) {
+  if (a.rank !== b.rank) {
+    return b.rank - a.rank;
+  }
+
+  return b[b.type].createdAt - a[a.type].createdAt;
+}
+
+/**
+ * Splits a query into unique lowercase terms. Wildcards of LIKE patterns are
+ * removed so that terms only match literally
+ * @private
+ */
+function extractTerms(query) {
+  var terms = query.toLowerCase().replace(/[%_\\]/g, ' ').split(/\s+/)
+    .filter((term, index, all) => term && all.indexOf(term) === index);
+
+  return terms.slice(0, MAX_TERMS);
+}
+
+module.exports = new SearchService();
@@ -4,6 +4,14 @@ var Utility = rfr('app/util/Utility');
 var UserService = rfr('app/services/UserService');
 var StreamService = rfr('app/services/StreamService');
 var AdminService = rfr('app/services/AdminService');
+var SearchService = rfr('app/services/SearchService');
+var ModerationService = rfr('app/services/ModerationService');
+var FilterService = rfr('app/services/FilterService');
+var TokenService = rfr('app/services/TokenService');
+var TwoFactorService = rfr('app/services/TwoFactorService');
+var AuditService = rfr('app/services/AuditService');
+var RoleService = rfr('app/services/RoleService');
+var AnalyticsService = rfr('app/services/AnalyticsService');
 
 var logger = Utility.createLogger(__filename);
 
@@ -43,11 +51,48 @@ Class.getNumberOfUsers = function() {
   return UserService.getNumberOfUsers();
 };
 
+Class.getIdentities = function(userId) {
+  logger.debug('Getting identities of user %s', userId);
+  return UserService.getIdentities(userId);
+};
+
+Class.linkIdentity = function(userId, identity) {
+  logger.debug('Linking identity to user %s: %j', userId, identity);
+  return UserService.linkIdentity(userId, identity);
+};
+
+Class.unlinkIdentity = function(userId, identityId) {
+  logger.debug('Unlinking identity %s from user %s', identityId, userId);
+  return UserService.unlinkIdentity(userId, identityId);
+};
+
+Class.updateIdentity = function(userId, platformType, platformId,
+                                particulars) {
+  logger.debug('Updating %s identity of user %s', platformType, userId);
+  return UserService.updateIdentity(userId, platformType, platformId,
+                                    particulars);
+};
+
 Class.createView = function(userId, streamId) {
   logger.debug('Creating view');
   return UserService.createView(userId, streamId);
 };
 
+Class.endView = function(userId, streamId) {
+  logger.debug('Ending view of stream %s by %s', streamId, userId);
+  return UserService.endView(userId, streamId);
+};
+
+Class.getWatchDurationOfStream = function(streamId) {
+  logger.debug('Getting watch duration of stream: %s', streamId);
+  return UserService.getWatchDurationOfStream(streamId);
+};
+
+Class.getWatchDurationOfUser = function(userId) {
+  logger.debug('Getting watch duration of user: %s', userId);
+  return UserService.getWatchDurationOfUser(userId);
+};
+
 Class.getListOfUsersViewingStream = function(streamId) {
   logger.debug('Getting list of users viewing stream: %s', streamId);
   return UserService.getListOfUsersViewingStream(streamId);
@@ -105,10 +150,10 @@ Class.getStreamById = function(streamId) {
   return StreamService.getStreamById(streamId);
 };
 
-Class.getListOfStreams = function(filters, userId) {
+Class.getListOfStreams = function(filters, userId, page) {
   logger.debug('Getting list of streams with for user %s, filters: %j',
                userId, filters);
-  return StreamService.getListOfStreams(filters, userId);
+  return StreamService.getListOfStreams(filters, userId, page);
 };
 
 Class.getStreamsFromSubscriptions = function(userId) {
@@ -131,6 +176,21 @@ Class.stopStream = function(appName, appInstance, streamId) {
   return StreamService.stopStream(appName, appInstance, streamId);
 };
 
+Class.getStreamRecording = function(streamId) {
+  logger.debug('Getting recording of stream %s', streamId);
+  return StreamService.getStreamRecording(streamId);
+};
+
+Class.recordConcurrency = function(samples) {
+  logger.debug('Recording concurrent viewers of %d streams', samples.length);
+  return StreamService.recordConcurrency(samples);
+};
+
+Class.getConcurrency = function(streamId, filters) {
+  logger.debug('Getting concurrent viewers of stream %s', streamId);
+  return StreamService.getConcurrency(streamId, filters);
+};
+
 Class.deleteStream = function(streamId) {
   logger.debug('Deleting stream entry %s, streamId');
   return StreamService.deleteStream(streamId);
@@ -147,6 +207,21 @@ Class.getListOfCommentsForStream = function(streamId) {
   return StreamService.getListOfCommentsForStream(streamId);
 };
 
+Class.getCommentsForStreamReplay = function(streamId, window) {
+  logger.debug('Get comments for replay of stream %s', streamId);
+  return StreamService.getCommentsForStreamReplay(streamId, window);
+};
+
+Class.createSticker = function(userId, streamId, sticker) {
+  logger.debug('Sticker from user %s to stream %s', userId, streamId);
+  return StreamService.createSticker(userId, streamId, sticker);
+};
+
+Class.getStickerCountsForStream = function(streamId) {
+  logger.debug('Get sticker counts for stream %s', streamId);
+  return StreamService.getStickerCountsForStream(streamId);
+};
+
 Class.getLiveStreamsStats = function() {
   logger.debug('Getting statistics for live streams');
   return StreamService.getLiveStreamsStats();
@@ -177,6 +252,216 @@ Class.deleteAdmin = function(id) {
   logger.debug('Deleting admin by id: %s', id);
   return AdminService.deleteAdminById(id);
 };
+
+Class.isAdminLocked = function(admin) {
+  return AdminService.isLocked(admin);
+};
+
+Class.recordFailedAdminLogin = function(admin) {
+  logger.debug('Recording failed login of admin %s', admin.userId);
+  return AdminService.recordFailedLogin(admin);
+};
+
+Class.recordSuccessfulAdminLogin = function(admin) {
+  logger.debug('Recording successful login of admin %s', admin.userId);
+  return AdminService.recordSuccessfulLogin(admin);
+};
+
+Class.unlockAdmin = function(id) {
+  logger.debug('Unlocking admin: %s', id);
+  return AdminService.unlockAdmin(id);
+};
+
+Class.changeAdminPassword = function(admin, password) {
+  logger.debug('Changing password of admin: %s', admin.userId);
+  return AdminService.changePassword(admin, password);
+};
+
+Class.requestAdminPasswordReset = function(username) {
+  logger.debug('Requesting password reset of admin: %s', username);
+  return AdminService.requestPasswordReset(username);
+};
+
+Class.resetAdminPassword = function(token, password) {
+  logger.debug('Resetting password of admin');
+  return AdminService.resetPassword(token, password);
+};
+///////////////////////
+
+/////// ROLE APIs ///////
+Class.createRole = function(particulars) {
+  logger.debug('Creating role: %j', particulars);
+  return RoleService.createRole(particulars);
+};
+
+Class.getRoleById = function(roleId) {
+  logger.debug('Getting role by id: %s', roleId);
+  return RoleService.getRoleById(roleId);
+};
+
+Class.getListOfRoles = function() {
+  logger.debug('Getting list of roles');
+  return RoleService.getListOfRoles();
+};
+
+Class.updateRole = function(roleId, particulars) {
+  logger.debug('Updating role %s: %j', roleId, particulars);
+  return RoleService.updateRole(roleId, particulars);
+};
+
+Class.deleteRole = function(roleId) {
+  logger.debug('Deleting role: %s', roleId);
+  return RoleService.deleteRole(roleId);
+};
+
+Class.getRolesOfAdmin = function(userId) {
+  logger.debug('Getting roles of admin %s', userId);
+  return RoleService.getRolesOfAdmin(userId);
+};
+
+Class.setRolesOfAdmin = function(userId, roleIds) {
+  logger.debug('Setting roles of admin %s: %j', userId, roleIds);
+  return RoleService.setRolesOfAdmin(userId, roleIds);
+};
+
+Class.validateRoleIds = function(roleIds) {
+  logger.debug('Validating roles: %j', roleIds);
+  return RoleService.validateRoleIds(roleIds);
+};
+
+Class.getAdminScopes = function(admin) {
+  logger.debug('Getting scopes of admin %s', admin.userId);
+  return RoleService.getScopesOfAdmin(admin);
+};
+///////////////////////
+
+/////// SEARCH APIs ///////
+Class.search = function(query, options) {
+  logger.debug('Searching for %s with options: %j', query, options);
+  return SearchService.search(query, options);
+};
+///////////////////////
+
+/////// MODERATION APIs ///////
+Class.moderate = function(moderator, moderation) {
+  logger.debug('Moderating with %j by %j', moderation, moderator);
+  return ModerationService.moderate(moderator, moderation);
+};
+
+Class.getModerationsForStream = function(streamId) {
+  logger.debug('Getting moderations of stream %s', streamId);
+  return ModerationService.getModerationsForStream(streamId);
+};
+///////////////////////
+
+/////// TOKEN APIs ///////
+Class.issueTokens = function(account) {
+  logger.debug('Issuing tokens to %s', account.userId);
+  return TokenService.issueTokens(account);
+};
+
+Class.refreshTokens = function(refreshToken) {
+  logger.debug('Refreshing tokens');
+  return TokenService.refreshTokens(refreshToken);
+};
+
+Class.revokeToken = function(refreshToken) {
+  logger.debug('Revoking token');
+  return TokenService.revokeToken(refreshToken);
+};
+
+Class.revokeTokensOfUser = function(userId) {
+  logger.debug('Revoking tokens of user %s', userId);
+  return TokenService.revokeTokensOfUser(userId);
+};
+
+Class.verifyAccessToken = function(accessToken) {
+  return TokenService.verifyAccessToken(accessToken);
+};
+///////////////////////
+
+/////// FILTER APIs ///////
+Class.getBlocklist = function() {
+  logger.debug('Getting blocklist');
+  return FilterService.getBlocklist();
+};
+
+Class.addBlockedWord = function(word) {
+  logger.debug('Adding %s to blocklist', word);
+  return FilterService.addBlockedWord(word);
+};
+
+Class.removeBlockedWord = function(word) {
+  logger.debug('Removing %s from blocklist', word);
+  return FilterService.removeBlockedWord(word);
+};
+///////////////////////
+
+/////// TWO FACTOR APIs ///////
+Class.isTwoFactorMandatory = function() {
+  logger.debug('Getting whether two-factor authentication is mandatory');
+  return TwoFactorService.isMandatory();
+};
+
+Class.setTwoFactorMandatory = function(mandatory) {
+  logger.debug('Setting two-factor authentication mandatory: %s', mandatory);
+  return TwoFactorService.setMandatory(mandatory);
+};
+
+Class.isTwoFactorRequired = function(admin) {
+  logger.debug('Getting whether admin %s needs two-factor authentication',
+               admin.userId);
+  return TwoFactorService.isRequired(admin);
+};
+
+Class.startTwoFactorEnrollment = function(userId) {
+  logger.debug('Starting two-factor enrollment of %s', userId);
+  return TwoFactorService.startEnrollment(userId);
+};
+
+Class.confirmTwoFactorEnrollment = function(userId, code) {
+  logger.debug('Confirming two-factor enrollment of %s', userId);
+  return TwoFactorService.confirmEnrollment(userId, code);
+};
+
+Class.verifyTwoFactor = function(userId, credentials) {
+  logger.debug('Verifying two-factor code of %s', userId);
+  return TwoFactorService.verify(userId, credentials);
+};
+
+Class.regenerateRecoveryCodes = function(userId, credentials) {
+  logger.debug('Regenerating recovery codes of %s', userId);
+  return TwoFactorService.regenerateRecoveryCodes(userId, credentials);
+};
+
+Class.disableTwoFactor = function(userId, credentials) {
+  logger.debug('Disabling two-factor authentication of %s', userId);
+  return TwoFactorService.disable(userId, credentials);
+};
+
+Class.resetTwoFactor = function(userId) {
+  logger.debug('Resetting two-factor authentication of %s', userId);
+  return TwoFactorService.reset(userId);
+};
+///////////////////////
+
+/////// AUDIT APIs ///////
+Class.recordAuditEntry = function(entry) {
+  logger.debug('Recording audit entry: %j', entry);
+  return AuditService.record(entry);
+};
+
+Class.getAuditTrail = function(filters, page) {
+  logger.debug('Getting audit trail with filters: %j', filters);
+  return AuditService.getAuditTrail(filters, page);
+};
+///////////////////////
+
+/////// ANALYTICS APIs ///////
+Class.getStreamerAnalytics = function(userId, range) {
+  logger.debug('Getting analytics of %s: %j', userId, range);
+  return AnalyticsService.getStreamerAnalytics(userId, range);
+};
 ///////////////////////
 
 module.exports = new Service();
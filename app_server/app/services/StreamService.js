@@ -4,12 +4,14 @@
 'use strict';
 
 var rfr = require('rfr');
+var Promise = require('bluebird');
 
 var CustomError = rfr('app/util/Error');
 var Utility = rfr('app/util/Utility');
 var Storage = rfr('app/models/Storage');
 var SocketAdapter = rfr('app/adapters/socket/SocketAdapter');
 var MediaServerAdapter = rfr('app/adapters/MediaServerAdapter');
+var ModerationService = rfr('app/services/ModerationService');
 var ServerConfig = rfr('config/ServerConfig');
 
 var logger = Utility.createLogger(__filename);
@@ -65,46 +67,80 @@ Class.getStreamById = function(streamId) {
   });
 };
 
-Class.getListOfStreams = function(filters, userId) {
+/**
+ * Gets a list of streams. If page.limit is given, only one page of streams
+ * is returned together with the token of the next page
+ * @param filters {object}
+ * @param userId {string} includes isSubscribed field for this user if given
+ * @param page {object} optional
+ * @param page.limit {number} maximum number of streams in a page
+ * @param page.next {string} token of the page to get
+ * @return {Promise<Array<Stream>>} if page.limit is not given
+ *         {Promise<{streams: Array<Stream>, next: string}>} otherwise
+ */
+Class.getListOfStreams = function(filters, userId, page) {
   logger.debug('Getting list of streams for user %s with filters: %j',
                userId, filters);
 
-  // not include subscribers
-  if (!userId) {
-    return Storage.getListOfStreams(filters, userId)
-    .then(function receiveResult(results) {
-      if (!results) {
-        return new CustomError.NotFoundError('Stream');
-      }
+  page = page || {};
 
-      return results.map((singleStream) =>
-        Utility.formatStreamObject(singleStream, 'view'));
+  var after = null;
+  if (page.next) {
+    after = Utility.decodeCursor(page.next);
+    if (!after || !after.streamId || after.value === undefined) {
+      return Promise.resolve(
+        new CustomError.InvalidFieldError('Invalid page token', 'next'));
+    }
 
-    }).catch(function(err) {
-      var err = new CustomError.UnexpectedError(err);
-      logger.error(err.message);
-      return err;
-    });
+    // the position in the list only holds for the sort it was taken from
+    if (after.sort !== filters.sort || after.order !== filters.order) {
+      return Promise.resolve(new CustomError.InvalidFieldError(
+        'Page token is for a list sorted differently', 'next'));
+    }
   }
 
-  // include subscribers
-  return Storage.getListOfStreamsForUser(filters)
-    .then(function receiveResult(results) {
-      if (!results) {
-        return new CustomError.NotFoundError('Stream');
-      }
+  // fetch one more stream to know if there is a next page
+  var storagePage = {
+    limit: page.limit ? page.limit + 1 : null,
+    after: after
+  };
+
+  // include subscribers only if there is a user to check against
+  var listPromise = userId ?
+    Storage.getListOfStreamsForUser(filters, storagePage) :
+    Storage.getListOfStreams(filters, storagePage);
+
+  return listPromise.then(function receiveResult(results) {
+    if (!results) {
+      return new CustomError.NotFoundError('Stream');
+    }
+
+    var next = null;
+    if (page.limit && results.length > page.limit) {
+      results = results.slice(0, page.limit);
+      next = Utility.encodeCursor(
+        Storage.getStreamCursor(results[results.length - 1], filters));
+    }
 
-      results = results.map((singleStream) =>
-        Utility.formatStreamObject(singleStream, 'view'));
+    results = results.map((singleStream) =>
+      Utility.formatStreamObject(singleStream, 'view'));
 
+    if (userId) {
       // Allocate isSubscribedField
-      return addIsSubscribedField(userId, results);
+      results = addIsSubscribedField(userId, results);
+    }
 
-    }).catch(function(err) {
-      var err = new CustomError.UnexpectedError(err);
-      logger.error(err.message);
-      return err;
-    });
+    if (!page.limit) {
+      return results;
+    }
+
+    return {streams: results, next: next};
+
+  }).catch(function(err) {
+    var err = new CustomError.UnexpectedError(err);
+    logger.error(err.message);
+    return err;
+  });
 };
 
 /**
@@ -177,7 +213,7 @@ Class.endStream = function(userId, streamId) {
     }
 
     return Storage.updateTotalViews(streamId)
-    .then(() => Storage.updateStream(streamId, {live: false}))
+    .then(() => Storage.endStream(streamId))
     .then((res) => {
       closeChatRoomForStream(stream.appInstance);
       return 'Success';
@@ -204,10 +240,10 @@ Class.deleteStream = function(streamId) {
 };
 
 Class.stopStream = function(appName, appInstance, streamId) {
-  return this.updateStream(streamId, {live: false})
+  return Storage.endStream(streamId)
   .then((stream) => {
-    if (!stream || stream instanceof Error) {
-      return stream;
+    if (!stream) {
+      return new CustomError.NotFoundError('Stream', streamId);
     }
     if (stream.appInstance !== appInstance) {
       return new Error('appInstance parameter does not match streamId');
@@ -219,6 +255,119 @@ Class.stopStream = function(appName, appInstance, streamId) {
   });
 };
 
+/**
+ * Gets the recording of an ended stream
+ * @param  {string} streamId
+ * @return {Promise<Object>} {streamId, path, size, duration, vodLink}
+ *         {Promise<NotFoundError>} if the stream was not recorded
+ */
+Class.getStreamRecording = function(streamId) {
+  logger.debug('Getting recording of stream: %s', streamId);
+
+  return Storage.getStreamById(streamId).then((stream) => {
+    if (!stream || !Utility.hasRecording(stream)) {
+      return new CustomError.NotFoundError('Recording', streamId);
+    }
+
+    return this.__fillRecording(stream);
+  }).then((stream) => {
+    if (stream instanceof Error) {
+      return stream;
+    }
+
+    return {
+      streamId: stream.streamId,
+      path: stream.recordingPath,
+      size: stream.recordingSize,
+      duration: stream.recordingDuration,
+      vodLink: Utility.formatVodLink(stream)
+    };
+  });
+};
+
+/**
+ * The media server has only finished writing a recording once its stream has
+ * ended, so the size of the file is asked for the first time the recording
+ * is. The stream is returned as it is if the media server cannot be reached.
+ * @param  {Sequelize<Stream>} stream a recorded stream
+ * @return {Promise<Sequelize<Stream>>}
+ */
+Class.__fillRecording = function(stream) {
+  if (stream.recordingSize !== null) {
+    return Promise.resolve(stream);
+  }
+
+  return this.mediaServerAdapter.getRecording(ServerConfig.mediaServer.appName,
+                                              stream.appInstance,
+                                              stream.streamId)
+  .then((recording) => {
+    if (recording instanceof Error) {
+      logger.warn('Unable to get recording of stream %s: %s',
+                  stream.streamId, recording.message);
+      return stream;
+    }
+
+    return stream.update({
+      recordingPath: recording.path,
+      recordingSize: recording.size
+    });
+  }).catch((err) => {
+    logger.error('Unable to update recording of stream %s: %s',
+                 stream.streamId, err);
+    return stream;
+  });
+};
+
+/**
+ * @param  {Array<Object>} samples {streamId, time, viewers} of the users in
+ *         the rooms of streams
+ * @return {Promise<Array>}
+ */
+Class.recordConcurrency = function(samples) {
+  return Storage.createConcurrencySamples(samples).catch(function(err) {
+    logger.error('Unable to record concurrent viewers: %s', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * Gets the sampled number of concurrent viewers of a stream
+ * @param  {string} streamId
+ * @param  {Object} filters
+ * @param  {number} filters.after unix time in ms
+ * @param  {number} filters.before unix time in ms
+ * @return {Promise<Object>} {streamId, peakViewers, interval, samples} where
+ *         samples are {time, viewers} in order of time and interval is the
+ *         ms between samples
+ *         {Promise<NotFoundError>} if the stream does not exist
+ */
+Class.getConcurrency = function(streamId, filters) {
+  logger.debug('Getting concurrent viewers of stream: %s', streamId);
+
+  var range = {
+    after: filters.after ? new Date(filters.after) : undefined,
+    before: filters.before ? new Date(filters.before) : undefined
+  };
+
+  return Promise.join(Storage.getStreamById(streamId),
+                      Storage.getConcurrencySamples(streamId, range))
+  .spread(function(stream, samples) {
+    if (!stream) {
+      return new CustomError.NotFoundError('Stream', streamId);
+    }
+
+    return {
+      streamId: streamId,
+      peakViewers: stream.peakViewers,
+      interval: ServerConfig.concurrencySampler.interval,
+      samples: samples.map((sample) => ({
+        time: new Date(sample.time).getTime(),
+        viewers: sample.viewers
+      }))
+    };
+  });
+};
+
 /**
  * @param  {string} userId
  * @param  {string} streamId
@@ -273,6 +422,116 @@ Class.getListOfCommentsForStream = function(streamId) {
     });
 };
 
+/**
+ * Gets the comments of a stream in a window of its playback, so that they can
+ * be replayed along with its recording
+ * @param  {string} streamId
+ * @param  {Object} window
+ * @param  {number} window.from offset in seconds from the start of the stream
+ * @param  {number} window.duration in seconds
+ * @return {Promise<Object>} {comments, from, to, next} where each comment has
+ *         its offset in seconds, and next is the offset of the next window or
+ *         null once the end of the stream is reached
+ *         {Promise<UnexpectedError>} if the comments cannot be read
+ */
+Class.getCommentsForStreamReplay = function(streamId, window) {
+  logger.debug('Get comments for replay of stream %s: %j', streamId, window);
+
+  return Storage.getStreamById(streamId).then(function(stream) {
+    if (!stream) {
+      return new CustomError.NotFoundError('Stream', streamId);
+    }
+
+    var start = stream.createdAt.getTime();
+    var from = window.from;
+    var to = window.from + window.duration;
+
+    return Storage.getCommentsForStreamBetween(streamId,
+                                               new Date(start + from * 1000),
+                                               new Date(start + to * 1000))
+      .then(function receiveResult(result) {
+        var comments = result.map((res) => {
+          var offset = (res.createdAt.getTime() - start) / 1000;
+          res = Utility.changeToUnixTime(res.dataValues);
+          res.offset = offset;
+          delete res.deletedAt;
+          return res;
+        });
+
+        var ended = !stream.live && stream.endedAt &&
+                    start + to * 1000 >= stream.endedAt.getTime();
+
+        return {
+          comments: comments,
+          from: from,
+          to: to,
+          next: ended ? null : to
+        };
+      });
+  }).catch((err) => new CustomError.UnexpectedError(err));
+};
+
+/**
+ * @param  {string} userId
+ * @param  {string} streamId
+ * @param  {Object} sticker
+ * @param  {string} sticker.type
+ * @param  {number} sticker.createdAt unix time of the sticker
+ * @return {Promise<Sticker>}
+ */
+Class.createSticker = function(userId, streamId, sticker) {
+  logger.debug('Sticker from user %s to stream %s', userId, streamId);
+
+  var stickerObj = {
+    type: sticker.type,
+    createdAt: sticker.createdAt ? new Date(sticker.createdAt) : undefined
+  };
+
+  return Storage.createSticker(userId, streamId, stickerObj)
+    .then(function receiveResult(result) {
+      if (!result || result instanceof Error) {
+        return result;
+      }
+
+      return Utility.changeToUnixTime(result.dataValues);
+    }).catch(function(err) {
+      logger.error('Unable to create sticker: %j', err);
+
+      if (err.name === 'SequelizeValidationError') {
+        return new CustomError.InvalidFieldError(err.errors[0].message,
+                                                 err.errors[0].path);
+      } else {
+        return new CustomError.UnexpectedError(err);
+      }
+    });
+};
+
+/**
+ * @param  {string} streamId
+ * @return {Promise<Object>} total number of stickers and the number of
+ *                           stickers of each type
+ */
+Class.getStickerCountsForStream = function(streamId) {
+  logger.debug('Get sticker counts for stream %s', streamId);
+
+  return Storage.getStickerCountsForStream(streamId)
+    .then(function receiveResult(result) {
+      if (result instanceof Error) {
+        return result;
+      }
+
+      var total = Object.keys(result).reduce((sum, type) => {
+        return sum + result[type];
+      }, 0);
+
+      return {
+        streamId: streamId,
+        total: total,
+        types: result
+      };
+    });
+};
+
 Class.getLiveStreamsStats = function() {
   logger.info('Getting statistics for live streams');
 
@@ -297,7 +556,7 @@ Class.getLiveStreamsStats = function() {
 
 /**
  * Processes the Application object from the connection counts statistics
- * received from media server
+ * received from media server. Users and sockets are counted on all app servers
  * @param connectionCounts {Object}
  */
 Class.__processApplicationStats = function(connectionCounts) {
@@ -358,6 +617,7 @@ Class.createChatRoomsForLiveStreams = function() {
     for (var i in liveStreams) {
       initializeChatRoomForStream(liveStreams[i]);
     }
+    return ModerationService.restoreModerations();
   })
   .catch((err) => {
     logger.error('Error getting list of live streams to create rooms', err);
@@ -372,7 +632,8 @@ Class.createChatRoomsForLiveStreams = function() {
 function initializeChatRoomForStream(streamAttributes) {
   try {
     let room = SocketAdapter.createNewRoom(streamAttributes.appInstance,
-                                           streamAttributes.streamId);
+                                           streamAttributes.streamId,
+                                           streamAttributes.owner);
     if (!room || room instanceof Error) {
       logger.error('Unable to create new chat room for stream %s',
                    streamAttributes.title);
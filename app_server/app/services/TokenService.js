@@ -0,0 +1,253 @@
+/**
+ * Issues and verifies the bearer tokens used by the mobile client and third
+ * parties. Access tokens are short lived HS256 JSON web tokens. Refresh
+ * tokens are random values that are stored hashed and replaced on every use.
+ * @module TokenService
+ */
+'use strict';
+
+var rfr = require('rfr');
+var Promise = require('bluebird');
+var crypto = require('crypto');
+var util = require('util');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Storage = rfr('app/models/Storage');
+var ServerConfig = rfr('config/ServerConfig');
+
+var logger = Utility.createLogger(__filename);
+
+function TokenService() {
+}
+
+var Class = TokenService.prototype;
+
+Class.TOKEN_TYPE = 'Bearer';
+
+Class.ERRORS = {
+  INVALID_TOKEN: 'Token is invalid',
+  EXPIRED_TOKEN: 'Token has expired',
+  REVOKED_TOKEN: 'Token has been revoked'
+};
+
+/**
+ * @param  {Object} account
+ * @param  {string} account.userId
+ * @param  {string} account.username
+ * @param  {string|Array<string>} account.scope
+ * @return {Promise<Object>} {tokenType, accessToken, expiresIn, refreshToken}
+ */
+Class.issueTokens = function(account) {
+  logger.debug('Issuing tokens to %s', account.userId);
+
+  var secret = Utility.randomValueBase64(32);
+  var expiresAt = new Date(Date.now() +
+    ServerConfig.bearerToken.refreshTokenLifetime * 1000);
+
+  return Storage.createRefreshToken({
+    userId: account.userId,
+    tokenHash: Utility.hash(secret),
+    scope: JSON.stringify(account.scope),
+    expiresAt: expiresAt
+  }).then((refreshToken) => {
+    return {
+      tokenType: Class.TOKEN_TYPE,
+      accessToken: signAccessToken(account, refreshToken.tokenId),
+      expiresIn: ServerConfig.bearerToken.accessTokenLifetime,
+      refreshToken: util.format('%s.%s', refreshToken.tokenId, secret)
+    };
+  }).catch(function(err) {
+    logger.error('Unable to issue tokens: %j', err);
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * Replaces a refresh token with new access and refresh tokens
+ * @param  {string} refreshToken
+ * @return {Promise<Object>} see issueTokens
+ */
+Class.refreshTokens = function(refreshToken) {
+  logger.debug('Refreshing tokens');
+
+  return getValidRefreshToken(refreshToken).then((token) => {
+    if (token instanceof Error) {
+      return token;
+    }
+
+    return Storage.revokeRefreshToken(token.tokenId).then((revoked) => {
+      // Another request has used the token first
+      if (!revoked) {
+        return new CustomError.NotAuthorisedError(Class.ERRORS.REVOKED_TOKEN);
+      }
+
+      return Storage.getUserById(token.userId).then((user) => {
+        if (!user) {
+          return new CustomError.NotAuthorisedError(
+            Class.ERRORS.INVALID_TOKEN);
+        }
+
+        return this.issueTokens({
+          userId: user.userId,
+          username: user.username,
+          scope: JSON.parse(token.scope)
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Revokes a refresh token and the access tokens issued with it
+ * @param  {string} refreshToken
+ * @return {Promise<Boolean>}
+ */
+Class.revokeToken = function(refreshToken) {
+  logger.debug('Revoking token');
+
+  return getValidRefreshToken(refreshToken).then((token) => {
+    if (token instanceof Error) {
+      return token;
+    }
+
+    return Storage.revokeRefreshToken(token.tokenId);
+  });
+};
+
+/**
+ * Revokes every token issued to a user
+ * @param  {string} userId
+ * @return {Promise<Number>} the number of refresh tokens revoked
+ */
+Class.revokeTokensOfUser = function(userId) {
+  logger.info('Revoking all tokens of user %s', userId);
+  return Storage.revokeRefreshTokensOfUser(userId);
+};
+
+/**
+ * @param  {string} accessToken
+ * @return {Promise<Object>} credentials {userId, username, scope, tokenId}
+ *         {NotAuthorisedError} if the token is invalid, expired or revoked
+ */
+Class.verifyAccessToken = function(accessToken) {
+  var claims;
+  return Promise.try(() => decodeAccessToken(accessToken))
+  .then((result) => {
+    claims = result;
+    if (claims instanceof Error) {
+      return claims;
+    }
+
+    return Storage.getRefreshToken(claims.sid);
+  }).then((token) => {
+    if (token instanceof Error) {
+      return token;
+    }
+
+    if (!token || token.revokedAt) {
+      return new CustomError.NotAuthorisedError(Class.ERRORS.REVOKED_TOKEN);
+    }
+
+    return {
+      userId: claims.sub,
+      username: claims.username,
+      scope: claims.scope,
+      tokenId: claims.sid
+    };
+  }).catch((err) => {
+    logger.error('Unable to verify access token: %s', err.message);
+    return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_TOKEN);
+  });
+};
+
+/**
+ * Finds the stored refresh token and checks that it can still be used
+ * @private
+ * @return {Promise<Sequelize.RefreshToken>} or NotAuthorisedError
+ */
+function getValidRefreshToken(refreshToken) {
+  var parts = (refreshToken || '').split('.');
+  if (parts.length !== 2) {
+    return Promise.resolve(
+      new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_TOKEN));
+  }
+
+  return Storage.getRefreshToken(parts[0]).then(function(token) {
+    if (!token || !Utility.isEqual(token.tokenHash, Utility.hash(parts[1]))) {
+      return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_TOKEN);
+    }
+
+    if (token.revokedAt) {
+      return new CustomError.NotAuthorisedError(Class.ERRORS.REVOKED_TOKEN);
+    }
+
+    if (token.expiresAt.getTime() <= Date.now()) {
+      return new CustomError.NotAuthorisedError(Class.ERRORS.EXPIRED_TOKEN);
+    }
+
+    return token;
+  }).catch(function(err) {
+    // Malformed ids are rejected by some databases
+    logger.error('Unable to get refresh token: %j', err);
+    return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_TOKEN);
+  });
+}
+
+/**
+ * @private
+ */
+function signAccessToken(account, tokenId) {
+  var now = Math.floor(Date.now() / 1000);
+  var header = {alg: 'HS256', typ: 'JWT'};
+  var claims = {
+    sub: account.userId,
+    username: account.username,
+    scope: account.scope,
+    sid: tokenId,
+    iat: now,
+    exp: now + ServerConfig.bearerToken.accessTokenLifetime
+  };
+
+  var content = util.format('%s.%s',
+                            Utility.encodeBase64Url(JSON.stringify(header)),
+                            Utility.encodeBase64Url(JSON.stringify(claims)));
+  return util.format('%s.%s', content, sign(content));
+}
+
+/**
+ * @private
+ * @return {Object} the claims of the token or NotAuthorisedError
+ */
+function decodeAccessToken(accessToken) {
+  var parts = (accessToken || '').split('.');
+  if (parts.length !== 3 ||
+      !Utility.isEqual(parts[2],
+                       sign(util.format('%s.%s', parts[0], parts[1])))) {
+    return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_TOKEN);
+  }
+
+  var claims;
+  try {
+    claims = JSON.parse(Utility.decodeBase64Url(parts[1]).toString());
+  } catch (err) {
+    return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_TOKEN);
+  }
+
+  if (!claims.exp || claims.exp <= Date.now() / 1000) {
+    return new CustomError.NotAuthorisedError(Class.ERRORS.EXPIRED_TOKEN);
+  }
+
+  return claims;
+}
+
+/**
+ * @private
+ */
+function sign(content) {
+  return Utility.encodeBase64Url(
+    crypto.createHmac('sha256', ServerConfig.bearerToken.password)
+    .update(content).digest());
+}
+
+module.exports = new TokenService();
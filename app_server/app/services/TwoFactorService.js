@@ -0,0 +1,281 @@
+/**
+ * Two-factor authentication of admins with time-based one-time passwords.
+ * Admins enroll by adding the secret to an authenticator app and confirming
+ * a code, after which they get single use recovery codes for lost devices.
+ * @module TwoFactorService
+ */
+'use strict';
+
+var rfr = require('rfr');
+var Promise = require('bluebird');
+var crypto = require('crypto');
+
+var CustomError = rfr('app/util/Error');
+var Utility = rfr('app/util/Utility');
+var Totp = rfr('app/util/Totp');
+var Storage = rfr('app/models/Storage');
+var ServerConfig = rfr('config/ServerConfig');
+
+var logger = Utility.createLogger(__filename);
+
+function TwoFactorService() {
+}
+
+var Class = TwoFactorService.prototype;
+
+Class.ERRORS = {
+  INVALID_CODE: 'Two-factor code is invalid',
+  NOT_ENROLLED: 'Two-factor authentication has not been set up',
+  ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+  MANDATORY: 'Two-factor authentication is mandatory for admins'
+};
+
+Class.MANDATORY_SETTING = 'twoFactorMandatory';
+
+/**
+ * @return {Promise<Boolean>} true if every admin has to use 2FA
+ */
+Class.isMandatory = function() {
+  return Storage.getSetting(Class.MANDATORY_SETTING, false);
+};
+
+/**
+ * @param  {boolean} mandatory
+ * @return {Promise<Boolean>}
+ */
+Class.setMandatory = function(mandatory) {
+  logger.info('Setting two-factor authentication mandatory: %s', mandatory);
+  return Storage.setSetting(Class.MANDATORY_SETTING, mandatory);
+};
+
+/**
+ * @param  {Object} admin
+ * @return {Promise<Boolean>} true if the admin has to enter a code to log in
+ */
+Class.isRequired = function(admin) {
+  if (admin.twoFactorEnabled) {
+    return Promise.resolve(true);
+  }
+
+  return this.isMandatory();
+};
+
+/**
+ * Creates a new secret for the admin to add to an authenticator app. It is
+ * only used once the admin has confirmed a code.
+ * @param  {string} userId
+ * @return {Promise<Object>} {secret, qrData} where qrData is the otpauth URI
+ *         to show as a QR code
+ */
+Class.startEnrollment = function(userId) {
+  return getAdmin(userId).then(function(admin) {
+    if (admin instanceof Error) {
+      return admin;
+    }
+
+    if (admin.twoFactorEnabled) {
+      return new CustomError.InvalidFieldError(Class.ERRORS.ALREADY_ENABLED);
+    }
+
+    var secret = Totp.generateSecret();
+    return Storage.updateUser(userId, {twoFactorSecret: secret})
+    .then(function() {
+      return {
+        secret: secret,
+        qrData: Totp.getProvisioningUri(ServerConfig.twoFactor.issuer,
+                                        admin.username, secret)
+      };
+    });
+  });
+};
+
+/**
+ * Enables 2FA once the admin enters a code made from the new secret
+ * @param  {string} userId
+ * @param  {string} code
+ * @return {Promise<Object>} {recoveryCodes}
+ */
+Class.confirmEnrollment = function(userId, code) {
+  return getAdmin(userId).then(function(admin) {
+    if (admin instanceof Error) {
+      return admin;
+    }
+
+    if (admin.twoFactorEnabled) {
+      return new CustomError.InvalidFieldError(Class.ERRORS.ALREADY_ENABLED);
+    }
+
+    if (!admin.twoFactorSecret) {
+      return new CustomError.InvalidFieldError(Class.ERRORS.NOT_ENROLLED);
+    }
+
+    var step = verifyCode(admin.twoFactorSecret, code);
+    if (step === -1) {
+      return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_CODE);
+    }
+
+    var recoveryCodes = generateRecoveryCodes();
+    logger.info('Enabling two-factor authentication of %s', userId);
+
+    return Storage.updateUser(userId, {
+      twoFactorEnabled: true,
+      twoFactorLastStep: step,
+      twoFactorRecoveryCodes: JSON.stringify(recoveryCodes.map(Utility.hash))
+    }).then(() => ({recoveryCodes: recoveryCodes}));
+  });
+};
+
+/**
+ * Checks the code from the authenticator app or a recovery code, which can
+ * only be used once
+ * @param  {string} userId
+ * @param  {Object} credentials
+ * @param  {string} credentials.code
+ * @param  {string} credentials.recoveryCode
+ * @return {Promise<Boolean>} true if the admin is verified
+ *         {NotAuthorisedError} otherwise
+ */
+Class.verify = function(userId, credentials) {
+  return getAdmin(userId).then(function(admin) {
+    if (admin instanceof Error) {
+      return admin;
+    }
+
+    if (!admin.twoFactorEnabled) {
+      return new CustomError.NotAuthorisedError(Class.ERRORS.NOT_ENROLLED);
+    }
+
+    if (credentials.recoveryCode) {
+      var hashes = JSON.parse(admin.twoFactorRecoveryCodes || '[]');
+      var recoveryCode = normalise(credentials.recoveryCode);
+      var index = hashes.indexOf(Utility.hash(recoveryCode));
+      if (index === -1) {
+        return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_CODE);
+      }
+
+      logger.info('Admin %s used a recovery code', userId);
+      hashes.splice(index, 1);
+      return Storage.updateUser(userId, {
+        twoFactorRecoveryCodes: JSON.stringify(hashes)
+      }).then(() => true);
+    }
+
+    // codes cannot be used again, even within their window
+    var step = verifyCode(admin.twoFactorSecret, credentials.code);
+    if (step === -1 || step <= admin.twoFactorLastStep) {
+      return new CustomError.NotAuthorisedError(Class.ERRORS.INVALID_CODE);
+    }
+
+    return Storage.updateUser(userId, {twoFactorLastStep: step})
+    .then(() => true);
+  });
+};
+
+/**
+ * Replaces the recovery codes of the admin after checking a code
+ * @param  {string} userId
+ * @param  {Object} credentials see verify
+ * @return {Promise<Object>} {recoveryCodes}
+ */
+Class.regenerateRecoveryCodes = function(userId, credentials) {
+  return this.verify(userId, credentials).then(function(verified) {
+    if (verified instanceof Error) {
+      return verified;
+    }
+
+    var recoveryCodes = generateRecoveryCodes();
+    return Storage.updateUser(userId, {
+      twoFactorRecoveryCodes: JSON.stringify(recoveryCodes.map(Utility.hash))
+    }).then(() => ({recoveryCodes: recoveryCodes}));
+  });
+};
+
+/**
+ * Turns off 2FA of the admin after checking a code
+ * @param  {string} userId
+ * @param  {Object} credentials see verify
+ * @return {Promise<Boolean>}
+ */
+Class.disable = function(userId, credentials) {
+  return this.isMandatory().then((mandatory) => {
+    if (mandatory) {
+      return new CustomError.InvalidFieldError(Class.ERRORS.MANDATORY);
+    }
+
+    return this.verify(userId, credentials);
+  }).then((verified) => {
+    if (verified instanceof Error) {
+      return verified;
+    }
+
+    return this.reset(userId);
+  });
+};
+
+/**
+ * Turns off 2FA of an admin who has lost their device and recovery codes
+ * @param  {string} userId
+ * @return {Promise<Boolean>}
+ */
+Class.reset = function(userId) {
+  logger.info('Resetting two-factor authentication of %s', userId);
+
+  return getAdmin(userId).then(function(admin) {
+    if (admin instanceof Error) {
+      return admin;
+    }
+
+    return Storage.updateUser(userId, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorLastStep: null
+    }).then(() => true);
+  });
+};
+
+/**
+ * @private
+ * @return {Promise<Object>} the admin or NotFoundError
+ */
+function getAdmin(userId) {
+  return Storage.getUserById(userId).then(function(user) {
+    if (!user || user.permissions === null) {
+      return new CustomError.NotFoundError('Admin');
+    }
+
+    return user.dataValues;
+  });
+}
+
+/**
+ * @private
+ * @return {number} the time step of the code or -1
+ */
+function verifyCode(secret, code) {
+  return Totp.verify(secret, code, Date.now(),
+                     {window: ServerConfig.twoFactor.window});
+}
+
+/**
+ * @private
+ * @return {Array<string>} codes such as "3f9a1-c27d0"
+ */
+function generateRecoveryCodes() {
+  var codes = [];
+  for (var i = 0; i < ServerConfig.twoFactor.recoveryCodes; i++) {
+    var code = crypto.randomBytes(5).toString('hex');
+    codes.push(code.substr(0, 5) + '-' + code.substr(5));
+  }
+  return codes;
+}
+
+/**
+ * @private
+ */
+function normalise(recoveryCode) {
+  return recoveryCode.toLowerCase().replace(/[^0-9a-f]/g, '')
+    .replace(/^(.{5})/, '$1-');
+}
+
+module.exports = new TwoFactorService();
@@ -1,4 +1,5 @@
 var rfr = require('rfr');
+var Promise = require('bluebird');
 
 var SocketAdapter = rfr('app/adapters/socket/SocketAdapter');
 var Utility = rfr('app/util/Utility');
@@ -86,6 +87,109 @@ Class.getNumberOfUsers = function() {
   return Storage.getNumberOfUsers();
 };
 
+///// IDENTITY RELATED ////
+/**
+ * Gets the identities a user can log in with. The first one is the identity
+ * the user signed up with and cannot be unlinked.
+ * @param userId {string}
+ * @return {Promise<Array<Identity>>}
+ */
+Class.getIdentities = function(userId) {
+  logger.debug('Getting identities of user %s', userId);
+
+  return Promise.join(Storage.getUserById(userId),
+                      Storage.getIdentitiesForUser(userId),
+    function(user, identities) {
+      if (!user) {
+        return new CustomError.NotFoundError('User', userId);
+      }
+
+      var primary = {
+        identityId: null,
+        platformType: user.platformType,
+        platformId: user.platformId,
+        primary: true,
+        createdAt: user.createdAt.getTime()
+      };
+
+      return [primary].concat(identities.map(formatIdentityObject));
+    });
+};
+
+/**
+ * Links a social media account to a user so the user can log in with it
+ * @param userId {string}
+ * @param identity {object}
+ * @param identity.platformType {string}
+ * @param identity.platformId {string}
+ * @param identity.accessToken {string}
+ * @return {Promise<Array<Identity>>} the identities of the user
+ */
+Class.linkIdentity = function(userId, identity) {
+  logger.info('Linking %s identity %s to user %s',
+              identity.platformType, identity.platformId, userId);
+
+  return Storage.getUserByPlatformId(identity.platformType,
+                                     identity.platformId)
+  .then((owner) => {
+    if (owner && owner.userId === userId) {
+      return new CustomError.InvalidFieldError(
+        'Identity is already linked to this account', 'platformId');
+    }
+
+    if (owner) {
+      return new CustomError.InvalidFieldError(
+        'Identity belongs to another account', 'platformId');
+    }
+
+    return Storage.createIdentity(userId, identity)
+      .then(() => this.getIdentities(userId));
+  }).catch(function(err) {
+    logger.error('Unable to link identity: %j', err);
+
+    if (err.name === 'SequelizeValidationError') {
+      return new CustomError.InvalidFieldError(err.errors[0].message,
+                                               err.errors[0].path);
+    }
+    return new CustomError.UnexpectedError(err);
+  });
+};
+
+/**
+ * @param userId {string}
+ * @param identityId {string}
+ * @return {Promise<Array<Identity>>} the remaining identities of the user
+ */
+Class.unlinkIdentity = function(userId, identityId) {
+  logger.info('Unlinking identity %s from user %s', identityId, userId);
+
+  return Storage.deleteIdentity(userId, identityId).then((deleted) => {
+    if (!deleted) {
+      return new CustomError.NotFoundError('Identity', identityId);
+    }
+
+    return this.getIdentities(userId);
+  });
+};
+
+/**
+ * Updates a linked identity, such as the access token it was last used with
+ * @param userId {string}
+ * @param platformType {string}
+ * @param platformId {string}
+ * @param particulars {object}
+ * @return {Promise<Boolean>} false if the identity could not be updated
+ */
+Class.updateIdentity = function(userId, platformType, platformId,
+                                particulars) {
+  return Storage.updateIdentity(userId, platformType, platformId, particulars)
+  .catch(function fail(err) {
+    logger.error('Unable to update %s identity of user %s: %j',
+                 platformType, userId, err);
+    return false;
+  });
+};
+
 ///// VIEW RELATED ////
 Class.createView = function(userId, streamId) {
   return Storage.createView(userId, streamId).then(function(view) {
@@ -103,6 +207,74 @@ Class.createView = function(userId, streamId) {
   });
 };
 
+/**
+ * Ends the view of a user who stopped watching a stream
+ * @param userId {string}
+ * @param streamId {string}
+ * @return {Promise<View>}
+ *         {Promise<NotFoundError>} if the user is not watching the stream
+ */
+Class.endView = function(userId, streamId) {
+  return Storage.endView(userId, streamId).then(function(view) {
+    if (!view) {
+      return new CustomError.NotFoundError('View', streamId);
+    }
+
+    return view.dataValues;
+  });
+};
+
+/**
+ * Gets how long each viewer has watched a stream, counting the time of the
+ * viewers who are still watching
+ * @param streamId {string}
+ * @return {Promise<Object>} {streamId, streamDuration, totalDuration,
+ *                            averageDuration, views: [{userId, duration,
+ *                            watching}]} where durations are in seconds
+ */
+Class.getWatchDurationOfStream = function(streamId) {
+  logger.debug('Getting watch duration of stream: %s', streamId);
+
+  return Promise.join(Storage.getStreamById(streamId),
+                      Storage.getWatchedViews({streamId: streamId}))
+  .spread(function(stream, views) {
+    if (!stream) {
+      return new CustomError.NotFoundError('Stream', streamId);
+    }
+
+    var now = Date.now();
+    var endedAt = stream.live ? now : stream.endedAt || now;
+    var result = summariseViews(views, now, 'userId');
+
+    result.streamId = streamId;
+    result.streamDuration = Math.round((endedAt - stream.createdAt) / 1000);
+    return result;
+  });
+};
+
+/**
+ * Gets how long a user has watched each stream
+ * @param userId {string}
+ * @return {Promise<Object>} {userId, totalDuration, averageDuration,
+ *                            views: [{streamId, duration, watching}]}
+ *                            where durations are in seconds
+ */
+Class.getWatchDurationOfUser = function(userId) {
+  logger.debug('Getting watch duration of user: %s', userId);
+
+  return Promise.join(Storage.getUserById(userId),
+                      Storage.getWatchedViews({userId: userId}))
+  .spread(function(user, views) {
+    if (!user) {
+      return new CustomError.NotFoundError('User', userId);
+    }
+
+    var result = summariseViews(views, Date.now(), 'streamId');
+    result.userId = userId;
+    return result;
+  });
+};
+
 /**
  * Gets the list of users watching a particular stream.
  * @param streamId {string}
@@ -281,4 +453,48 @@ var addIsSubscribedField = function(userId, singleUser) {
   return singleUser;
 };
 
+/**
+ * @private
+ */
+function formatIdentityObject(identity) {
+  return {
+    identityId: identity.identityId,
+    platformType: identity.platformType,
+    platformId: identity.platformId,
+    primary: false,
+    createdAt: identity.createdAt.getTime()
+  };
+}
+
+/**
+ * @private
+ * @param views {Array<Object>} see Storage#getWatchedViews
+ * @param now {number}
+ * @param key {string} the field identifying each view, userId or streamId
+ */
+function summariseViews(views, now, key) {
+  var summary = views.map(function(view) {
+    var duration = view.duration;
+    if (!view.endedAt) {
+      var resumedAt = new Date(view.resumedAt || view.createdAt);
+      duration += Math.max(0, Math.round((now - resumedAt) / 1000));
+    }
+
+    var viewSummary = {
+      duration: duration,
+      watching: !view.endedAt
+    };
+    viewSummary[key] = view[key];
+    return viewSummary;
+  });
+
+  var total = summary.reduce((sum, view) => sum + view.duration, 0);
+
+  return {
+    totalDuration: total,
+    averageDuration: summary.length ? Math.round(total / summary.length) : 0,
+    views: summary
+  };
+}
+
 module.exports = new UserService();
@@ -0,0 +1,276 @@
+/**
+ * Cache stores keep the items of the server cache, such as the accounts of
+ * logged in users and their sessions. A store is either kept in memory,
+ * which is lost on restarts, in files, in a database table or in a Redis-like
+ * server, which can be shared by several app servers. The stores are catbox
+ * engines, so that hapi can use them as the server cache.
+ * @module CacheStore
+ */
+'use strict';
+var rfr = require('rfr');
+var path = require('path');
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var CatboxMemory = require('catbox-memory');
+
+var TYPES = exports.TYPES = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  SQL: 'sql',
+  REDIS: 'redis'
+};
+
+/**
+ * Creates the store according to the cache config
+ * @param {Object} config
+ * @param {string} config.type one of TYPES
+ * @return {Object} the options of the server cache for hapi
+ */
+exports.create = function(config) {
+  return {engine: createEngine(config)};
+};
+
+/**
+ * @private
+ */
+function createEngine(config) {
+  switch (config.type) {
+  case TYPES.FILE:
+    return new FileStore(config);
+  case TYPES.SQL:
+    return new SqlStore();
+  case TYPES.REDIS:
+    return new RedisStore(require('redis').createClient(config.redis));
+  default:
+    return new CatboxMemory();
+  }
+}
+
+/**
+ * Keeps each item as a JSON file named after its key, in a directory for each
+ * segment
+ * @constructor
+ * @param {Object} config
+ * @param {string} config.directory
+ */
+var FileStore = exports.FileStore = function(config) {
+  this.directory = config.directory;
+  this.ready = false;
+};
+
+FileStore.prototype.start = function(callback) {
+  mkdir(this.directory).then(() => {
+    this.ready = true;
+  }).asCallback(callback);
+};
+
+FileStore.prototype.stop = function() {
+  this.ready = false;
+};
+
+FileStore.prototype.isReady = function() {
+  return this.ready;
+};
+
+FileStore.prototype.validateSegmentName = function(name) {
+  return validateSegmentName(name);
+};
+
+/**
+ * @param {Object} key {segment, id}
+ * @return {string} path of the file of the key
+ */
+FileStore.prototype.getFile = function(key) {
+  return path.join(this.directory, encodeURIComponent(key.segment),
+                   encodeURIComponent(key.id) + '.json');
+};
+
+FileStore.prototype.get = function(key, callback) {
+  var file = this.getFile(key);
+
+  fs.readFileAsync(file, 'utf8').then((content) => {
+    var envelope = JSON.parse(content);
+    if (envelope.stored + envelope.ttl > Date.now()) {
+      return envelope;
+    }
+
+    return removeFile(file).then(() => null);
+  }).catch((err) => {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }).asCallback(callback);
+};
+
+FileStore.prototype.set = function(key, value, ttl, callback) {
+  var file = this.getFile(key);
+  var envelope = {item: value, stored: Date.now(), ttl: ttl};
+
+  // written to another file first so that a partly written item is never read
+  var tmpFile = `${file}.${process.pid}.tmp`;
+  mkdir(path.dirname(file)).then(() => {
+    return fs.writeFileAsync(tmpFile, JSON.stringify(envelope));
+  }).then(() => fs.renameAsync(tmpFile, file)).asCallback(callback);
+};
+
+FileStore.prototype.drop = function(key, callback) {
+  removeFile(this.getFile(key)).asCallback(callback);
+};
+
+/**
+ * Keeps the items in the CacheEntry table. Expired entries are deleted when
+ * they are read, and at the start of the store
+ * @constructor
+ */
+var SqlStore = exports.SqlStore = function() {
+  this.ready = false;
+};
+
+SqlStore.prototype.start = function(callback) {
+  // Storage logs through the server log, so it is only loaded when needed
+  var Storage = rfr('app/models/Storage');
+
+  Promise.resolve(Storage.dbSyncPromise).then(() => {
+    return Storage.deleteExpiredCacheEntries();
+  }).then(() => {
+    this.ready = true;
+  }).asCallback(callback);
+};
+
+SqlStore.prototype.stop = function() {
+  this.ready = false;
+};
+
+SqlStore.prototype.isReady = function() {
+  return this.ready;
+};
+
+SqlStore.prototype.validateSegmentName = function(name) {
+  return validateSegmentName(name);
+};
+
+SqlStore.prototype.get = function(key, callback) {
+  var Storage = rfr('app/models/Storage');
+
+  Promise.resolve(Storage.getCacheEntry(getKey(key))).then((entry) => {
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      item: JSON.parse(entry.item),
+      stored: Number(entry.stored),
+      ttl: entry.expiresAt.getTime() - Number(entry.stored)
+    };
+  }).asCallback(callback);
+};
+
+SqlStore.prototype.set = function(key, value, ttl, callback) {
+  var Storage = rfr('app/models/Storage');
+  Promise.resolve(Storage.setCacheEntry(getKey(key), value, ttl))
+  .then(() => null).asCallback(callback);
+};
+
+SqlStore.prototype.drop = function(key, callback) {
+  var Storage = rfr('app/models/Storage');
+  Promise.resolve(Storage.deleteCacheEntry(getKey(key)))
+  .then(() => null).asCallback(callback);
+};
+
+/**
+ * Keeps the items in a Redis-like server, which expires them by itself. The
+ * client can be of any store with the get, set with PX and del commands of
+ * Redis and node_redis style callbacks
+ * @constructor
+ * @param {Object} client
+ */
+var RedisStore = exports.RedisStore = function(client) {
+  this.client = client;
+  this.ready = false;
+};
+
+RedisStore.prototype.start = function(callback) {
+  this.ready = true;
+  process.nextTick(callback);
+};
+
+RedisStore.prototype.stop = function() {
+  this.ready = false;
+  this.client.quit();
+};
+
+RedisStore.prototype.isReady = function() {
+  return this.ready;
+};
+
+RedisStore.prototype.validateSegmentName = function(name) {
+  return validateSegmentName(name);
+};
+
+RedisStore.prototype.get = function(key, callback) {
+  Promise.fromCallback((cb) => this.client.get(getKey(key), cb))
+  .then((data) => data ? JSON.parse(data) : null).asCallback(callback);
+};
+
+RedisStore.prototype.set = function(key, value, ttl, callback) {
+  var envelope = {item: value, stored: Date.now(), ttl: ttl};
+  Promise.fromCallback((cb) => {
+    this.client.set(getKey(key), JSON.stringify(envelope), 'PX', ttl, cb);
+  }).then(() => null).asCallback(callback);
+};
+
+RedisStore.prototype.drop = function(key, callback) {
+  Promise.fromCallback((cb) => this.client.del(getKey(key), cb))
+  .then(() => null).asCallback(callback);
+};
+
+/**
+ * @private
+ */
+function getKey(key) {
+  return `${key.segment}:${key.id}`;
+}
+
+/**
+ * @private
+ */
+function validateSegmentName(name) {
+  if (!name) {
+    return new Error('Empty string');
+  }
+
+  if (name.indexOf('\u0000') !== -1) {
+    return new Error('Includes null character');
+  }
+
+  return null;
+}
+
+/**
+ * Creates a directory and its parents if they do not exist
+ * @private
+ */
+function mkdir(directory) {
+  return fs.mkdirAsync(directory).catch((err) => {
+    if (err.code === 'EEXIST') {
+      return;
+    }
+
+    if (err.code === 'ENOENT') {
+      return mkdir(path.dirname(directory)).then(() => mkdir(directory));
+    }
+    throw err;
+  });
+}
+
+/**
+ * @private
+ */
+function removeFile(file) {
+  return fs.unlinkAsync(file).catch((err) => {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * ConfigLoader builds the configuration of the server from layers, each
+ * overriding the one before: the defaults in config/defaults.js, a JSON
+ * config file and the environment variables in config/schema.js. The result
+ * is validated against the schema, so that the server does not start with a
+ * configuration it cannot run on.
+ * @module ConfigLoader
+ */
+'use strict';
+var rfr = require('rfr');
+var fs = require('fs');
+var path = require('path');
+var Joi = require('joi');
+
+var defaults = rfr('config/defaults');
+var testLayer = rfr('config/test');
+var Schema = rfr('config/schema');
+
+var DEFAULT_FILE = path.join(__dirname, '../../config/local.json');
+
+/**
+ * @param env {Object} the environment variables. CONFIG_FILE is the path of
+ *        the config file, config/local.json by default
+ * @return {Object} the validated configuration
+ * @throws {Error} if the configuration is invalid, or if it is production and
+ *         a secret has its default value
+ */
+exports.load = function(env) {
+  var config = merge({}, defaults);
+
+  merge(config, readFile(env.CONFIG_FILE));
+  merge(config, readEnv(env));
+  if (env.NODE_ENV === 'test' && !env.DB_DIALECT) {
+    merge(config, testLayer);
+  }
+
+  var result = Joi.validate(config, Schema.schema, {abortEarly: false});
+  if (result.error) {
+    throw new Error('Invalid configuration: ' + result.error.message);
+  }
+
+  if (env.NODE_ENV === 'production') {
+    var defaultSecrets = exports.getDefaultSecrets(result.value);
+    if (defaultSecrets.length > 0) {
+      throw new Error('Secrets must be set in production: ' +
+                      defaultSecrets.join(', '));
+    }
+  }
+
+  return result.value;
+};
+
+/**
+ * @param config {Object} a loaded configuration
+ * @return {Array<string>} paths of the secrets that still have a default
+ *         value. Empty defaults, such as the database password, are not
+ *         counted as they are not known to others
+ */
+exports.getDefaultSecrets = function(config) {
+  return Schema.secrets.filter((secretPath) => {
+    return isDefault(get(config, secretPath), get(defaults, secretPath));
+  });
+};
+
+/**
+ * @param config {Object} a loaded configuration
+ * @return {Object} a copy of the configuration without the secrets
+ */
+exports.getPublicSettings = function(config) {
+  var settings = JSON.parse(JSON.stringify(config));
+  Schema.secrets.forEach((secretPath) => {
+    var keys = secretPath.split('.');
+    var parent = get(settings, keys.slice(0, -1).join('.'));
+    if (parent) {
+      delete parent[keys[keys.length - 1]];
+    }
+  });
+  return settings;
+};
+
+/**
+ * @private
+ * @return {Object} the content of the config file, which is optional unless
+ *         its path is given
+ */
+function readFile(file) {
+  if (!file && !fs.existsSync(DEFAULT_FILE)) {
+    return {};
+  }
+
+  var filePath = path.resolve(file || DEFAULT_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error('Unable to read config file ' + filePath + ': ' +
+                    err.message);
+  }
+}
+
+/**
+ * @private
+ * @return {Object} the values set by the environment variables, as strings
+ *         that are converted by the schema
+ */
+function readEnv(env) {
+  var values = {};
+  Object.keys(Schema.env).forEach((name) => {
+    if (env[name] === undefined || env[name] === '') {
+      return;
+    }
+
+    [].concat(Schema.env[name]).forEach((valuePath) => {
+      set(values, valuePath, env[name]);
+    });
+  });
+  return values;
+}
+
+/**
+ * Merges the source into the target. Objects are merged, while arrays, other
+ * values and the secrets replace those of the target, so that no default key
+ * is kept with the ones given
+ * @private
+ */
+function merge(target, source, prefix) {
+  Object.keys(source).forEach((key) => {
+    var valuePath = prefix ? prefix + '.' + key : key;
+    if (isObject(source[key]) && Schema.secrets.indexOf(valuePath) === -1) {
+      target[key] = merge(isObject(target[key]) ? target[key] : {},
+                          source[key], valuePath);
+    } else {
+      target[key] = source[key];
+    }
+  });
+  return target;
+}
+
+function isDefault(value, defaultValue) {
+  if (isObject(defaultValue)) {
+    return Object.keys(defaultValue).some((key) => {
+      return isObject(value) && isDefault(value[key], defaultValue[key]);
+    });
+  }
+
+  return Boolean(defaultValue) && value === defaultValue;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function get(object, valuePath) {
+  return valuePath.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+  }, object);
+}
+
+function set(object, valuePath, value) {
+  var keys = valuePath.split('.');
+  var parent = keys.slice(0, -1).reduce((child, key) => {
+    child[key] = child[key] || {};
+    return child[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+}
@@ -41,6 +41,14 @@ exports.DuplicateEntryError = function(message) {
   this.message = message;
 };
 
+var RejectedCommentError =
+exports.RejectedCommentError = function(message, filter) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = 'RejectedCommentError';
+  this.message = message;
+  this.filter = filter;
+};
+
 var UnexpectedError =
 exports.UnexpectedError = function(details) {
   Error.captureStackTrace(this, this.constructor);
@@ -54,5 +62,6 @@ util.inherits(InvalidColumnError, Error);
 util.inherits(NotFoundError, Error);
 util.inherits(NotAuthorisedError, Error);
 util.inherits(DuplicateEntryError, Error);
+util.inherits(RejectedCommentError, Error);
 util.inherits(UnexpectedError, Error);
 
@@ -0,0 +1,343 @@
+/**
+ * Log stores keep the entries written to the server and response logs so
+ * that they can be queried through the log API. A store is either a bounded
+ * in-memory ring buffer, a set of rotating files or a database table.
+ * @module LogStore
+ */
+'use strict';
+var rfr = require('rfr');
+var path = require('path');
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+
+var LOGS = exports.LOGS = {
+  SERVER: 'server',
+  RESPONSE: 'response'
+};
+
+var TYPES = exports.TYPES = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  SQL: 'sql'
+};
+
+var logger = null;
+
+/**
+ * Creates the store of a log according to the log store config
+ * @param {string} name one of LOGS
+ * @param {Object} config
+ * @param {string} config.type one of TYPES
+ * @return {MemoryStore|FileStore|SqlStore}
+ */
+exports.create = function(name, config) {
+  switch (config.type) {
+  case TYPES.FILE:
+    return new FileStore(name, config);
+  case TYPES.SQL:
+    return new SqlStore(name, config);
+  default:
+    return new MemoryStore(config);
+  }
+};
+
+/**
+ * Fixed size buffer that overwrites its oldest items once it is full
+ * @constructor
+ * @param {number} capacity
+ */
+var RingBuffer = exports.RingBuffer = function(capacity) {
+  this.capacity = capacity;
+  this.items = [];
+  this.start = 0;
+};
+
+RingBuffer.prototype.push = function(item) {
+  if (this.items.length < this.capacity) {
+    this.items.push(item);
+  } else {
+    this.items[this.start] = item;
+    this.start = (this.start + 1) % this.capacity;
+  }
+};
+
+/**
+ * @return {Array} the items from the oldest to the most recent
+ */
+RingBuffer.prototype.toArray = function() {
+  return this.items.slice(this.start).concat(this.items.slice(0, this.start));
+};
+
+/**
+ * Keeps the most recent entries in memory
+ * @constructor
+ * @param {Object} config
+ * @param {number} config.maxEntries
+ */
+var MemoryStore = exports.MemoryStore = function(config) {
+  this.buffer = new RingBuffer(config.maxEntries);
+};
+
+MemoryStore.prototype.add = function(entry) {
+  this.buffer.push(entry);
+};
+
+/**
+ * @param {Object} filters see filterEntries
+ * @param {Object} page {limit: <number>, offset: <number>}
+ * @return {Promise<Object>} {logs: <Array>, next: <number>}
+ */
+MemoryStore.prototype.query = function(filters, page) {
+  return Promise.resolve(
+    paginate(filterEntries(this.buffer.toArray().reverse(), filters), page));
+};
+
+/**
+ * Appends entries as lines of JSON to a file in the log directory. When the
+ * file grows past config.maxFileSize it is rotated to <name>.1.log and so on,
+ * keeping at most config.maxFiles files.
+ * @constructor
+ * @param {string} name
+ * @param {Object} config
+ * @param {string} config.directory
+ * @param {number} config.maxFileSize in bytes
+ * @param {number} config.maxFiles
+ */
+var FileStore = exports.FileStore = function(name, config) {
+  this.directory = config.directory;
+  this.name = name;
+  this.maxFileSize = config.maxFileSize;
+  this.maxFiles = config.maxFiles;
+  this.failing = false;
+
+  // writes are queued so that they are not interleaved with rotations
+  this.writing = fs.mkdirAsync(this.directory).catch((err) => {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  });
+};
+
+/**
+ * @param {number} index 0 for the current file
+ * @return {string} path of the index-th most recent file
+ */
+FileStore.prototype.getFile = function(index) {
+  var filename = index ? `${this.name}.${index}.log` : `${this.name}.log`;
+  return path.join(this.directory, filename);
+};
+
+FileStore.prototype.add = function(entry) {
+  var line = JSON.stringify(entry) + '\n';
+
+  this.writing = this.writing.then(() => {
+    return fs.appendFileAsync(this.getFile(0), line);
+  }).then(() => {
+    return fs.statAsync(this.getFile(0));
+  }).then((stats) => {
+    this.failing = false;
+    if (stats.size >= this.maxFileSize) {
+      return this.__rotate();
+    }
+  }).catch((err) => {
+    logWriteError(this, 'Unable to write to log file %s: %s', this.getFile(0),
+                  err.message);
+  });
+};
+
+FileStore.prototype.__rotate = function() {
+  var renames = [];
+  for (var i = this.maxFiles - 1; i > 0; i--) {
+    renames.push([this.getFile(i - 1), this.getFile(i)]);
+  }
+
+  return Promise.each(renames, (rename) => {
+    return fs.renameAsync(rename[0], rename[1]).catch((err) => {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    });
+  });
+};
+
+FileStore.prototype.query = function(filters, page) {
+  var files = [];
+  for (var i = 0; i < this.maxFiles; i++) {
+    files.push(this.getFile(i));
+  }
+
+  return this.writing.then(() => Promise.map(files, (file) => {
+    return fs.readFileAsync(file, 'utf8').catch((err) => {
+      if (err.code === 'ENOENT') {
+        return '';
+      }
+      throw err;
+    });
+  })).then((contents) => {
+    var entries = contents.reduce((all, content, index) => {
+      var lines = content.split('\n').filter((line) => line);
+      return all.concat(lines.reverse()
+                             .map((line) => parseEntry(line, files[index]))
+                             .filter((entry) => entry));
+    }, []);
+
+    return paginate(filterEntries(entries, filters), page);
+  });
+};
+
+/**
+ * Stores entries in the database. Entries are written in batches every
+ * config.flushInterval ms, and on queries so that they are up to date.
+ * @constructor
+ * @param {string} name
+ * @param {Object} config
+ * @param {number} config.flushInterval
+ */
+var SqlStore = exports.SqlStore = function(name, config) {
+  this.modelName = name === LOGS.RESPONSE ? 'ResponseLog' : 'Log';
+  this.flushInterval = config.flushInterval;
+  this.pending = [];
+  this.timer = null;
+  this.flushing = Promise.resolve();
+  this.failing = false;
+};
+
+SqlStore.prototype.add = function(entry) {
+  this.pending.push(entry);
+
+  if (!this.timer) {
+    this.timer = setTimeout(() => this.flush(), this.flushInterval);
+    this.timer.unref();
+  }
+};
+
+/**
+ * @return {Promise} resolved once the pending entries are written
+ */
+SqlStore.prototype.flush = function() {
+  clearTimeout(this.timer);
+  this.timer = null;
+
+  var entries = this.pending;
+  this.pending = [];
+
+  // Storage logs through the server log, so it can only be loaded once the
+  // loggers are created
+  var Storage = rfr('app/models/Storage');
+
+  this.flushing = this.flushing.then(() => {
+    if (entries.length === 0) {
+      return;
+    }
+
+    return Storage.dbSyncPromise.then(() => {
+      return Storage.createLogEntries(this.modelName, entries);
+    }).then(() => {
+      this.failing = false;
+    }).catch((err) => {
+      logWriteError(this, 'Unable to write to log table %s: %s',
+                    this.modelName, err.message);
+    });
+  });
+
+  return this.flushing;
+};
+
+SqlStore.prototype.query = function(filters, page) {
+  var Storage = rfr('app/models/Storage');
+  var offset = page.offset || 0;
+  var limit = page.limit ? page.limit + 1 : undefined;
+
+  return this.flush().then(() => {
+    return Storage.getLogEntries(this.modelName, filters,
+                                 {limit: limit, offset: offset});
+  }).then((logs) => {
+    logs = logs.map((log) => {
+      var entry = log.get({plain: true});
+      delete entry.logId;
+      return entry;
+    });
+
+    if (!page.limit || logs.length <= page.limit) {
+      return {logs: logs, next: null};
+    }
+
+    return {logs: logs.slice(0, page.limit), next: offset + page.limit};
+  });
+};
+
+/**
+ * Filters entries by exact level, label and status, path prefix and a time
+ * range given as unix time
+ * @private
+ */
+function filterEntries(entries, filters) {
+  return entries.filter((entry) => {
+    var time = new Date(entry.timestamp).getTime();
+
+    return (!filters.level || entry.level === filters.level) &&
+           (!filters.label || entry.label === filters.label) &&
+           (!filters.path || String(entry.path).indexOf(filters.path) === 0) &&
+           (!filters.status || entry.status === filters.status) &&
+           (!filters.after || time > filters.after) &&
+           (!filters.before || time < filters.before);
+  });
+}
+
+/**
+ * @param {Array} entries
+ * @param {Object} page {limit: <number>, offset: <number>}
+ * @private
+ */
+function paginate(entries, page) {
+  var offset = page.offset || 0;
+
+  if (!page.limit) {
+    return {logs: entries.slice(offset), next: null};
+  }
+
+  var hasMore = entries.length > offset + page.limit;
+  return {
+    logs: entries.slice(offset, offset + page.limit),
+    next: hasMore ? offset + page.limit : null
+  };
+}
+
+/**
+ * Logs the first error of a store until it writes again. The server log is
+ * written to the stores as well, so that logging every error of a store that
+ * keeps failing would never end
+ * @private
+ */
+function logWriteError(store) {
+  if (store.failing) {
+    return;
+  }
+
+  store.failing = true;
+  var log = getLogger();
+  log.error.apply(log, Array.prototype.slice.call(arguments, 1));
+}
+
+/**
+ * A line of a log file is left half written if the server stops while
+ * appending it, and is skipped rather than failing the whole query
+ * @private
+ * @return {Object} the entry, or null if the line is not valid JSON
+ */
+function parseEntry(line, file) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    getLogger().warn('Skipping malformed line of log file %s: %s', file,
+                     err.message);
+    return null;
+  }
+}
+
+// Utility creates its loggers with the stores of this module, so it can only
+// be loaded once they are
+function getLogger() {
+  logger = logger || rfr('app/util/Utility').createLogger(__filename);
+  return logger;
+}
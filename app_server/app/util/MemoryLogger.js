@@ -1,20 +1,23 @@
 var Writable = require('stream').Writable;
 var util = require('util');
+var rfr = require('rfr');
+
+var LogStore = rfr('app/util/LogStore');
+var ServerConfig = rfr('config/ServerConfig');
 
 function MemoryLogger() {
 }
 
 var Class = MemoryLogger.prototype;
 
-var MAX_ENTRIES = 500;
-
-var LogStream = function(memory) {
-  this.memory = memory;
+var LogStream = function(store) {
+  this.store = store;
   Writable.call(this, {objectMode: true});
 };
 util.inherits(LogStream, Writable);
 
-Class.responseLog = [];
+Class.responseLog = LogStore.create(LogStore.LOGS.RESPONSE,
+                                    ServerConfig.logStore);
 Class.goodStream = new LogStream(Class.responseLog);
 
 Class.goodStream._write = function(chunk, encoding, callback) {
@@ -29,23 +32,15 @@ Class.goodStream._write = function(chunk, encoding, callback) {
     responseTime: chunk.responseTime
   };
 
-  this.memory.push(chunk);
-  if (this.memory > MAX_ENTRIES) {
-    this.memory.pop();
-  }
-
+  this.store.add(chunk);
   callback();
 };
 
-Class.log = [];
+Class.log = LogStore.create(LogStore.LOGS.SERVER, ServerConfig.logStore);
 Class.winstonStream = new LogStream(Class.log);
 
 Class.winstonStream._write = function(chunk, encoding, callback) {
-  this.memory.push(JSON.parse(chunk));
-  if (this.memory > MAX_ENTRIES) {
-    this.memory.pop();
-  }
-
+  this.store.add(JSON.parse(chunk));
   callback();
 };
 
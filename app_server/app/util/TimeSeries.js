@@ -0,0 +1,98 @@
+/**
+ * Helpers to bucket events and intervals into time series
+ * @module TimeSeries
+ */
+'use strict';
+
+var INTERVALS = exports.INTERVALS = {
+  hour: 60 * 60 * 1000,  // ms
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Buckets start at whole hours or days in UTC, so the first bucket may start
+ * before the range
+ * @param  {number} from unix time in ms
+ * @param  {number} to unix time in ms, excluded
+ * @param  {string} interval hour or day
+ * @return {Array<number>} start times of the buckets covering the range
+ */
+exports.getBuckets = function(from, to, interval) {
+  var size = INTERVALS[interval];
+  var buckets = [];
+
+  for (var start = Math.floor(from / size) * size; start < to; start += size) {
+    buckets.push(start);
+  }
+
+  return buckets;
+};
+
+/**
+ * @param  {Array<number>} buckets see getBuckets
+ * @param  {number} size of a bucket in ms
+ * @param  {number} time in ms
+ * @return {number} index of the bucket containing the time, or -1
+ */
+var getBucketIndex = exports.getBucketIndex = function(buckets, size, time) {
+  if (!buckets.length) {
+    return -1;
+  }
+
+  var index = Math.floor((time - buckets[0]) / size);
+  return index >= 0 && index < buckets.length ? index : -1;
+};
+
+/**
+ * @param  {Array<number>} buckets see getBuckets
+ * @param  {number} size of a bucket in ms
+ * @param  {Array<number>} times of the events in ms
+ * @return {Array<number>} number of events in each bucket
+ */
+exports.count = function(buckets, size, times) {
+  var counts = buckets.map(() => 0);
+
+  times.forEach(function(time) {
+    var index = getBucketIndex(buckets, size, time);
+    if (index !== -1) {
+      counts[index]++;
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * @param  {Array<number>} buckets see getBuckets
+ * @param  {number} size of a bucket in ms
+ * @param  {Array<Object>} intervals {start, end} in ms, end excluded
+ * @return {Array<number>} highest number of intervals overlapping at any
+ *         time in each bucket
+ */
+exports.peakOverlap = function(buckets, size, intervals) {
+  var events = [];
+  intervals.forEach(function(interval) {
+    events.push({time: interval.start, change: 1});
+    events.push({time: interval.end, change: -1});
+  });
+
+  // intervals ending at a time do not overlap those starting at that time
+  events.sort((a, b) => a.time - b.time || a.change - b.change);
+
+  var current = 0;
+  var i = 0;
+
+  return buckets.map(function(start) {
+    while (i < events.length && events[i].time <= start) {
+      current += events[i++].change;
+    }
+
+    var peak = current;
+    while (i < events.length && events[i].time < start + size) {
+      current += events[i++].change;
+      peak = Math.max(peak, current);
+    }
+
+    return peak;
+  });
+};
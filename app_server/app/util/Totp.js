@@ -0,0 +1,157 @@
+/**
+ * Time-based one-time passwords (RFC 6238) that are compatible with
+ * authenticator apps such as Google Authenticator
+ * @module Totp
+ */
+'use strict';
+var rfr = require('rfr');
+var crypto = require('crypto');
+var util = require('util');
+
+var Utility = rfr('app/util/Utility');
+
+var BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+var DEFAULTS = exports.DEFAULTS = {
+  digits: 6,
+  period: 30, // s
+  window: 1   // steps before and after the current one that are accepted
+};
+
+/**
+ * @param  {number} length in bytes, 20 is recommended for HMAC-SHA1
+ * @return {string} a random base32 secret
+ */
+exports.generateSecret = function(length) {
+  return encodeBase32(crypto.randomBytes(length || 20));
+};
+
+/**
+ * @param  {number} time in ms
+ * @param  {Object} options see DEFAULTS
+ * @return {number} the time step that the time falls in
+ */
+var getStep = exports.getStep = function(time, options) {
+  options = Object.assign({}, DEFAULTS, options);
+  return Math.floor(time / 1000 / options.period);
+};
+
+/**
+ * @param  {string} secret base32 encoded
+ * @param  {number} step
+ * @param  {Object} options see DEFAULTS
+ * @return {string} the code of the time step
+ */
+var generateCode = exports.generateCode = function(secret, step, options) {
+  options = Object.assign({}, DEFAULTS, options);
+
+  var counter = new Buffer(8);
+  counter.fill(0);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+
+  var hmac = crypto.createHmac('sha1', decodeBase32(secret))
+    .update(counter).digest();
+  var offset = hmac[hmac.length - 1] & 0xf;
+  var binary = (hmac.readUInt32BE(offset) & 0x7fffffff) %
+               Math.pow(10, options.digits);
+
+  var code = String(binary);
+  while (code.length < options.digits) {
+    code = '0' + code;
+  }
+  return code;
+};
+
+/**
+ * Checks a code against the steps around the time
+ * @param  {string} secret base32 encoded
+ * @param  {string} code
+ * @param  {number} time in ms
+ * @param  {Object} options see DEFAULTS
+ * @return {number} the step that the code belongs to or -1 if it is invalid
+ */
+exports.verify = function(secret, code, time, options) {
+  options = Object.assign({}, DEFAULTS, options);
+  code = String(code || '').replace(/\s/g, '');
+
+  var current = getStep(time, options);
+  for (var step = current - options.window;
+       step <= current + options.window; step++) {
+    if (Utility.isEqual(generateCode(secret, step, options), code)) {
+      return step;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Builds the otpauth URI that authenticator apps read from QR codes
+ * @param  {string} issuer
+ * @param  {string} account
+ * @param  {string} secret base32 encoded
+ * @param  {Object} options see DEFAULTS
+ * @return {string}
+ */
+exports.getProvisioningUri = function(issuer, account, secret, options) {
+  options = Object.assign({}, DEFAULTS, options);
+  var label = util.format('%s:%s', issuer, account);
+
+  return util.format(
+    'otpauth://totp/%s?secret=%s&issuer=%s&algorithm=SHA1&digits=%d&period=%d',
+    encodeURIComponent(label), secret, encodeURIComponent(issuer),
+    options.digits, options.period);
+};
+
+/**
+ * @private
+ */
+function encodeBase32(buffer) {
+  var bits = 0;
+  var value = 0;
+  var output = '';
+
+  for (var i = 0; i < buffer.length; i++) {
+    value = (value << 8) | buffer[i];
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * @private
+ */
+function decodeBase32(str) {
+  var bits = 0;
+  var value = 0;
+  var bytes = [];
+
+  str = str.toUpperCase().replace(/=+$/, '');
+  for (var i = 0; i < str.length; i++) {
+    var index = BASE32_ALPHABET.indexOf(str[i]);
+    if (index === -1) {
+      throw new Error('Invalid base32 character ' + str[i]);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Buffer(bytes);
+}
@@ -9,13 +9,12 @@ var util = require('util');
 
 var rfr = require('rfr');
 var MemoryLogger = rfr('app/util/MemoryLogger');
+var ServerConfig = rfr('config/ServerConfig');
 
-exports.streamBaseUrl = 'rtmp://multimedia.worldscope.tk:1935/live';
-exports.viewBaseUrl = 'http://worldscope.tk:1935/live';
-exports.thumbnailTemplateUrl = 'http://worldscope.tk:8086/' +
-                               'transcoderthumbnail?application=live/%s&' +
-                               'streamname=%s&format=jpeg&' +
-                               'size=640x380';
+exports.streamBaseUrl = ServerConfig.media.streamBaseUrl;
+exports.viewBaseUrl = ServerConfig.media.viewBaseUrl;
+exports.vodBaseUrl = ServerConfig.media.vodBaseUrl;
+exports.thumbnailTemplateUrl = ServerConfig.media.thumbnailTemplateUrl;
 
 var randomValueBase64 =
 /**
@@ -114,10 +113,15 @@ exports.formatStreamObject = function(stream, option) {
                               stream.appInstance,
                               stream.streamId);
   } else if (option === 'view') {
-    formattedStream.viewLink =
-      util.format('%s/%s/%s/manifest.mpd', exports.viewBaseUrl,
-                                           stream.appInstance,
-                                           stream.streamId);
+    // Ended streams are played back from their recording
+    if (hasRecording(stream)) {
+      formattedStream.vodLink = formatVodLink(stream);
+    } else {
+      formattedStream.viewLink =
+        util.format('%s/%s/%s/manifest.mpd', exports.viewBaseUrl,
+                                             stream.appInstance,
+                                             stream.streamId);
+    }
     formattedStream.thumbnailLink =
       util.format(exports.thumbnailTemplateUrl,
                   stream.appInstance,
@@ -132,6 +136,25 @@ exports.formatStreamObject = function(stream, option) {
   return formattedStream;
 };
 
+var hasRecording =
+/**
+ * @param  {Sequelize<Stream>} stream
+ * @return {boolean} true if the stream has ended and was recorded
+ */
+exports.hasRecording = function(stream) {
+  return stream.live === false && !!stream.recordingPath;
+};
+
+var formatVodLink =
+/**
+ * @param  {Sequelize<Stream>} stream a recorded stream
+ * @return {string} link to the manifest of the stream's recording
+ */
+exports.formatVodLink = function(stream) {
+  return util.format('%s/mp4:%s/manifest.mpd', exports.vodBaseUrl,
+                                               stream.recordingPath);
+};
+
 var clearUserProfile =
 /**
  * Clears user's sensitive credentials
@@ -141,6 +164,11 @@ var clearUserProfile =
 exports.clearUserProfile = function(user) {
   delete user.password;
   delete user.accessToken;
+  delete user.passwordResetHash;
+  delete user.passwordResetExpiresAt;
+  delete user.twoFactorSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastStep;
 
   return user;
 };
@@ -179,6 +207,95 @@ exports.changeToJavascriptTime = function(obj) {
   return obj;
 };
 
+var encodeBase64Url =
+/**
+ * Encodes a value in base64url, which is safe to put in urls and tokens
+ * @param  {string|Buffer} value
+ * @return {string}
+ */
+exports.encodeBase64Url = function(value) {
+  return new Buffer(value)
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+};
+
+var decodeBase64Url =
+/**
+ * Decodes a string created by encodeBase64Url
+ * @param  {string} str
+ * @return {Buffer}
+ */
+exports.decodeBase64Url = function(str) {
+  return new Buffer(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+};
+
+var hash =
+/**
+ * Hashes a secret, such as a token or recovery code, to store it
+ * @param  {string} value
+ * @return {string} the SHA-256 hash in hex
+ */
+exports.hash = function(value) {
+  return crypto.createHash('sha256').update(value || '').digest('hex');
+};
+
+var isEqual =
+/**
+ * Compares two strings in constant time, so that secrets cannot be guessed
+ * from how long the comparison takes. crypto.timingSafeEqual is not available
+ * on the Node versions we support
+ * @param  {string} a
+ * @param  {string} b
+ * @return {boolean}
+ */
+exports.isEqual = function(a, b) {
+  var bufferA = new Buffer(a);
+  var bufferB = new Buffer(b);
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  var difference = 0;
+  for (var i = 0; i < bufferA.length; i++) {
+    difference |= bufferA[i] ^ bufferB[i];
+  }
+  return difference === 0;
+};
+
+var encodeCursor =
+/**
+ * Encodes a cursor object into an opaque token that is safe to put in urls
+ * @param  {Object} cursor
+ * @return {string}
+ */
+exports.encodeCursor = function(cursor) {
+  return encodeBase64Url(JSON.stringify(cursor));
+};
+
+var decodeCursor =
+/**
+ * Decodes a token created by encodeCursor. createdAt is converted back
+ * into a Date object
+ * @param  {string} token
+ * @return {Object} the cursor or null if the token is malformed
+ */
+exports.decodeCursor = function(token) {
+  try {
+    var json = decodeBase64Url(token).toString('utf8');
+    var cursor = JSON.parse(json);
+    if (!(cursor instanceof Object) || isNaN(Date.parse(cursor.createdAt))) {
+      return null;
+    }
+
+    cursor.createdAt = new Date(cursor.createdAt);
+    return cursor;
+  } catch (e) {
+    return null;
+  }
+};
+
 var addValidationDetailsForJoi =
 /**
  * Adds details for validation errors through validate's failAction property
@@ -0,0 +1,8 @@
+/*
+ * The configuration of the server, loaded from the defaults, the config file
+ * and the environment variables by ConfigLoader
+ */
+var rfr = require('rfr');
+var ConfigLoader = rfr('app/util/ConfigLoader');
+
+module.exports = ConfigLoader.load(process.env);
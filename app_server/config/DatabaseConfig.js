@@ -1,15 +1,8 @@
 /*
- * A template config file. Edit to your local mysql database's credentials
+ * Credentials of the database. The dialect is mysql, postgres or sqlite. Set
+ * them in config/local.json or with the DB_* environment variables, see
+ * config/defaults.js
  */
+var rfr = require('rfr');
 
-var config = {
-  name: 'worldscope_db',
-  username: 'travis',
-  password: '',
-  host: 'localhost',
-  dialect: 'mysql',
-  timezone: '+08:00',
-  logging: false
-};
-
-module.exports = config;
+module.exports = rfr('config/Config').database;
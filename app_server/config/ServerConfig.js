@@ -1,10 +1,7 @@
-module.exports = {
-  cookiePassword: 'dummy_password',
-  tokenPassword: 'some_dummy_password',
-  mediaServer: {
-    host: 'localhost:8086',
-    username: 'username',
-    password: 'password',
-    appName: 'worldscope'
-  }
-};
+/*
+ * Settings of the application server. Edit config/local.json or set the
+ * environment variables instead of this file, see config/defaults.js
+ */
+var rfr = require('rfr');
+
+module.exports = rfr('config/Config').server;
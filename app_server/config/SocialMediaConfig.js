@@ -1,5 +1,7 @@
-module.exports = {
-  facebook: {
-    appId: '123456789'
-  }
-}
+/*
+ * Apps of the social media platforms that users log in with. Set them in
+ * config/local.json or with the environment variables, see config/defaults.js
+ */
+var rfr = require('rfr');
+
+module.exports = rfr('config/Config').socialMedia;
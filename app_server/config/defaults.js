@@ -0,0 +1,166 @@
+/*
+ * Default configuration of the application server. These are layered under
+ * the config file and the environment variables by ConfigLoader, see
+ * config/schema.js for the variables. The secrets are dummies that must be
+ * replaced in production
+ */
+module.exports = {
+  server: {
+    port: 3000,
+    cookiePassword: 'dummy_password',
+    tokenPassword: 'some_dummy_password', // only reads legacy user tokens
+    userToken: {
+      keyId: '1',         // key that new user tokens are encrypted with
+      keys: {             // keep retired keys until their tokens have expired
+        '1': 'dummy_user_token_key'
+      },
+      legacyTokensUntil: '2026-11-18T00:00:00Z' // unversioned tokens accepted
+    },
+    bearerToken: {
+      password: 'dummy_bearer_password', // signs the access tokens
+      accessTokenLifetime: 900,          // s
+      refreshTokenLifetime: 2592000      // s
+    },
+    logStore: {
+      type: 'memory',           // memory, file or sql
+      maxEntries: 500,          // memory: entries kept in each log
+      directory: './logs',      // file: directory of the log files
+      maxFileSize: 1048576,     // file: bytes before a log file is rotated
+      maxFiles: 5,              // file: log files kept for each log
+      flushInterval: 1000       // sql: ms between writes of batched entries
+    },
+    sessionCache: {
+      type: 'memory',           // memory, file, sql or redis
+      directory: './cache',     // file: directory of the cached items
+      redis: {                  // redis: options of the client
+        host: 'localhost',
+        port: 6379
+      },
+      expiresIn: 259200000,     // ms that sessions are kept, 3 days
+      touchInterval: 60000      // ms between updates of when a session was used
+    },
+    commentFilter: {
+      // filters run in this order on every comment before it is broadcast
+      filters: ['rate', 'length', 'links', 'duplicate', 'blocklist'],
+      rateLimit: {
+        max: 5,           // comments a user can send in each interval
+        interval: 10000   // ms
+      },
+      maxLength: 300,           // characters in a comment
+      duplicateInterval: 30000, // ms before a user can repeat a comment
+      mask: '*'                 // replaces each character of a blocked word
+    },
+    adminPassword: {
+      policy: {
+        minLength: 10,
+        requireLowercase: true,
+        requireUppercase: true,
+        requireDigit: true,
+        requireSymbol: false,
+        disallowUsername: true
+      },
+      maxFailedLogins: 5,         // failed logins before the account is locked
+      lockoutDuration: 900,       // s, 0 keeps it locked until an admin
+                                  // unlocks it
+      maxAge: 7776000,            // s before the password expires, 0 never
+      resetTokenLifetime: 3600,   // s
+      resetUrl: 'http://localhost:3000/admin/?/reset/%s'
+    },
+    adminRoles: [                 // created if there is no role with the name
+      {
+        name: 'moderator',
+        description: 'Moderates streams and users',
+        permissions: ['streams', 'users']
+      },
+      {
+        name: 'analyst',
+        description: 'Views metrics',
+        permissions: ['metrics']
+      },
+      {
+        name: 'operator',
+        description: 'Runs streams and server settings',
+        permissions: ['streams', 'metrics', 'settings']
+      }
+    ],
+    twoFactor: {
+      issuer: 'WorldScope',       // name shown by authenticator apps
+      window: 1,                  // codes of the steps around now that pass
+      recoveryCodes: 10,          // codes given when 2FA is enabled
+      challengeLifetime: 300,     // s to enter the code after the password
+      challengeAttempts: 5        // wrong codes before the password is asked
+    },
+    mail: {
+      transport: 'file',          // file or memory, see MailAdapter
+      from: 'WorldScope <no-reply@worldscope.tk>',
+      directory: './mail'         // file: directory the messages are written to
+    },
+    analytics: {
+      defaultRange: {             // s shown when a streamer gives no start
+        hour: 24 * 60 * 60,
+        day: 30 * 24 * 60 * 60
+      },
+      maxBuckets: 744             // a month of hours
+    },
+    concurrencySampler: {
+      interval: 60000 // ms between samples of the users in each stream's room
+    },
+    cluster: {
+      broker: 'memory',      // memory for a single app server, or redis
+      channel: 'worldscope', // prefix of the pub/sub channels
+      interval: 2000,        // ms between the states each app server publishes
+      redis: {
+        host: 'localhost',
+        port: 6379
+      }
+    },
+    viewersBroadcast: {
+      interval: 1000  // ms, changes to the viewers of a room are sent together
+    },
+    stickerRateLimit: {
+      max: 10,        // stickers a client can send in each interval
+      interval: 1000  // ms
+    },
+    mediaServer: {
+      host: 'localhost:8086',
+      username: 'username',
+      password: 'password',
+      appName: 'worldscope'
+    },
+    media: {                    // URLs that clients stream and watch from
+      streamBaseUrl: 'rtmp://multimedia.worldscope.tk:1935/live',
+      viewBaseUrl: 'http://worldscope.tk:1935/live',
+      vodBaseUrl: 'http://worldscope.tk:1935/vod',
+      thumbnailTemplateUrl: 'http://worldscope.tk:8086/' +
+                            'transcoderthumbnail?application=live/%s&' +
+                            'streamname=%s&format=jpeg&size=640x380'
+    }
+  },
+  database: {
+    name: 'worldscope_db',
+    username: 'travis',
+    password: '',
+    host: 'localhost',
+    port: undefined,          // the default port of the dialect
+    dialect: 'mysql',         // mysql, postgres or sqlite
+    storage: 'worldscope.sqlite', // file of SQLite
+    timezone: '+08:00',
+    logging: false
+  },
+  socialMedia: {
+    facebook: {
+      appId: '123456789'
+    },
+    google: {
+      appId: '123456789.apps.googleusercontent.com'
+    },
+    twitter: {
+      appId: 'twitterconsumerkey',
+      appSecret: 'twitterconsumersecret'
+    },
+    oidc: {
+      appId: 'worldscope',
+      userInfoUrl: 'https://accounts.example.com/userinfo'
+    }
+  }
+};
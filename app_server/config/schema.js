@@ -0,0 +1,219 @@
+/*
+ * Schema of the configuration, which is validated when the server starts,
+ * with the environment variables that set its values and the values that are
+ * secret
+ */
+var Joi = require('joi');
+
+var port = Joi.number().integer().min(0).max(65535);
+var secret = Joi.string().allow('');
+var nonNegativeInt = Joi.number().integer().min(0);
+var redis = Joi.object({
+  host: Joi.string().required(),
+  port: port.required(),
+  password: secret
+});
+
+var server = Joi.object({
+  port: port.required(),
+  cookiePassword: secret.required(),
+  tokenPassword: secret.required(),
+  userToken: Joi.object({
+    keyId: Joi.string().required(),
+    keys: Joi.object().pattern(/.*/, secret).required(),
+    legacyTokensUntil: Joi.string().isoDate()
+  }).required(),
+  bearerToken: Joi.object({
+    password: secret.required(),
+    accessTokenLifetime: nonNegativeInt.min(1).required(),
+    refreshTokenLifetime: nonNegativeInt.min(1).required()
+  }).required(),
+  logStore: Joi.object({
+    type: Joi.string().valid('memory', 'file', 'sql').required(),
+    maxEntries: nonNegativeInt.min(1),
+    directory: Joi.string(),
+    maxFileSize: nonNegativeInt.min(1),
+    maxFiles: nonNegativeInt.min(1),
+    flushInterval: nonNegativeInt.min(1)
+  }).required(),
+  sessionCache: Joi.object({
+    type: Joi.string().valid('memory', 'file', 'sql', 'redis').required(),
+    directory: Joi.string(),
+    redis: redis,
+    expiresIn: nonNegativeInt.min(1).required(),
+    touchInterval: nonNegativeInt.required()
+  }).required(),
+  commentFilter: Joi.object({
+    filters: Joi.array().items(Joi.string().valid('rate', 'length', 'links',
+                                                  'duplicate', 'blocklist'))
+      .required(),
+    rateLimit: Joi.object({
+      max: nonNegativeInt.min(1).required(),
+      interval: nonNegativeInt.min(1).required()
+    }).required(),
+    maxLength: nonNegativeInt.min(1).required(),
+    duplicateInterval: nonNegativeInt.required(),
+    mask: Joi.string().required()
+  }).required(),
+  adminPassword: Joi.object({
+    policy: Joi.object({
+      minLength: nonNegativeInt.required(),
+      requireLowercase: Joi.boolean().required(),
+      requireUppercase: Joi.boolean().required(),
+      requireDigit: Joi.boolean().required(),
+      requireSymbol: Joi.boolean().required(),
+      disallowUsername: Joi.boolean().required()
+    }).required(),
+    maxFailedLogins: nonNegativeInt.min(1).required(),
+    lockoutDuration: nonNegativeInt.required(),
+    maxAge: nonNegativeInt.required(),
+    resetTokenLifetime: nonNegativeInt.min(1).required(),
+    resetUrl: Joi.string().required()
+  }).required(),
+  adminRoles: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    description: Joi.string(),
+    permissions: Joi.array().items(Joi.string().valid('metrics', 'streams',
+                                                      'users', 'admins',
+                                                      'settings'))
+  })).required(),
+  twoFactor: Joi.object({
+    issuer: Joi.string().required(),
+    window: nonNegativeInt.required(),
+    recoveryCodes: nonNegativeInt.min(1).required(),
+    challengeLifetime: nonNegativeInt.min(1).required(),
+    challengeAttempts: nonNegativeInt.min(1).required()
+  }).required(),
+  mail: Joi.object({
+    transport: Joi.string().valid('file', 'memory').required(),
+    from: Joi.string().required(),
+    directory: Joi.string()
+  }).required(),
+  analytics: Joi.object({
+    defaultRange: Joi.object({
+      hour: nonNegativeInt.min(1).required(),
+      day: nonNegativeInt.min(1).required()
+    }).required(),
+    maxBuckets: nonNegativeInt.min(1).required()
+  }).required(),
+  concurrencySampler: Joi.object({
+    interval: nonNegativeInt.min(1).required()
+  }).required(),
+  cluster: Joi.object({
+    broker: Joi.string().valid('memory', 'redis').required(),
+    channel: Joi.string().required(),
+    interval: nonNegativeInt.min(1).required(),
+    redis: redis
+  }).required(),
+  viewersBroadcast: Joi.object({
+    interval: nonNegativeInt.min(1).required()
+  }).required(),
+  stickerRateLimit: Joi.object({
+    max: nonNegativeInt.min(1).required(),
+    interval: nonNegativeInt.min(1).required()
+  }).required(),
+  mediaServer: Joi.object({
+    host: Joi.string().required(),
+    username: Joi.string().required(),
+    password: secret.required(),
+    appName: Joi.string().required()
+  }).required(),
+  media: Joi.object({
+    streamBaseUrl: Joi.string().uri().required(),
+    viewBaseUrl: Joi.string().uri().required(),
+    vodBaseUrl: Joi.string().uri().required(),
+    thumbnailTemplateUrl: Joi.string().required()
+  }).required()
+});
+
+var database = Joi.object({
+  name: Joi.string().required(),
+  username: Joi.string().allow(null, ''),
+  password: secret.allow(null),
+  host: Joi.string(),
+  port: port,
+  dialect: Joi.string().valid('mysql', 'postgres', 'sqlite').required(),
+  storage: Joi.string(),
+  timezone: Joi.string().regex(/^[+-]\d\d:\d\d$/),
+  logging: Joi.alternatives().try(Joi.boolean(), Joi.func())
+});
+
+var app = Joi.object({
+  appId: Joi.string().required(),
+  appSecret: secret
+});
+
+var socialMedia = Joi.object({
+  facebook: app.required(),
+  google: app.required(),
+  twitter: app.keys({appSecret: secret.required()}).required(),
+  oidc: app.keys({userInfoUrl: Joi.string().uri().required()}).required()
+});
+
+exports.schema = Joi.object({
+  server: server.required(),
+  database: database.required(),
+  socialMedia: socialMedia.required()
+});
+
+/**
+ * Environment variables, and the paths of the values they set. Objects and
+ * arrays are given as JSON
+ */
+exports.env = {
+  PORT: 'server.port',
+  COOKIE_PASSWORD: 'server.cookiePassword',
+  TOKEN_PASSWORD: 'server.tokenPassword',
+  USER_TOKEN_KEY_ID: 'server.userToken.keyId',
+  USER_TOKEN_KEYS: 'server.userToken.keys',
+  BEARER_TOKEN_PASSWORD: 'server.bearerToken.password',
+  LOG_STORE: 'server.logStore.type',
+  SESSION_CACHE: 'server.sessionCache.type',
+  CLUSTER_BROKER: 'server.cluster.broker',
+  REDIS_HOST: ['server.sessionCache.redis.host', 'server.cluster.redis.host'],
+  REDIS_PORT: ['server.sessionCache.redis.port', 'server.cluster.redis.port'],
+  REDIS_PASSWORD: ['server.sessionCache.redis.password',
+                   'server.cluster.redis.password'],
+  ADMIN_RESET_URL: 'server.adminPassword.resetUrl',
+  MAIL_TRANSPORT: 'server.mail.transport',
+  MAIL_FROM: 'server.mail.from',
+  MEDIA_SERVER_HOST: 'server.mediaServer.host',
+  MEDIA_SERVER_USERNAME: 'server.mediaServer.username',
+  MEDIA_SERVER_PASSWORD: 'server.mediaServer.password',
+  MEDIA_SERVER_APP: 'server.mediaServer.appName',
+  STREAM_BASE_URL: 'server.media.streamBaseUrl',
+  VIEW_BASE_URL: 'server.media.viewBaseUrl',
+  VOD_BASE_URL: 'server.media.vodBaseUrl',
+  THUMBNAIL_TEMPLATE_URL: 'server.media.thumbnailTemplateUrl',
+  DB_DIALECT: 'database.dialect',
+  DB_NAME: 'database.name',
+  DB_USERNAME: 'database.username',
+  DB_PASSWORD: 'database.password',
+  DB_HOST: 'database.host',
+  DB_PORT: 'database.port',
+  DB_STORAGE: 'database.storage',
+  DB_TIMEZONE: 'database.timezone',
+  FACEBOOK_APP_ID: 'socialMedia.facebook.appId',
+  GOOGLE_APP_ID: 'socialMedia.google.appId',
+  TWITTER_APP_ID: 'socialMedia.twitter.appId',
+  TWITTER_APP_SECRET: 'socialMedia.twitter.appSecret',
+  OIDC_APP_ID: 'socialMedia.oidc.appId',
+  OIDC_USER_INFO_URL: 'socialMedia.oidc.userInfoUrl'
+};
+
+/**
+ * Paths of the secret values, which are left out of the settings shown to
+ * admins. The server refuses to start in production if one of them is still
+ * a default
+ */
+exports.secrets = [
+  'server.cookiePassword',
+  'server.tokenPassword',
+  'server.userToken.keys',
+  'server.bearerToken.password',
+  'server.sessionCache.redis.password',
+  'server.cluster.redis.password',
+  'server.mediaServer.password',
+  'database.password',
+  'socialMedia.twitter.appSecret'
+];
@@ -0,0 +1,15 @@
+/*
+ * Layered over the other configuration when NODE_ENV is test. The lab test
+ * suite runs against an in-memory SQLite database, which is migrated before
+ * each test, unless the DB_DIALECT environment variable is set
+ */
+module.exports = {
+  database: {
+    name: 'worldscope_test',
+    username: null,
+    password: null,
+    dialect: 'sqlite',
+    storage: ':memory:',
+    logging: false
+  }
+};
@@ -31,7 +31,9 @@ const blank = navPage({
 
 App.routes = {
   locked: {
-    '/login': wrapView(templatePage, require('./pages/login'))
+    '/login': wrapView(templatePage, require('./pages/login')),
+    '/forgot': wrapView(templatePage, require('./pages/password')),
+    '/reset/:token': wrapView(templatePage, require('./pages/password'))
   },
   app: {
     '/streams': {controller: () => m.route('/streams/live')},
@@ -47,12 +49,14 @@ App.routes = {
     '/admins': {controller: () => m.route('/admins/all')},
     '/admins/all': navPage(require('./pages/admins')),
     '/admins/create': navPage(require('./pages/admin')),
+    '/admins/audit': navPage(require('./pages/logs')),
     '/admins/view/:username': navPage(require('./pages/admin')),
     '/admins/delete/:username': navPage(require('./pages/admin')),
 
     '/settings': {controller: () => m.route('/settings/logs')},
     '/settings/logs': navPage(require('./pages/logs')),
     '/settings/responses': navPage(require('./pages/logs')),
+    '/settings/server': navPage(require('./pages/settings')),
 
     '/logout': require('./pages/logout')
   }
@@ -111,7 +115,7 @@ App.isLoggedIn = function () {
 
 App.login = function (admin, csrfToken) {
   window.localStorage.setItem('ws-user', admin.id());
-  window.localStorage.setItem('ws-scopes', admin.permissions());
+  window.localStorage.setItem('ws-scopes', admin.scopes());
   window.localStorage.setItem(App.CSRF_HEADER, csrfToken);
   App.updateRoutes();
 };
@@ -19,6 +19,32 @@ const updatePageVars = function (items) {
   return items;
 };
 
+// Loads the current page through args.load(token, count), which resolves
+// to {items, next}. Only requests again when the page or count changes.
+const loadPage = function (load) {
+  let count = parseInt(DataDisplay.itemsPerPage());
+  if (count !== DataDisplay.loadedCount) {
+    DataDisplay.cursors = new Pagination.Cursors();
+    DataDisplay.currentPage(1);
+  }
+
+  let page = Math.min(parseInt(DataDisplay.currentPage()),
+      DataDisplay.cursors.maxPage());
+  DataDisplay.currentPage(page);
+
+  if (page !== DataDisplay.loadedPage || count !== DataDisplay.loadedCount) {
+    DataDisplay.loadedPage = page;
+    DataDisplay.loadedCount = count;
+    DataDisplay.loaded = load(DataDisplay.cursors.get(page), count).then(function (res) {
+      DataDisplay.cursors.set(page, res.next);
+      DataDisplay.maxPage(DataDisplay.cursors.maxPage());
+      return res.items;
+    });
+  }
+
+  return DataDisplay.loaded;
+};
+
 const paginate = function (items) {
   let count = parseInt(DataDisplay.itemsPerPage());
   let from = (parseInt(DataDisplay.currentPage()) - 1) * count;
@@ -26,14 +52,22 @@ const paginate = function (items) {
   return items.slice(from, to);
 };
 
+// Goes back to the first page, e.g. when the data being displayed changes
+DataDisplay.reset = function () {
+  DataDisplay.currentPage(1);
+  DataDisplay.maxPage(1);
+  DataDisplay.cursors = new Pagination.Cursors();
+  DataDisplay.loadedPage = null;
+};
+
 DataDisplay.controller = function () {
+  DataDisplay.reset();
   DataDisplay.currentPage(m.route.param('page') || 1);
   DataDisplay.itemsPerPage(m.route.param('items') || ITEMS_PER_PAGE[0]);
-  DataDisplay.maxPage(1);
 };
 
 DataDisplay.view = function (ctrl, args) {
-  let data = args.data.then(updatePageVars).then(paginate);
+  let data = args.load ? loadPage(args.load) : args.data.then(updatePageVars).then(paginate);
 
   let pagination = m(Pagination, {
     maxPage: DataDisplay.maxPage,
@@ -52,7 +86,7 @@ DataDisplay.view = function (ctrl, args) {
     ]),
     m(DataTable, {
       names: args.names,
-      data: data()
+      data: data() || []
     }),
     m('div.row',
         m('div.col s12 center-align', pagination)
@@ -0,0 +1,45 @@
+const m = require('mithril');
+
+const datetime = require('../utils/dateFormat');
+
+// Draws args.points ({time: Date, value: number}) as a line in an svg, with
+// the highest value on the y axis and the first and last times on the x axis
+const LineChart = module.exports = {};
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const PADDING = {top: 10, right: 10, bottom: 20, left: 30};
+
+LineChart.view = function (ctrl, args) {
+  let points = args.points;
+  if (points.length === 0) {
+    return m('div.line-chart', [m('h6', args.title), m('p', 'No data yet')]);
+  }
+
+  let start = points[0].time.getTime();
+  let end = points[points.length - 1].time.getTime();
+  let max = Math.max(1, Math.max.apply(null, points.map((p) => p.value)));
+
+  let width = WIDTH - PADDING.left - PADDING.right;
+  let height = HEIGHT - PADDING.top - PADDING.bottom;
+  let x = (time) => PADDING.left +
+      (end > start ? (time.getTime() - start) / (end - start) * width : 0);
+  let y = (value) => PADDING.top + height - value / max * height;
+  let bottom = PADDING.top + height;
+
+  return m('div.line-chart', [
+    m('h6', args.title),
+    m('svg', {viewBox: '0 0 ' + WIDTH + ' ' + HEIGHT, width: '100%'}, [
+      m('line.axis', {x1: PADDING.left, y1: PADDING.top, x2: PADDING.left, y2: bottom}),
+      m('line.axis', {x1: PADDING.left, y1: bottom, x2: WIDTH - PADDING.right, y2: bottom}),
+      m('text', {x: PADDING.left - 4, y: PADDING.top + 4, 'text-anchor': 'end'}, max),
+      m('text', {x: PADDING.left - 4, y: bottom, 'text-anchor': 'end'}, 0),
+      m('text', {x: PADDING.left, y: HEIGHT - 4}, datetime.toShortTime(points[0].time)),
+      m('text', {x: WIDTH - PADDING.right, y: HEIGHT - 4, 'text-anchor': 'end'},
+          datetime.toShortTime(points[points.length - 1].time)),
+      m('polyline.line', {
+        points: points.map((p) => x(p.time) + ',' + y(p.value)).join(' ')
+      })
+    ])
+  ]);
+};
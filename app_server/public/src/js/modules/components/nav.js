@@ -34,16 +34,18 @@ Nav.updateVisibleItems = function () {
       name: 'Admins', href: '/admins', icon: 'visibility',
       sub: [
         {name: 'All Admins', href: '/admins/all'},
-        {name: 'Create Admin', href: '/admins/create'}
+        {name: 'Create Admin', href: '/admins/create'},
+        {name: 'Audit Trail', href: '/admins/audit'}
       ]
     });
   }
   if (contains(scopes, 'settings')) {
     nav.push({
-      name: 'Logs', href: '/settings', icon: 'settings',
+      name: 'Settings', href: '/settings', icon: 'settings',
       sub: [
         {name: 'General Logs', href: '/settings/logs'},
-        {name: 'Response Logs', href: '/settings/responses'}
+        {name: 'Response Logs', href: '/settings/responses'},
+        {name: 'Server Settings', href: '/settings/server'}
       ]
     });
   }
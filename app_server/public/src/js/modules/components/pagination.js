@@ -7,6 +7,28 @@ const Pagination = module.exports = {
 
 const MAX_LENGTH = 5;
 
+// Remembers the server's token of each page that has been reached so far,
+// so that pages can be loaded from the server instead of sliced locally.
+// Page 1 has no token, and the number of known pages grows as pages load.
+Pagination.Cursors = function () {
+  this.tokens = [null];
+};
+
+Pagination.Cursors.prototype.get = function (page) {
+  return this.tokens[page - 1];
+};
+
+Pagination.Cursors.prototype.set = function (page, next) {
+  this.tokens = this.tokens.slice(0, page);
+  if (next) {
+    this.tokens.push(next);
+  }
+};
+
+Pagination.Cursors.prototype.maxPage = function () {
+  return this.tokens.length;
+};
+
 const getPageRange = function (length) {
   let maxPage = Pagination.maxPage();
   let curPage = Pagination.currentPage();
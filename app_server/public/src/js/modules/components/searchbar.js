@@ -0,0 +1,27 @@
+const m = require('mithril');
+
+const SearchBar = module.exports = {};
+
+SearchBar.controller = function () {
+  this.query = m.prop('');
+};
+
+// Calls args.onsearch with the query when the search is submitted
+SearchBar.view = function (ctrl, args) {
+  let submit = function (e) {
+    e.preventDefault();
+    args.onsearch(ctrl.query().trim());
+  };
+
+  return m('form.row', {onsubmit: submit}, [
+    m('div.input-field col s12', [
+      m('i.material-icons prefix', 'search'),
+      m('input#search', {
+        type: 'search',
+        value: ctrl.query(),
+        oninput: m.withAttr('value', ctrl.query)
+      }),
+      m('label', {for: 'search'}, args.label || 'Search')
+    ])
+  ]);
+};
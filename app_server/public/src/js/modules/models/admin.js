@@ -7,8 +7,13 @@ const Admin = module.exports = function (data = {}) {
   this.password = m.prop(data.password || '');
   this.email = m.prop(data.email || '');
   this.permissions = m.prop(data.permissions || []);
+  this.lockedAt = m.prop(data.lockedAt || null);
+  this.roles = m.prop((data.roles || []).map((role) => role.roleId));
+  this.scopes = m.prop(data.scopes || data.permissions || []);
 };
 
+// Resolves with the admin, or with {twoFactorRequired, challenge, enrollment}
+// when the admin has to enter a two-factor code with Admin.verifyLogin
 Admin.login = (admin) =>
     App.request({
       method: 'POST',
@@ -16,8 +21,16 @@ Admin.login = (admin) =>
       data: {
         username: admin.username(),
         password: admin.password()
-      },
-      type: Admin
+      }
+    });
+
+Admin.verifyLogin = (challenge, code) =>
+    App.request({
+      method: 'POST',
+      url: '../api/admins/login/2fa',
+      data: code.indexOf('-') === -1 ?
+          {challenge: challenge, code: code} :
+          {challenge: challenge, recoveryCode: code}
     });
 
 Admin.logout = () =>
@@ -35,7 +48,8 @@ Admin.create = (admin) =>
         username: admin.username(),
         password: admin.password(),
         email: admin.email(),
-        permissions: admin.permissions()
+        permissions: admin.permissions(),
+        roles: admin.roles()
       }
     });
 
@@ -61,7 +75,8 @@ Admin.update = (admin) =>
         let payload = {
           username: admin.username(),
           email: admin.email(),
-          permissions: admin.permissions()
+          permissions: admin.permissions(),
+          roles: admin.roles()
         };
         if (admin.password()) {
           payload.password = admin.password;
@@ -71,6 +86,40 @@ Admin.update = (admin) =>
       type: Admin
     });
 
+Admin.unlock = (admin) =>
+    App.request({
+      method: 'POST',
+      url: '../api/admins/' + admin.id() + '/unlock',
+      type: Admin
+    });
+
+Admin.forgotPassword = (username) =>
+    App.request({
+      method: 'POST',
+      url: '../api/admins/password/forgot',
+      data: {username: username}
+    });
+
+Admin.resetPassword = (token, password) =>
+    App.request({
+      method: 'POST',
+      url: '../api/admins/password/reset',
+      data: {token: token, password: password}
+    });
+
+Admin.getTwoFactorStatus = () =>
+    App.request({
+      method: 'GET',
+      url: '../api/admins/2fa'
+    });
+
+Admin.setTwoFactorMandatory = (mandatory) =>
+    App.request({
+      method: 'PUT',
+      url: '../api/admins/2fa/settings',
+      data: {mandatory: mandatory}
+    });
+
 Admin.delete = (admin) =>
     App.request({
       method: 'DELETE',
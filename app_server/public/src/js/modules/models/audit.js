@@ -0,0 +1,26 @@
+const m = require('mithril');
+const App = require('../app');
+
+const AuditEntry = module.exports = function (data) {
+  this.timestamp = m.prop(new Date(data.timestamp));
+  this.actorId = m.prop(data.actorId);
+  this.actorUsername = m.prop(data.actorUsername);
+  this.action = m.prop(data.action);
+  this.targetType = m.prop(data.targetType);
+  this.targetId = m.prop(data.targetId);
+  this.changes = m.prop(data.changes);
+  this.ipAddress = m.prop(data.ipAddress);
+};
+
+AuditEntry.page = (filters, limit, offset) =>
+    App.request({
+      method: 'GET',
+      url: '../api/audit?' + m.route.buildQueryString(Object.assign({
+        limit: limit,
+        offset: offset || 0
+      }, filters)),
+      unwrapSuccess: (res) => ({
+        items: res.entries.map((data) => new AuditEntry(data)),
+        next: res.next
+      })
+    });
@@ -7,6 +7,7 @@ const Comment = module.exports = function (data) {
   this.time = m.prop(new Date(data.createdAt));
   this.user = m.prop(data.alias || data.userId);
   this.userId = m.prop(data.userId);
+  this.offset = m.prop(data.offset);
 };
 
 Comment.list = (streamId) =>
@@ -15,3 +16,14 @@ Comment.list = (streamId) =>
       url: '../api/comments/streams/' + streamId,
       type: Comment
     });
+
+Comment.replay = (streamId, from, duration) =>
+    App.request({
+      method: 'GET',
+      url: '../api/comments/streams/' + streamId + '/replay?' +
+          m.route.buildQueryString({from: from, duration: duration}),
+      unwrapSuccess: (res) => ({
+        items: res.comments.map((data) => new Comment(data)),
+        next: res.next
+      })
+    });
@@ -20,16 +20,21 @@ const ResponseLog = function (data) {
   this.responseTime = m.prop(data.responseTime);
 };
 
-Log.list = (after) =>
+const page = (url, Type, filters, limit, offset) =>
     App.request({
       method: 'GET',
-      url: '../api/log' + (after ? '?after=' + after : ''),
-      type: Log
+      url: url + '?' + m.route.buildQueryString(Object.assign({
+        limit: limit,
+        offset: offset || 0
+      }, filters)),
+      unwrapSuccess: (res) => ({
+        items: res.logs.map((data) => new Type(data)),
+        next: res.next
+      })
     });
 
-Log.listResponse = (after) =>
-    App.request({
-      method: 'GET',
-      url: '../api/log/response' + (after ? '?after=' + after : ''),
-      type: ResponseLog
-    });
\ No newline at end of file
+Log.page = (filters, limit, offset) =>
+    page('../api/log', Log, filters, limit, offset);
+
+Log.pageResponse = (filters, limit, offset) =>
+    page('../api/log/response', ResponseLog, filters, limit, offset);
@@ -0,0 +1,27 @@
+const m = require('mithril');
+const App = require('../app');
+
+const Moderation = module.exports = function (data) {
+  this.id = m.prop(data.moderationId);
+  this.action = m.prop(data.action);
+  this.moderator = m.prop(data.moderator.alias || data.moderator.username);
+  this.user = m.prop(data.user.alias || data.user.username);
+  this.userId = m.prop(data.userId);
+  this.reason = m.prop(data.reason);
+  this.time = m.prop(new Date(data.createdAt));
+  this.expiresAt = m.prop(data.expiresAt ? new Date(data.expiresAt) : null);
+};
+
+Moderation.list = (streamId) =>
+    App.request({
+      method: 'GET',
+      url: '../api/moderations/streams/' + streamId,
+      type: Moderation
+    });
+
+Moderation.create = (moderation) =>
+    App.request({
+      method: 'POST',
+      url: '../api/moderations',
+      data: moderation
+    });
@@ -0,0 +1,16 @@
+const m = require('mithril');
+const App = require('../app');
+
+const Role = module.exports = function (data = {}) {
+  this.id = m.prop(data.roleId || '');
+  this.name = m.prop(data.name || '');
+  this.description = m.prop(data.description || '');
+  this.permissions = m.prop(data.permissions || []);
+};
+
+Role.list = () =>
+    App.request({
+      method: 'GET',
+      url: '../api/roles',
+      type: Role
+    });
@@ -0,0 +1,28 @@
+const m = require('mithril');
+const App = require('../app');
+const StreamModel = require('./stream');
+const UserModel = require('./user');
+const CommentModel = require('./comment');
+
+const Search = module.exports = {};
+
+const models = {
+  stream: StreamModel,
+  user: UserModel,
+  comment: CommentModel
+};
+
+Search.page = (query, type, limit, offset) =>
+    App.request({
+      method: 'GET',
+      url: '../api/search?' + m.route.buildQueryString({
+        q: query,
+        type: type,
+        limit: limit,
+        offset: offset || 0
+      }),
+      unwrapSuccess: (res) => ({
+        items: res.results.map((result) => new models[result.type](result[result.type])),
+        next: res.next
+      })
+    });
@@ -0,0 +1,10 @@
+const App = require('../app');
+
+const Settings = module.exports = {};
+
+// The configuration of the server without its secrets
+Settings.get = () =>
+    App.request({
+      method: 'GET',
+      url: '../api/settings'
+    });
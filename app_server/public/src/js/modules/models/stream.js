@@ -6,12 +6,14 @@ const Stream = module.exports = function (data) {
   this.id = m.prop(data.streamId);
   this.appInstance = m.prop(data.appInstance);
   this.link = m.prop(data.viewLink);
+  this.recordingLink = m.prop(data.vodLink);
   this.thumbnail = m.prop(data.thumbnailLink);
   this.room = m.prop(data.appInstance);
   this.title = m.prop(data.title);
   this.startDateTime = m.prop(new Date(data.createdAt));
   this.endDateTime = m.prop(data.endedAt ? new Date(data.endedAt) : null);
   this.viewers = m.prop(data.totalViewers);
+  this.peakViewers = m.prop(data.peakViewers);
   this.stickers = m.prop(data.totalStickers);
   this.live = m.prop(data.live);
   this.description = m.prop(data.description);
@@ -25,6 +27,21 @@ Stream.get = (id) =>
       type: Stream
     });
 
+// Resolves to the sampled number of concurrent viewers {peakViewers, samples}
+// where samples are {time: Date, value: number}
+Stream.concurrency = (id) =>
+    App.request({
+      method: 'GET',
+      url: '../api/streams/' + id + '/concurrency',
+      unwrapSuccess: (res) => ({
+        peakViewers: res.peakViewers,
+        samples: res.samples.map((sample) => ({
+          time: new Date(sample.time),
+          value: sample.viewers
+        }))
+      })
+    });
+
 Stream.list = (state, sort, order) =>
     App.request({
       method: 'GET',
@@ -36,6 +53,22 @@ Stream.list = (state, sort, order) =>
       type: Stream
     });
 
+Stream.page = (state, sort, order, limit, next) =>
+    App.request({
+      method: 'GET',
+      url: '../api/streams?' + m.route.buildQueryString({
+        state: state,
+        sort: sort,
+        order: order,
+        limit: limit,
+        next: next
+      }),
+      unwrapSuccess: (res) => ({
+        items: res.streams.map((data) => new Stream(data)),
+        next: res.next
+      })
+    });
+
 Stream.stop = (stream) =>
     App.request({
       method: 'POST',
@@ -2,6 +2,7 @@ const m = require('mithril');
 
 const App = require('../app');
 const AdminModel = require('../models/admin');
+const RoleModel = require('../models/role');
 const mz = require('../utils/mzInit');
 
 const Admin = module.exports = {};
@@ -82,6 +83,17 @@ const updatePermissions = function () {
   Admin.admin().permissions(permissionsArr);
 };
 
+const toggleRole = function (role, isChecked) {
+  let roles = Admin.admin().roles().filter((id) => id !== role.id());
+  Admin.admin().roles(isChecked ? roles.concat(role.id()) : roles);
+};
+
+const unlock = function () {
+  AdminModel.unlock(Admin.admin()).then(function (admin) {
+    Admin.admin().lockedAt(admin.lockedAt());
+  });
+};
+
 Admin.controller = function () {
   Admin.username = m.route.param('username') || '';
 
@@ -94,6 +106,8 @@ Admin.controller = function () {
     Object.assign(Admin, deletePage);
   }
 
+  Admin.roles = m.prop([]);
+  RoleModel.list().then(Admin.roles);
   Admin.init();
 };
 
@@ -126,6 +140,19 @@ Admin.view = function () {
     ]);
   };
 
+  let getRoleCheckbox = function (role) {
+    let attributes = {
+      disabled: !Admin.activeForm,
+      type: 'checkbox',
+      checked: Admin.admin().roles().indexOf(role.id()) !== -1,
+      onchange: m.withAttr('checked', (isChecked) => toggleRole(role, isChecked))
+    };
+    return m('div.col s6 m4 l2', [
+      m('input#role-' + role.id(), attributes),
+      m('label', {for: 'role-' + role.id(), title: role.description()}, role.name())
+    ]);
+  };
+
   let admin = Admin.admin();
   return [
     m('h1', Admin.title),
@@ -147,7 +174,14 @@ Admin.view = function () {
         getPermissionCheckbox('Access to Admins', 'admins', permissionsWrapper.admins),
         getPermissionCheckbox('Access to Settings', 'settings', permissionsWrapper.settings)
       ]),
-      m('button.btn col s12', {type: 'submit'}, Admin.title)
+      m('div.row', [
+        m('div.col s12 m4 l2 grey-text', 'Roles:'),
+        Admin.roles().map(getRoleCheckbox)
+      ]),
+      m('button.btn col s12', {type: 'submit'}, Admin.title),
+      Admin.activeForm && admin.lockedAt() ?
+          m('button.btn-flat col s12', {type: 'button', onclick: unlock},
+              'Unlock Admin') : ''
     ])
   ];
 };
@@ -7,6 +7,16 @@ const Admins = module.exports = {};
 
 Admins.init = function () {
   Admins.adminData = AdminModel.list().then(parse);
+  Admins.twoFactorMandatory = m.prop(false);
+  AdminModel.getTwoFactorStatus().then(
+      (status) => Admins.twoFactorMandatory(status.mandatory)
+  );
+};
+
+const setTwoFactorMandatory = function (mandatory) {
+  AdminModel.setTwoFactorMandatory(mandatory).then(
+      (settings) => Admins.twoFactorMandatory(settings.mandatory)
+  );
 };
 
 const names = {
@@ -40,6 +50,16 @@ Admins.controller = function () {
 
 Admins.view = (ctrl) => [
   m('h1', 'Admins'),
+  m('div.switch', m('label', [
+    'Two-factor authentication optional',
+    m('input', {
+      type: 'checkbox',
+      checked: Admins.twoFactorMandatory(),
+      onchange: m.withAttr('checked', setTwoFactorMandatory)
+    }),
+    m('span.lever'),
+    'Mandatory for all admins'
+  ])),
   m(DataDisplay, {
     names: names,
     data: Admins.adminData
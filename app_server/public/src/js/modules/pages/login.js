@@ -10,19 +10,80 @@ const Login = module.exports = {
 
     ctrl.admin = new AdminModel();
     ctrl.loginError = m.prop();
+    ctrl.twoFactor = m.prop();
+    ctrl.code = m.prop('');
+    ctrl.recoveryCodes = m.prop();
+
+    let complete = function (data) {
+      let admin = new AdminModel(data);
+      let csrfToken = document.cookie;
+      App.login(admin, csrfToken);
+      App.goToHome();
+    };
 
     ctrl.login = function (e) {
       e.preventDefault();
-      AdminModel.login(ctrl.admin).then(function (admin) {
-        let csrfToken = document.cookie;
-        App.login(admin, csrfToken);
-        App.goToHome();
+      AdminModel.login(ctrl.admin).then(function (res) {
+        if (res.twoFactorRequired) {
+          ctrl.twoFactor(res);
+        } else {
+          complete(res);
+        }
+      });
+    };
+
+    ctrl.verify = function (e) {
+      e.preventDefault();
+      AdminModel.verifyLogin(ctrl.twoFactor().challenge, ctrl.code().trim())
+      .then(function (res) {
+        if (res.recoveryCodes) {
+          // shown once so that they can be saved before continuing
+          ctrl.recoveryCodes(res.recoveryCodes);
+          ctrl.complete = () => complete(res);
+        } else {
+          complete(res);
+        }
       });
     };
   },
   view: function (ctrl) {
     let admin = ctrl.admin;
 
+    if (ctrl.recoveryCodes()) {
+      return m('div#login.row',
+          m('div.col s12 offset-m3 m6 offset-l4 l4',
+            m('div.card-panel row', [
+              m('p.col s12', 'Save these recovery codes. Each of them can be used once ' +
+                  'to log in without your authenticator app.'),
+              m('ul.col s12', ctrl.recoveryCodes().map((code) => m('li', m('code', code)))),
+              m('button.btn col s12', {onclick: ctrl.complete}, 'Continue')
+            ])
+          )
+      );
+    }
+
+    if (ctrl.twoFactor()) {
+      let enrollment = ctrl.twoFactor().enrollment;
+
+      return m('div#login.row', mz.text,
+          m('div.col s12 offset-m3 m6 offset-l4 l4',
+            m('form.card-panel row', {onsubmit: ctrl.verify}, [
+              enrollment ? m('div.col s12', [
+                m('p', 'Two-factor authentication is required. Add this key to your ' +
+                    'authenticator app, then enter the code that it shows.'),
+                m('p', m('code', enrollment.secret)),
+                m('p', m('a', {href: enrollment.qrData}, 'Open in authenticator app'))
+              ]) : '',
+              m('div.input-field col s12', [
+                m('input#code', {type: 'text', onchange: m.withAttr('value', ctrl.code)}),
+                m('label', {for: 'code'}, enrollment ? 'Code' : 'Code or recovery code')
+              ]),
+              m('button.btn col s12', {type: 'submit'}, 'Verify')
+            ])
+          )
+      );
+    }
+
     return m('div#login.row', mz.text,
         m('div.col s12 offset-m3 m6 offset-l4 l4',
           m('form.card-panel row', {onsubmit: ctrl.login}, [
@@ -34,7 +95,8 @@ const Login = module.exports = {
               m('input#password', {type: 'password', onchange: m.withAttr('value', admin.password)}),
               m('label', {for: 'password'}, 'Password')
             ]),
-            m('button.btn col s12', {type: 'submit'}, 'Log In')
+            m('button.btn col s12', {type: 'submit'}, 'Log In'),
+            m('a.col s12 center-align', {href: '/forgot', config: m.route}, 'Forgot password?')
           ])
         )
     );
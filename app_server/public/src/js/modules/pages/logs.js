@@ -2,12 +2,21 @@ const m = require('mithril');
 
 const DataDisplay = require('../components/datadisplay');
 const LogModel = require('../models/log');
+const AuditModel = require('../models/audit');
 
-const Logs = module.exports = {
-  logs: m.prop([])
-};
+const Logs = module.exports = {};
+
+const LEVELS = ['error', 'warn', 'info', 'verbose', 'debug', 'silly'];
+
+const timeFilters = [
+  {name: 'after', label: 'From', type: 'datetime-local'},
+  {name: 'before', label: 'To', type: 'datetime-local'}
+];
+
+const TARGET_TYPES = ['stream', 'user', 'admin', 'setting', 'word'];
 
 const logsPage = {
+  title: 'Logs',
   names: {
     time: 'Timestamp',
     level: 'Level',
@@ -15,11 +24,14 @@ const logsPage = {
     msg: 'Message',
     meta: 'Metadata'
   },
+  filters: [
+    {name: 'level', label: 'Level', options: LEVELS},
+    {name: 'label', label: 'File', type: 'text'}
+  ].concat(timeFilters),
   parse: (logs) => logs.map(
       function (log) {
         return {
           time: log.timestamp().toUTCString(),
-          timestamp: log.timestamp(),
           level: log.level(),
           label: log.label(),
           msg: log.message(),
@@ -27,10 +39,11 @@ const logsPage = {
         };
       }
   ),
-  list: (after) => LogModel.list(after).then(Logs.parse).then((logs) => logs.reverse())
+  page: LogModel.page
 };
 
 const responseLogsPage = {
+  title: 'Logs',
   names: {
     time: 'Timestamp',
     event: 'Event',
@@ -41,11 +54,14 @@ const responseLogsPage = {
     status: 'Status',
     responseTime: 'Response Time'
   },
+  filters: [
+    {name: 'path', label: 'Path', type: 'text'},
+    {name: 'status', label: 'Status', type: 'number'}
+  ].concat(timeFilters),
   parse: (logs) => logs.map(
       function (log) {
-        log = {
+        return {
           time: log.timestamp().toUTCString(),
-          timestamp: log.timestamp(),
           event: log.event(),
           instance: log.instance(),
           method: log.method(),
@@ -54,22 +70,70 @@ const responseLogsPage = {
           status: log.status(),
           responseTime: log.responseTime()
         };
+      }
+  ),
+  page: LogModel.pageResponse
+};
+
+const formatChanges = (changes) => Object.keys(changes || {}).map((field) =>
+    field + ': ' + JSON.stringify(changes[field].before) + ' \u2192 ' +
+    JSON.stringify(changes[field].after)
+).join(', ');
 
-        return log;
+const auditPage = {
+  title: 'Audit Trail',
+  names: {
+    time: 'Timestamp',
+    actor: 'Admin',
+    action: 'Action',
+    target: 'Target',
+    changes: 'Changes',
+    ipAddress: 'IP Address'
+  },
+  filters: [
+    {name: 'action', label: 'Action', type: 'text'},
+    {name: 'targetType', label: 'Target Type', options: TARGET_TYPES},
+    {name: 'targetId', label: 'Target ID', type: 'text'},
+    {name: 'actorId', label: 'Admin ID', type: 'text'}
+  ].concat(timeFilters),
+  parse: (entries) => entries.map(
+      function (entry) {
+        return {
+          time: entry.timestamp().toUTCString(),
+          actor: entry.actorUsername() || entry.actorId(),
+          action: entry.action(),
+          target: [entry.targetType(), entry.targetId()].join(' '),
+          changes: formatChanges(entry.changes()),
+          ipAddress: entry.ipAddress()
+        };
       }
   ),
-  list: (after) => LogModel.listResponse(after).then(Logs.parse).then((logs) => logs.reverse())
+  page: AuditModel.page
 };
 
-const update = function () {
-  let oldLogs = Logs.logs();
+// Query parameters of the filters that have a value, with times in unix time
+const getQuery = function () {
+  let query = {};
+  Logs.filters.forEach(function (filter) {
+    let value = Logs.values[filter.name]();
+    if (value) {
+      query[filter.name] = filter.type === 'datetime-local' ?
+          new Date(value).getTime() : value;
+    }
+  });
+  return query;
+};
 
-  let latest = oldLogs[0];
-  if (latest) {
-    latest = oldLogs[0].timestamp.getTime();
-  }
+Logs.load = (offset, count) =>
+    Logs.page(Logs.query, count, offset).then((page) => ({
+      items: Logs.parse(page.items),
+      next: page.next
+    }));
 
-  Logs.logs = Logs.list(latest).then((logs) => logs.concat(oldLogs));
+Logs.refresh = function (e) {
+  e.preventDefault();
+  Logs.query = getQuery();
+  DataDisplay.reset();
 };
 
 Logs.controller = function () {
@@ -78,18 +142,50 @@ Logs.controller = function () {
     Object.assign(Logs, logsPage);
   } else if (currentPage.indexOf('/settings/responses') === 0) {
     Object.assign(Logs, responseLogsPage);
+  } else if (currentPage.indexOf('/admins/audit') === 0) {
+    Object.assign(Logs, auditPage);
+  }
+
+  Logs.query = {};
+  Logs.values = {};
+  Logs.filters.forEach((filter) => {
+    Logs.values[filter.name] = m.prop('');
+  });
+};
+
+const getFilterInput = function (filter) {
+  let value = Logs.values[filter.name];
+
+  if (filter.options) {
+    return m('div.input-field col s12 m6 l3', [
+      m('select', {onchange: m.withAttr('value', value)},
+          [m('option', {value: ''}, 'All')].concat(filter.options.map((option) =>
+              m('option', {value: option, selected: option === value()}, option)
+          ))),
+      m('label', filter.label)
+    ]);
   }
 
-  Logs.logs = Logs.list();
+  return m('div.input-field col s12 m6 l3', [
+    m('input#' + filter.name, {
+      type: filter.type,
+      value: value(),
+      onchange: m.withAttr('value', value)
+    }),
+    m('label.active', {for: filter.name}, filter.label)
+  ]);
 };
 
 Logs.view = function () {
   return [
-    m('h1', 'Logs'),
-    m('button.btn', {onclick: update}, 'Refresh'),
+    m('h1', Logs.title),
+    m('form.row', {onsubmit: Logs.refresh}, [
+      Logs.filters.map(getFilterInput),
+      m('div.col s12', m('button.btn', {type: 'submit'}, 'Refresh'))
+    ]),
     m(DataDisplay, {
       names: Logs.names,
-      data: Logs.logs
+      load: Logs.load
     })
   ];
 };
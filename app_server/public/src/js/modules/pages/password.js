@@ -0,0 +1,63 @@
+const m = require('mithril');
+
+const AdminModel = require('../models/admin');
+const Alert = require('../components/alert');
+const mz = require('../utils/mzInit');
+
+const Password = module.exports = {};
+
+const forgotPage = {
+  title: 'Forgot Password',
+  field: {id: 'username', label: 'Username', type: 'text'},
+  action: function (e) {
+    e.preventDefault();
+    AdminModel.forgotPassword(Password.value()).then(function (res) {
+      Alert.setMessage(res.message);
+      m.route('/login');
+    });
+  }
+};
+
+const resetPage = {
+  title: 'Reset Password',
+  field: {id: 'password', label: 'New Password', type: 'password'},
+  action: function (e) {
+    e.preventDefault();
+    AdminModel.resetPassword(Password.token, Password.value()).then(function () {
+      Alert.setMessage('Your password has been reset. Please log in.');
+      m.route('/login');
+    });
+  }
+};
+
+Password.controller = function () {
+  Password.token = m.route.param('token') || '';
+  Password.value = m.prop('');
+
+  if (m.route().indexOf('/reset') === 0) {
+    Object.assign(Password, resetPage);
+  } else {
+    Object.assign(Password, forgotPage);
+  }
+};
+
+Password.view = function () {
+  let field = Password.field;
+
+  return m('div#password.row', mz.text,
+      m('div.col s12 offset-m3 m6 offset-l4 l4',
+        m('form.card-panel row', {onsubmit: Password.action}, [
+          m('h5.col s12', Password.title),
+          m('div.input-field col s12', [
+            m('input#' + field.id, {
+              type: field.type,
+              onchange: m.withAttr('value', Password.value)
+            }),
+            m('label', {for: field.id}, field.label)
+          ]),
+          m('button.btn col s12', {type: 'submit'}, Password.title),
+          m('a.col s12 center-align', {href: '/login', config: m.route}, 'Back to Log In')
+        ])
+      )
+  );
+};
@@ -0,0 +1,49 @@
+const m = require('mithril');
+
+const SettingsModel = require('../models/settings');
+const DataTable = require('../components/datatable');
+
+const Settings = module.exports = {};
+
+const SECTIONS = {
+  server: 'Server',
+  database: 'Database',
+  socialMedia: 'Social Media'
+};
+
+Settings.settings = m.prop({});
+
+// Rows of the values in a section, named by their path such as logStore.type
+const flatten = function (values, prefix) {
+  return Object.keys(values).reduce(function (rows, key) {
+    let name = prefix ? prefix + '.' + key : key;
+    let value = values[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return rows.concat(flatten(value, name));
+    }
+    return rows.concat({name: name, value: JSON.stringify(value)});
+  }, []);
+};
+
+Settings.controller = function () {
+  SettingsModel.get().then(Settings.settings);
+};
+
+Settings.view = function () {
+  let settings = Settings.settings();
+
+  return [
+    m('h1', 'Server Settings'),
+    m('p', 'Set in the config file or the environment of the server. ' +
+        'Secrets are not shown.'),
+    Object.keys(SECTIONS).filter((section) => settings[section]).map(
+        (section) => [
+          m('h2', SECTIONS[section]),
+          m(DataTable, {
+            names: {name: 'Setting', value: 'Value'},
+            data: flatten(settings[section])
+          })
+        ]
+    )
+  ];
+};
@@ -3,17 +3,23 @@ const shaka = require('shaka-player');
 const io = require('socket.io-client');
 
 const Alert = require('../components/alert');
+const LineChart = require('../components/linechart');
 const CommentModel = require('../models/comment');
+const ModerationModel = require('../models/moderation');
 const StreamModel = require('../models/stream');
 const datetime = require('../utils/dateFormat');
 
 const Stream = module.exports = {
   stream: m.prop(),
   comments: m.prop([]),
+  moderations: m.prop([]),
+  concurrency: m.prop([]),
+  watching: m.prop(),
   socket: m.prop()
 };
 
 const MAX_COMMENTS = 1000;
+const REPLAY_WINDOW = 60; // seconds of comments requested at a time
 
 const initPlayer = function () {
   shaka.polyfill.installAll();
@@ -36,10 +42,19 @@ const initPlayer = function () {
   });
 
   loadStream();
+
+  if (!Stream.stream().live()) {
+    initReplay(video);
+  }
 };
 
 const loadStream = function () {
-  let mpdUrl = Stream.stream().link();
+  let stream = Stream.stream();
+  let mpdUrl = stream.live() ? stream.link() : stream.recordingLink();
+  if (!mpdUrl) {
+    return;
+  }
+
   let estimator = new shaka.util.EWMABandwidthEstimator();
   let source = new shaka.player.DashVideoSource(mpdUrl, null, estimator);
 
@@ -70,20 +85,138 @@ const initComments = function () {
     }
     m.endComputation();
   });
+  Stream.socket().on('moderation', function (res) {
+    if (res.action === 'delete') {
+      m.startComputation();
+      Stream.comments(Stream.comments().filter((c) => !isDeletedComment(c, res)));
+      m.endComputation();
+    }
+    loadModerations();
+  });
+  Stream.socket().on('viewers', function (res) {
+    m.startComputation();
+    Stream.watching(res);
+    m.endComputation();
+  });
+};
+
+// Comments received over the socket have no id, so they are matched by
+// their author and time, to the second as times are stored in seconds
+const isDeletedComment = function (comment, moderation) {
+  if (comment.id()) {
+    return comment.id() === moderation.commentId;
+  }
+
+  return comment.userId() === moderation.userId &&
+      Math.floor(comment.time().getTime() / 1000) ===
+      Math.floor(moderation.commentTime / 1000);
+};
+
+const loadConcurrency = function () {
+  return StreamModel.concurrency(Stream.stream().id()).then((res) => {
+    Stream.stream().peakViewers(res.peakViewers);
+    Stream.concurrency(res.samples);
+  });
+};
+
+const loadModerations = function () {
+  return ModerationModel.list(Stream.stream().id()).then(Stream.moderations);
+};
+
+const deleteComment = function (comment) {
+  let moderation = {
+    streamId: Stream.stream().id(),
+    action: 'delete'
+  };
+  if (comment.id()) {
+    moderation.commentId = comment.id();
+  } else {
+    moderation.userId = comment.userId();
+    moderation.time = comment.time().getTime();
+  }
+
+  ModerationModel.create(moderation).then(() => {
+    Stream.comments(Stream.comments().filter((c) => c !== comment));
+    return loadModerations();
+  });
+};
+
+const describeModeration = function (moderation) {
+  let description = moderation.moderator() + ' ';
+  switch (moderation.action()) {
+  case 'delete':
+    description += 'deleted a comment of ' + moderation.user();
+    break;
+  case 'mute':
+    description += 'muted ' + moderation.user() + ' until ' +
+        datetime.toShortDateTime(moderation.expiresAt());
+    break;
+  case 'kick':
+    description += 'kicked ' + moderation.user();
+    break;
+  case 'ban':
+    description += 'banned ' + moderation.user();
+    break;
+  }
+
+  return moderation.reason() ? description + ' (' + moderation.reason() + ')' : description;
+};
+
+// Comments of ended streams are shown along with the playback of the
+// recording, according to their offset from the start of the stream
+const initReplay = function (video) {
+  Stream.replay = {windows: {}, comments: []};
+  video.addEventListener('timeupdate', () => syncReplay(video.currentTime));
+};
+
+const loadReplayWindow = function (index) {
+  if (Stream.replay.windows[index]) {
+    return;
+  }
+
+  Stream.replay.windows[index] = true;
+  CommentModel.replay(Stream.stream().id(), index * REPLAY_WINDOW, REPLAY_WINDOW)
+      .then((res) => {
+        Stream.replay.comments = Stream.replay.comments.concat(res.items)
+            .sort((a, b) => a.offset() - b.offset());
+      });
+};
+
+const syncReplay = function (time) {
+  let index = Math.floor(time / REPLAY_WINDOW);
+  loadReplayWindow(index);
+  loadReplayWindow(index + 1);
+
+  m.startComputation();
+  Stream.comments(Stream.replay.comments
+      .filter((c) => c.offset() <= time)
+      .reverse()
+      .slice(0, MAX_COMMENTS));
+  m.endComputation();
 };
 
 const destroyPage = function () {
   Stream.player.destroy();
-  Stream.socket().emit('leave', Stream.stream().room());
+  if (Stream.socket()) {
+    Stream.socket().emit('leave', Stream.stream().room());
+    Stream.socket(null);
+  }
 };
 
 Stream.controller = function () {
   let id = m.route.param('id') || -1;
+  Stream.comments([]);
+  Stream.moderations([]);
+  Stream.concurrency([]);
+  Stream.watching(null);
 
-  m.sync([
-    StreamModel.get(id).then(Stream.stream),
-    CommentModel.list(id).then(Stream.comments)
-  ]).then(initComments);
+  StreamModel.get(id).then(Stream.stream).then((stream) => {
+    loadModerations();
+    loadConcurrency();
+    if (stream.live()) {
+      CommentModel.list(id).then(Stream.comments).then(initComments);
+    }
+  });
 
   return {
     onunload: destroyPage
@@ -97,7 +230,7 @@ Stream.view = function () {
     m('h1', stream.title()),
     m('div.col s12 m6 l4',
         m('video#video', {
-          config: () => initPlayer(),
+          config: (element, isInitialized) => isInitialized || initPlayer(),
           width: '100%',
           height: 'auto',
           controls: true,
@@ -107,8 +240,18 @@ Stream.view = function () {
     m('div.col s12 m6 l4', [
       m('div.row', [
         m('div.col s6', 'Viewers: ' + stream.viewers()),
-        m('div.col s6', 'Stickers: ' + stream.stickers())
+        m('div.col s6', 'Stickers: ' + stream.stickers()),
+        m('div.col s6', 'Peak Viewers: ' + stream.peakViewers()),
+        Stream.watching() ?
+            m('div.col s6', 'Watching Now: ' + Stream.watching().users +
+                ' (' + Stream.watching().clients + ' devices)') :
+            null
       ]),
+      m('div.row',
+          m('div.col s12', m(LineChart, {
+            title: 'Concurrent Viewers',
+            points: Stream.concurrency()
+          }))),
       m('div.row', [
         m('div.row col s12', [
           m('div.col s12', stream.user().alias()),
@@ -120,13 +263,24 @@ Stream.view = function () {
       ]),
       m('div.row', [
         m('div.col s12', stream.description()),
-        m('button.btn col s12', {onclick: stopStream}, 'Stop Stream'),
+        stream.live() ?
+            m('button.btn col s12', {onclick: stopStream}, 'Stop Stream') :
+            null,
         m('div#comments.col s12',
             Stream.comments().map((c) => m('div.comment-row', [
               '[' + datetime.toShortTime(c.time()) + '] ',
               m('a[href="/users/view/' + c.userId() + '"]', {config: m.route}, c.user() + ':'),
-              ' ' + c.msg()
-            ])))
+              ' ' + c.msg(),
+              m('a.right[href="javascript:;"]', {onclick: () => deleteComment(c)},
+                  m('i.material-icons tiny', 'delete'))
+            ]))),
+        m('div#moderations.col s12', [
+          m('h5', 'Moderation'),
+          Stream.moderations().map((action) => m('div.moderation-row', [
+            '[' + datetime.toShortDateTime(action.time()) + '] ',
+            describeModeration(action)
+          ]))
+        ])
       ])
     ])
   ];
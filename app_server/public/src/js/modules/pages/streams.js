@@ -1,7 +1,9 @@
 const m = require('mithril');
 
 const DataDisplay = require('../components/datadisplay');
+const SearchBar = require('../components/searchbar');
 const StreamModel = require('../models/stream');
+const SearchModel = require('../models/search');
 const datetime = require('../utils/dateFormat');
 
 const Streams = module.exports = {};
@@ -16,8 +18,20 @@ const allPage = {
   state: 'all'
 };
 
-Streams.init = function () {
-  Streams.streamData = StreamModel.list(Streams.state, 'time', 'desc').then(parse);
+Streams.query = m.prop('');
+
+Streams.load = (next, count) =>
+    (Streams.query() ?
+        SearchModel.page(Streams.query(), 'stream', count, next) :
+        StreamModel.page(Streams.state, 'time', 'desc', count, next)
+    ).then((page) => ({
+      items: parse(page.items),
+      next: page.next
+    }));
+
+Streams.search = function (query) {
+  Streams.query(query);
+  DataDisplay.reset();
 };
 
 const names = {
@@ -58,20 +72,21 @@ const parse = (streams) => streams.map(
 );
 
 Streams.controller = function () {
+  Streams.query('');
+
   let currentPage = m.route();
   if (currentPage.indexOf('/streams/live') === 0) {
     Object.assign(Streams, livePage);
   } else if (currentPage.indexOf('/streams/all') === 0) {
     Object.assign(Streams, allPage);
   }
-
-  Streams.init();
 };
 
 Streams.view = () => [
   m('h1', Streams.title),
+  m(SearchBar, {label: 'Search all streams', onsearch: Streams.search}),
   m(DataDisplay, {
     names: names,
-    data: Streams.streamData
+    load: Streams.load
   })
 ];
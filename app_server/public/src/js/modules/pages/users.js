@@ -1,14 +1,28 @@
 const m = require('mithril');
 
 const DataDisplay = require('../components/datadisplay');
+const SearchBar = require('../components/searchbar');
 const UserModel = require('../models/user');
+const SearchModel = require('../models/search');
 
 const Users = module.exports = {};
 
 Users.init = function () {
+  Users.query = m.prop('');
   Users.userData = UserModel.list().then(parse);
 };
 
+Users.load = (next, count) =>
+    SearchModel.page(Users.query(), 'user', count, next).then((page) => ({
+      items: parse(page.items),
+      next: page.next
+    }));
+
+Users.search = function (query) {
+  Users.query(query);
+  DataDisplay.reset();
+};
+
 const platformImg = {
   facebook: '/admin/img/facebook.png'
 };
@@ -48,7 +62,11 @@ Users.controller = function () {
 
 Users.view = () => [
   m('h1', 'Users'),
-  m(DataDisplay, {
+  m(SearchBar, {label: 'Search users', onsearch: Users.search}),
+  m(DataDisplay, Users.query() ? {
+    names: names,
+    load: Users.load
+  } : {
     names: names,
     data: Users.userData
   })
@@ -0,0 +1,19 @@
+var moderator = {
+  roleId: 'moderatorRoleId',
+  name: 'moderator',
+  description: 'Moderates streams and users',
+  permissions: ['streams', 'users']
+};
+
+module.exports = {
+  roles: {
+    moderator: moderator
+  },
+  list: function (roles) {
+    return {
+      url: /api\/roles/,
+      method: 'GET',
+      responseBody: roles || [moderator]
+    };
+  }
+};
@@ -2,6 +2,7 @@
 var xhr = require('phantomxhr');
 var h = require('../helper');
 var apiAdmins = require('../api/admins');
+var apiRoles = require('../api/roles');
 
 casper.test.begin('Can view list of admins', 9, function (test) {
   var url = h.root('admins');
@@ -39,6 +40,7 @@ casper.test.begin('Can view and submit admin', 10, function (test) {
   var url = h.root('admins/view/' + apiAdmins.admins.rootAdmin.userId);
   h.setUpCasper(casper, xhr).start(url, function () {
     xhr.fake(apiAdmins.get());
+    xhr.fake(apiRoles.list());
 
     this.waitForSelector('#content', function () {
       test.assertUrlMatch(url);
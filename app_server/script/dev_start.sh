@@ -1,3 +1,3 @@
 #!/usr/bin/env bash
 
-NODE_ENV=development npm start
+npm run migrate && NODE_ENV=development npm start
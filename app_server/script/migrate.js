@@ -0,0 +1,53 @@
+/*
+ * Applies, lists or reverts the migrations of the database in DatabaseConfig
+ *
+ *   node script/migrate.js up        applies the pending migrations
+ *   node script/migrate.js status    lists the migrations and when they were
+ *                                    applied
+ *   node script/migrate.js down [n]  reverts the last n migrations, 1 by
+ *                                    default
+ */
+'use strict';
+var rfr = require('rfr');
+
+var Storage = rfr('app/models/Storage');
+
+var COMMANDS = {
+  up: function() {
+    return Storage.migrator.up().then(function(names) {
+      console.log(names.length ? 'Applied ' + names.join(', ') :
+                                 'No pending migrations');
+    });
+  },
+
+  status: function() {
+    return Storage.migrator.status().then(function(migrations) {
+      migrations.forEach(function(migration) {
+        var status = migration.migratedAt ?
+                     new Date(migration.migratedAt).toISOString() : 'pending';
+        console.log('%s\t%s', status, migration.name);
+      });
+    });
+  },
+
+  down: function(steps) {
+    return Storage.migrator.down(parseInt(steps, 10) || 1)
+    .then(function(names) {
+      console.log(names.length ? 'Reverted ' + names.join(', ') :
+                                 'No migrations to revert');
+    });
+  }
+};
+
+var command = COMMANDS[process.argv[2]];
+if (!command) {
+  console.error('Usage: node script/migrate.js up|status|down [steps]');
+  process.exit(1);
+}
+
+command(process.argv[3]).then(function() {
+  process.exit(0);
+}).catch(function(err) {
+  console.error('Migration failed: %s', err.stack || err);
+  process.exit(1);
+});
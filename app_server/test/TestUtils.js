@@ -8,22 +8,14 @@ var Storage = rfr('app/models/Storage.js');
 var logger = Utility.createLogger(__filename);
 
 exports.resetDatabase = function (done) {
-  return Storage.sequelize.sync()
-  .then(function(res) {
-    return Storage.sequelize.query('SET FOREIGN_KEY_CHECKS=0', {raw: true});
-  }).then(function(res) {
-    return Storage.sequelize.sync({force: true});
+  return Storage.dialect.dropAllTables(Storage.sequelize.getQueryInterface())
+  .then(function() {
+    return Storage.migrator.up();
   }).then(function() {
-    return Storage.sequelize.query('SET FOREIGN_KEY_CHECKS=1', {raw: true});
-  }).then(function() {
-    logger.info('Database for tests synchronised');
+    logger.info('Database for tests migrated');
     return done();
   }).catch(function(err) {
-    if (err.parent && err.parent.code === 'ER_NO_SUCH_TABLE') {
-      logger.info('Building table');
-    } else {
-      logger.error('Database Connection refused');
-    }
+    logger.error('Unable to migrate database for tests: %s', err);
   });
 };
 
@@ -45,6 +37,31 @@ exports.mockFacebookServer = function () {
   return facebookServer;
 };
 
+/**
+ * A fake OpenID Connect provider whose userinfo endpoint accepts the
+ * bearer token 'xyz'
+ */
+exports.mockOpenIdConnectServer = function () {
+  var oidcServer = new Hapi.Server();
+  oidcServer.connection({port: 8889});
+  oidcServer.route({
+    method: 'GET',
+    path: '/userinfo',
+    handler: function (request, reply) {
+      if (request.headers.authorization === 'Bearer xyz') {
+        reply({sub: 'a1b2c3d4', name: 'Alice Oidc',
+               email: 'alice@oidc.example'});
+      } else {
+        reply({error: 'invalid_token'}).code(401);
+      }
+    }
+  });
+
+  return oidcServer;
+};
+
+exports.mockOpenIdConnectUrl = 'http://localhost:8889/userinfo';
+
 /**
  * Returns a new object that has properties copied from obj
  * @param {Object} obj
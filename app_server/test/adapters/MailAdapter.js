@@ -0,0 +1,79 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var os = require('os');
+var path = require('path');
+
+var MailAdapter = rfr('app/adapters/MailAdapter');
+var ServerConfig = rfr('config/ServerConfig');
+
+var mail = {
+  to: 'jane@example.com',
+  subject: 'Hello',
+  text: 'Hello Jane'
+};
+
+lab.experiment('MailAdapter Tests', function () {
+  lab.afterEach(function (done) {
+    MailAdapter.config = ServerConfig.mail;
+    MailAdapter.useTransport(ServerConfig.mail.transport);
+    done();
+  });
+
+  lab.test('Send with memory transport', function (done) {
+    var transport = MailAdapter.useTransport(MailAdapter.TRANSPORTS.MEMORY);
+
+    MailAdapter.send(mail).then(function (result) {
+      Code.expect(result).to.be.true();
+      Code.expect(transport.sent).to.have.length(1);
+      Code.expect(transport.sent[0].to).to.equal(mail.to);
+      Code.expect(transport.sent[0].from).to.equal(ServerConfig.mail.from);
+      done();
+    });
+  });
+
+  lab.test('Send with file transport', function (done) {
+    var directory = path.join(os.tmpdir(), 'worldscope-mail-' + Date.now());
+    MailAdapter.config = Object.assign({}, ServerConfig.mail,
+                                       {directory: directory});
+    MailAdapter.useTransport(MailAdapter.TRANSPORTS.FILE);
+
+    MailAdapter.send(mail).then(function (result) {
+      Code.expect(result).to.be.true();
+      return fs.readdirAsync(directory);
+    }).then(function (files) {
+      Code.expect(files).to.have.length(1);
+      return fs.readFileAsync(path.join(directory, files[0]), 'utf8')
+      .then(function (content) {
+        Code.expect(content).to.contain('To: ' + mail.to);
+        Code.expect(content).to.contain(mail.text);
+        return fs.unlinkAsync(path.join(directory, files[0]));
+      });
+    }).then(() => fs.rmdirAsync(directory)).then(done);
+  });
+
+  lab.test('Register transport', function (done) {
+    var FailingTransport = function () {};
+    FailingTransport.prototype.send = function () {
+      return Promise.reject(new Error('Unable to connect'));
+    };
+
+    MailAdapter.registerTransport('failing', FailingTransport);
+    MailAdapter.useTransport('failing');
+
+    MailAdapter.send(mail).then(function (result) {
+      Code.expect(result).to.be.false();
+      done();
+    });
+  });
+
+  lab.test('Register invalid transport', function (done) {
+    Code.expect(() => MailAdapter.registerTransport('invalid', function () {}))
+      .to.throw(Error);
+    Code.expect(() => MailAdapter.useTransport('unknown')).to.throw(Error);
+    done();
+  });
+});
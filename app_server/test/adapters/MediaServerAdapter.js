@@ -37,3 +37,47 @@ lab.experiment('getConnectionCounts', function () {
     });
   });
 });
+
+lab.experiment('getRecording', function () {
+  let mockedMediaServer = new Hapi.Server();
+  mockedMediaServer.connection({port: 8086});
+
+  mockedMediaServer.route({
+    method: 'POST',
+    path: '/control',
+    handler: function (request, reply) {
+      if (request.payload.stream !== 'recorded') {
+        return reply({status: 'ERR', message: 'not recorded'});
+      }
+
+      reply({status: 'OK', size: 1024,
+             path: `${request.payload.appInstance}/recorded.mp4`});
+    },
+  });
+
+  lab.before((done) => mockedMediaServer.start(() => done()));
+
+  lab.after((done) => mockedMediaServer.stop(() => done()));
+
+  let adapter = new MediaServerAdapter(MediaServerConfig.host,
+                                       MediaServerConfig.username,
+                                       MediaServerConfig.password);
+
+  lab.test('Gets recording from mocked media server', function (done) {
+    adapter.getRecording('live', 'instance', 'recorded')
+    .then((result) => {
+      Code.expect(result).to.deep.equal({path: 'instance/recorded.mp4',
+                                         size: 1024});
+      done();
+    });
+  });
+
+  lab.test('Gets missing recording from mocked media server', function (done) {
+    adapter.getRecording('live', 'instance', 'missing')
+    .then((result) => {
+      Code.expect(result).to.be.an.instanceof(Error);
+      Code.expect(result.message).to.equal('not recorded');
+      done();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var OpenIdConnect = rfr('app/adapters/social_media/OpenIdConnect');
+var SocialMediaConfig = rfr('config/SocialMediaConfig');
+var TestUtils = rfr('test/TestUtils');
+
+lab.experiment('OpenIdConnect tests', {timeout: 10000}, function () {
+  var oidcServer = TestUtils.mockOpenIdConnectServer();
+  var userInfoUrl = SocialMediaConfig.oidc.userInfoUrl;
+
+  lab.before(function (done) {
+    SocialMediaConfig.oidc.userInfoUrl = TestUtils.mockOpenIdConnectUrl;
+    oidcServer.start(done);
+  });
+
+  lab.after(function (done) {
+    SocialMediaConfig.oidc.userInfoUrl = userInfoUrl;
+    oidcServer.stop(done);
+  });
+
+  lab.test('Wrong appId should throw error', function (done) {
+    Code.expect(function () {
+      var oidc = new OpenIdConnect({appId: 'xyz', accessToken: 'qwoei'});
+    }).to.throw(Error);
+    done();
+  });
+
+  lab.test('Missing accessToken should throw error', function (done) {
+    Code.expect(function () {
+      var oidc = new OpenIdConnect({appId: SocialMediaConfig.oidc.appId});
+    }).to.throw(Error);
+    done();
+  });
+
+  lab.test('getUser valid', function (done) {
+    var oidc = new OpenIdConnect({appId: SocialMediaConfig.oidc.appId,
+                                  accessToken: 'xyz'});
+    oidc.getUser().then(function (result) {
+      Code.expect(result).to.deep.equal({id: 'a1b2c3d4', name: 'Alice Oidc',
+                                         email: 'alice@oidc.example'});
+      done();
+    });
+  });
+
+  lab.test('getUser when given wrong accessToken', function (done) {
+    var oidc = new OpenIdConnect({appId: SocialMediaConfig.oidc.appId,
+                                  accessToken: 'abc'});
+    oidc.getUser().then(function (result) {
+      Code.expect('id' in result).to.be.false();
+      done();
+    });
+  });
+});
@@ -4,6 +4,7 @@ var lab = exports.lab = Lab.script();
 var Code = require('code');
 
 var SocialMediaAdapter = rfr('app/adapters/social_media/SocialMediaAdapter');
+var Platform = rfr('app/adapters/social_media/Platform');
 
 lab.experiment('SocialMediaAdapter tests', {timeout: 10000}, function () {
   lab.test('Invalid platform should throw Error', function (done) {
@@ -56,4 +57,36 @@ lab.experiment('SocialMediaAdapter tests', {timeout: 10000}, function () {
       done();
     });
   });
+
+  lab.test('Built in platforms are registered', function (done) {
+    Code.expect(SocialMediaAdapter.getPlatforms()).to.include(
+      ['facebook', 'google', 'twitter', 'oidc']);
+    done();
+  });
+
+  lab.test('Registered platform is used', function (done) {
+    function FakePlatform(options) {
+      Platform.call(this, 'http://localhost');
+      this.options = options;
+    }
+    FakePlatform.prototype = Object.create(Platform.prototype);
+    FakePlatform.prototype.getUser = function () {
+      return Promise.resolve({id: this.options.accessToken, name: 'Fake'});
+    };
+
+    SocialMediaAdapter.registerPlatform('fake', FakePlatform);
+    var adapter = new SocialMediaAdapter('fake', {accessToken: 'qwoei'});
+    adapter.getUser().then(function (result) {
+      Code.expect(result.id).to.equal('qwoei');
+      done();
+    });
+  });
+
+  lab.test('Registering a non Platform should throw Error', function (done) {
+    Code.expect(function () {
+      SocialMediaAdapter.registerPlatform('bogusbook', function () {});
+    }).to.throw(Error);
+    Code.expect(SocialMediaAdapter.getPlatforms()).to.not.include('bogusbook');
+    done();
+  });
 });
@@ -0,0 +1,248 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var http = require('http');
+var socketio = require('socket.io');
+var io = require('socket.io-client');
+var Promise = require('bluebird');
+
+var Broker = rfr('app/adapters/socket/Broker');
+var Cluster = rfr('app/adapters/socket/Cluster');
+var ClusterAdapter = rfr('app/adapters/socket/ClusterAdapter');
+var RoomsManager = rfr('app/adapters/socket/RoomsManager');
+var CommentFilter = rfr('app/adapters/socket/CommentFilter');
+
+var options = {
+  transports: ['websocket'],
+  'force new connection': true
+};
+
+var createClient = (socketId, userId) => ({
+  getSocketId: () => socketId,
+  getUserId: () => userId,
+  getCredentials: () => ({userId: userId}),
+  on: () => true,
+  __joinRoom__: () => true,
+  __leaveRoom__: () => true
+});
+
+// waits for the messages published through the broker to be delivered
+var delivered = (fn) => setTimeout(fn, 10);
+
+lab.experiment('Cluster tests', function() {
+  var broker;
+  var emitted;
+  var nodes;
+
+  var createNode = function(nodeId) {
+    var fakeIo = {
+      to: (name) => ({
+        emit: (event, msg) => emitted.push({
+          nodeId: nodeId, to: name, event: event, msg: msg
+        })
+      })
+    };
+    fakeIo.local = fakeIo;
+
+    var roomsManager = new RoomsManager({}, fakeIo);
+    var cluster = new Cluster(broker, roomsManager, {
+      nodeId: nodeId,
+      channel: 'test',
+      interval: 1000
+    });
+    cluster.start();
+    return {roomsManager: roomsManager, cluster: cluster};
+  };
+
+  lab.beforeEach(function(done) {
+    broker = new Broker.MemoryBroker();
+    emitted = [];
+    nodes = {a: createNode('a'), b: createNode('b')};
+    delivered(done);
+  });
+
+  lab.afterEach(function(done) {
+    nodes.a.cluster.stop();
+    nodes.b.cluster.stop();
+    done();
+  });
+
+  lab.test('Rooms are created and closed on all app servers', function(done) {
+    nodes.a.roomsManager.createNewRoom('room', 'streamId', 'owner');
+    nodes.a.cluster.publish(Cluster.EVENTS.CREATE_ROOM, {
+      roomName: 'room', streamId: 'streamId', ownerId: 'owner'
+    });
+
+    delivered(function() {
+      var room = nodes.b.roomsManager.getRooms()['room'];
+      Code.expect(room).to.exist();
+      Code.expect(room.getStreamId()).to.equal('streamId');
+      Code.expect(room.getOwnerId()).to.equal('owner');
+
+      nodes.a.roomsManager.removeRoom('room');
+      nodes.a.cluster.publish(Cluster.EVENTS.CLOSE_ROOM, {roomName: 'room'});
+      delivered(function() {
+        Code.expect(nodes.b.roomsManager.getRooms()).to.be.empty();
+        done();
+      });
+    });
+  });
+
+  lab.test('Users are counted on all app servers', function(done) {
+    nodes.a.roomsManager.createNewRoom('room', 'streamId', 'owner');
+    nodes.b.roomsManager.createNewRoom('room', 'streamId', 'owner');
+
+    var alice = createClient('a1', 'alice');
+    var bob = createClient('a2', 'bob');
+    nodes.a.roomsManager.addClient(alice);
+    nodes.a.roomsManager.addClient(bob);
+    nodes.a.roomsManager.getRooms()['room'].addClient(alice);
+    nodes.a.roomsManager.getRooms()['room'].addClient(bob);
+
+    var aliceOnB = createClient('b1', 'alice');
+    nodes.b.roomsManager.addClient(aliceOnB);
+    nodes.b.roomsManager.getRooms()['room'].addClient(aliceOnB);
+
+    nodes.a.cluster.publishState();
+    nodes.b.cluster.publishState();
+    delivered(function() {
+      ['a', 'b'].forEach(function(nodeId) {
+        var room = nodes[nodeId].roomsManager.getRooms()['room'];
+        Code.expect(nodes[nodeId].cluster.getNumberOfUsers()).to.equal(2);
+        Code.expect(nodes[nodeId].cluster.getNumberOfClients()).to.equal(3);
+        Code.expect(room.getNumberOfUsers()).to.equal(2);
+        Code.expect(room.getNumberOfClients()).to.equal(3);
+      });
+      Code.expect(nodes.a.cluster.isLeader()).to.be.true();
+      Code.expect(nodes.b.cluster.isLeader()).to.be.false();
+      done();
+    });
+  });
+
+  lab.test('App servers that stop publishing are forgotten', function(done) {
+    nodes.b.roomsManager.addClient(createClient('b1', 'bob'));
+    nodes.b.cluster.publishState();
+
+    delivered(function() {
+      Code.expect(nodes.a.cluster.getNumberOfUsers()).to.equal(1);
+
+      nodes.b.cluster.stop();
+      nodes.a.cluster.nodes['b'].receivedAt = Date.now() - 5000;
+      nodes.a.cluster.update();
+      Code.expect(nodes.a.cluster.getNumberOfUsers()).to.equal(0);
+      Code.expect(nodes.a.cluster.nodes).to.be.empty();
+      done();
+    });
+  });
+
+  lab.test('Moderations are enforced on all app servers', function(done) {
+    var expiresAt = new Date(Date.now() + 60000);
+    nodes.a.roomsManager.createNewRoom('room', 'streamId', 'owner');
+    nodes.b.roomsManager.createNewRoom('room', 'streamId', 'owner');
+
+    var moderation = {
+      action: 'mute', streamId: 'streamId', ownerId: 'owner',
+      userId: 'alice', expiresAt: expiresAt
+    };
+    nodes.a.roomsManager.applyModeration(moderation);
+    nodes.a.cluster.publish(Cluster.EVENTS.MODERATION, moderation);
+    nodes.a.cluster.publish(Cluster.EVENTS.MODERATION, {
+      action: 'ban', streamId: 'streamId', ownerId: 'owner', userId: 'bob'
+    });
+
+    delivered(function() {
+      var room = nodes.b.roomsManager.getRooms()['room'];
+      Code.expect(room.isMuted('alice')).to.be.true();
+      Code.expect(nodes.b.roomsManager.isBanned('owner', 'bob')).to.be.true();
+
+      // only the app server that applied it notifies the clients
+      Code.expect(emitted.filter((e) => e.event === 'moderation'))
+        .to.have.length(1);
+      done();
+    });
+  });
+
+  lab.test('Blocklist is updated on all app servers', function(done) {
+    nodes.a.cluster.publish(Cluster.EVENTS.BLOCKLIST, {words: ['darn']});
+
+    delivered(function() {
+      Code.expect(CommentFilter.apply('alice', 'oh darn'))
+        .to.equal('oh ****');
+      CommentFilter.__reset__();
+      CommentFilter.setBlocklist([]);
+      done();
+    });
+  });
+});
+
+lab.experiment('ClusterAdapter tests', function() {
+  var servers;
+  var clients;
+
+  var listen = function(broker, nodeId) {
+    return new Promise(function(resolve) {
+      var httpServer = http.createServer();
+      var server = socketio(httpServer, {
+        adapter: ClusterAdapter.create(broker, nodeId, 'test')
+      });
+      server.on('connection', (socket) => socket.join('room'));
+      httpServer.listen(0, () => resolve({
+        io: server,
+        http: httpServer,
+        port: httpServer.address().port
+      }));
+    });
+  };
+
+  var connect = function(server) {
+    return new Promise(function(resolve) {
+      var client = io.connect(`http://localhost:${server.port}`, options);
+      client.once('connect', () => resolve(client));
+    });
+  };
+
+  lab.beforeEach(function(done) {
+    var broker = new Broker.MemoryBroker();
+    Promise.all([listen(broker, 'a'), listen(broker, 'b')])
+    .then(function(result) {
+      servers = result;
+      return Promise.all(servers.map(connect));
+    }).then(function(result) {
+      clients = result;
+      delivered(done);
+    });
+  });
+
+  lab.afterEach(function(done) {
+    clients.forEach((client) => client.disconnect());
+    servers.forEach((server) => server.io.close());
+    done();
+  });
+
+  lab.test('Broadcasts reach sockets of all app servers', function(done) {
+    var received = [];
+    clients.forEach((client, i) => client.on('hello', (msg) => {
+      received.push(i);
+      Code.expect(msg).to.equal('world');
+      if (received.length === 2) {
+        Code.expect(received.sort()).to.deep.equal([0, 1]);
+        done();
+      }
+    }));
+
+    servers[0].io.to('room').emit('hello', 'world');
+  });
+
+  lab.test('Local broadcasts stay on the app server', function(done) {
+    var received = [];
+    clients.forEach((client, i) => client.on('hello', () => received.push(i)));
+
+    servers[1].io.local.to('room').emit('hello', 'world');
+    setTimeout(function() {
+      Code.expect(received).to.deep.equal([1]);
+      done();
+    }, 100);
+  });
+});
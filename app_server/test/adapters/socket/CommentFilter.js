@@ -0,0 +1,81 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var CustomError = rfr('app/util/Error');
+var CommentFilter = rfr('app/adapters/socket/CommentFilter');
+
+var userId = 'a5d1f2c4-3b6e-4f7a-8c9d-0e1f2a3b4c5d';
+
+lab.experiment('CommentFilter tests', function() {
+  lab.beforeEach(function(done) {
+    CommentFilter.__reset__();
+    CommentFilter.setBlocklist([]);
+    done();
+  });
+
+  lab.test('Comment valid', function(done) {
+    Code.expect(CommentFilter.apply(userId, 'hello there'))
+      .to.equal('hello there');
+    done();
+  });
+
+  lab.test('Blocked words are masked', function(done) {
+    CommentFilter.setBlocklist(['darn', 'heck']);
+    Code.expect(CommentFilter.apply(userId, 'Darn it, what the heck'))
+      .to.equal('**** it, what the ****');
+    Code.expect(CommentFilter.apply(userId, 'darned'))
+      .to.equal('darned');
+    done();
+  });
+
+  lab.test('Empty comment rejected', function(done) {
+    var result = CommentFilter.apply(userId, '   ');
+    Code.expect(result).to.be.an.instanceof(
+      CustomError.RejectedCommentError);
+    Code.expect(result.filter).to.equal(CommentFilter.FILTERS.LENGTH);
+    done();
+  });
+
+  lab.test('Long comment rejected', function(done) {
+    var comment = 'a'.repeat(CommentFilter.config.maxLength + 1);
+    var result = CommentFilter.apply(userId, comment);
+    Code.expect(result.filter).to.equal(CommentFilter.FILTERS.LENGTH);
+    done();
+  });
+
+  lab.test('Comment with link rejected', function(done) {
+    ['see http://spam.example', 'go to www.spam.net',
+     'visit bit.ly/abc'].forEach(function(comment) {
+       var result = CommentFilter.apply(userId, comment);
+       Code.expect(result.filter).to.equal(CommentFilter.FILTERS.LINKS);
+     });
+    done();
+  });
+
+  lab.test('Duplicate comment rejected', function(done) {
+    Code.expect(CommentFilter.apply(userId, 'first!')).to.equal('first!');
+    var result = CommentFilter.apply(userId, ' FIRST! ');
+    Code.expect(result.filter).to.equal(CommentFilter.FILTERS.DUPLICATE);
+    Code.expect(CommentFilter.apply('another user', 'first!'))
+      .to.equal('first!');
+    done();
+  });
+
+  lab.test('Comments over rate limit rejected', function(done) {
+    var max = CommentFilter.config.rateLimit.max;
+    for (var i = 0; i < max; i++) {
+      Code.expect(CommentFilter.apply(userId, 'comment ' + i))
+        .to.equal('comment ' + i);
+    }
+
+    var result = CommentFilter.apply(userId, 'one more');
+    Code.expect(result.filter).to.equal(CommentFilter.FILTERS.RATE);
+
+    CommentFilter.clearUser(userId);
+    Code.expect(CommentFilter.apply(userId, 'one more')).to.equal('one more');
+    done();
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var Promise = require('bluebird');
+
+var Room = rfr('app/adapters/socket/Room');
+var ConcurrencySampler = rfr('app/adapters/socket/ConcurrencySampler');
+
+var createClient = (socketId, userId) => ({
+  getSocketId: () => socketId,
+  getUserId: () => userId,
+  __joinRoom__: () => true
+});
+
+lab.experiment('ConcurrencySampler tests', function() {
+  var rooms;
+  var recorded;
+  var sampler;
+
+  lab.beforeEach(function(done) {
+    rooms = {
+      stream: new Room('stream', Room.ROOM_TYPES.STREAM, 'streamId', 'owner'),
+      empty: new Room('empty', Room.ROOM_TYPES.STREAM, 'emptyId', 'owner'),
+      general: new Room('general', Room.ROOM_TYPES.GENERAL)
+    };
+    recorded = [];
+    sampler = new ConcurrencySampler({getRooms: () => rooms}, (samples) => {
+      recorded = recorded.concat(samples);
+      return Promise.resolve(samples);
+    }, 1000);
+    done();
+  });
+
+  lab.test('Samples users in rooms of streams', function(done) {
+    rooms.stream.addClient(createClient('a', 'alice'));
+    rooms.stream.addClient(createClient('b', 'alice'));
+    rooms.stream.addClient(createClient('c', 'bob'));
+    rooms.general.addClient(createClient('d', 'carol'));
+
+    sampler.sample().then(function() {
+      Code.expect(recorded).to.have.length(2);
+      Code.expect(recorded[0].streamId).to.equal('streamId');
+      Code.expect(recorded[0].viewers).to.equal(2);
+      Code.expect(recorded[0].time).to.be.a.date();
+      Code.expect(recorded[1].streamId).to.equal('emptyId');
+      Code.expect(recorded[1].viewers).to.equal(0);
+      done();
+    });
+  });
+
+  lab.test('Nothing is recorded without rooms', function(done) {
+    rooms = {};
+    sampler.sample().then(function(result) {
+      Code.expect(result).to.have.length(0);
+      Code.expect(recorded).to.have.length(0);
+      done();
+    });
+  });
+
+  lab.test('Failures to record are logged', function(done) {
+    sampler.record = () => Promise.reject(new Error('Database is down'));
+    sampler.sample().then(function() {
+      done();
+    });
+  });
+
+  lab.test('Start and stop', function(done) {
+    sampler.start();
+    Code.expect(sampler.timer).to.exist();
+    sampler.stop();
+    Code.expect(sampler.timer).to.be.null();
+    done();
+  });
+});
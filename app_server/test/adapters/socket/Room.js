@@ -0,0 +1,85 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Room = rfr('app/adapters/socket/Room');
+var ServerConfig = rfr('config/ServerConfig');
+
+var createClient = (socketId, userId) => ({
+  getSocketId: () => socketId,
+  getUserId: () => userId,
+  __joinRoom__: () => true,
+  __leaveRoom__: () => true
+});
+
+lab.experiment('Room viewers tests', function() {
+  var interval = ServerConfig.viewersBroadcast.interval;
+  var emitted;
+  var room;
+
+  lab.beforeEach(function(done) {
+    ServerConfig.viewersBroadcast.interval = 50;
+    emitted = [];
+    var io = {
+      to: (name) => ({
+        emit: (event, msg) => emitted.push({to: name, event: event, msg: msg})
+      })
+    };
+    io.local = io;
+    room = new Room('room', Room.ROOM_TYPES.STREAM, 'streamId', 'owner', io);
+    done();
+  });
+
+  lab.afterEach(function(done) {
+    ServerConfig.viewersBroadcast.interval = interval;
+    done();
+  });
+
+  lab.test('Viewers are broadcast when a client joins', function(done) {
+    room.addClient(createClient('a', 'alice'));
+
+    Code.expect(emitted).to.have.length(1);
+    Code.expect(emitted[0].to).to.equal('room');
+    Code.expect(emitted[0].event).to.equal(Room.EVENT_VIEWERS);
+    Code.expect(emitted[0].msg.streamId).to.equal('streamId');
+    Code.expect(emitted[0].msg.users).to.equal(1);
+    Code.expect(emitted[0].msg.clients).to.equal(1);
+    done();
+  });
+
+  lab.test('Changes within the interval are sent together', function(done) {
+    room.addClient(createClient('a', 'alice'));
+    room.addClient(createClient('b', 'alice'));
+    room.addClient(createClient('c', 'bob'));
+    room.removeUser('bob');
+    room.addClient(createClient('d', 'carol'));
+    Code.expect(emitted).to.have.length(1);
+
+    setTimeout(function() {
+      Code.expect(emitted).to.have.length(2);
+      Code.expect(emitted[1].msg.users).to.equal(2);
+      Code.expect(emitted[1].msg.clients).to.equal(3);
+      done();
+    }, 100);
+  });
+
+  lab.test('Nothing is sent after the room is closed', function(done) {
+    room.addClient(createClient('a', 'alice'));
+    room.removeClient(room.getClient('a'));
+    room.removeAllClients();
+
+    setTimeout(function() {
+      Code.expect(emitted).to.have.length(1);
+      done();
+    }, 100);
+  });
+
+  lab.test('Nothing is sent without socket.io', function(done) {
+    room = new Room('room', Room.ROOM_TYPES.STREAM, 'streamId', 'owner');
+    room.addClient(createClient('a', 'alice'));
+    Code.expect(emitted).to.have.length(0);
+    done();
+  });
+});
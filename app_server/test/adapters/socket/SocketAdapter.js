@@ -6,6 +6,7 @@ var Code = require('code');
 var io = require('socket.io-client');
 var Promise = require('bluebird');
 var Iron = Promise.promisifyAll(require('iron'));
+var EventEmitter = require('events').EventEmitter;
 
 var Router = rfr('app/Router');
 var TestUtils = rfr('test/TestUtils');
@@ -13,6 +14,7 @@ var Authenticator = rfr('app/policies/Authenticator');
 var ServerConfig = rfr('config/ServerConfig.js');
 var Service = rfr('app/services/Service');
 var SocketAdapter = rfr('app/adapters/socket/SocketAdapter');
+var Client = rfr('app/adapters/socket/Client');
 
 var options ={
   transports: ['websocket'],
@@ -36,6 +38,14 @@ var bob = {
   description: 'bam bam bam'
 };
 
+// cookies are only accepted while their session is in the cache
+var sealCookie = function(account) {
+  var request = {headers: {}, info: {remoteAddress: '127.0.0.1'}};
+  return Router.app.sessions.create(account, request).then(() => {
+    return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults);
+  });
+};
+
 lab.experiment('socket.io connection and identify', function () {
   lab.before({timeout: 10000}, function (done) {
     TestUtils.resetDatabase(done);
@@ -73,7 +83,7 @@ lab.experiment('socket.io connection and identify', function () {
     var client = io.connect('http://localhost:3000', options);
     var account = {userId: 1, username: 'bob', password: 'abc',
                    scope: Authenticator.SCOPE.USER};
-    Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+    sealCookie(account)
     .then((sealed) => {
       client.once('connect', () => { 
         client.once('identify', (msg) => {
@@ -92,7 +102,7 @@ lab.experiment('socket.io connection and identify', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         var client = io.connect('http://localhost:3000', options);
 
@@ -119,7 +129,7 @@ lab.experiment('socket.io disconnect', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         var client = io.connect('http://localhost:3000', options);
 
@@ -169,7 +179,7 @@ lab.experiment('Room join and leave', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         SocketAdapter.createNewRoom('abc', 'streamie');
         var client = io.connect('http://localhost:3000', options);
@@ -199,7 +209,7 @@ lab.experiment('Room join and leave', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         SocketAdapter.createNewRoom('abc');
         var client = io.connect('http://localhost:3000', options);
@@ -225,7 +235,7 @@ lab.experiment('Room join and leave', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         SocketAdapter.createNewRoom('abc', 'streamie');
         var client = io.connect('http://localhost:3000', options);
@@ -273,7 +283,7 @@ lab.experiment('Comments and stickers tests', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         var client = io.connect('http://localhost:3000', options);
 
@@ -306,7 +316,7 @@ lab.experiment('Comments and stickers tests', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         var client = io.connect('http://localhost:3000', options);
 
@@ -349,7 +359,7 @@ lab.experiment('Comments and stickers tests', function () {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         var client = io.connect('http://localhost:3000', options);
 
@@ -376,12 +386,47 @@ lab.experiment('Comments and stickers tests', function () {
     });
   });
 
+  lab.test('View is ended after leaving room', {timeout: 5000}, (done) => {
+    createUserAndStream(bob, testStream, (user, stream) => {
+      var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
+                                      ['userId', 'username', 'password']);
+      account.scope = Authenticator.SCOPE.USER;
+      return sealCookie(account)
+      .then((sealed) => {
+        var client = io.connect('http://localhost:3000', options);
+
+        client.once('connect', () => {
+          client.once('identify', (msg) => {
+            Code.expect(msg).to.equal('OK');
+            client.emit('join', stream.appInstance);
+          });
+          client.once('join', (msg) => {
+            Code.expect(msg.message).to.equal('OK');
+            setTimeout(() => client.emit('leave', stream.appInstance), 1000);
+          });
+          client.once('leave', (msg) => {
+            Code.expect(msg.message).to.equal('OK');
+            setTimeout(() => {
+              Service.getWatchDurationOfStream(stream.streamId)
+              .then((result) => {
+                Code.expect(result.views).to.have.length(1);
+                Code.expect(result.views[0].watching).to.be.false();
+                done();
+              });
+            }, 1000);
+          });
+          client.emit('identify', `sid-worldscope=${sealed}`);
+        });
+      });
+    });
+  });
+
   lab.test('Client successfully received stickers', (done) => {
     createUserAndStream(bob, testStream, (user, stream) => {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         var client = io.connect('http://localhost:3000', options);
 
@@ -407,12 +452,64 @@ lab.experiment('Comments and stickers tests', function () {
     });
   });
 
+  lab.test('New stickers are stored in database', {timeout: 3000}, (done) => {
+    createUserAndStream(bob, testStream, (user, stream) => {
+      var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
+                                      ['userId', 'username', 'password']);
+      account.scope = Authenticator.SCOPE.USER;
+      return sealCookie(account)
+      .then((sealed) => {
+        var client = io.connect('http://localhost:3000', options);
+
+        client.once('connect', () => {
+          client.once('identify', (msg) => {
+            Code.expect(msg).to.equal('OK');
+            client.emit('join', stream.appInstance);
+          });
+          client.once('join', (msg) => {
+            Code.expect(msg.message).to.equal('OK');
+            client.emit('sticker', 'heart');
+          });
+          client.once('sticker', (sticker) => {
+            Code.expect(sticker.message).to.equal('heart');
+            setTimeout(() => {
+              Service.getStickerCountsForStream(stream.streamId)
+              .then((counts) => {
+                Code.expect(counts.total).to.equal(1);
+                Code.expect(counts.types.heart).to.equal(1);
+                done();
+              });
+            }, 500);
+          });
+
+          client.emit('identify', `sid-worldscope=${sealed}`);
+        });
+      });
+    });
+  });
+
+  lab.test('Stickers over the rate limit are dropped', (done) => {
+    var socket = new EventEmitter();
+    socket.id = 'socketId';
+
+    var client = new Client(socket, {userId: 'userId'});
+    var broadcasts = 0;
+    client.broadcastToStreamRooms = () => broadcasts++;
+
+    for (var i = 0; i <= ServerConfig.stickerRateLimit.max; i++) {
+      socket.emit('sticker');
+    }
+
+    Code.expect(broadcasts).to.equal(ServerConfig.stickerRateLimit.max);
+    done();
+  });
+
   lab.test('No comments for client in other rooms', {timeout: 5000}, (done) => {
     Service.createNewUser(bob).then((user) => {
       var account = TestUtils.copyObj(Authenticator.generateUserToken(user),
                                       ['userId', 'username', 'password']);
       account.scope = Authenticator.SCOPE.USER;
-      return Iron.sealAsync(account, ServerConfig.cookiePassword, Iron.defaults)
+      return sealCookie(account)
       .then((sealed) => {
         var client = io.connect('http://localhost:3000', options);
 
@@ -440,3 +537,120 @@ lab.experiment('Comments and stickers tests', function () {
     });
   });
 });
+
+lab.experiment('Moderation tests', function () {
+  var roomsManager = SocketAdapter.roomsManager;
+  var room;
+  var client;
+  var comments;
+
+  lab.beforeEach((done) => {
+    SocketAdapter.__reset__();
+
+    var socket = new EventEmitter();
+    socket.id = 'socketId';
+    socket.join = () => true;
+    socket.leave = () => true;
+    socket.disconnect = () => true;
+    socket.to = () => socket;
+
+    client = new Client(socket, {userId: 'userId'});
+    comments = 0;
+    client.broadcastToRoom = (event) => {
+      if (event === Client.EVENT_COMMENT) {
+        comments++;
+      }
+    };
+    client.on(Client.EVENT_COMMENT, () => true);
+
+    room = roomsManager.createNewRoom('roomName', 'streamId', 'ownerId');
+    roomsManager.addClient(client);
+    done();
+  });
+
+  lab.test('Muted clients cannot comment', (done) => {
+    roomsManager.__addClientToRoom(client, 'roomName');
+    roomsManager.applyModeration({
+      action: 'mute',
+      streamId: 'streamId',
+      userId: 'userId',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    var rejected = [];
+    client.socket.on(Client.EVENT_REJECTED, (data) => rejected.push(data));
+
+    client.socket.emit(Client.EVENT_COMMENT, 'hello');
+    Code.expect(comments).to.equal(0);
+    Code.expect(room.isMuted('userId')).to.be.true();
+    Code.expect(rejected).to.have.length(1);
+    Code.expect(rejected[0].room).to.equal('roomName');
+    Code.expect(rejected[0].reason).to.equal('You are muted in this room');
+    done();
+  });
+
+  lab.test('Banned clients are removed and cannot join', (done) => {
+    roomsManager.__addClientToRoom(client, 'roomName');
+    roomsManager.applyModeration({
+      action: 'ban',
+      streamId: 'streamId',
+      ownerId: 'ownerId',
+      userId: 'userId'
+    });
+
+    Code.expect(room.getNumberOfClients()).to.equal(0);
+    Code.expect(roomsManager.__addClientToRoom(client, 'roomName'))
+      .to.be.an.instanceof(Error);
+    done();
+  });
+});
+
+lab.experiment('Identify with token tests', function () {
+  var socket;
+  var responses;
+
+  lab.beforeEach({timeout: 10000}, (done) => {
+    SocketAdapter.__reset__();
+
+    responses = [];
+    socket = new EventEmitter();
+    socket.id = 'socketId';
+    socket.join = () => true;
+    socket.leave = () => true;
+    socket.disconnect = () => true;
+    socket.to = () => socket;
+    socket.emit = (event, data) => {
+      if (event === 'identify') {
+        responses.push(data);
+      }
+    };
+    SocketAdapter.__handleIdentifyEvent(socket);
+
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Identify with valid token', (done) => {
+    Service.createNewUser(bob).then((user) => {
+      return Service.issueTokens({userId: user.userId,
+                                  username: user.username,
+                                  scope: Authenticator.SCOPE.USER});
+    }).then((tokens) => {
+      return EventEmitter.prototype.emit.call(socket, 'identify',
+                                              {token: tokens.accessToken});
+    }).delay(100).then(() => {
+      Code.expect(responses).to.deep.equal(['OK']);
+      Code.expect(SocketAdapter.getNumberOfClients()).to.equal(1);
+      done();
+    });
+  });
+
+  lab.test('Identify with invalid token', (done) => {
+    EventEmitter.prototype.emit.call(socket, 'identify', {token: 'bogus'});
+
+    Promise.delay(100).then(() => {
+      Code.expect(responses).to.deep.equal(['ERR']);
+      Code.expect(SocketAdapter.getNumberOfClients()).to.equal(0);
+      done();
+    });
+  });
+});
@@ -9,6 +9,9 @@ var Router = rfr('app/Router.js');
 var TestUtils = rfr('test/TestUtils');
 var Service = rfr('app/services/Service');
 var Authenticator = rfr('app/policies/Authenticator');
+var MailAdapter = rfr('app/adapters/MailAdapter');
+var Totp = rfr('app/util/Totp');
+var ServerConfig = rfr('config/ServerConfig');
 
 var rootAdminPermissions = [
   Authenticator.SCOPE.ADMIN.METRICS,
@@ -25,7 +28,7 @@ var testAccount = {
 
 var admin = {
   username: 'Bob',
-  password: 'generated'
+  password: 'Generated-pw1'
 };
 
 var adminForDB = Object.assign({}, admin);
@@ -33,11 +36,16 @@ adminForDB.permissions = Authenticator.SCOPE.ADMIN.DEFAULT;
 
 var rootAdmin = {
   username: 'Jane',
-  password: 'manual',
+  password: 'Manual-pass1',
   email: 'jane@example.com',
   permissions: rootAdminPermissions
 };
 
+var rootAdminLogin = {
+  username: rootAdmin.username,
+  password: rootAdmin.password
+};
+
 var rootAdminForDB = Object.assign({}, rootAdmin);
 rootAdminForDB.permissions = rootAdminPermissions.join(';');
 
@@ -254,6 +262,15 @@ lab.experiment('AdminController Routes tests', function() {
     });
   });
 
+  lab.test('Login with account fields', function(done) {
+    Router.inject({
+      method: 'POST', url: '/api/admins/login', payload: rootAdmin
+    }, function(res) {
+      expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+
   lab.test('Login with invalid credentials', function(done) {
     Router.inject({
       method: 'POST', url: '/api/admins/login', payload: admin
@@ -276,12 +293,12 @@ lab.experiment('AdminController Routes tests', function() {
         expect(resAdmin.password).to.equal(rootAdmin.password);
 
         Router.inject({
-          method: 'POST', url: '/api/admins/login', payload: rootAdmin
+          method: 'POST', url: '/api/admins/login', payload: rootAdminLogin
         }, function checkLoggedIn(res) {
           expect(res.statusCode).to.equal(200);
           var resAdmin = JSON.parse(res.payload);
           expect(resAdmin.username).to.equal(rootAdmin.username);
-          expect(resAdmin.password).to.equal(rootAdmin.password);
+          expect(resAdmin.password).to.be.undefined();
 
           Router.inject({
             method: 'POST', url: '/api/admins', payload: {},
@@ -304,7 +321,7 @@ lab.experiment('AdminController Routes tests', function() {
       payload: rootAdmin
     }, function login() {
       Router.inject({
-        method: 'POST', url: '/api/admins/login', payload: rootAdmin
+        method: 'POST', url: '/api/admins/login', payload: rootAdminLogin
       }, function checkLoggedIn(res) {
         expect(res.statusCode).to.equal(200);
 
@@ -346,4 +363,371 @@ lab.experiment('AdminController Routes tests', function() {
       });
     });
   });
+
+  lab.test('Create admin with weak password', function(done) {
+    var weakAdmin = Object.assign({}, rootAdmin, {password: 'manual'});
+
+    Router.inject({
+      method: 'POST', url: '/api/admins', credentials: testAccount,
+      payload: weakAdmin
+    }, function(res) {
+      expect(res.statusCode).to.equal(400);
+      expect(JSON.parse(res.payload).message).to.contain('Password must');
+      done();
+    });
+  });
+
+  lab.test('Update admin with weak password', function(done) {
+    Router.inject({
+      method: 'POST', url: '/api/admins', credentials: testAccount,
+      payload: admin
+    }, function updateAdmin(res) {
+      var weakAdmin = Object.assign({}, rootAdmin, {password: 'jane1234'});
+
+      Router.inject({
+        method: 'PUT', url: '/api/admins/' + JSON.parse(res.payload).userId,
+        credentials: testAccount, payload: weakAdmin
+      }, function(res) {
+        expect(res.statusCode).to.equal(400);
+        done();
+      });
+    });
+  });
+
+  lab.test('Lock and unlock admin', function(done) {
+    var maxFailedLogins = ServerConfig.adminPassword.maxFailedLogins;
+    var wrongLogin = {username: rootAdmin.username, password: 'wrong'};
+
+    var failLogins = function(count, callback) {
+      Router.inject({
+        method: 'POST', url: '/api/admins/login', payload: wrongLogin
+      }, function(res) {
+        expect(res.statusCode).to.equal(401);
+        return count > 1 ? failLogins(count - 1, callback) : callback();
+      });
+    };
+
+    Router.inject({
+      method: 'POST', url: '/api/admins', credentials: testAccount,
+      payload: rootAdmin
+    }, function(res) {
+      var userId = JSON.parse(res.payload).userId;
+
+      failLogins(maxFailedLogins, function() {
+        Router.inject({
+          method: 'POST', url: '/api/admins/login', payload: rootAdminLogin
+        }, function checkLocked(res) {
+          expect(res.statusCode).to.equal(403);
+
+          Router.inject({
+            method: 'POST', url: '/api/admins/' + userId + '/unlock',
+            credentials: testAccount
+          }, function checkUnlocked(res) {
+            expect(res.statusCode).to.equal(200);
+            expect(JSON.parse(res.payload).lockedAt).to.be.null();
+            expect(JSON.parse(res.payload).password).to.be.undefined();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  lab.test('Unlock admin without credentials', function(done) {
+    Router.inject({
+      method: 'POST', url: '/api/admins/id/unlock'
+    }, function(res) {
+      expect(res.statusCode).to.equal(401);
+      done();
+    });
+  });
+
+  lab.test('Login with expired password', function(done) {
+    var maxAge = ServerConfig.adminPassword.maxAge * 1000;
+
+    Router.inject({
+      method: 'POST', url: '/api/admins', credentials: testAccount,
+      payload: rootAdmin
+    }, function expirePassword(res) {
+      Service.updateAdmin(JSON.parse(res.payload).userId, {
+        passwordChangedAt: new Date(Date.now() - maxAge - 1000)
+      }).then(function() {
+        Router.inject({
+          method: 'POST', url: '/api/admins/login', payload: rootAdminLogin
+        }, function checkExpired(res) {
+          expect(res.statusCode).to.equal(403);
+
+          var weakRenewal = Object.assign({newPassword: 'weak'},
+                                          rootAdminLogin);
+          Router.inject({
+            method: 'POST', url: '/api/admins/login', payload: weakRenewal
+          }, function checkWeakRenewal(res) {
+            expect(res.statusCode).to.equal(400);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  lab.test('Forgot and reset password', function(done) {
+    var transport = MailAdapter.useTransport(MailAdapter.TRANSPORTS.MEMORY);
+    var newPassword = 'Renewed-pass2';
+
+    Router.inject({
+      method: 'POST', url: '/api/admins', credentials: testAccount,
+      payload: rootAdmin
+    }, function forgotPassword() {
+      Router.inject({
+        method: 'POST', url: '/api/admins/password/forgot',
+        payload: {username: rootAdmin.username}
+      }, function resetPassword(res) {
+        expect(res.statusCode).to.equal(200);
+        expect(transport.sent).to.have.length(1);
+
+        var token = transport.sent[0].text.match(/reset\/([A-Za-z0-9]+)/)[1];
+        Router.inject({
+          method: 'POST', url: '/api/admins/password/reset',
+          payload: {token: token, password: newPassword}
+        }, function checkReset(res) {
+          expect(res.statusCode).to.equal(200);
+          expect(JSON.parse(res.payload).username).to.equal(rootAdmin.username);
+
+          Authenticator.authenticateAdmin({
+            username: rootAdmin.username, password: newPassword
+          }).then(function(result) {
+            expect(result.username).to.equal(rootAdmin.username);
+            MailAdapter.useTransport(ServerConfig.mail.transport);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  lab.test('Forgot password of unknown admin', function(done) {
+    var transport = MailAdapter.useTransport(MailAdapter.TRANSPORTS.MEMORY);
+
+    Router.inject({
+      method: 'POST', url: '/api/admins/password/forgot',
+      payload: {username: 'unknown'}
+    }, function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(transport.sent).to.have.length(0);
+      MailAdapter.useTransport(ServerConfig.mail.transport);
+      done();
+    });
+  });
+
+  lab.test('Reset password with invalid token', function(done) {
+    Router.inject({
+      method: 'POST', url: '/api/admins/password/reset',
+      payload: {token: 'invalid', password: 'Renewed-pass2'}
+    }, function(res) {
+      expect(res.statusCode).to.equal(401);
+      done();
+    });
+  });
+});
+
+lab.experiment('AdminController two-factor tests', function() {
+  var adminId;
+  var secret;
+
+  var codeAt = (offset) =>
+    Totp.generateCode(secret, Totp.getStep(Date.now()) + offset);
+
+  var login = function(callback) {
+    Router.inject({
+      method: 'POST', url: '/api/admins/login', payload: rootAdminLogin
+    }, callback);
+  };
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(function() {
+      Router.inject({
+        method: 'POST', url: '/api/admins', credentials: testAccount,
+        payload: rootAdmin
+      }, function(res) {
+        adminId = JSON.parse(res.payload).userId;
+        done();
+      });
+    });
+  });
+
+  var enroll = function() {
+    return Service.startTwoFactorEnrollment(adminId).then(function(result) {
+      secret = result.secret;
+      return Service.confirmTwoFactorEnrollment(adminId, codeAt(0));
+    });
+  };
+
+  lab.test('Enroll through routes', function(done) {
+    var credentials = {
+      userId: adminId, username: rootAdmin.username, scope: ['admin']
+    };
+
+    Router.inject({
+      method: 'POST', url: '/api/admins/2fa/enroll', credentials: credentials
+    }, function confirm(res) {
+      expect(res.statusCode).to.equal(200);
+      secret = JSON.parse(res.payload).secret;
+      expect(JSON.parse(res.payload).qrData).to.contain(secret);
+
+      Router.inject({
+        method: 'POST', url: '/api/admins/2fa/confirm',
+        credentials: credentials, payload: {code: codeAt(0)}
+      }, function getStatus(res) {
+        expect(res.statusCode).to.equal(200);
+        expect(JSON.parse(res.payload).recoveryCodes).to.have.length(10);
+
+        Router.inject({
+          method: 'GET', url: '/api/admins/2fa', credentials: credentials
+        }, function checkStatus(res) {
+          expect(res.statusCode).to.equal(200);
+          expect(JSON.parse(res.payload)).to.deep.equal({
+            enabled: true, mandatory: false
+          });
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Login asks for two-factor code', function(done) {
+    enroll().then(function() {
+      login(function(res) {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['set-cookie']).to.be.undefined();
+
+        var result = JSON.parse(res.payload);
+        expect(result.twoFactorRequired).to.be.true();
+        expect(result.challenge).to.exist();
+        expect(result.enrollment).to.be.undefined();
+
+        Router.inject({
+          method: 'POST', url: '/api/admins/login/2fa',
+          payload: {challenge: result.challenge, code: codeAt(5)}
+        }, function checkInvalidCode(res) {
+          expect(res.statusCode).to.equal(401);
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Login with two-factor code', function(done) {
+    enroll().then(function() {
+      login(function(res) {
+        Router.inject({
+          method: 'POST', url: '/api/admins/login/2fa',
+          payload: {challenge: JSON.parse(res.payload).challenge,
+                    code: codeAt(1)}
+        }, function checkLoggedIn(res) {
+          expect(res.statusCode).to.equal(200);
+          expect(JSON.parse(res.payload).username).to.equal(rootAdmin.username);
+          expect(res.headers['set-cookie']).to.exist();
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Challenge dropped after too many wrong codes', function(done) {
+    var attempts = ServerConfig.twoFactor.challengeAttempts;
+    ServerConfig.twoFactor.challengeAttempts = 2;
+
+    var verify = function(challenge, code, callback) {
+      Router.inject({
+        method: 'POST', url: '/api/admins/login/2fa',
+        payload: {challenge: challenge, code: code}
+      }, callback);
+    };
+
+    enroll().then(function() {
+      login(function(res) {
+        var challenge = JSON.parse(res.payload).challenge;
+
+        Router.app.cache.get('2fa:' + challenge, function(err, pending) {
+          expect(pending).to.deep.equal({userId: adminId, attempts: 0});
+
+          verify(challenge, codeAt(5), function(res) {
+            expect(res.statusCode).to.equal(401);
+
+            verify(challenge, codeAt(5), function(res) {
+              expect(res.statusCode).to.equal(401);
+
+              verify(challenge, codeAt(0), function(res) {
+                ServerConfig.twoFactor.challengeAttempts = attempts;
+                expect(res.statusCode).to.equal(401);
+                expect(JSON.parse(res.payload).message)
+                  .to.equal('Login has expired, please log in again');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  lab.test('Login with expired challenge', function(done) {
+    Router.inject({
+      method: 'POST', url: '/api/admins/login/2fa',
+      payload: {challenge: 'expired', code: '123456'}
+    }, function(res) {
+      expect(res.statusCode).to.equal(401);
+      done();
+    });
+  });
+
+  lab.test('Login when two-factor authentication is mandatory', function(done) {
+    Router.inject({
+      method: 'PUT', url: '/api/admins/2fa/settings', credentials: testAccount,
+      payload: {mandatory: true}
+    }, function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(JSON.parse(res.payload).mandatory).to.be.true();
+
+      login(function(res) {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['set-cookie']).to.be.undefined();
+
+        var result = JSON.parse(res.payload);
+        expect(result.twoFactorRequired).to.be.true();
+        expect(result.enrollment.qrData).to.contain(result.enrollment.secret);
+        done();
+      });
+    });
+  });
+
+  lab.test('Set mandatory without permission', function(done) {
+    var credentials = {
+      userId: adminId, username: rootAdmin.username, scope: ['admin']
+    };
+
+    Router.inject({
+      method: 'PUT', url: '/api/admins/2fa/settings', credentials: credentials,
+      payload: {mandatory: true}
+    }, function(res) {
+      expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+
+  lab.test('Reset two-factor authentication of admin', function(done) {
+    enroll().then(function() {
+      Router.inject({
+        method: 'DELETE', url: '/api/admins/' + adminId + '/2fa',
+        credentials: testAccount
+      }, function(res) {
+        expect(res.statusCode).to.equal(200);
+
+        Service.getAdminByUsername(rootAdmin.username).then(function(result) {
+          expect(result.twoFactorEnabled).to.be.false();
+          done();
+        });
+      });
+    });
+  });
 });
@@ -0,0 +1,223 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var Service = rfr('app/services/Service');
+var Storage = rfr('app/models/Storage');
+var TestUtils = rfr('test/TestUtils');
+var Router = rfr('app/Router.js');
+
+var rootAdminPermissions = [
+  Authenticator.SCOPE.ADMIN.METRICS,
+  Authenticator.SCOPE.ADMIN.STREAMS,
+  Authenticator.SCOPE.ADMIN.USERS,
+  Authenticator.SCOPE.ADMIN.ADMINS,
+  Authenticator.SCOPE.ADMIN.SETTINGS,
+  Authenticator.SCOPE.ADMIN.DEFAULT
+];
+
+var adminAccount = {
+  userId: 1, username: 'Jane', password: 'abc', scope: rootAdminPermissions
+};
+
+var streamsAdminAccount = {
+  userId: 2, username: 'Alice', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.STREAMS, Authenticator.SCOPE.ADMIN.DEFAULT]
+};
+
+var admin = {
+  username: 'Jane',
+  password: 'generated',
+  permissions: JSON.stringify(rootAdminPermissions)
+};
+
+var bob = {
+  username: 'Bob',
+  alias: 'Bob the Builder',
+  email: 'bob@bubblegum.com',
+  password: 'generated',
+  accessToken: 'xyzabc',
+  platformType: 'facebook',
+  platformId: '1238943948',
+  description: 'bam bam bam'
+};
+
+var streamInfo = {
+  title: 'this is the title',
+  description: 'this is the description of the stream',
+  appInstance: 'generated'
+};
+
+var inject = (options) => new Promise((resolve) => Router.inject(options,
+                                                                 resolve));
+
+lab.experiment('AuditController Tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(function() {
+      Service.createNewAdmin(admin).then(function(result) {
+        adminAccount.userId = result.userId;
+        done();
+      });
+    });
+  });
+
+  lab.test('Delete stream is audited', function(done) {
+    var stream;
+
+    Service.createNewUser(bob).then(function(user) {
+      return Service.createNewStream(user.userId, streamInfo);
+    }).then(function(result) {
+      stream = result;
+      return inject({method: 'DELETE', url: '/api/streams/' + stream.streamId,
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      return inject({method: 'GET', url: '/api/audit',
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result).to.have.length(1);
+
+      var entry = res.result[0];
+      Code.expect(entry.actorId).to.equal(adminAccount.userId);
+      Code.expect(entry.actorUsername).to.equal(adminAccount.username);
+      Code.expect(entry.action).to.equal('stream.delete');
+      Code.expect(entry.targetType).to.equal('stream');
+      Code.expect(entry.targetId).to.equal(stream.streamId);
+      Code.expect(entry.changes.title).to.deep.equal({
+        before: streamInfo.title, after: null
+      });
+      Code.expect(entry.ipAddress).to.exist();
+      done();
+    });
+  });
+
+  lab.test('Failed actions are not audited', function(done) {
+    inject({method: 'DELETE',
+            url: '/api/streams/3388ffff-aa00-1111a222-00000044888c',
+            credentials: adminAccount})
+    .then(function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      return Service.getAuditTrail({}, {});
+    }).then(function(result) {
+      Code.expect(result.entries).to.have.length(0);
+      done();
+    });
+  });
+
+  lab.test('Update user is audited with changes', function(done) {
+    var userId;
+
+    Service.createNewUser(bob).then(function(user) {
+      userId = user.userId;
+      return inject({method: 'PUT', url: '/api/users/' + userId,
+                     credentials: adminAccount,
+                     payload: {description: 'hey hey hey!'}});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      return Service.getAuditTrail({targetId: userId}, {});
+    }).then(function(result) {
+      var entry = result.entries[0];
+      Code.expect(entry.action).to.equal('user.update');
+      Code.expect(entry.changes).to.deep.equal({
+        description: {before: bob.description, after: 'hey hey hey!'}
+      });
+      done();
+    });
+  });
+
+  lab.test('Permission changes are audited', function(done) {
+    var userId;
+
+    Service.createNewAdmin({
+      username: 'Alice', password: 'generated',
+      permissions: JSON.stringify([Authenticator.SCOPE.ADMIN.DEFAULT])
+    }).then(function(result) {
+      userId = result.userId;
+      return inject({method: 'PUT', url: '/api/admins/' + userId,
+                     credentials: adminAccount,
+                     payload: {
+                       username: 'Alice',
+                       email: 'alice@example.com',
+                       permissions: [Authenticator.SCOPE.ADMIN.STREAMS]
+                     }});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      return Service.getAuditTrail({action: 'admin.'}, {});
+    }).then(function(result) {
+      var entry = result.entries[0];
+      Code.expect(entry.action).to.equal('admin.update');
+      Code.expect(entry.targetId).to.equal(userId);
+      Code.expect(entry.changes.permissions).to.deep.equal({
+        before: JSON.stringify([Authenticator.SCOPE.ADMIN.DEFAULT]),
+        after: JSON.stringify([Authenticator.SCOPE.ADMIN.STREAMS,
+                               Authenticator.SCOPE.ADMIN.DEFAULT])
+      });
+      Code.expect(entry.changes.password).to.not.exist();
+      done();
+    });
+  });
+
+  lab.test('Get audit trail with filters and pages', function(done) {
+    var entries = ['stream.delete', 'stream.stop', 'user.update']
+    .map((action, i) => ({
+      actorId: adminAccount.userId,
+      action: action,
+      targetType: action.split('.')[0],
+      targetId: String(i)
+    }));
+
+    Promise.all(entries.map((entry) => Service.recordAuditEntry(entry)))
+    .then(function() {
+      return inject({method: 'GET', url: '/api/audit?action=stream.',
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result).to.have.length(2);
+      return inject({method: 'GET', url: '/api/audit?targetType=user',
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result).to.have.length(1);
+      Code.expect(res.result[0].action).to.equal('user.update');
+      return inject({method: 'GET', url: '/api/audit?limit=2',
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result.entries).to.have.length(2);
+      Code.expect(res.result.next).to.equal(2);
+      return inject({method: 'GET', url: '/api/audit?limit=2&offset=2',
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result.entries).to.have.length(1);
+      Code.expect(res.result.next).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Get audit trail forbidden', function(done) {
+    inject({method: 'GET', url: '/api/audit',
+            credentials: streamsAdminAccount})
+    .then(function(res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+
+  lab.test('Audit entries cannot be changed', function(done) {
+    Service.recordAuditEntry({
+      actorId: adminAccount.userId,
+      action: 'stream.delete'
+    }).then(function() {
+      return Storage.models.AuditLog.destroy({where: {}});
+    }).catch(function(err) {
+      Code.expect(err.message).to.contain('cannot be changed');
+      return Storage.models.AuditLog.update({action: 'none'}, {where: {}});
+    }).catch(function(err) {
+      Code.expect(err.message).to.contain('cannot be changed');
+      return Service.getAuditTrail({}, {});
+    }).then(function(result) {
+      Code.expect(result.entries).to.have.length(1);
+      Code.expect(result.entries[0].action).to.equal('stream.delete');
+      done();
+    });
+  });
+});
@@ -195,6 +195,54 @@ lab.experiment('CommentController Tests', function() {
     }
   });
 
+  lab.test('Get comments for replay', function(done) {
+    var streamInfo = {
+      title: 'this is the title',
+      appInstance: 'generated',
+      createdAt: new Date(1457431890000)
+    };
+
+    Service.createNewUser(bob).then(function(user) {
+      testAccount.userId = user.userId;
+      return Service.createNewStream(user.userId, streamInfo);
+    }).then(function(stream) {
+      var comments = [commentPayload, commentPayload2].map((payload) => ({
+        content: payload.comment.message,
+        createdAt: payload.comment.time,
+        alias: payload.comment.alias
+      }));
+
+      return Service.createComment(testAccount.userId, stream.streamId,
+                                   comments[0])
+        .then(() => Service.createComment(testAccount.userId,
+                                          stream.streamId, comments[1]))
+        .then(() => stream.streamId);
+    }).then(function(streamId) {
+      Router.inject({method: 'GET',
+                     url: '/api/comments/streams/' + streamId +
+                          '/replay?from=0&duration=10',
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result.comments).to.have.length(1);
+        Code.expect(res.result.comments[0].content)
+          .to.equal(commentPayload.comment.message);
+        Code.expect(res.result.comments[0].offset).to.equal(5);
+        Code.expect(res.result.next).to.equal(10);
+        done();
+      });
+    });
+  });
+
+  lab.test('Get comments for replay invalid stream id', function(done) {
+    Router.inject({method: 'GET',
+                   url: '/api/comments/streams/' + TestUtils.invalidId +
+                        '/replay',
+                   credentials: testAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+
   lab.test('Get list of comments invalid stream id', function(done) {
 
     Router.inject({method: 'GET',
@@ -0,0 +1,83 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var TestUtils = rfr('test/TestUtils');
+var Router = rfr('app/Router');
+var CommentFilter = rfr('app/adapters/socket/CommentFilter');
+
+var adminAccount = {
+  userId: 1, username: 'admin', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.DEFAULT, Authenticator.SCOPE.ADMIN.SETTINGS]
+};
+
+var userAccount = {userId: 2, username: 'bob', password: 'abc',
+                   scope: Authenticator.SCOPE.USER};
+
+lab.experiment('FilterController Tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    CommentFilter.__reset__();
+    CommentFilter.setBlocklist([]);
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Add blocked word valid', function(done) {
+    Router.inject({method: 'POST', url: '/api/filters/blocklist',
+                   credentials: adminAccount,
+                   payload: {word: ' Darn '}}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.deep.equal(['darn']);
+      Code.expect(CommentFilter.apply('someone', 'oh darn'))
+        .to.equal('oh ****');
+      done();
+    });
+  });
+
+  lab.test('Get blocklist valid', function(done) {
+    Router.inject({method: 'POST', url: '/api/filters/blocklist',
+                   credentials: adminAccount,
+                   payload: {word: 'heck'}}, function() {
+      Router.inject({method: 'GET', url: '/api/filters/blocklist',
+                     credentials: adminAccount}, function(res) {
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result).to.deep.equal(['heck']);
+        done();
+      });
+    });
+  });
+
+  lab.test('Remove blocked word valid', function(done) {
+    Router.inject({method: 'POST', url: '/api/filters/blocklist',
+                   credentials: adminAccount,
+                   payload: {word: 'heck'}}, function() {
+      Router.inject({method: 'DELETE', url: '/api/filters/blocklist/heck',
+                     credentials: adminAccount}, function(res) {
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result).to.deep.equal([]);
+        Code.expect(CommentFilter.apply('someone', 'heck'))
+          .to.equal('heck');
+        done();
+      });
+    });
+  });
+
+  lab.test('Remove blocked word invalid not blocked', function(done) {
+    Router.inject({method: 'DELETE', url: '/api/filters/blocklist/heck',
+                   credentials: adminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+
+  lab.test('Add blocked word invalid not admin', function(done) {
+    Router.inject({method: 'POST', url: '/api/filters/blocklist',
+                   credentials: userAccount,
+                   payload: {word: 'heck'}}, function(res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+});
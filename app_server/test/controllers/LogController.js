@@ -0,0 +1,114 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var Utility = rfr('app/util/Utility');
+var Router = rfr('app/Router');
+
+var logger = Utility.createLogger(__filename);
+
+var settingsAdminAccount = {
+  userId: 1, username: 'alice', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.DEFAULT, Authenticator.SCOPE.ADMIN.SETTINGS]
+};
+
+var streamsAdminAccount = {
+  userId: 2, username: 'bob', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.DEFAULT, Authenticator.SCOPE.ADMIN.STREAMS]
+};
+
+lab.experiment('LogController Tests', function() {
+
+  lab.test('Get log valid filtered', function(done) {
+    logger.warn('a warning for the log controller test');
+
+    Router.inject({method: 'GET',
+                   url: '/api/log?level=warn&label=LogController.js',
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.have.length(1);
+      Code.expect(res.result[0].message)
+        .to.equal('a warning for the log controller test');
+      done();
+    });
+  });
+
+  lab.test('Get log valid paged', function(done) {
+    logger.info('first message');
+    logger.info('second message');
+    logger.info('third message');
+
+    Router.inject({method: 'GET',
+                   url: '/api/log?level=info&label=LogController.js' +
+                        '&limit=1&offset=1',
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.logs).to.have.length(1);
+      Code.expect(res.result.logs[0].message).to.equal('second message');
+      Code.expect(res.result.next).to.equal(2);
+      done();
+    });
+  });
+
+  lab.test('Get log valid oldest first without limit', function(done) {
+    logger.info('earlier message');
+    logger.info('later message');
+
+    Router.inject({method: 'GET',
+                   url: '/api/log?level=info&label=LogController.js',
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      var messages = res.result.map((entry) => entry.message);
+      Code.expect(messages.indexOf('earlier message'))
+        .to.be.below(messages.indexOf('later message'));
+      done();
+    });
+  });
+
+  lab.test('Get log valid after', function(done) {
+    Router.inject({method: 'GET', url: '/api/log?after=' + Date.now(),
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.deep.equal([]);
+      done();
+    });
+  });
+
+  lab.test('Get log invalid level', function(done) {
+    Router.inject({method: 'GET', url: '/api/log?level=loud',
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+
+  lab.test('Get log invalid scope', function(done) {
+    Router.inject({method: 'GET', url: '/api/log',
+                   credentials: streamsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+
+  lab.test('Get response log invalid status', function(done) {
+    Router.inject({method: 'GET', url: '/api/log/response?status=99',
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+
+  lab.test('Get response log valid filtered', function(done) {
+    Router.inject({method: 'GET', url: '/api/log/response?path=/api/log',
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      res.result.forEach((entry) => {
+        Code.expect(entry.path.indexOf('/api/log')).to.equal(0);
+      });
+      done();
+    });
+  });
+});
@@ -0,0 +1,196 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var Promise = require('bluebird');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var Service = rfr('app/services/Service');
+var TestUtils = rfr('test/TestUtils');
+var Router = rfr('app/Router');
+var SocketAdapter = rfr('app/adapters/socket/SocketAdapter');
+
+var streamerAccount = {userId: 1, username: 'bob', password: 'abc',
+                       scope: Authenticator.SCOPE.USER};
+
+var viewerAccount = {userId: 2, username: 'alice', password: 'abc',
+                     scope: Authenticator.SCOPE.USER};
+
+var adminAccount = {
+  userId: 3, username: 'admin', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.DEFAULT, Authenticator.SCOPE.ADMIN.STREAMS]
+};
+
+var bob = {
+  username: 'Bob',
+  alias: 'Bob the Builder',
+  email: 'bob@bubblegum.com',
+  password: 'generated',
+  accessToken: 'xyzabc',
+  platformType: 'facebook',
+  platformId: '1238943948',
+  description: 'bam bam bam'
+};
+
+var alice = {
+  username: 'Alice',
+  alias: 'Alice in the wonderland',
+  email: 'alice@apple.com',
+  password: 'generated',
+  accessToken: 'anaccesstoken',
+  platformType: 'facebook',
+  platformId: '45454545454',
+  description: 'nil'
+};
+
+var admin = {
+  username: 'Admin Alice',
+  password: 'generated'
+};
+
+var streamInfo = {
+  title: 'this is the title',
+  description: 'this is the description of the stream',
+  appInstance: 'generated'
+};
+
+var comment = {
+  content: 'this is a rude comment',
+  createdAt: 1457431895000,
+  alias: 'alice'
+};
+
+lab.experiment('ModerationController Tests', function() {
+  var stream;
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    SocketAdapter.__reset__();
+    TestUtils.resetDatabase(function() {
+      Promise.join(Service.createNewUser(bob), Service.createNewUser(alice),
+                   Service.createNewAdmin(admin),
+        function(streamer, viewer, admin) {
+          streamerAccount.userId = streamer.userId;
+          viewerAccount.userId = viewer.userId;
+          adminAccount.userId = admin.userId;
+          return Service.createNewStream(streamer.userId, streamInfo);
+        }).then(function(res) {
+          stream = res;
+          return Service.createComment(viewerAccount.userId, stream.streamId,
+                                       Object.assign({}, comment));
+        }).then(() => done());
+    });
+  });
+
+  lab.test('Delete comment valid', function(done) {
+    var payload = {
+      streamId: stream.streamId,
+      action: 'delete',
+      userId: viewerAccount.userId,
+      time: comment.createdAt
+    };
+
+    Router.inject({method: 'POST', url: '/api/moderations',
+                   credentials: streamerAccount,
+                   payload: payload}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.action).to.equal('delete');
+      Code.expect(res.result.userId).to.equal(viewerAccount.userId);
+      Code.expect(res.result.commentId).to.exist();
+
+      Service.getListOfCommentsForStream(stream.streamId)
+      .then(function(comments) {
+        Code.expect(comments).to.have.length(0);
+        done();
+      });
+    });
+  });
+
+  lab.test('Mute user valid', function(done) {
+    var payload = {
+      streamId: stream.streamId,
+      action: 'mute',
+      userId: viewerAccount.userId,
+      duration: 60
+    };
+
+    Router.inject({method: 'POST', url: '/api/moderations',
+                   credentials: streamerAccount,
+                   payload: payload}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.expiresAt)
+        .to.be.about(res.result.createdAt + 60000, 1000);
+      done();
+    });
+  });
+
+  lab.test('Moderate invalid not stream owner', function(done) {
+    var payload = {
+      streamId: stream.streamId,
+      action: 'kick',
+      userId: streamerAccount.userId
+    };
+
+    Router.inject({method: 'POST', url: '/api/moderations',
+                   credentials: viewerAccount,
+                   payload: payload}, function(res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+
+  lab.test('Moderate invalid streamer in own stream', function(done) {
+    var payload = {
+      streamId: stream.streamId,
+      action: 'ban',
+      userId: streamerAccount.userId
+    };
+
+    Router.inject({method: 'POST', url: '/api/moderations',
+                   credentials: adminAccount,
+                   payload: payload}, function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+
+  lab.test('Delete comment invalid no comment given', function(done) {
+    var payload = {
+      streamId: stream.streamId,
+      action: 'delete'
+    };
+
+    Router.inject({method: 'POST', url: '/api/moderations',
+                   credentials: streamerAccount,
+                   payload: payload}, function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+
+  lab.test('Get moderations of stream', function(done) {
+    var payload = {
+      streamId: stream.streamId,
+      action: 'ban',
+      userId: viewerAccount.userId,
+      reason: 'spam'
+    };
+
+    Router.inject({method: 'POST', url: '/api/moderations',
+                   credentials: adminAccount,
+                   payload: payload}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+
+      Router.inject({method: 'GET',
+                     url: '/api/moderations/streams/' + stream.streamId,
+                     credentials: adminAccount}, function(res) {
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result).to.have.length(1);
+        Code.expect(res.result[0].action).to.equal('ban');
+        Code.expect(res.result[0].reason).to.equal('spam');
+        Code.expect(res.result[0].user.alias).to.equal(alice.alias);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var PasswordPolicy = rfr('app/policies/PasswordPolicy');
+var Service = rfr('app/services/Service');
+var TestUtils = rfr('test/TestUtils');
+var Router = rfr('app/Router.js');
+
+var rootAdminPermissions = [
+  Authenticator.SCOPE.ADMIN.METRICS,
+  Authenticator.SCOPE.ADMIN.STREAMS,
+  Authenticator.SCOPE.ADMIN.USERS,
+  Authenticator.SCOPE.ADMIN.ADMINS,
+  Authenticator.SCOPE.ADMIN.SETTINGS,
+  Authenticator.SCOPE.ADMIN.DEFAULT
+];
+
+var adminAccount = {
+  userId: 1, username: 'Jane', password: 'abc', scope: rootAdminPermissions
+};
+
+var streamsAdminAccount = {
+  userId: 2, username: 'Alice', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.STREAMS, Authenticator.SCOPE.ADMIN.DEFAULT]
+};
+
+var moderator = {
+  name: 'moderator',
+  description: 'Moderates streams',
+  permissions: ['streams', 'users']
+};
+
+var inject = (options) => new Promise((resolve) => Router.inject(options,
+                                                                 resolve));
+
+lab.experiment('RoleController Tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Create and get roles', function(done) {
+    var roleId;
+
+    inject({method: 'POST', url: '/api/roles', credentials: adminAccount,
+            payload: moderator})
+    .then(function(res) {
+      Code.expect(res.statusCode).to.equal(201);
+      Code.expect(res.result.name).to.equal(moderator.name);
+      roleId = res.result.roleId;
+      return inject({method: 'GET', url: '/api/roles/' + roleId,
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result.permissions).to.deep.equal(moderator.permissions);
+      Code.expect(res.result.admins).to.have.length(0);
+      return inject({method: 'GET', url: '/api/roles',
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result).to.have.length(1);
+      Code.expect(res.result[0].roleId).to.equal(roleId);
+      done();
+    });
+  });
+
+  lab.test('Create role invalid', function(done) {
+    inject({method: 'POST', url: '/api/roles', credentials: adminAccount,
+            payload: {name: 'owner', permissions: ['everything']}})
+    .then(function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      return Service.createRole(moderator);
+    }).then(function() {
+      return inject({method: 'POST', url: '/api/roles',
+                     credentials: adminAccount, payload: moderator});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(409);
+      done();
+    });
+  });
+
+  lab.test('Roles forbidden', function(done) {
+    inject({method: 'POST', url: '/api/roles',
+            credentials: streamsAdminAccount, payload: moderator})
+    .then(function(res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+
+  lab.test('Update and delete role', function(done) {
+    var roleId;
+
+    Service.createRole(moderator).then(function(role) {
+      roleId = role.roleId;
+      return inject({method: 'PUT', url: '/api/roles/' + roleId,
+                     credentials: adminAccount,
+                     payload: {permissions: ['metrics']}});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.permissions).to.deep.equal(['metrics']);
+      return inject({method: 'DELETE', url: '/api/roles/' + roleId,
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      return inject({method: 'GET', url: '/api/roles/' + roleId,
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+
+  lab.test('Create admin with roles', function(done) {
+    Service.createRole(moderator).then(function(role) {
+      return inject({method: 'POST', url: '/api/admins',
+                     credentials: adminAccount,
+                     payload: {
+                       username: 'Alice',
+                       password: 'Generated-pw1',
+                       roles: [role.roleId]
+                     }});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(201);
+      Code.expect(res.result.roles[0].name).to.equal(moderator.name);
+      return inject({method: 'GET', url: '/api/admins/Alice',
+                     credentials: adminAccount});
+    }).then(function(res) {
+      Code.expect(res.result.roles).to.have.length(1);
+      return inject({method: 'POST', url: '/api/admins',
+                     credentials: adminAccount,
+                     payload: {
+                       username: 'Bob',
+                       password: 'Generated-pw1',
+                       roles: ['3388ffff-aa00-1111-a222-00000044888c']
+                     }});
+    }).then(function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      return Service.getAdminByUsername('Bob');
+    }).then(function(result) {
+      Code.expect(result).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Role changes apply to logged in admins', function(done) {
+    var request = {headers: {'x-csrf-token': 'csrf', cookie: 'csrf'},
+                   info: {remoteAddress: '127.0.0.1'}};
+    var session;
+    var roleId;
+
+    Service.createRole(moderator).then(function(role) {
+      roleId = role.roleId;
+      return Service.createNewAdmin({
+        username: 'Alice',
+        password: PasswordPolicy.hash('Generated-pw1'),
+        permissions: JSON.stringify([Authenticator.SCOPE.ADMIN.DEFAULT])
+      });
+    }).then(function(admin) {
+      session = {
+        userId: admin.userId, username: admin.username,
+        password: Authenticator.generateAdminToken(admin),
+        scope: [Authenticator.SCOPE.ADMIN.DEFAULT]
+      };
+      return Router.app.sessions.create(session, request);
+    }).then(function() {
+      return Service.setRolesOfAdmin(session.userId, [roleId]);
+    }).then(function() {
+      return Authenticator.validateAccount(Router, session, request);
+    }).then(function(account) {
+      Code.expect(account.scope.sort()).to.deep.equal(['admin', 'streams',
+                                                       'users']);
+      return inject({method: 'PUT', url: '/api/roles/' + roleId,
+                     credentials: adminAccount,
+                     payload: {permissions: ['metrics']}});
+    }).then(function() {
+      return Authenticator.validateAccount(Router, session, request);
+    }).then(function(account) {
+      Code.expect(account.scope.sort()).to.deep.equal(['admin', 'metrics']);
+      done();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var Storage = rfr('app/models/Storage');
+var Service = rfr('app/services/Service');
+var TestUtils = rfr('test/TestUtils');
+var Router = rfr('app/Router.js');
+
+var testAccount = {userId: 1, username: 'bob', password: 'abc',
+                   scope: Authenticator.SCOPE.USER};
+
+var streamsAdminAccount = {
+  userId: 2, username: 'alice', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.DEFAULT, Authenticator.SCOPE.ADMIN.STREAMS]
+};
+
+var bob = {
+  username: 'Bob',
+  alias: 'Bob the Builder',
+  email: 'bob@bubblegum.com',
+  password: 'generated',
+  accessToken: 'xyzabc',
+  platformType: 'facebook',
+  platformId: '1238943948',
+  description: 'bam bam bam'
+};
+
+var streamInfo = {
+  title: 'building a house',
+  description: 'live from the construction site',
+  appInstance: 'generated'
+};
+
+lab.experiment('SearchController Tests', function() {
+  var stream;
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(function() {
+      Service.createNewUser(bob).then(function(user) {
+        testAccount.userId = user.userId;
+        return Storage.createStream(user.userId, streamInfo);
+      }).then(function(res) {
+        stream = res;
+        done();
+      });
+    });
+  });
+
+  lab.test('Search valid', function(done) {
+    Router.inject({method: 'GET', url: '/api/search?q=builder%20house',
+                   credentials: testAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.results).to.have.length(2);
+      Code.expect(res.result.results[0].type).to.equal('stream');
+      Code.expect(res.result.results[0].stream.streamId)
+        .to.equal(stream.streamId);
+      Code.expect(res.result.results[1].type).to.equal('user');
+      Code.expect(res.result.next).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Search valid type filter', function(done) {
+    Router.inject({method: 'GET', url: '/api/search?q=bob&type=stream',
+                   credentials: testAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.results).to.have.length(0);
+      done();
+    });
+  });
+
+  lab.test('Search valid admin with deleted streams', function(done) {
+    Storage.deleteStream(stream.streamId).then(function() {
+      Router.inject({method: 'GET', url: '/api/search?q=house',
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.result.results).to.have.length(0);
+
+        Router.inject({method: 'GET', url: '/api/search?q=house',
+                       credentials: streamsAdminAccount}, function(res) {
+          Code.expect(res.result.results).to.have.length(1);
+          Code.expect(res.result.results[0].stream.deletedAt).to.exist();
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Search invalid type not in admin scope', function(done) {
+    Router.inject({method: 'GET', url: '/api/search?q=bob&type=user',
+                   credentials: streamsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+
+  lab.test('Search invalid empty query', function(done) {
+    Router.inject({method: 'GET', url: '/api/search?q=',
+                   credentials: testAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var Router = rfr('app/Router');
+
+var settingsAdminAccount = {
+  userId: 1, username: 'alice', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.DEFAULT, Authenticator.SCOPE.ADMIN.SETTINGS]
+};
+
+var streamsAdminAccount = {
+  userId: 2, username: 'bob', password: 'abc',
+  scope: [Authenticator.SCOPE.ADMIN.DEFAULT, Authenticator.SCOPE.ADMIN.STREAMS]
+};
+
+lab.experiment('SettingsController Tests', function() {
+  lab.test('Get settings without secrets', function(done) {
+    Router.inject({method: 'GET', url: '/api/settings',
+                   credentials: settingsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.server.port).to.equal(3000);
+      Code.expect(res.result.server.media.viewBaseUrl).to.exist();
+      Code.expect(res.result.database.dialect).to.equal('sqlite');
+      Code.expect(res.result.server.cookiePassword).to.not.exist();
+      Code.expect(res.result.server.bearerToken.password).to.not.exist();
+      done();
+    });
+  });
+
+  lab.test('Get settings without settings scope', function(done) {
+    Router.inject({method: 'GET', url: '/api/settings',
+                   credentials: streamsAdminAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+});
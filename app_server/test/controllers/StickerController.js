@@ -0,0 +1,105 @@
+'use strict';
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Authenticator = rfr('app/policies/Authenticator');
+var Service = rfr('app/services/Service');
+var TestUtils = rfr('test/TestUtils');
+var Router = rfr('app/Router');
+
+var testAccount = {userId: 1, username: 'bob', password: 'abc',
+                   scope: Authenticator.SCOPE.USER};
+
+var bob = {
+  username: 'Bob',
+  alias: 'Bob the Builder',
+  email: 'bob@bubblegum.com',
+  password: 'generated',
+  accessToken: 'xyzabc',
+  platformType: 'facebook',
+  platformId: '1238943948',
+  description: 'bam bam bam'
+};
+
+var streamPayload = {
+  title: 'this is the title',
+  description: 'this is the description of the stream'
+};
+
+lab.experiment('StickerController Tests', function() {
+  var streamId;
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(function() {
+      Service.createNewUser(bob).then(function(user) {
+        testAccount.userId = user.userId;
+        Router.inject({method: 'POST', url: '/api/streams',
+                       credentials: testAccount,
+                       payload: streamPayload}, function(res) {
+          streamId = res.result.streamId;
+          done();
+        });
+      });
+    });
+  });
+
+  function injectSticker(sticker, cb) {
+    Router.inject({method: 'POST',
+                   url: '/api/stickers',
+                   credentials: testAccount,
+                   allowInternals: true,
+                   payload: {streamId: streamId, sticker: sticker}}, cb);
+  }
+
+  lab.test('Create sticker valid', function(done) {
+    injectSticker({type: 'heart', time: 1457431895000}, function(res) {
+      Code.expect(res.result.status).to.equal('OK');
+      done();
+    });
+  });
+
+  lab.test('Create sticker invalid stream', function(done) {
+    streamId = TestUtils.invalidId;
+    injectSticker({type: 'heart'}, function(res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+
+  lab.test('Create sticker invalid not internal', function(done) {
+    Router.inject({method: 'POST',
+                   url: '/api/stickers',
+                   credentials: testAccount,
+                   payload: {streamId: streamId}}, function(res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+
+  lab.test('Get sticker counts', function(done) {
+    injectSticker({type: 'heart'}, function() {
+      injectSticker({type: 'star'}, function() {
+        injectSticker({type: 'heart'}, function() {
+          Router.inject({method: 'GET',
+                         url: '/api/stickers/streams/' + streamId,
+                         credentials: testAccount}, function(res) {
+            Code.expect(res.result.total).to.equal(3);
+            Code.expect(res.result.types).to.deep.equal({heart: 2, star: 1});
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  lab.test('Get sticker counts invalid stream id', function(done) {
+    Router.inject({method: 'GET',
+                   url: '/api/stickers/streams/' + TestUtils.invalidId,
+                   credentials: testAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+});
@@ -400,6 +400,70 @@ lab.experiment('StreamController Tests', function() {
       });
   });
 
+  lab.test('Get list of streams valid paged', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      testAccount.userId = user.userId;
+      return user.userId;
+    }).then(function(userId) {
+      return Service.createNewStream(userId, streamInfo);
+    }).then(function(stream) {
+      return Service.createNewStream(stream.owner, streamInfo2);
+    }).then(function() {
+      Router.inject({method: 'GET',
+                     url: '/api/streams?sort=title&order=asc&limit=1',
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.result.streams).to.have.length(1);
+        Code.expect(res.result.streams[0].title).to.equal(streamInfo2.title);
+        Code.expect(res.result.next).to.be.a.string();
+
+        Router.inject({method: 'GET',
+                       url: '/api/streams?sort=title&order=asc&limit=1&' +
+                            'next=' + res.result.next,
+                       credentials: testAccount}, function(res) {
+          Code.expect(res.result.streams).to.have.length(1);
+          Code.expect(res.result.streams[0].title)
+          .to.equal(streamInfo.title);
+          Code.expect(res.result.streams[0].streamer.isSubscribed)
+          .to.be.false();
+          Code.expect(res.result.next).to.be.null();
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Get list of streams invalid page token', function(done) {
+    Router.inject({method: 'GET', url: '/api/streams?limit=5&next=abc',
+                   credentials: testAccount}, function(res) {
+      Code.expect(res.result.statusCode).to.equal(400);
+      Code.expect(res.result.message).to.equal('Invalid page token');
+      done();
+    });
+  });
+
+  lab.test('Get list of streams page token of other sort', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      testAccount.userId = user.userId;
+      return Service.createNewStream(user.userId, streamInfo);
+    }).then(function(stream) {
+      return Service.createNewStream(stream.owner, streamInfo2);
+    }).then(function() {
+      Router.inject({method: 'GET',
+                     url: '/api/streams?sort=time&limit=1',
+                     credentials: testAccount}, function(res) {
+        Router.inject({method: 'GET',
+                       url: '/api/streams?sort=title&limit=1&' +
+                            'next=' + res.result.next,
+                       credentials: testAccount}, function(res) {
+          Code.expect(res.result.statusCode).to.equal(400);
+          Code.expect(res.result.message)
+          .to.equal('Page token is for a list sorted differently');
+          done();
+        });
+      });
+    });
+  });
+
   lab.test('Get list of streams invalid query params', function(done) {
     Router.inject({method: 'GET', url: '/api/streams?order=lol',
                    credentials: testAccount}, function(res) {
@@ -456,6 +520,92 @@ lab.experiment('StreamController Tests', function() {
     });
   });
 
+  lab.test('Get stream recording valid', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.createNewStream(user.userId, streamInfo);
+    }).then(function(stream) {
+      return Service.endStream(stream.owner, stream.streamId)
+        .then(() => stream);
+    }).then(function(stream) {
+      Router.inject({method: 'GET',
+                     url: '/api/streams/' + stream.streamId + '/recording',
+                     credentials: testAccount}, function(res) {
+        var path = util.format('%s/%s.mp4', stream.appInstance,
+                                            stream.streamId);
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result.path).to.equal(path);
+        Code.expect(res.result.duration).to.be.a.number();
+        Code.expect(res.result.vodLink).to.equal(
+          util.format('%s/mp4:%s/manifest.mpd', Utility.vodBaseUrl, path));
+
+        Router.inject({method: 'GET',
+                       url: '/api/streams/' + stream.streamId,
+                       credentials: testAccount}, function(res) {
+          Code.expect(res.result.vodLink).to.exist();
+          Code.expect(res.result.viewLink).to.be.undefined();
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Get stream recording invalid live stream', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.createNewStream(user.userId, streamInfo);
+    }).then(function(stream) {
+      Router.inject({method: 'GET',
+                     url: '/api/streams/' + stream.streamId + '/recording',
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.statusCode).to.equal(404);
+        Code.expect(res.result.message).to.equal('Recording not found');
+        done();
+      });
+    });
+  });
+
+  lab.test('Get stream concurrency valid', function(done) {
+    var stream;
+    var start = Date.now() - 180000;
+
+    Service.createNewUser(bob).then(function(user) {
+      return Service.createNewStream(user.userId, streamInfo);
+    }).then(function(result) {
+      stream = result;
+      return Service.recordConcurrency([3, 5, 4].map((viewers, i) => ({
+        streamId: stream.streamId,
+        time: new Date(start + i * 60000),
+        viewers: viewers
+      })));
+    }).then(function() {
+      var url = '/api/streams/' + stream.streamId + '/concurrency';
+      Router.inject({method: 'GET', url: url,
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result.peakViewers).to.equal(5);
+        Code.expect(res.result.samples).to.deep.equal([
+          {time: start, viewers: 3},
+          {time: start + 60000, viewers: 5},
+          {time: start + 120000, viewers: 4}
+        ]);
+
+        Router.inject({method: 'GET', url: url + '?after=' + (start + 1),
+                       credentials: testAccount}, function(res) {
+          Code.expect(res.result.samples).to.have.length(2);
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Get stream concurrency invalid stream', function(done) {
+    Router.inject({method: 'GET',
+                   url: '/api/streams/' + TestUtils.invalidId + '/concurrency',
+                   credentials: testAccount}, function(res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+
   lab.test('Delete stream valid', function(done) {
     Service.createNewAdmin(admin).then(function(user) {
       adminAccount.userId = user.userId;
@@ -8,6 +8,7 @@ var _ = require('underscore');
 var Storage = rfr('app/models/Storage.js');
 var Router = rfr('app/Router.js');
 var Facebook = rfr('app/adapters/social_media/Facebook');
+var SocialMediaConfig = rfr('config/SocialMediaConfig');
 var TestUtils = rfr('test/TestUtils');
 var Service = rfr('app/services/Service');
 var Authenticator = rfr('app/policies/Authenticator');
@@ -88,6 +89,37 @@ lab.experiment('UserController Tests', {timeout: 5000}, function () {
     });
   });
 
+  lab.test('Get analytics of self', function (done) {
+    Service.createNewUser(bob).then(function (user) {
+      var credentials = Object.assign({}, testAccount, {userId: user.userId});
+      var to = Date.UTC(2016, 2, 2);
+
+      Router.inject({url: '/api/users/me/analytics?interval=hour&to=' + to,
+                     credentials: credentials}, function (res) {
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result.interval).to.equal('hour');
+        Code.expect(res.result.buckets).to.have.length(24);
+        Code.expect(res.result.buckets[23]).to.equal(to - 3600000);
+        Code.expect(res.result.streams).to.have.length(0);
+        Code.expect(res.result.subscribers).to.have.length(24);
+        done();
+      });
+    });
+  });
+
+  lab.test('Get analytics invalid range', function (done) {
+    Router.inject({url: '/api/users/me/analytics?from=2000&to=1000',
+                   credentials: testAccount}, function (res) {
+      Code.expect(res.statusCode).to.equal(400);
+
+      Router.inject({url: '/api/users/me/analytics?interval=minute',
+                     credentials: testAccount}, function (res) {
+        Code.expect(res.statusCode).to.equal(400);
+        done();
+      });
+    });
+  });
+
   lab.test('Get user by valid id', function (done) {
     Service.createNewUser(bob).then(function (result) {
       return Service.getUserById(result.userId);
@@ -256,6 +288,18 @@ lab.experiment('UserController Tests', {timeout: 5000}, function () {
 
 lab.experiment('UserController log in tests', {timeout: 10000}, () => {
   var facebookServer = TestUtils.mockFacebookServer();
+  var oidcServer = TestUtils.mockOpenIdConnectServer();
+  var userInfoUrl = SocialMediaConfig.oidc.userInfoUrl;
+
+  lab.before(function (done) {
+    SocialMediaConfig.oidc.userInfoUrl = TestUtils.mockOpenIdConnectUrl;
+    oidcServer.start(done);
+  });
+
+  lab.after(function (done) {
+    SocialMediaConfig.oidc.userInfoUrl = userInfoUrl;
+    oidcServer.stop(done);
+  });
 
   lab.beforeEach(function (done) {
     TestUtils.resetDatabase(done);
@@ -348,4 +392,349 @@ lab.experiment('UserController log in tests', {timeout: 10000}, () => {
       });
     });
   });
+
+  lab.test('Login unsupported platform', function (done) {
+    Router.inject({method: 'POST', url: '/api/users/login',
+                   payload: {platform: 'bogusbook', appId: '123456789',
+                             accessToken: 'xyz'}}, function (res) {
+      Code.expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+
+  lab.test('Valid login with OpenID Connect', function (done) {
+    Router.inject({method: 'POST', url: '/api/users/login',
+                   payload: {platform: 'oidc',
+                             appId: SocialMediaConfig.oidc.appId,
+                             accessToken: 'xyz'}}, function (res) {
+      var expected = {
+        alias: 'Alice Oidc',
+        username: 'a1b2c3d4@oidc',
+        platformType: 'oidc',
+        platformId: 'a1b2c3d4'
+      };
+
+      Code.expect(res.statusCode).to.equal(200);
+
+      var body = TestUtils.copyObj(JSON.parse(res.payload),
+                                   Object.keys(expected));
+      Code.expect(body).to.deep.equal(expected);
+      done();
+    });
+  });
+});
+
+lab.experiment('UserController identity tests', {timeout: 10000}, () => {
+  var oidcServer = TestUtils.mockOpenIdConnectServer();
+  var userInfoUrl = SocialMediaConfig.oidc.userInfoUrl;
+  var account;
+
+  lab.before(function (done) {
+    SocialMediaConfig.oidc.userInfoUrl = TestUtils.mockOpenIdConnectUrl;
+    oidcServer.start(done);
+  });
+
+  lab.after(function (done) {
+    SocialMediaConfig.oidc.userInfoUrl = userInfoUrl;
+    oidcServer.stop(done);
+  });
+
+  lab.beforeEach(function (done) {
+    TestUtils.resetDatabase(function () {
+      Service.createNewUser(bob).then(function (user) {
+        account = Object.assign({}, testAccount, {userId: user.userId});
+        done();
+      });
+    });
+  });
+
+  lab.test('Link identity valid', function (done) {
+    Router.inject({method: 'POST', url: '/api/users/me/identities',
+                   credentials: account,
+                   payload: {platform: 'oidc',
+                             appId: SocialMediaConfig.oidc.appId,
+                             accessToken: 'xyz'}}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.have.length(2);
+      Code.expect(res.result[1].platformId).to.equal('a1b2c3d4');
+
+      Router.inject({url: '/api/users/me/identities', credentials: account},
+        function (res) {
+          Code.expect(res.statusCode).to.equal(200);
+          Code.expect(res.result).to.have.length(2);
+          done();
+        });
+    });
+  });
+
+  lab.test('Link identity invalid accessToken', function (done) {
+    Router.inject({method: 'POST', url: '/api/users/me/identities',
+                   credentials: account,
+                   payload: {platform: 'oidc',
+                             appId: SocialMediaConfig.oidc.appId,
+                             accessToken: 'abc'}}, function (res) {
+      Code.expect(res.statusCode).to.equal(400);
+      done();
+    });
+  });
+
+  lab.test('Link identity invalid already linked', function (done) {
+    Router.inject({method: 'POST', url: '/api/users/me/identities',
+                   credentials: account,
+                   payload: {platform: 'oidc',
+                             appId: SocialMediaConfig.oidc.appId,
+                             accessToken: 'xyz'}}, function () {
+      Router.inject({method: 'POST', url: '/api/users/me/identities',
+                     credentials: account,
+                     payload: {platform: 'oidc',
+                               appId: SocialMediaConfig.oidc.appId,
+                               accessToken: 'xyz'}}, function (res) {
+        Code.expect(res.statusCode).to.equal(400);
+        done();
+      });
+    });
+  });
+
+  lab.test('Unlink identity valid', function (done) {
+    Router.inject({method: 'POST', url: '/api/users/me/identities',
+                   credentials: account,
+                   payload: {platform: 'oidc',
+                             appId: SocialMediaConfig.oidc.appId,
+                             accessToken: 'xyz'}}, function (res) {
+      var identityId = res.result[1].identityId;
+
+      Router.inject({method: 'DELETE',
+                     url: '/api/users/me/identities/' + identityId,
+                     credentials: account}, function (res) {
+        Code.expect(res.statusCode).to.equal(200);
+        Code.expect(res.result).to.have.length(1);
+        done();
+      });
+    });
+  });
+
+  lab.test('Unlink identity invalid not linked', function (done) {
+    Router.inject({method: 'DELETE',
+                   url: '/api/users/me/identities/' +
+                        '0c3d9b0e-6f0a-4c5e-9d7a-2b8f1e4a6c3d',
+                   credentials: account}, function (res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+});
+
+lab.experiment('UserController token tests', {timeout: 10000}, () => {
+  var account;
+  var tokens;
+
+  lab.beforeEach(function (done) {
+    TestUtils.resetDatabase(function () {
+      Service.createNewUser(bob).then(function (user) {
+        account = {userId: user.userId, username: user.username,
+                   scope: Authenticator.SCOPE.USER};
+        return Service.issueTokens(account);
+      }).then(function (result) {
+        tokens = result;
+        done();
+      });
+    });
+  });
+
+  lab.test('Bearer token valid', function (done) {
+    Router.inject({url: '/api/users/me',
+                   headers: {
+                     'Authorization': 'Bearer ' + tokens.accessToken
+                   }}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.userId).to.equal(account.userId);
+      done();
+    });
+  });
+
+  lab.test('Bearer token invalid', function (done) {
+    Router.inject({url: '/api/users/me',
+                   headers: {
+                     'Authorization': 'Bearer ' + tokens.accessToken + 'x'
+                   }}, function (res) {
+      Code.expect(res.statusCode).to.equal(401);
+      done();
+    });
+  });
+
+  lab.test('Bearer token invalid scope', function (done) {
+    Router.inject({url: '/api/users/all/statistics',
+                   headers: {
+                     'Authorization': 'Bearer ' + tokens.accessToken
+                   }}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+
+      Router.inject({method: 'PUT', url: '/api/users/' + account.userId,
+                     payload: {alias: 'Bob the Admin'},
+                     headers: {
+                       'Authorization': 'Bearer ' + tokens.accessToken
+                     }}, function (res) {
+        Code.expect(res.statusCode).to.equal(403);
+        done();
+      });
+    });
+  });
+
+  lab.test('Refresh tokens valid', function (done) {
+    var payload = {refreshToken: tokens.refreshToken};
+
+    Router.inject({method: 'POST', url: '/api/users/tokens/refresh',
+                   payload: payload}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result.accessToken).to.exist();
+
+      Router.inject({url: '/api/users/me',
+                     headers: {
+                       'Authorization': 'Bearer ' + res.result.accessToken
+                     }}, function (res) {
+        Code.expect(res.statusCode).to.equal(200);
+        done();
+      });
+    });
+  });
+
+  lab.test('Refresh tokens invalid', function (done) {
+    Router.inject({method: 'POST', url: '/api/users/tokens/refresh',
+                   payload: {refreshToken: 'bogus'}}, function (res) {
+      Code.expect(res.statusCode).to.equal(401);
+      done();
+    });
+  });
+
+  lab.test('Revoke token valid', function (done) {
+    var payload = {refreshToken: tokens.refreshToken};
+
+    Router.inject({method: 'POST', url: '/api/users/tokens/revoke',
+                   payload: payload}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+
+      Router.inject({url: '/api/users/me',
+                     headers: {
+                       'Authorization': 'Bearer ' + tokens.accessToken
+                     }}, function (res) {
+        Code.expect(res.statusCode).to.equal(401);
+        done();
+      });
+    });
+  });
+});
+
+lab.experiment('UserController sessions tests', function () {
+  var account = {userId: '0ee1fbfe-1d25-4c4e-b5f5-8a2b2b3a4c5d',
+                 username: 'carol', password: 'abc',
+                 scope: Authenticator.SCOPE.USER};
+  var request = {headers: {'user-agent': 'lab'},
+                 info: {remoteAddress: '127.0.0.1'}};
+  var sessions;
+
+  lab.beforeEach(function (done) {
+    sessions = [];
+    Router.app.sessions.revokeAll(account.userId).then(function () {
+      return Router.app.sessions.create(Object.assign({}, account), request);
+    }).then(function (session) {
+      sessions.push(session);
+      return Router.app.sessions.create(Object.assign({}, account), request);
+    }).then(function (session) {
+      sessions.push(session);
+      done();
+    });
+  });
+
+  var getCredentials = (session) => Object.assign({}, account, {
+    sessionId: session.sessionId
+  });
+
+  lab.test('Get own sessions', function (done) {
+    Router.inject({url: '/api/users/me/sessions',
+                   credentials: getCredentials(sessions[0])}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.have.length(2);
+
+      var current = res.result.filter((session) => session.current);
+      Code.expect(current).to.have.length(1);
+      Code.expect(current[0].sessionId).to.equal(sessions[0].sessionId);
+      Code.expect(current[0].userAgent).to.equal('lab');
+      Code.expect(current[0].ip).to.equal('127.0.0.1');
+      done();
+    });
+  });
+
+  lab.test('Revoke own session', function (done) {
+    Router.inject({method: 'DELETE',
+                   url: '/api/users/me/sessions/' + sessions[1].sessionId,
+                   credentials: getCredentials(sessions[0])}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.headers['set-cookie']).to.not.exist();
+
+      Router.app.sessions.list(account.userId).then(function (result) {
+        Code.expect(result).to.have.length(1);
+        Code.expect(result[0].sessionId).to.equal(sessions[0].sessionId);
+        done();
+      });
+    });
+  });
+
+  lab.test('Revoke current session clears cookie', function (done) {
+    Router.inject({method: 'DELETE',
+                   url: '/api/users/me/sessions/' + sessions[0].sessionId,
+                   credentials: getCredentials(sessions[0])}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.headers['set-cookie'][0])
+        .to.startWith(Authenticator.SID + '=;');
+      done();
+    });
+  });
+
+  lab.test('Revoke unknown session', function (done) {
+    Router.inject({method: 'DELETE', url: '/api/users/me/sessions/bogus',
+                   credentials: getCredentials(sessions[0])}, function (res) {
+      Code.expect(res.statusCode).to.equal(404);
+      done();
+    });
+  });
+
+  lab.test('Revoke all own sessions', function (done) {
+    Router.inject({method: 'DELETE', url: '/api/users/me/sessions',
+                   credentials: getCredentials(sessions[0])}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.deep.equal({revoked: 2});
+
+      Router.app.sessions.list(account.userId).then(function (result) {
+        Code.expect(result).to.be.empty();
+        done();
+      });
+    });
+  });
+
+  lab.test('Get sessions of user as admin', function (done) {
+    Router.inject({url: '/api/users/' + account.userId + '/sessions',
+                   credentials: testAdmin}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.have.length(2);
+      done();
+    });
+  });
+
+  lab.test('Get sessions of user as user', function (done) {
+    Router.inject({url: '/api/users/' + account.userId + '/sessions',
+                   credentials: testAccount}, function (res) {
+      Code.expect(res.statusCode).to.equal(403);
+      done();
+    });
+  });
+
+  lab.test('Revoke sessions of user as admin', function (done) {
+    Router.inject({method: 'DELETE',
+                   url: '/api/users/' + account.userId + '/sessions',
+                   credentials: testAdmin}, function (res) {
+      Code.expect(res.statusCode).to.equal(200);
+      Code.expect(res.result).to.deep.equal({revoked: 2});
+      done();
+    });
+  });
 });
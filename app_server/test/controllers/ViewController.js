@@ -118,6 +118,62 @@ lab.experiment('ViewController Tests', function() {
     }
   });
 
+  lab.test('End view valid', function(done) {
+    Service.createNewUser(bob)
+    .then((user) => Service.createNewStream(user.userId, stream))
+    .then((stream) => Service.createView(stream.owner, stream.streamId))
+    .then(function(view) {
+      testAccount.userId = view.userId;
+      var url = '/api/views/' + view.streamId;
+      Router.inject({method: 'DELETE', url: url,
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.result.userId).to.equal(view.userId);
+        Code.expect(res.result.endedAt).to.be.a.date();
+
+        Router.inject({method: 'DELETE', url: url,
+                       credentials: testAccount}, function(res) {
+          Code.expect(res.result.statusCode).to.equal(404);
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Get watch durations valid', function(done) {
+    Service.createNewUser(bob)
+    .then((user) => Service.createNewStream(user.userId, stream))
+    .then((stream) => Service.createView(stream.owner, stream.streamId))
+    .then(function(view) {
+      testAccount.userId = view.userId;
+      var url = '/api/views/' + view.streamId + '/durations';
+      Router.inject({method: 'GET', url: url,
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.result.streamId).to.equal(view.streamId);
+        Code.expect(res.result.views).to.have.length(1);
+
+        url = '/api/views/users/' + view.userId + '/durations';
+        Router.inject({method: 'GET', url: url,
+                       credentials: testAccount}, function(res) {
+          Code.expect(res.result.userId).to.equal(view.userId);
+          Code.expect(res.result.views[0].watching).to.be.true();
+          done();
+        });
+      });
+    });
+  });
+
+  lab.test('Get watch durations of other user', function(done) {
+    Service.createNewUser(alice).then(function(user) {
+      testAccount.userId = TestUtils.invalidId;
+      var url = '/api/views/users/' + user.userId + '/durations';
+      Router.inject({method: 'GET', url: url,
+                     credentials: testAccount}, function(res) {
+        Code.expect(res.result.statusCode).to.equal(403);
+        done();
+      });
+    });
+  });
+
   lab.test('Get list of users viewing a stream valid', function(done) {
     var userPromise = Service.createNewUser(bob);
     var streamPromise = userPromise.then((user) =>
@@ -0,0 +1,62 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var expect = Code.expect;
+
+var Dialect = rfr('app/models/Dialect');
+
+var config = {
+  host: 'localhost',
+  port: 5432,
+  storage: ':memory:',
+  timezone: '+08:00'
+};
+
+lab.experiment('Dialect Tests', function() {
+  lab.test('Connection options of dialects', function(done) {
+    var mysql = Dialect.get(Dialect.DIALECTS.MYSQL);
+    expect(mysql.getConnectionOptions(config)).to.deep.include({
+      host: 'localhost',
+      timezone: '+08:00',
+      dialectOptions: {charset: 'utf8mb4'}
+    });
+
+    var postgres = Dialect.get(Dialect.DIALECTS.POSTGRES);
+    expect(postgres.getConnectionOptions(config)).to.deep.equal({
+      host: 'localhost',
+      port: 5432,
+      timezone: '+08:00'
+    });
+
+    var sqlite = Dialect.get(Dialect.DIALECTS.SQLITE);
+    expect(sqlite.getConnectionOptions(config)).to.deep.equal({
+      storage: ':memory:'
+    });
+    done();
+  });
+
+  lab.test('Case insensitive matching of dialects', function(done) {
+    expect(Dialect.get(Dialect.DIALECTS.MYSQL).like).to.equal('$like');
+    expect(Dialect.get(Dialect.DIALECTS.POSTGRES).like).to.equal('$ilike');
+    expect(Dialect.get(Dialect.DIALECTS.POSTGRES).likeKeyword)
+      .to.equal('ILIKE');
+    expect(Dialect.get(Dialect.DIALECTS.SQLITE).like).to.equal('$like');
+    done();
+  });
+
+  lab.test('Only MySQL tables have a charset', function(done) {
+    var mysql = Dialect.get(Dialect.DIALECTS.MYSQL);
+    expect(mysql.getTextTableOptions().charset).to.equal('utf8mb4');
+    expect(Dialect.get(Dialect.DIALECTS.POSTGRES).getTextTableOptions())
+      .to.be.empty();
+    expect(Dialect.get(Dialect.DIALECTS.SQLITE).getTextTableOptions())
+      .to.be.empty();
+    done();
+  });
+
+  lab.test('Unsupported dialect', function(done) {
+    expect(() => Dialect.get('oracle')).to.throw(Error, /oracle/);
+    done();
+  });
+});
@@ -0,0 +1,134 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var expect = Code.expect;
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var os = require('os');
+var path = require('path');
+
+var Storage = rfr('app/models/Storage.js');
+var Migrator = rfr('app/models/Migrator');
+var TestUtils = rfr('test/TestUtils');
+
+var createTable = `
+exports.up = (queryInterface, Sequelize) => {
+  return queryInterface.createTable('MigratorTest', {
+    testId: {type: Sequelize.INTEGER, primaryKey: true}
+  });
+};
+exports.down = (queryInterface) => queryInterface.dropTable('MigratorTest');
+`;
+
+var addColumn = `
+exports.up = (queryInterface, Sequelize) => {
+  return queryInterface.addColumn('MigratorTest', 'name', Sequelize.STRING);
+};
+exports.down = (queryInterface) => {
+  return queryInterface.removeColumn('MigratorTest', 'name');
+};
+`;
+
+lab.experiment('Migrator Tests', function() {
+  var queryInterface = Storage.sequelize.getQueryInterface();
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Baseline creates tables of all models', function(done) {
+    Promise.all([queryInterface.showAllTables(), Storage.migrator.status()])
+    .then(function(result) {
+      Object.keys(Storage.models).forEach(function(modelName) {
+        expect(result[0]).to.include(Storage.models[modelName].getTableName());
+      });
+      expect(result[0]).to.include('Migration');
+
+      expect(result[1][0].name).to.equal('001-baseline');
+      result[1].forEach((migration) => {
+        expect(migration.migratedAt).to.exist();
+      });
+      done();
+    }).catch(done);
+  });
+
+  lab.test('Revert and apply baseline again', function(done) {
+    Storage.migrator.down(Infinity).then(function(names) {
+      expect(names).to.include('001-baseline');
+      return queryInterface.showAllTables();
+    }).then(function(tables) {
+      expect(tables).to.deep.equal(['Migration']);
+      return Storage.migrator.pending();
+    }).then(function(pending) {
+      expect(pending).to.include('001-baseline');
+      return Storage.migrator.up();
+    }).then(function(names) {
+      expect(names).to.include('001-baseline');
+      return Storage.createUser({username: 'Bob', password: 'pass'});
+    }).then(function(user) {
+      expect(user.username).to.equal('Bob');
+      done();
+    }).catch(done);
+  });
+
+  lab.test('Synchronised database is upgraded', function(done) {
+    var migrations;
+
+    Storage.migrator.status().then(function(result) {
+      migrations = result.map((migration) => migration.name);
+      // leaves the tables of the baseline, without any migration recorded
+      return Storage.migrator.down(migrations.length - 1);
+    }).then(function() {
+      return Storage.migrator.Migration.destroy({where: {}});
+    }).then(function() {
+      return Storage.migrator.up();
+    }).then(function(names) {
+      expect(names).to.deep.equal(migrations);
+      return Promise.all([queryInterface.showAllTables(),
+                          queryInterface.describeTable('View')]);
+    }).then(function(result) {
+      expect(result[0]).to.include(['RefreshToken', 'CacheEntry']);
+      expect(result[1].duration).to.exist();
+      return Storage.createUser({username: 'Bob', password: 'pass'});
+    }).then(function(user) {
+      expect(user.failedLogins).to.equal(0);
+      done();
+    }).catch(done);
+  });
+
+  lab.test('Migrations are applied and reverted in order', function(done) {
+    var directory = path.join(os.tmpdir(), 'worldscope-migrations-' +
+                              Date.now());
+    var migrator = new Migrator(Storage.sequelize, directory);
+
+    fs.mkdirAsync(directory).then(function() {
+      return Promise.all([
+        fs.writeFileAsync(path.join(directory, '901-add-column.js'),
+                          addColumn),
+        fs.writeFileAsync(path.join(directory, '900-create-table.js'),
+                          createTable),
+        fs.writeFileAsync(path.join(directory, 'README.md'), 'not migration')
+      ]);
+    }).then(function() {
+      return migrator.pending();
+    }).then(function(pending) {
+      expect(pending).to.deep.equal(['900-create-table', '901-add-column']);
+      return migrator.up();
+    }).then(function(names) {
+      expect(names).to.deep.equal(['900-create-table', '901-add-column']);
+      return queryInterface.describeTable('MigratorTest');
+    }).then(function(columns) {
+      expect(columns.name).to.exist();
+      return migrator.down();
+    }).then(function(names) {
+      expect(names).to.deep.equal(['901-add-column']);
+      return Promise.all([queryInterface.describeTable('MigratorTest'),
+                          migrator.pending()]);
+    }).then(function(result) {
+      expect(result[0].name).to.not.exist();
+      expect(result[1]).to.deep.equal(['901-add-column']);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,120 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var expect = Code.expect;
+var Promise = require('bluebird');
+
+var CustomError = rfr('app/util/Error');
+var Storage = rfr('app/models/Storage.js');
+var TestUtils = rfr('test/TestUtils');
+
+lab.experiment('Sticker Model Tests', function() {
+
+  var user1 = {
+    username: 'Noob Nie',
+    alias: 'the noobie',
+    email: 'noob@gmail.com',
+    password: 'secretpass',
+    accessToken: 'atoken',
+    platformType: 'facebook',
+    platformId: 'asdfadf-asdfasdf-asdfasdfaf-dfddf',
+    description: 'noob has a noobie description'
+  };
+
+  var streamDetails = {
+    title: 'I am going to dance',
+    appInstance: 'appInstance',
+    roomId: '123',
+  };
+
+  var heart = {
+    type: 'heart',
+    createdAt: new Date('2016-01-01')
+  };
+
+  var star = {
+    type: 'star',
+    createdAt: new Date('2016-01-02')
+  };
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Create Sticker valid', function(done) {
+    var userPromise = Storage.createUser(user1);
+    var streamPromise = userPromise.then((user) =>
+      Storage.createStream(user.userId, streamDetails));
+
+    Promise.join(userPromise, streamPromise,
+      function(user, stream) {
+        Storage.createSticker(user.userId, stream.streamId, heart)
+          .then(function(res) {
+            expect(res.type).to.equal(heart.type);
+            expect(res.userId).to.equal(user.userId);
+            expect(res.streamId).to.equal(stream.streamId);
+            return Storage.getStreamById(stream.streamId);
+          }).then(function(res) {
+            expect(res.totalStickers).to.equal(1);
+            done();
+          });
+      });
+  });
+
+  lab.test('Create Sticker valid default type', function(done) {
+    var userPromise = Storage.createUser(user1);
+    var streamPromise = userPromise.then((user) =>
+      Storage.createStream(user.userId, streamDetails));
+
+    Promise.join(userPromise, streamPromise,
+      function(user, stream) {
+        Storage.createSticker(user.userId, stream.streamId, {})
+          .then(function(res) {
+            expect(res.type).to.equal('default');
+            done();
+          });
+      });
+  });
+
+  lab.test('Create Sticker non-existing stream', function(done) {
+    Storage.createUser(user1).then(function(user) {
+      Storage.createSticker(user.userId, TestUtils.invalidId, heart)
+        .then(function(res) {
+          expect(res).to.be.an.instanceof(CustomError.NotFoundError);
+          done();
+        });
+    });
+  });
+
+  lab.test('Get sticker counts for a stream', function(done) {
+    var userPromise = Storage.createUser(user1);
+    var streamPromise = userPromise.then((user) =>
+      Storage.createStream(user.userId, streamDetails));
+
+    Promise.join(userPromise, streamPromise,
+      function(user, stream) {
+        Storage.createSticker(user.userId, stream.streamId, heart)
+          .then(() => Storage.createSticker(user.userId, stream.streamId,
+                                            star))
+          .then(() => Storage.createSticker(user.userId, stream.streamId,
+                                            heart))
+          .then(() => Storage.getStickerCountsForStream(stream.streamId))
+          .then(function(res) {
+            expect(res).to.deep.equal({heart: 2, star: 1});
+            return Storage.getStreamById(stream.streamId);
+          }).then(function(res) {
+            expect(res.totalStickers).to.equal(3);
+            done();
+          });
+      });
+  });
+
+  lab.test('Get sticker counts for a stream invalid streamId', function(done) {
+    Storage.getStickerCountsForStream(TestUtils.invalidId)
+      .then(function(res) {
+        expect(res).to.be.an.instanceof(CustomError.NotFoundError);
+        done();
+      });
+  });
+});
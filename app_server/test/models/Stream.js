@@ -458,6 +458,77 @@ lab.experiment('Stream Model Tests', function() {
       });
   });
 
+  lab.test('Get list of streams paged sorted by title asc', function(done) {
+    var filters = {
+      state: 'all',
+      sort: 'title',
+      order: 'asc'
+    };
+
+    var userPromise = Storage.createUser(userDetails);
+    var userPromise2 = Storage.createUser(userDetails2);
+
+    var streamPromise = userPromise.then(function(user) {
+      return Storage.createStream(user.userId, streamDetails3)
+        .then(function(stream) {
+          return Storage.createStream(user.userId, streamDetails2);
+        });
+    });
+
+    var streamPromise2 = userPromise2.then(function(user2) {
+      return Storage.createStream(user2.userId, streamDetails);
+    });
+
+    Promise.join(streamPromise, streamPromise2,
+      function() {
+        return Storage.getListOfStreams(filters, {limit: 2});
+      }).then(function(res) {
+        expect(res).to.have.length(2);
+        expect(res[0].title).to.equal(streamDetails.title);
+        expect(res[1].title).to.equal(streamDetails3.title);
+
+        var cursor = Storage.getStreamCursor(res[1], filters);
+        return Storage.getListOfStreams(filters, {limit: 2, after: cursor});
+      }).then(function(res) {
+        expect(res).to.have.length(1);
+        expect(res[0].title).to.equal(streamDetails2.title);
+        expect(res[0].streamer.username).to.equal(userDetails.username);
+        done();
+      });
+  });
+
+  lab.test('Get list of streams paged sorted by time desc', function(done) {
+    var filters = {
+      state: 'all',
+      sort: 'time',
+      order: 'desc'
+    };
+
+    var userPromise = Storage.createUser(userDetails);
+
+    userPromise.then(function(user) {
+      return Storage.createStream(user.userId, streamDetails3)
+        .then(function(stream) {
+          return Storage.createStream(user.userId, streamDetails2);
+        }).then(function(stream) {
+          return Storage.createStream(user.userId, streamDetails4);
+        });
+    }).then(function() {
+      return Storage.getListOfStreams(filters, {limit: 1});
+    }).then(function(res) {
+      expect(res).to.have.length(1);
+      expect(res[0].title).to.equal(streamDetails2.title);
+
+      var cursor = Storage.getStreamCursor(res[0], filters);
+      return Storage.getListOfStreams(filters, {after: cursor});
+    }).then(function(res) {
+      expect(res).to.have.length(2);
+      expect(res[0].title).to.equal(streamDetails4.title);
+      expect(res[1].title).to.equal(streamDetails3.title);
+      done();
+    });
+  });
+
   lab.test('Update stream valid', function(done) {
 
     var newStreamAttributes = {
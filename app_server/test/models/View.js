@@ -172,6 +172,24 @@ lab.experiment('View Model Tests', function() {
       });
   });
 
+  lab.test('Ending stream ends its views', function(done) {
+    var userPromise = Storage.createUser(user1);
+    var streamPromise = userPromise.then(user =>
+      Storage.createStream(user.userId, stream1));
+
+    Promise.join(userPromise, streamPromise,
+      function(user, stream) {
+        return Storage.createView(user.userId, stream.streamId)
+          .then(() => Storage.endStream(stream.streamId))
+          .then(() => Storage.getWatchedViews({streamId: stream.streamId}))
+          .then(function(views) {
+            expect(views).to.have.length(1);
+            expect(views[0].endedAt).to.exist();
+            done();
+          });
+      });
+  });
+
   lab.test('Get number of users viewed a stream invalid', function(done) {
     Storage.getTotalNumberOfUsersViewedStream(TestUtils.invalidId)
       .then(function(res) {
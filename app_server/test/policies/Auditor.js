@@ -0,0 +1,47 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Auditor = rfr('app/policies/Auditor');
+
+lab.experiment('Auditor diff tests', function() {
+  lab.test('Changed fields', function(done) {
+    var changes = Auditor.diff({title: 'a', live: true, viewers: 1},
+                               {title: 'b', live: true, viewers: 1});
+    Code.expect(changes).to.deep.equal({title: {before: 'a', after: 'b'}});
+    done();
+  });
+
+  lab.test('No changes', function(done) {
+    var date = new Date(1000);
+    Code.expect(Auditor.diff({title: 'a', createdAt: date},
+                             {title: 'a', createdAt: new Date(1000)}))
+      .to.be.null();
+    Code.expect(Auditor.diff(null, null)).to.be.null();
+    done();
+  });
+
+  lab.test('Created and deleted targets', function(done) {
+    Code.expect(Auditor.diff(null, {title: 'a'}))
+      .to.deep.equal({title: {before: null, after: 'a'}});
+    Code.expect(Auditor.diff({title: 'a'}, null))
+      .to.deep.equal({title: {before: 'a', after: null}});
+    done();
+  });
+
+  lab.test('Ignored fields', function(done) {
+    var changes = Auditor.diff({
+      password: 'old', twoFactorSecret: 'ABC', streamer: {alias: 'a'},
+      updatedAt: new Date(1000), permissions: '["admin"]'
+    }, {
+      password: 'new', twoFactorSecret: null, streamer: {alias: 'b'},
+      updatedAt: new Date(2000), permissions: '["admin","streams"]'
+    });
+
+    Code.expect(changes).to.deep.equal({
+      permissions: {before: '["admin"]', after: '["admin","streams"]'}
+    });
+    done();
+  });
+});
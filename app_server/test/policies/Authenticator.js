@@ -2,11 +2,16 @@ var rfr = require('rfr');
 var Lab = require('lab');
 var lab = exports.lab = Lab.script();
 var Code = require('code');
+var crypto = require('crypto');
+var util = require('util');
 
 var Authenticator = rfr('app/policies/Authenticator');
 var TestUtils = rfr('test/TestUtils');
 var Router = rfr('app/Router.js');
 var Facebook = rfr('app/adapters/social_media/Facebook');
+var Service = rfr('app/services/Service');
+var Storage = rfr('app/models/Storage');
+var ServerConfig = rfr('config/ServerConfig');
 
 lab.experiment('Authenticator Tests', function () {
   var facebookServer = TestUtils.mockFacebookServer(); 
@@ -98,4 +103,181 @@ lab.experiment('Authenticator Tests', function () {
       });
     });
   });
+
+  lab.test('Refuse cookie of revoked session', function (done) {
+    facebookServer.start(function (err) {
+      Code.expect(err).to.not.be.null();
+
+      Facebook.FACEBOOK_API_URL = 'http://localhost:8888';
+
+      Router.inject({method: 'POST', url: '/api/users/login',
+                     payload: {appId: '123456789',
+                               accessToken: 'xyz'}}, function (res) {
+        Code.expect(res.statusCode).to.equal(200);
+
+        Facebook.FACEBOOK_API_URL = 'https://graph.facebook.com';
+        facebookServer.stop(function () {});
+
+        var headers = {
+          'Cookie': res.headers['set-cookie'][0].split(';')[0]
+        };
+        Router.inject({method: 'DELETE', url: '/api/users/me/sessions',
+                       headers: headers}, function (res2) {
+          Code.expect(res2.statusCode).to.equal(200);
+          Code.expect(res2.result.revoked).to.be.at.least(1);
+
+          Router.inject({url: '/api/users/me', headers: headers},
+                        function (res3) {
+                          Code.expect(res3.statusCode).to.equal(401);
+                          done();
+                        });
+        });
+      });
+    });
+  });
+});
+
+lab.experiment('User token tests', function () {
+  var userToken = ServerConfig.userToken;
+  var user;
+
+  lab.beforeEach(function (done) {
+    ServerConfig.userToken = JSON.parse(JSON.stringify(userToken));
+    user = {userId: 'a5d1f2c4-3b6e-4f7a-8c9d-0e1f2a3b4c5d',
+            password: 'generated', accessToken: 'xyz'};
+    done();
+  });
+
+  lab.afterEach(function (done) {
+    ServerConfig.userToken = userToken;
+    done();
+  });
+
+  var generateToken = function (user) {
+    return Authenticator.generateUserToken(Object.assign({}, user)).password;
+  };
+
+  lab.test('Token valid', function (done) {
+    var token = generateToken(user);
+    Code.expect(token.split('.')[0]).to.equal('v2');
+    Code.expect(token).to.not.contain(user.password);
+    Code.expect(Authenticator.verifyUserToken(user, token)).to.be.true();
+    done();
+  });
+
+  lab.test('Token invalid for other user', function (done) {
+    var token = generateToken(user);
+    var otherUser = Object.assign({}, user, {userId: 'other'});
+    Code.expect(Authenticator.verifyUserToken(otherUser, token)).to.be.false();
+    done();
+  });
+
+  lab.test('Token invalid after password change', function (done) {
+    var token = generateToken(user);
+    user.password = 'changed';
+    Code.expect(Authenticator.verifyUserToken(user, token)).to.be.false();
+    done();
+  });
+
+  lab.test('Admin token does not hold the password', function (done) {
+    var admin = {userId: 'admin', password: '$2a$10$hashedpassword'};
+    var token = Authenticator.generateAdminToken(admin);
+    Code.expect(admin.password).to.equal('$2a$10$hashedpassword');
+    Code.expect(token).to.not.contain(admin.password);
+    Code.expect(Authenticator.verifyUserToken(admin, token)).to.be.true();
+
+    admin.password = '$2a$10$otherpassword';
+    Code.expect(Authenticator.verifyUserToken(admin, token)).to.be.false();
+    done();
+  });
+
+  lab.test('Tampered token invalid', function (done) {
+    var parts = generateToken(user).split('.');
+    parts[4] = parts[4].slice(1) + 'A';
+    Code.expect(Authenticator.verifyUserToken(user, parts.join('.')))
+      .to.be.false();
+    done();
+  });
+
+  lab.test('Token valid after key rotation', function (done) {
+    var token = generateToken(user);
+
+    ServerConfig.userToken.keys['2'] = 'new_user_token_key';
+    ServerConfig.userToken.keyId = '2';
+    var newToken = generateToken(user);
+    Code.expect(newToken.split('.')[1]).to.equal('2');
+    Code.expect(Authenticator.verifyUserToken(user, token)).to.be.true();
+    Code.expect(Authenticator.verifyUserToken(user, newToken)).to.be.true();
+
+    delete ServerConfig.userToken.keys['1'];
+    Code.expect(Authenticator.verifyUserToken(user, token)).to.be.false();
+    Code.expect(Authenticator.verifyUserToken(user, newToken)).to.be.true();
+    done();
+  });
+
+  lab.test('Legacy token valid only in grace period', function (done) {
+    var cipher = crypto.createCipher('aes-256-ctr', ServerConfig.tokenPassword);
+    var token = cipher.update(util.format('%s;%s;%s', user.password,
+                                          user.userId, user.accessToken),
+                              'utf8', 'base64');
+    token += cipher.final('base64');
+
+    ServerConfig.userToken.legacyTokensUntil =
+      new Date(Date.now() + 60000).toISOString();
+    Code.expect(Authenticator.verifyUserToken(user, token)).to.be.true();
+
+    ServerConfig.userToken.legacyTokensUntil =
+      new Date(Date.now() - 60000).toISOString();
+    Code.expect(Authenticator.verifyUserToken(user, token)).to.be.false();
+    done();
+  });
+});
+
+lab.experiment('Access token update tests', function () {
+  var bob = {
+    username: 'Bob',
+    password: 'generated',
+    accessToken: 'xyzabc',
+    platformType: 'facebook',
+    platformId: '1238943948'
+  };
+  var user;
+
+  lab.beforeEach({timeout: 10000}, function (done) {
+    TestUtils.resetDatabase(function () {
+      Service.createNewUser(bob).then(function (result) {
+        user = result;
+        return Service.linkIdentity(user.userId, {platformType: 'oidc',
+                                                  platformId: 'a1b2c3d4',
+                                                  accessToken: 'xyz'});
+      }).then(() => done());
+    });
+  });
+
+  lab.test('Token of the primary platform is kept on user', function (done) {
+    Authenticator.updateUser(user, 'facebook', {id: bob.platformId},
+                             {accessToken: 'new'})
+    .then(function (result) {
+      Code.expect(result.accessToken).to.equal('new');
+      return Storage.getIdentitiesForUser(user.userId);
+    }).then(function (identities) {
+      Code.expect(identities[0].accessToken).to.equal('xyz');
+      done();
+    });
+  });
+
+  lab.test('Token of a linked identity is kept on it', function (done) {
+    Authenticator.updateUser(user, 'oidc', {id: 'a1b2c3d4'},
+                             {accessToken: 'new'})
+    .then(function (result) {
+      Code.expect(result.userId).to.equal(user.userId);
+      return Service.getUserById(user.userId);
+    }).then(function (result) {
+      Code.expect(result.accessToken).to.equal(bob.accessToken);
+      return Storage.getIdentitiesForUser(user.userId);
+    }).then(function (identities) {
+      Code.expect(identities[0].accessToken).to.equal('new');
+      done();
+    });
+  });
 });
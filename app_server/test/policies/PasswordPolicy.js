@@ -0,0 +1,58 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var bcrypt = require('bcryptjs');
+
+var PasswordPolicy = rfr('app/policies/PasswordPolicy');
+var CustomError = rfr('app/util/Error');
+var ServerConfig = rfr('config/ServerConfig');
+
+lab.experiment('PasswordPolicy Tests', function () {
+  lab.test('Valid password', function (done) {
+    Code.expect(PasswordPolicy.validate('Correct-horse1', 'jane')).to.be.null();
+    done();
+  });
+
+  lab.test('Invalid passwords', function (done) {
+    var invalid = PasswordPolicy.validate('short', 'jane');
+    Code.expect(invalid).to.be.an.instanceof(CustomError.InvalidFieldError);
+    Code.expect(invalid.extra).to.equal('password');
+    Code.expect(invalid.message).to.contain('characters long');
+    Code.expect(invalid.message).to.contain('uppercase');
+    Code.expect(invalid.message).to.contain('digit');
+
+    invalid = PasswordPolicy.validate('MY-PASSWORD-1', 'jane');
+    Code.expect(invalid.message).to.contain('lowercase');
+
+    invalid = PasswordPolicy.validate('Jane-password1', 'jane');
+    Code.expect(invalid.message).to.contain('username');
+
+    invalid = PasswordPolicy.validate(undefined, 'jane');
+    Code.expect(invalid).to.be.an.instanceof(CustomError.InvalidFieldError);
+    done();
+  });
+
+  lab.test('Password expiry', function (done) {
+    var maxAge = ServerConfig.adminPassword.maxAge * 1000;
+
+    Code.expect(PasswordPolicy.isExpired({
+      passwordChangedAt: new Date()
+    })).to.be.false();
+    Code.expect(PasswordPolicy.isExpired({
+      passwordChangedAt: new Date(Date.now() - maxAge)
+    })).to.be.true();
+    Code.expect(PasswordPolicy.isExpired({
+      passwordChangedAt: null,
+      createdAt: new Date(Date.now() - maxAge)
+    })).to.be.true();
+    done();
+  });
+
+  lab.test('Hash password', function (done) {
+    var hash = PasswordPolicy.hash('Correct-horse1');
+    Code.expect(hash).to.not.equal('Correct-horse1');
+    Code.expect(bcrypt.compareSync('Correct-horse1', hash)).to.be.true();
+    done();
+  });
+});
@@ -0,0 +1,100 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Router = rfr('app/Router');
+var SessionStore = rfr('app/policies/SessionStore');
+
+var request = {headers: {'user-agent': 'lab'},
+               info: {remoteAddress: '127.0.0.1'}};
+
+lab.experiment('SessionStore Tests', function () {
+  var store;
+  var account;
+  var segments = 0;
+
+  lab.beforeEach(function (done) {
+    // each test has its own segment, so that it has no sessions of others
+    segments++;
+    store = new SessionStore(Router.cache({segment: 'testSessions' + segments,
+                                           expiresIn: 60000}));
+    account = {userId: 'alice', username: 'alice', scope: 'user'};
+    done();
+  });
+
+  lab.test('Create and list sessions', function (done) {
+    store.create(account, request).then(function (session) {
+      Code.expect(account.sessionId).to.have.length(SessionStore.ID_LENGTH);
+      Code.expect(session.sessionId).to.equal(account.sessionId);
+      return store.create(Object.assign({}, account), request);
+    }).then(function () {
+      return store.list('alice');
+    }).then(function (sessions) {
+      Code.expect(sessions).to.have.length(2);
+      Code.expect(sessions[0].userAgent).to.equal('lab');
+      Code.expect(sessions[0].ip).to.equal('127.0.0.1');
+      Code.expect(sessions[0].createdAt).to.be.an.instanceof(Date);
+      return store.list('bob');
+    }).then(function (sessions) {
+      Code.expect(sessions).to.be.empty();
+      done();
+    }).catch(done);
+  });
+
+  lab.test('Revoked sessions are refused', function (done) {
+    store.create(account, request).then(function () {
+      return store.track(account, request);
+    }).then(function (isTracked) {
+      Code.expect(isTracked).to.be.true();
+      return store.revoke('bob', account.sessionId);
+    }).then(function (isRevoked) {
+      Code.expect(isRevoked).to.be.false();
+      return store.revoke('alice', account.sessionId);
+    }).then(function (isRevoked) {
+      Code.expect(isRevoked).to.be.true();
+      return store.track(account, request);
+    }).then(function (isTracked) {
+      Code.expect(isTracked).to.be.false();
+      return store.list('alice');
+    }).then(function (sessions) {
+      Code.expect(sessions).to.be.empty();
+      done();
+    }).catch(done);
+  });
+
+  lab.test('Sessions lost by the cache are refused', function (done) {
+    account.sessionId = 'lost';
+    store.track(account, request).then(function (isTracked) {
+      Code.expect(isTracked).to.be.false();
+      return store.list('alice');
+    }).then(function (sessions) {
+      Code.expect(sessions).to.be.empty();
+      done();
+    }).catch(done);
+  });
+
+  lab.test('Cookies without session are refused', function (done) {
+    store.track(account, request).then(function (isTracked) {
+      Code.expect(isTracked).to.be.false();
+      return store.list('alice');
+    }).then(function (sessions) {
+      Code.expect(sessions).to.be.empty();
+      done();
+    }).catch(done);
+  });
+
+  lab.test('Revoke all sessions', function (done) {
+    store.create(account, request).then(function () {
+      return store.create(Object.assign({}, account), request);
+    }).then(function () {
+      return store.revokeAll('alice');
+    }).then(function (revoked) {
+      Code.expect(revoked).to.equal(2);
+      return store.track(account, request);
+    }).then(function (isTracked) {
+      Code.expect(isTracked).to.be.false();
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,176 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var TestUtils = rfr('test/TestUtils');
+var Service = rfr('app/services/Service');
+var PasswordPolicy = rfr('app/policies/PasswordPolicy');
+var MailAdapter = rfr('app/adapters/MailAdapter');
+var CustomError = rfr('app/util/Error');
+var ServerConfig = rfr('config/ServerConfig');
+
+var password = 'Original-pass1';
+
+var admin = {
+  username: 'Jane',
+  password: PasswordPolicy.hash(password),
+  email: 'jane@example.com',
+  permissions: JSON.stringify(['admin'])
+};
+
+var getResetToken = function(mail) {
+  return mail.text.match(/reset\/([A-Za-z0-9]+)/)[1];
+};
+
+lab.experiment('AdminService lockout tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Lock after too many failed logins', function(done) {
+    var maxFailedLogins = ServerConfig.adminPassword.maxFailedLogins;
+
+    var fail = function(result) {
+      return Service.recordFailedAdminLogin(result);
+    };
+
+    var failures = Service.createNewAdmin(admin);
+    for (var i = 0; i < maxFailedLogins - 1; i++) {
+      failures = failures.then(fail);
+    }
+
+    failures.then(function(result) {
+      Code.expect(result.failedLogins).to.equal(maxFailedLogins - 1);
+      Code.expect(Service.isAdminLocked(result)).to.be.false();
+      return fail(result);
+    }).then(function(result) {
+      Code.expect(Service.isAdminLocked(result)).to.be.true();
+      return Service.unlockAdmin(result.userId);
+    }).then(function(result) {
+      Code.expect(result.failedLogins).to.equal(0);
+      Code.expect(Service.isAdminLocked(result)).to.be.false();
+      done();
+    });
+  });
+
+  lab.test('Lock ends after the lockout duration', function(done) {
+    var duration = ServerConfig.adminPassword.lockoutDuration * 1000;
+
+    Code.expect(Service.isAdminLocked({
+      lockedAt: new Date(Date.now() - duration - 1000)
+    })).to.be.false();
+    Code.expect(Service.isAdminLocked({
+      lockedAt: new Date(Date.now() - duration + 1000)
+    })).to.be.true();
+    done();
+  });
+
+  lab.test('Successful login clears failed logins', function(done) {
+    Service.createNewAdmin(admin)
+    .then((result) => Service.recordFailedAdminLogin(result))
+    .then(function(result) {
+      Code.expect(result.failedLogins).to.equal(1);
+      return Service.recordSuccessfulAdminLogin(result);
+    }).then(function(result) {
+      Code.expect(result.failedLogins).to.equal(0);
+      done();
+    });
+  });
+});
+
+lab.experiment('AdminService password tests', function() {
+  var transport;
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    transport = MailAdapter.useTransport(MailAdapter.TRANSPORTS.MEMORY);
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.after(function(done) {
+    MailAdapter.useTransport(ServerConfig.mail.transport);
+    done();
+  });
+
+  lab.test('Change password against the policy', function(done) {
+    Service.createNewAdmin(admin)
+    .then((result) => Service.changeAdminPassword(result, 'short'))
+    .then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.InvalidFieldError);
+      done();
+    });
+  });
+
+  lab.test('Change password', function(done) {
+    var lockedAdmin = Object.assign({lockedAt: new Date()}, admin);
+
+    Service.createNewAdmin(lockedAdmin)
+    .then((result) => Service.changeAdminPassword(result, 'Changed-pass2'))
+    .then(function(result) {
+      Code.expect(result.password).to.not.equal(admin.password);
+      Code.expect(result.lockedAt).to.be.null();
+      Code.expect(PasswordPolicy.isExpired(result)).to.be.false();
+      done();
+    });
+  });
+
+  lab.test('Reset password', function(done) {
+    Service.createNewAdmin(admin)
+    .then(() => Service.requestAdminPasswordReset(admin.username))
+    .then(function(result) {
+      Code.expect(result).to.be.true();
+      Code.expect(transport.sent).to.have.length(1);
+      Code.expect(transport.sent[0].to).to.equal(admin.email);
+
+      var token = getResetToken(transport.sent[0]);
+      return Service.resetAdminPassword(token, 'Changed-pass2')
+      .then(function(result) {
+        Code.expect(result.username).to.equal(admin.username);
+        Code.expect(result.passwordResetHash).to.be.null();
+
+        // tokens can only be used once
+        return Service.resetAdminPassword(token, 'Changed-pass3');
+      });
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+
+  lab.test('Reset password with expired token', function(done) {
+    Service.createNewAdmin(admin)
+    .then(() => Service.requestAdminPasswordReset(admin.username))
+    .then(() => Service.getAdminByUsername(admin.username))
+    .then(function(result) {
+      return Service.updateAdmin(result.userId, {
+        passwordResetExpiresAt: new Date(Date.now() - 1000)
+      });
+    }).then(function() {
+      var token = getResetToken(transport.sent[0]);
+      return Service.resetAdminPassword(token, 'Changed-pass2');
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+
+  lab.test('Reset password of unknown admin', function(done) {
+    Service.requestAdminPasswordReset('unknown').then(function(result) {
+      Code.expect(result).to.be.false();
+      Code.expect(transport.sent).to.have.length(0);
+      done();
+    });
+  });
+
+  lab.test('Reset password of user', function(done) {
+    var user = Object.assign({}, admin, {permissions: null});
+
+    Service.createNewUser(user)
+    .then(() => Service.requestAdminPasswordReset(user.username))
+    .then(function(result) {
+      Code.expect(result).to.be.false();
+      Code.expect(transport.sent).to.have.length(0);
+      done();
+    });
+  });
+});
@@ -0,0 +1,154 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var Promise = require('bluebird');
+
+var Storage = rfr('app/models/Storage');
+var Service = rfr('app/services/Service');
+var CustomError = rfr('app/util/Error');
+var TestUtils = rfr('test/TestUtils');
+
+var start = Date.UTC(2016, 2, 1);
+var at = (minutes) => new Date(start + minutes * 60000);
+
+var createUser = function(name) {
+  return Service.createNewUser({
+    username: name,
+    alias: name,
+    password: 'generated',
+    accessToken: 'token' + name,
+    platformType: 'facebook',
+    platformId: 'id' + name
+  });
+};
+
+lab.experiment('AnalyticsService Tests', function() {
+  var alice;
+  var bob;
+  var carol;
+  var dave;
+  var stream;
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(function() {
+      Promise.join(createUser('Alice'), createUser('Bob'), createUser('Carol'),
+                   createUser('Dave'))
+      .spread(function(a, b, c, d) {
+        alice = a;
+        bob = b;
+        carol = c;
+        dave = d;
+
+        return Storage.createStream(alice.userId, {
+          title: 'analytics',
+          appInstance: '123-456',
+          live: false,
+          createdAt: at(0),
+          endedAt: at(180)
+        });
+      }).then(function(result) {
+        stream = result;
+        var View = Storage.models.View;
+        var Comment = Storage.models.Comment;
+        var Subscription = Storage.models.Subscription;
+        var ids = {streamId: stream.streamId};
+
+        return Promise.all([
+          View.create(Object.assign({userId: bob.userId, createdAt: at(10),
+                                     endedAt: at(90), duration: 3600}, ids)),
+          View.create(Object.assign({userId: carol.userId, createdAt: at(20),
+                                     endedAt: at(50), duration: 1800}, ids)),
+          View.create(Object.assign({userId: dave.userId,
+                                     createdAt: at(120)}, ids)),
+          Comment.create(Object.assign({userId: bob.userId, content: 'hi',
+                                        alias: 'Bob', createdAt: at(30)}, ids)),
+          Comment.create(Object.assign({userId: carol.userId, content: 'yo',
+                                        alias: 'Carol', createdAt: at(40)},
+                                       ids)),
+          Comment.create(Object.assign({userId: dave.userId, content: 'late',
+                                        alias: 'Dave', createdAt: at(135)},
+                                       ids)),
+          Subscription.create({subscriber: bob.userId,
+                               subscribeTo: alice.userId,
+                               createdAt: at(-60 * 24)}),
+          Subscription.create({subscriber: carol.userId,
+                               subscribeTo: alice.userId,
+                               createdAt: at(70)})
+        ]);
+      }).then(() => done());
+    });
+  });
+
+  lab.test('Hourly analytics', function(done) {
+    Service.getStreamerAnalytics(alice.userId, {
+      from: start, to: at(180).getTime(), interval: 'hour'
+    }).then(function(result) {
+      Code.expect(result.buckets).to.deep.equal(
+        [start, at(60).getTime(), at(120).getTime()]);
+      Code.expect(result.streams).to.deep.equal([{
+        streamId: stream.streamId,
+        title: 'analytics',
+        views: [2, 0, 1]
+      }]);
+      Code.expect(result.uniqueViewers).to.deep.equal([2, 1, 1]);
+      Code.expect(result.peakConcurrentViewers).to.deep.equal([2, 1, 1]);
+
+      // Bob left for 20 minutes, and the last view has not ended so it is
+      // not averaged yet
+      Code.expect(result.averageWatchTime).to.deep.equal([1800, 3600, null]);
+      Code.expect(result.commentsPerMinute).to.deep.equal([0.03, 0, 0.02]);
+      Code.expect(result.newSubscribers).to.deep.equal([0, 1, 0]);
+      Code.expect(result.subscribers).to.deep.equal([1, 2, 2]);
+      done();
+    });
+  });
+
+  lab.test('Daily analytics', function(done) {
+    Service.getStreamerAnalytics(alice.userId, {
+      from: start - 86400000, to: start + 86400000, interval: 'day'
+    }).then(function(result) {
+      Code.expect(result.buckets).to.have.length(2);
+      Code.expect(result.streams[0].views).to.deep.equal([0, 3]);
+      Code.expect(result.uniqueViewers).to.deep.equal([0, 3]);
+      Code.expect(result.peakConcurrentViewers).to.deep.equal([0, 2]);
+      Code.expect(result.averageWatchTime).to.deep.equal([null, 2700]);
+      Code.expect(result.subscribers).to.deep.equal([1, 2]);
+      done();
+    });
+  });
+
+  lab.test('Analytics of user without streams', function(done) {
+    Service.getStreamerAnalytics(bob.userId, {
+      from: start, to: at(120).getTime(), interval: 'hour'
+    }).then(function(result) {
+      Code.expect(result.streams).to.have.length(0);
+      Code.expect(result.uniqueViewers).to.deep.equal([0, 0]);
+      Code.expect(result.averageWatchTime).to.deep.equal([null, null]);
+      done();
+    });
+  });
+
+  lab.test('Analytics from the start of unix time', function(done) {
+    Service.getStreamerAnalytics(bob.userId, {
+      from: 0, to: 2 * 3600000, interval: 'hour'
+    }).then(function(result) {
+      Code.expect(result.buckets).to.deep.equal([0, 3600000]);
+      done();
+    });
+  });
+
+  lab.test('Invalid range', function(done) {
+    Service.getStreamerAnalytics(alice.userId, {
+      from: start, to: start, interval: 'hour'
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.InvalidFieldError);
+      return Service.getStreamerAnalytics(alice.userId, {
+        from: start, to: start + 365 * 86400000, interval: 'hour'
+      });
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.InvalidFieldError);
+      done();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var TestUtils = rfr('test/TestUtils');
+var Service = rfr('app/services/Service');
+var CustomError = rfr('app/util/Error');
+
+var admin = {
+  username: 'Jane',
+  password: 'generated',
+  permissions: JSON.stringify(['admin', 'users'])
+};
+
+var moderator = {
+  name: 'moderator',
+  description: 'Moderates streams',
+  permissions: ['streams', 'users']
+};
+
+var analyst = {
+  name: 'analyst',
+  permissions: ['metrics']
+};
+
+lab.experiment('RoleService Tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Create role', function(done) {
+    Service.createRole(moderator).then(function(role) {
+      Code.expect(role.roleId).to.exist();
+      Code.expect(role.name).to.equal(moderator.name);
+      Code.expect(role.permissions).to.deep.equal(moderator.permissions);
+      return Service.createRole(moderator);
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(
+        CustomError.DuplicateEntryError);
+      done();
+    });
+  });
+
+  lab.test('Update role', function(done) {
+    Service.createRole(moderator).then(function(role) {
+      return Service.updateRole(role.roleId, {permissions: ['streams']});
+    }).then(function(role) {
+      Code.expect(role.name).to.equal(moderator.name);
+      Code.expect(role.permissions).to.deep.equal(['streams']);
+      Code.expect(role.admins).to.have.length(0);
+      return Service.updateRole('3388ffff-aa00-1111-a222-00000044888c',
+                                {name: 'x'});
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotFoundError);
+      done();
+    });
+  });
+
+  lab.test('Delete role', function(done) {
+    var userId;
+    var roleId;
+
+    Service.createNewAdmin(admin).then(function(result) {
+      userId = result.userId;
+      return Service.createRole(moderator);
+    }).then(function(role) {
+      roleId = role.roleId;
+      return Service.setRolesOfAdmin(userId, [roleId]);
+    }).then(function() {
+      return Service.deleteRole(roleId);
+    }).then(function(role) {
+      Code.expect(role.admins[0].userId).to.equal(userId);
+      return Service.getRolesOfAdmin(userId);
+    }).then(function(roles) {
+      Code.expect(roles).to.have.length(0);
+      return Service.getRoleById(roleId);
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotFoundError);
+      done();
+    });
+  });
+
+  lab.test('Set roles of admin', function(done) {
+    var user;
+    var roleIds = [];
+
+    Service.createNewAdmin(admin).then(function(result) {
+      user = result;
+      return Service.createRole(moderator);
+    }).then(function(role) {
+      roleIds.push(role.roleId);
+      return Service.createRole(analyst);
+    }).then(function(role) {
+      roleIds.push(role.roleId);
+      return Service.setRolesOfAdmin(user.userId, roleIds);
+    }).then(function(roles) {
+      Code.expect(roles.map((role) => role.name))
+        .to.deep.equal(['analyst', 'moderator']);
+      return Service.getAdminScopes(user);
+    }).then(function(scopes) {
+      Code.expect(scopes.sort())
+        .to.deep.equal(['admin', 'metrics', 'streams', 'users']);
+      return Service.setRolesOfAdmin(user.userId, [roleIds[1]]);
+    }).then(function(roles) {
+      Code.expect(roles).to.have.length(1);
+      return Service.getAdminScopes(user);
+    }).then(function(scopes) {
+      Code.expect(scopes.sort()).to.deep.equal(['admin', 'metrics', 'users']);
+      done();
+    });
+  });
+
+  lab.test('Set unknown roles of admin', function(done) {
+    Service.createNewAdmin(admin).then(function(result) {
+      return Service.setRolesOfAdmin(result.userId,
+                                     ['3388ffff-aa00-1111-a222-00000044888c']);
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.InvalidFieldError);
+      done();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var Promise = require('bluebird');
+
+var Storage = rfr('app/models/Storage');
+var Service = rfr('app/services/Service');
+var CustomError = rfr('app/util/Error');
+var TestUtils = rfr('test/TestUtils');
+
+var bob = {
+  username: 'Bob',
+  alias: 'Bob the Builder',
+  email: 'bob@bubblegum.com',
+  password: 'generated',
+  accessToken: 'xyzabc',
+  platformType: 'facebook',
+  platformId: '1238943948',
+  description: 'gives guitar lessons'
+};
+
+var admin = {
+  username: 'Guitar Admin',
+  password: 'generated',
+  permissions: 'admin'
+};
+
+var guitarStream = {
+  title: 'guitar lesson',
+  description: 'learn to play the guitar',
+  appInstance: '123-123-123-123',
+  createdAt: new Date('2016-01-01')
+};
+
+var pianoStream = {
+  title: 'piano lesson',
+  description: 'no guitars here',
+  appInstance: '7777-777-777',
+  createdAt: new Date('2016-02-02')
+};
+
+var allTypes = {
+  types: ['stream', 'user', 'comment'],
+  includeDeleted: false,
+  limit: 10,
+  offset: 0
+};
+
+lab.experiment('SearchService Tests', function() {
+  var streams;
+
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(function() {
+      Service.createNewUser(bob).then(function(user) {
+        return Promise.all([
+          Storage.createStream(user.userId, guitarStream),
+          Storage.createStream(user.userId, pianoStream),
+          Storage.createUser(admin)
+        ]).then(function(res) {
+          streams = res;
+          return Storage.createComment(user.userId, res[1].streamId,
+                                       {content: 'nice guitar', alias: 'bob'});
+        });
+      }).then(() => done());
+    });
+  });
+
+  lab.test('Search all types ranked', function(done) {
+    Service.search('guitar lesson', allTypes).then(function(res) {
+      Code.expect(res.next).to.be.null();
+      Code.expect(res.results.map((result) => result.type)).to.deep.equal(
+        ['stream', 'stream', 'user', 'comment']);
+      Code.expect(res.results[0].stream.title).to.equal(guitarStream.title);
+      Code.expect(res.results[0].rank).to.equal(5);
+      Code.expect(res.results[0].stream.viewLink).to.exist();
+      Code.expect(res.results[1].stream.title).to.equal(pianoStream.title);
+      Code.expect(res.results[2].user.alias).to.equal(bob.alias);
+      Code.expect(res.results[2].user.password).to.be.undefined();
+      Code.expect(res.results[3].comment.content).to.equal('nice guitar');
+      Code.expect(res.results[3].comment.stream.title)
+        .to.equal(pianoStream.title);
+      done();
+    });
+  });
+
+  lab.test('Search single type paged', function(done) {
+    var options = {types: ['stream'], limit: 1, offset: 0};
+
+    Service.search('guitar', options).then(function(res) {
+      Code.expect(res.results).to.have.length(1);
+      Code.expect(res.results[0].stream.title).to.equal(guitarStream.title);
+      Code.expect(res.next).to.equal(1);
+
+      options.offset = res.next;
+      return Service.search('guitar', options);
+    }).then(function(res) {
+      Code.expect(res.results).to.have.length(1);
+      Code.expect(res.results[0].stream.title).to.equal(pianoStream.title);
+      Code.expect(res.next).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Search all types paged', function(done) {
+    var options = Object.assign({}, allTypes, {limit: 1, offset: 1});
+
+    Service.search('lesson', options).then(function(res) {
+      Code.expect(res.results).to.have.length(1);
+      Code.expect(res.results[0].stream.title).to.equal(guitarStream.title);
+      Code.expect(res.next).to.equal(2);
+
+      options.offset = res.next;
+      return Service.search('lesson', options);
+    }).then(function(res) {
+      Code.expect(res.results).to.have.length(1);
+      Code.expect(res.results[0].user.alias).to.equal(bob.alias);
+      Code.expect(res.next).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Search deleted streams', function(done) {
+    var options = {types: ['stream'], limit: 10, offset: 0};
+
+    Storage.deleteStream(streams[0].streamId).then(function() {
+      return Service.search('lesson', options);
+    }).then(function(res) {
+      Code.expect(res.results).to.have.length(1);
+
+      options.includeDeleted = true;
+      return Service.search('lesson', options);
+    }).then(function(res) {
+      Code.expect(res.results).to.have.length(2);
+      done();
+    });
+  });
+
+  lab.test('Search invalid query of wildcards only', function(done) {
+    Service.search('% _', allTypes).then(function(res) {
+      Code.expect(res).to.be.an.instanceof(CustomError.InvalidFieldError);
+      done();
+    });
+  });
+});
@@ -4,6 +4,7 @@ var lab = exports.lab = Lab.script();
 var Code = require('code');
 var expect = Code.expect;
 var Promise = require('bluebird');
+var Hapi = require('hapi');
 
 var Storage = rfr('app/models/Storage');
 var Service = rfr('app/services/Service');
@@ -468,6 +469,62 @@ lab.experiment('StreamService Tests', function() {
     });
   });
 
+  lab.test('End stream keeps recording', {timeout: 5000}, function(done) {
+    var streamId;
+
+    Service.createNewUser(bob).then(function(user) {
+      return Service.createNewStream(user.userId, testStream);
+    }).then(function(stream) {
+      streamId = stream.streamId;
+      return Service.endStream(stream.owner, streamId);
+    }).then(function() {
+      return Storage.getStreamById(streamId);
+    }).then(function(stream) {
+      Code.expect(stream.live).to.be.false();
+      Code.expect(stream.endedAt).to.be.a.date();
+      Code.expect(stream.recordingPath)
+        .to.equal(testStream.appInstance + '/' + streamId + '.mp4');
+      Code.expect(stream.recordingDuration).to.be.at.least(0);
+      done();
+    });
+  });
+
+  lab.test('Get recording fills in size', {timeout: 5000}, function(done) {
+    var mockedMediaServer = new Hapi.Server();
+    mockedMediaServer.connection({port: 8086});
+    mockedMediaServer.route({
+      method: 'POST', path: '/control',
+      handler: function(request, reply) {
+        reply({status: 'OK', size: 2048, path: request.payload.appInstance +
+                                               '/' + request.payload.stream +
+                                               '.mp4'});
+      }
+    });
+
+    var streamId;
+    var startServer = Promise.promisify(mockedMediaServer.start,
+                                        {context: mockedMediaServer});
+
+    Service.createNewUser(bob).then(function(user) {
+      return Service.createNewStream(user.userId, testStream);
+    }).then(function(stream) {
+      streamId = stream.streamId;
+      return Service.endStream(stream.owner, streamId);
+    }).then(function() {
+      return startServer();
+    }).then(function() {
+      return Service.getStreamRecording(streamId);
+    }).then(function(recording) {
+      Code.expect(recording.size).to.equal(2048);
+      Code.expect(recording.path)
+        .to.equal(testStream.appInstance + '/' + streamId + '.mp4');
+      return Storage.getStreamById(streamId);
+    }).then(function(stream) {
+      Code.expect(Number(stream.recordingSize)).to.equal(2048);
+      mockedMediaServer.stop(() => done());
+    });
+  });
+
   lab.test('End stream and view count updated', {timeout: 5000},
     function(done) {
 
@@ -637,6 +694,40 @@ lab.experiment('StreamService Tests for Comments', function () {
       });
   });
 
+  lab.test('Get comments for replay of ended stream', function(done) {
+    var startedStream = Object.assign({}, testStream,
+                                      {createdAt: new Date(1457431890000)});
+    var userPromise = Service.createNewUser(alice);
+    var streamPromise = userPromise
+      .then((user) => Service.createNewStream(user.userId, startedStream));
+
+    Promise.join(userPromise, streamPromise,
+      function(user, stream) {
+        Service.createComment(user.userId, stream.streamId, comment1)
+          .then(() => Service.createComment(user.userId, stream.streamId,
+                                            comment2))
+          .then(() => Service.createComment(user.userId, stream.streamId,
+                                            comment3))
+          .then(() => Storage.updateStream(stream.streamId, {
+            live: false,
+            endedAt: new Date(1457431920000)
+          }))
+          .then(() => Service.getCommentsForStreamReplay(stream.streamId,
+                                                         {from: 10,
+                                                          duration: 20}))
+          .then((res) => {
+            expect(res.comments.map((comment) => comment.content))
+              .to.deep.equal([comment2.content, comment3.content]);
+            expect(res.comments.map((comment) => comment.offset))
+              .to.deep.equal([15, 25]);
+            expect(res.from).to.equal(10);
+            expect(res.to).to.equal(30);
+            expect(res.next).to.be.null();
+            done();
+          });
+      });
+  });
+
   lab.test('Get list of comments non-existing stream', function(done) {
     var userPromise = Service.createNewUser(alice);
     var streamPromise = userPromise
@@ -0,0 +1,141 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var expect = Code.expect;
+
+var Service = rfr('app/services/Service');
+var CustomError = rfr('app/util/Error');
+var TestUtils = rfr('test/TestUtils');
+var ServerConfig = rfr('config/ServerConfig');
+
+var bob = {
+  username: 'Bob',
+  alias: 'Bob the Builder',
+  email: 'bob@bubblegum.com',
+  password: 'generated',
+  accessToken: 'xyzabc',
+  platformType: 'facebook',
+  platformId: '1238943948',
+  description: 'bam bam bam'
+};
+
+lab.experiment('TokenService Tests', function () {
+  var account;
+
+  lab.beforeEach({timeout: 10000}, function (done) {
+    TestUtils.resetDatabase(function () {
+      Service.createNewUser(bob).then(function (user) {
+        account = {userId: user.userId, username: user.username,
+                   scope: 'user'};
+        done();
+      });
+    });
+  });
+
+  lab.test('Issue and verify tokens valid', function (done) {
+    Service.issueTokens(account).then(function (tokens) {
+      expect(tokens.tokenType).to.equal('Bearer');
+      expect(tokens.expiresIn)
+        .to.equal(ServerConfig.bearerToken.accessTokenLifetime);
+      return Service.verifyAccessToken(tokens.accessToken);
+    }).then(function (credentials) {
+      expect(credentials.userId).to.equal(account.userId);
+      expect(credentials.username).to.equal(account.username);
+      expect(credentials.scope).to.equal('user');
+      done();
+    });
+  });
+
+  lab.test('Verify tampered access token invalid', function (done) {
+    Service.issueTokens(account).then(function (tokens) {
+      var parts = tokens.accessToken.split('.');
+      var claims = JSON.parse(new Buffer(parts[1], 'base64').toString());
+      claims.scope = ['admin'];
+      parts[1] = new Buffer(JSON.stringify(claims)).toString('base64');
+      return Service.verifyAccessToken(parts.join('.'));
+    }).then(function (result) {
+      expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+
+  lab.test('Verify malformed access token invalid', function (done) {
+    Service.verifyAccessToken({}).then(function (result) {
+      expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      expect(result.message).to.equal('Token is invalid');
+      done();
+    });
+  });
+
+  lab.test('Verify expired access token invalid', function (done) {
+    var lifetime = ServerConfig.bearerToken.accessTokenLifetime;
+    ServerConfig.bearerToken.accessTokenLifetime = -1;
+
+    Service.issueTokens(account).then(function (tokens) {
+      ServerConfig.bearerToken.accessTokenLifetime = lifetime;
+      return Service.verifyAccessToken(tokens.accessToken);
+    }).then(function (result) {
+      expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      expect(result.message).to.equal('Token has expired');
+      done();
+    });
+  });
+
+  lab.test('Refresh tokens valid', function (done) {
+    Service.issueTokens(account).then(function (tokens) {
+      return Service.refreshTokens(tokens.refreshToken).then((newTokens) => {
+        expect(newTokens.refreshToken).to.not.equal(tokens.refreshToken);
+        return Service.verifyAccessToken(newTokens.accessToken);
+      }).then(function (credentials) {
+        expect(credentials.userId).to.equal(account.userId);
+        expect(credentials.scope).to.equal('user');
+
+        // The old tokens are replaced
+        return Service.refreshTokens(tokens.refreshToken);
+      }).then(function (result) {
+        expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+        return Service.verifyAccessToken(tokens.accessToken);
+      }).then(function (result) {
+        expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+        done();
+      });
+    });
+  });
+
+  lab.test('Refresh tokens invalid refresh token', function (done) {
+    Service.issueTokens(account).then(function (tokens) {
+      var tokenId = tokens.refreshToken.split('.')[0];
+      return Service.refreshTokens(tokenId + '.notthesecret');
+    }).then(function (result) {
+      expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+
+  lab.test('Revoke token valid', function (done) {
+    Service.issueTokens(account).then(function (tokens) {
+      return Service.revokeToken(tokens.refreshToken).then(function (res) {
+        expect(res).to.be.true();
+        return Service.verifyAccessToken(tokens.accessToken);
+      });
+    }).then(function (result) {
+      expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      expect(result.message).to.equal('Token has been revoked');
+      done();
+    });
+  });
+
+  lab.test('Revoke tokens of user valid', function (done) {
+    Promise.all([Service.issueTokens(account), Service.issueTokens(account)])
+    .then(function (tokens) {
+      return Service.revokeTokensOfUser(account.userId).then(function (res) {
+        expect(res).to.equal(2);
+        return Service.verifyAccessToken(tokens[1].accessToken);
+      });
+    }).then(function (result) {
+      expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+});
@@ -0,0 +1,208 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var TestUtils = rfr('test/TestUtils');
+var Service = rfr('app/services/Service');
+var Totp = rfr('app/util/Totp');
+var CustomError = rfr('app/util/Error');
+
+var admin = {
+  username: 'Jane',
+  password: 'generated',
+  email: 'jane@example.com',
+  permissions: JSON.stringify(['admin'])
+};
+
+var codeAt = (secret, offset) =>
+  Totp.generateCode(secret, Totp.getStep(Date.now()) + (offset || 0));
+
+var enroll = function() {
+  var userId;
+  var secret;
+
+  return Service.createNewAdmin(admin).then(function(result) {
+    userId = result.userId;
+    return Service.startTwoFactorEnrollment(userId);
+  }).then(function(enrollment) {
+    secret = enrollment.secret;
+    return Service.confirmTwoFactorEnrollment(userId, codeAt(secret));
+  }).then(function(result) {
+    return {
+      userId: userId,
+      secret: secret,
+      recoveryCodes: result.recoveryCodes
+    };
+  });
+};
+
+lab.experiment('TwoFactorService Tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Start enrollment', function(done) {
+    Service.createNewAdmin(admin)
+    .then((result) => Service.startTwoFactorEnrollment(result.userId))
+    .then(function(enrollment) {
+      Code.expect(enrollment.secret).to.match(/^[A-Z2-7]+$/);
+      Code.expect(enrollment.qrData).to.contain('otpauth://totp/');
+      Code.expect(enrollment.qrData).to.contain(enrollment.secret);
+      return Service.getAdminByUsername(admin.username);
+    }).then(function(result) {
+      Code.expect(result.twoFactorEnabled).to.be.false();
+      return Service.isTwoFactorRequired(result);
+    }).then(function(required) {
+      Code.expect(required).to.be.false();
+      done();
+    });
+  });
+
+  lab.test('Start enrollment of user', function(done) {
+    Service.createNewUser(Object.assign({}, admin, {permissions: null}))
+    .then((result) => Service.startTwoFactorEnrollment(result.userId))
+    .then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotFoundError);
+      done();
+    });
+  });
+
+  lab.test('Confirm enrollment with invalid code', function(done) {
+    var userId;
+
+    Service.createNewAdmin(admin).then(function(result) {
+      userId = result.userId;
+      return Service.startTwoFactorEnrollment(userId);
+    }).then(function(enrollment) {
+      return Service.confirmTwoFactorEnrollment(userId, codeAt(
+        enrollment.secret, 5));
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+
+  lab.test('Confirm enrollment', function(done) {
+    enroll().then(function(enrolled) {
+      Code.expect(enrolled.recoveryCodes).to.have.length(10);
+      Code.expect(enrolled.recoveryCodes[0])
+        .to.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      return Service.getAdminByUsername(admin.username);
+    }).then(function(result) {
+      Code.expect(result.twoFactorEnabled).to.be.true();
+      return Service.isTwoFactorRequired(result);
+    }).then(function(required) {
+      Code.expect(required).to.be.true();
+      done();
+    });
+  });
+
+  lab.test('Verify code', function(done) {
+    var enrolled;
+
+    enroll().then(function(result) {
+      enrolled = result;
+
+      // the code used to enroll cannot be used again
+      return Service.verifyTwoFactor(enrolled.userId,
+                                     {code: codeAt(enrolled.secret)});
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      return Service.verifyTwoFactor(enrolled.userId,
+                                     {code: codeAt(enrolled.secret, 1)});
+    }).then(function(result) {
+      Code.expect(result).to.be.true();
+      done();
+    });
+  });
+
+  lab.test('Verify recovery code', function(done) {
+    var enrolled;
+
+    enroll().then(function(result) {
+      enrolled = result;
+      var recoveryCode = enrolled.recoveryCodes[0].toUpperCase();
+      return Service.verifyTwoFactor(enrolled.userId,
+                                     {recoveryCode: recoveryCode});
+    }).then(function(result) {
+      Code.expect(result).to.be.true();
+      return Service.verifyTwoFactor(enrolled.userId,
+                                     {recoveryCode: enrolled.recoveryCodes[0]});
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+
+  lab.test('Regenerate recovery codes', function(done) {
+    var enrolled;
+
+    enroll().then(function(result) {
+      enrolled = result;
+      var code = codeAt(enrolled.secret, 1);
+      return Service.regenerateRecoveryCodes(enrolled.userId, {code: code});
+    }).then(function(result) {
+      Code.expect(result.recoveryCodes).to.have.length(10);
+      return Service.verifyTwoFactor(enrolled.userId,
+                                     {recoveryCode: enrolled.recoveryCodes[0]});
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.NotAuthorisedError);
+      done();
+    });
+  });
+
+  lab.test('Disable', function(done) {
+    var enrolled;
+
+    enroll().then(function(result) {
+      enrolled = result;
+      return Service.disableTwoFactor(enrolled.userId,
+                                      {code: codeAt(enrolled.secret, 1)});
+    }).then(function(result) {
+      Code.expect(result).to.be.true();
+      return Service.getAdminByUsername(admin.username);
+    }).then(function(result) {
+      Code.expect(result.twoFactorEnabled).to.be.false();
+      Code.expect(result.twoFactorSecret).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Disable when mandatory', function(done) {
+    var enrolled;
+
+    enroll().then(function(result) {
+      enrolled = result;
+      return Service.setTwoFactorMandatory(true);
+    }).then(function() {
+      return Service.disableTwoFactor(enrolled.userId,
+                                      {code: codeAt(enrolled.secret, 1)});
+    }).then(function(result) {
+      Code.expect(result).to.be.an.instanceof(CustomError.InvalidFieldError);
+
+      // admins can still reset the 2FA of an admin who lost the device
+      return Service.resetTwoFactor(enrolled.userId);
+    }).then(function(result) {
+      Code.expect(result).to.be.true();
+      done();
+    });
+  });
+
+  lab.test('Mandatory setting', function(done) {
+    Service.isTwoFactorMandatory().then(function(mandatory) {
+      Code.expect(mandatory).to.be.false();
+      return Service.setTwoFactorMandatory(true);
+    }).then(function() {
+      return Service.createNewAdmin(admin);
+    }).then(function(result) {
+      return Service.isTwoFactorRequired(result);
+    }).then(function(required) {
+      Code.expect(required).to.be.true();
+      return Service.setTwoFactorMandatory(false);
+    }).then(function(mandatory) {
+      Code.expect(mandatory).to.be.false();
+      done();
+    });
+  });
+});
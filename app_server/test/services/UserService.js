@@ -265,6 +265,56 @@ lab.experiment('UserService Tests for View', function () {
       });
   });
 
+  lab.test('End view and watch again', function(done) {
+    var view;
+
+    Service.createNewUser(bob)
+    .then((user) => Service.createNewStream(user.userId, stream))
+    .then((stream) => Service.createView(stream.owner, stream.streamId))
+    .then(function(result) {
+      view = result;
+      var minuteAgo = new Date(Date.now() - 60000);
+      return Storage.models.View.update({resumedAt: minuteAgo},
+                                        {where: {viewId: view.viewId}});
+    }).then(() => Service.endView(view.userId, view.streamId))
+    .then(function(result) {
+      Code.expect(result.endedAt).to.be.a.date();
+      Code.expect(result.duration).to.be.about(60, 1);
+      return Service.getListOfUsersViewingStream(view.streamId);
+    }).then(function(result) {
+      Code.expect(result).to.have.length(0);
+      return Service.createView(view.userId, view.streamId);
+    }).then(function(result) {
+      Code.expect(result.viewId).to.equal(view.viewId);
+      Code.expect(result.endedAt).to.be.null();
+      return Service.getWatchDurationOfStream(view.streamId);
+    }).then(function(result) {
+      Code.expect(result.totalDuration).to.be.about(60, 1);
+      Code.expect(result.views).to.have.length(1);
+      Code.expect(result.views[0].userId).to.equal(view.userId);
+      Code.expect(result.views[0].watching).to.be.true();
+      return Service.getWatchDurationOfUser(view.userId);
+    }).then(function(result) {
+      Code.expect(result.views).to.have.length(1);
+      Code.expect(result.views[0].streamId).to.equal(view.streamId);
+      Code.expect(result.averageDuration).to.be.about(60, 1);
+      done();
+    });
+  });
+
+  lab.test('End view invalid not watching', function(done) {
+    Service.createNewUser(bob)
+    .then((user) => Service.createNewStream(user.userId, stream))
+    .then((stream) => Service.endView(stream.owner, stream.streamId))
+    .then(function(res) {
+      Code.expect(res).to.be.an.instanceof(CustomError.NotFoundError);
+      return Service.getWatchDurationOfStream(TestUtils.invalidId);
+    }).then(function(res) {
+      Code.expect(res).to.be.an.instanceof(CustomError.NotFoundError);
+      done();
+    });
+  });
+
   lab.test('Update Stream invalid fields', function(done) {
     var updates = {
       randomField: 'new title'
@@ -600,3 +650,102 @@ lab.experiment('UserService Tests for Subscriptions', function () {
   });
 
 });
+
+lab.experiment('UserService identity tests', function () {
+  var oidcIdentity = {
+    platformType: 'oidc',
+    platformId: 'a1b2c3d4',
+    accessToken: 'xyz'
+  };
+
+  lab.beforeEach({timeout: 10000}, function (done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Link identity valid', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.linkIdentity(user.userId, oidcIdentity);
+    }).then(function(identities) {
+      expect(identities).to.have.length(2);
+      expect(identities[0].primary).to.be.true();
+      expect(identities[0].platformId).to.equal(bob.platformId);
+      expect(identities[1].primary).to.be.false();
+      expect(identities[1].platformType).to.equal('oidc');
+      expect(identities[1].identityId).to.exist();
+      done();
+    });
+  });
+
+  lab.test('Linked identity resolves to user', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.linkIdentity(user.userId, oidcIdentity)
+        .then(() => Service.getUserByPlatform('oidc', 'a1b2c3d4'))
+        .then(function(result) {
+          expect(result.userId).to.equal(user.userId);
+          done();
+        });
+    });
+  });
+
+  lab.test('Link identity invalid belongs to another user', function(done) {
+    Promise.join(Service.createNewUser(bob), Service.createNewUser(alice),
+      function(bob, alice) {
+        return Service.linkIdentity(bob.userId, {
+          platformType: alice.platformType,
+          platformId: alice.platformId
+        });
+      }).then(function(result) {
+        expect(result).to.be.an.instanceof(CustomError.InvalidFieldError);
+        done();
+      });
+  });
+
+  lab.test('Update identity valid', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.linkIdentity(user.userId, oidcIdentity)
+        .then(() => Service.updateIdentity(user.userId, 'oidc', 'a1b2c3d4',
+                                           {accessToken: 'abc'}))
+        .then(function(result) {
+          expect(result).to.be.true();
+          return Storage.getIdentitiesForUser(user.userId);
+        }).then(function(identities) {
+          expect(identities[0].accessToken).to.equal('abc');
+          done();
+        });
+    });
+  });
+
+  lab.test('Update identity invalid not linked', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.updateIdentity(user.userId, 'oidc', 'a1b2c3d4',
+                                    {accessToken: 'abc'});
+    }).then(function(result) {
+      expect(result).to.be.false();
+      done();
+    });
+  });
+
+  lab.test('Unlink identity valid', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.linkIdentity(user.userId, oidcIdentity)
+        .then((identities) => Service.unlinkIdentity(user.userId,
+                                                     identities[1].identityId))
+        .then(function(identities) {
+          expect(identities).to.have.length(1);
+          return Service.getUserByPlatform('oidc', 'a1b2c3d4');
+        }).then(function(result) {
+          expect(result).to.be.null();
+          done();
+        });
+    });
+  });
+
+  lab.test('Unlink identity invalid not linked', function(done) {
+    Service.createNewUser(bob).then(function(user) {
+      return Service.unlinkIdentity(user.userId, TestUtils.invalidId);
+    }).then(function(result) {
+      expect(result).to.be.an.instanceof(CustomError.NotFoundError);
+      done();
+    });
+  });
+});
@@ -0,0 +1,149 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var os = require('os');
+var path = require('path');
+
+var CacheStore = rfr('app/util/CacheStore');
+var TestUtils = rfr('test/TestUtils');
+
+var key = {segment: 'sessions', id: 'alice'};
+var account = {userId: 'alice', scope: 'user'};
+
+// Promisified get, set and drop of a catbox engine
+function promisify(store) {
+  return {
+    start: () => Promise.fromCallback((cb) => store.start(cb)),
+    get: (key) => Promise.fromCallback((cb) => store.get(key, cb)),
+    set: (key, value, ttl) => {
+      return Promise.fromCallback((cb) => store.set(key, value, ttl, cb));
+    },
+    drop: (key) => Promise.fromCallback((cb) => store.drop(key, cb))
+  };
+}
+
+// Checks that the store keeps, expires and drops items
+function testStore(store, done) {
+  var engine = promisify(store);
+
+  engine.start().then(function() {
+    Code.expect(store.isReady()).to.be.true();
+    return engine.get(key);
+  }).then(function(cached) {
+    Code.expect(cached).to.be.null();
+    return engine.set(key, account, 60000);
+  }).then(function() {
+    return engine.get(key);
+  }).then(function(cached) {
+    Code.expect(cached.item).to.deep.equal(account);
+    Code.expect(cached.ttl).to.be.most(60000);
+    Code.expect(cached.stored).to.be.most(Date.now());
+    return engine.drop(key);
+  }).then(function() {
+    return engine.get(key);
+  }).then(function(cached) {
+    Code.expect(cached).to.be.null();
+    return engine.set(key, account, 1);
+  }).delay(10).then(function() {
+    return engine.get(key);
+  }).then(function(cached) {
+    Code.expect(cached).to.be.null();
+    done();
+  }).catch(done);
+}
+
+lab.experiment('CacheStore Tests', function() {
+  lab.test('Creates store of type', function(done) {
+    var options = CacheStore.create({type: 'file', directory: os.tmpdir()});
+    Code.expect(options.engine).to.be.an.instanceof(CacheStore.FileStore);
+
+    options = CacheStore.create({type: 'sql'});
+    Code.expect(options.engine).to.be.an.instanceof(CacheStore.SqlStore);
+
+    options = CacheStore.create({type: 'memory'});
+    Code.expect(options.engine.get).to.be.a.function();
+    done();
+  });
+
+  lab.test('Invalid segment names', function(done) {
+    var store = new CacheStore.SqlStore();
+    Code.expect(store.validateSegmentName('')).to.be.an.instanceof(Error);
+    Code.expect(store.validateSegmentName('a\u0000b'))
+      .to.be.an.instanceof(Error);
+    Code.expect(store.validateSegmentName('sessions')).to.be.null();
+    done();
+  });
+});
+
+lab.experiment('CacheStore#FileStore Tests', function() {
+  var directory;
+
+  lab.beforeEach(function(done) {
+    directory = path.join(os.tmpdir(), 'worldscope-cache-' + Date.now());
+    done();
+  });
+
+  lab.test('Keeps items in files', function(done) {
+    testStore(new CacheStore.FileStore({directory: directory}), done);
+  });
+
+  lab.test('Items are kept across restarts', function(done) {
+    var engine = promisify(new CacheStore.FileStore({directory: directory}));
+
+    engine.start().then(function() {
+      return engine.set(key, account, 60000);
+    }).then(function() {
+      return fs.readdirAsync(path.join(directory, 'sessions'));
+    }).then(function(files) {
+      Code.expect(files).to.deep.equal(['alice.json']);
+
+      engine = promisify(new CacheStore.FileStore({directory: directory}));
+      return engine.start();
+    }).then(function() {
+      return engine.get(key);
+    }).then(function(cached) {
+      Code.expect(cached.item).to.deep.equal(account);
+      done();
+    }).catch(done);
+  });
+});
+
+lab.experiment('CacheStore#SqlStore Tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Keeps items in database', function(done) {
+    testStore(new CacheStore.SqlStore(), done);
+  });
+});
+
+lab.experiment('CacheStore#RedisStore Tests', function() {
+  // Keeps the values and expiry of the commands used by the store
+  var createClient = function() {
+    var values = {};
+    return {
+      get: (key, cb) => {
+        var value = values[key];
+        setImmediate(cb, null,
+                     value && value.expiresAt > Date.now() ? value.data : null);
+      },
+      set: (key, data, px, ttl, cb) => {
+        values[key] = {data: data, expiresAt: Date.now() + ttl};
+        setImmediate(cb, null, 'OK');
+      },
+      del: (key, cb) => {
+        delete values[key];
+        setImmediate(cb, null, 1);
+      },
+      quit: () => true
+    };
+  };
+
+  lab.test('Keeps items in client', function(done) {
+    testStore(new CacheStore.RedisStore(createClient()), done);
+  });
+});
@@ -0,0 +1,133 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var expect = Code.expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var ConfigLoader = rfr('app/util/ConfigLoader');
+
+var secrets = {
+  COOKIE_PASSWORD: 'cookie secret',
+  TOKEN_PASSWORD: 'token secret',
+  USER_TOKEN_KEYS: '{"1": "user token secret"}',
+  BEARER_TOKEN_PASSWORD: 'bearer secret',
+  MEDIA_SERVER_PASSWORD: 'media server secret',
+  TWITTER_APP_SECRET: 'twitter secret'
+};
+
+lab.experiment('ConfigLoader Tests', function() {
+  var file;
+
+  lab.beforeEach(function(done) {
+    file = path.join(os.tmpdir(), 'worldscope-config-' + Date.now() +
+                     '.json');
+    done();
+  });
+
+  lab.afterEach(function(done) {
+    fs.unlink(file, () => done());
+  });
+
+  lab.test('Defaults are valid', function(done) {
+    var config = ConfigLoader.load({});
+    expect(config.server.port).to.equal(3000);
+    expect(config.database.dialect).to.equal('mysql');
+    expect(config.socialMedia.facebook.appId).to.exist();
+    done();
+  });
+
+  lab.test('Config file overrides defaults', function(done) {
+    fs.writeFileSync(file, JSON.stringify({
+      server: {port: 4000, logStore: {type: 'file'}},
+      database: {name: 'from_file'}
+    }));
+
+    var config = ConfigLoader.load({CONFIG_FILE: file});
+    expect(config.server.port).to.equal(4000);
+    expect(config.server.logStore.type).to.equal('file');
+    expect(config.server.logStore.maxEntries).to.equal(500);
+    expect(config.database.name).to.equal('from_file');
+    done();
+  });
+
+  lab.test('Environment variables override config file', function(done) {
+    fs.writeFileSync(file, JSON.stringify({server: {port: 4000}}));
+
+    var config = ConfigLoader.load({
+      CONFIG_FILE: file,
+      PORT: '5000',
+      REDIS_HOST: 'redis.local',
+      USER_TOKEN_KEYS: '{"2": "new key"}',
+      DB_DIALECT: 'postgres'
+    });
+    expect(config.server.port).to.equal(5000);
+    expect(config.server.sessionCache.redis.host).to.equal('redis.local');
+    expect(config.server.cluster.redis.host).to.equal('redis.local');
+    expect(config.server.userToken.keys).to.deep.equal({'2': 'new key'});
+    expect(config.database.dialect).to.equal('postgres');
+    done();
+  });
+
+  lab.test('Test database unless a dialect is set', function(done) {
+    expect(ConfigLoader.load({NODE_ENV: 'test'}).database)
+      .to.include({dialect: 'sqlite', storage: ':memory:'});
+    expect(ConfigLoader.load({NODE_ENV: 'test', DB_DIALECT: 'mysql'})
+           .database.dialect).to.equal('mysql');
+    done();
+  });
+
+  lab.test('Invalid configuration', function(done) {
+    expect(() => ConfigLoader.load({PORT: 'abc'})).to.throw(Error, /port/);
+    expect(() => ConfigLoader.load({DB_DIALECT: 'oracle'}))
+      .to.throw(Error, /dialect/);
+
+    fs.writeFileSync(file, JSON.stringify({server: {prot: 4000}}));
+    expect(() => ConfigLoader.load({CONFIG_FILE: file}))
+      .to.throw(Error, /prot/);
+    done();
+  });
+
+  lab.test('Invalid config file', function(done) {
+    fs.writeFileSync(file, '{server: ');
+    expect(() => ConfigLoader.load({CONFIG_FILE: file}))
+      .to.throw(Error, /Unable to read config file/);
+    expect(() => ConfigLoader.load({CONFIG_FILE: file + '.missing'}))
+      .to.throw(Error, /Unable to read config file/);
+    done();
+  });
+
+  lab.test('Refuse default secrets in production', function(done) {
+    var env = Object.assign({NODE_ENV: 'production'}, secrets);
+    delete env.TOKEN_PASSWORD;
+    env.USER_TOKEN_KEYS = '{"1": "dummy_user_token_key", "2": "new key"}';
+
+    expect(() => ConfigLoader.load(env)).to.throw(Error,
+      'Secrets must be set in production: server.tokenPassword, ' +
+      'server.userToken.keys');
+
+    env.TOKEN_PASSWORD = 'token secret';
+    env.USER_TOKEN_KEYS = secrets.USER_TOKEN_KEYS;
+    var config = ConfigLoader.load(env);
+    expect(ConfigLoader.getDefaultSecrets(config)).to.be.empty();
+    done();
+  });
+
+  lab.test('Public settings have no secrets', function(done) {
+    var config = ConfigLoader.load(secrets);
+    var settings = ConfigLoader.getPublicSettings(config);
+
+    expect(settings.server.port).to.equal(3000);
+    expect(settings.server.mediaServer.username).to.exist();
+    expect(settings.server.cookiePassword).to.not.exist();
+    expect(settings.server.userToken.keys).to.not.exist();
+    expect(settings.server.mediaServer.password).to.not.exist();
+    expect(settings.database.password).to.not.exist();
+    expect(settings.socialMedia.twitter.appSecret).to.not.exist();
+    expect(JSON.stringify(settings)).to.not.include('secret');
+    expect(config.server.cookiePassword).to.equal('cookie secret');
+    done();
+  });
+});
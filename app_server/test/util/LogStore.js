@@ -0,0 +1,225 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var os = require('os');
+var path = require('path');
+
+var LogStore = rfr('app/util/LogStore');
+var TestUtils = rfr('test/TestUtils');
+
+var entries = [
+  {level: 'info', label: 'Router.js', message: 'started',
+   timestamp: new Date('2016-01-01T00:00:00Z')},
+  {level: 'error', label: 'Storage.js', message: 'failed',
+   timestamp: new Date('2016-01-01T00:01:00Z')},
+  {level: 'info', label: 'Storage.js', message: 'synchronised',
+   timestamp: new Date('2016-01-01T00:02:00Z')}
+];
+
+var responses = [
+  {event: 'response', method: 'get', path: '/api/streams', status: 200,
+   timestamp: new Date('2016-01-01T00:00:00Z').getTime()},
+  {event: 'response', method: 'get', path: '/api/users/me', status: 401,
+   timestamp: new Date('2016-01-01T00:01:00Z').getTime()},
+  {event: 'response', method: 'get', path: '/api/streams/123', status: 404,
+   timestamp: new Date('2016-01-01T00:02:00Z').getTime()}
+];
+
+var memoryConfig = {type: 'memory', maxEntries: 10};
+var sqlConfig = {type: 'sql', flushInterval: 1000};
+
+function addAll(store, items) {
+  items.forEach((item) => store.add(item));
+}
+
+lab.experiment('LogStore#RingBuffer Tests', function() {
+  lab.test('Keeps the most recent items', function(done) {
+    var buffer = new LogStore.RingBuffer(3);
+    [1, 2, 3, 4, 5].forEach((item) => buffer.push(item));
+
+    Code.expect(buffer.toArray()).to.deep.equal([3, 4, 5]);
+    done();
+  });
+
+  lab.test('Not full', function(done) {
+    var buffer = new LogStore.RingBuffer(3);
+    buffer.push(1);
+
+    Code.expect(buffer.toArray()).to.deep.equal([1]);
+    done();
+  });
+});
+
+lab.experiment('LogStore#MemoryStore Tests', function() {
+  lab.test('Query most recent first', function(done) {
+    var store = LogStore.create(LogStore.LOGS.SERVER,
+                                 {type: 'memory', maxEntries: 2});
+    addAll(store, entries);
+
+    store.query({}, {}).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([entries[2], entries[1]]);
+      Code.expect(result.next).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Query filtered and paged', function(done) {
+    var store = LogStore.create(LogStore.LOGS.SERVER, memoryConfig);
+    addAll(store, entries);
+
+    store.query({label: 'Storage.js'}, {limit: 1}).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([entries[2]]);
+      Code.expect(result.next).to.equal(1);
+
+      return store.query({label: 'Storage.js'}, {limit: 1, offset: 1});
+    }).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([entries[1]]);
+      Code.expect(result.next).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Query by time range', function(done) {
+    var store = LogStore.create(LogStore.LOGS.SERVER, memoryConfig);
+    addAll(store, entries);
+
+    var filters = {
+      after: entries[0].timestamp.getTime(),
+      before: entries[2].timestamp.getTime()
+    };
+
+    store.query(filters, {}).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([entries[1]]);
+      done();
+    });
+  });
+
+  lab.test('Query by path prefix and status', function(done) {
+    var store = LogStore.create(LogStore.LOGS.RESPONSE, memoryConfig);
+    addAll(store, responses);
+
+    store.query({path: '/api/streams'}, {}).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([responses[2], responses[0]]);
+
+      return store.query({path: '/api/streams', status: 404}, {});
+    }).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([responses[2]]);
+      done();
+    });
+  });
+});
+
+lab.experiment('LogStore#FileStore Tests', function() {
+  var directory;
+  var config;
+
+  lab.beforeEach(function(done) {
+    directory = path.join(os.tmpdir(), 'worldscope-logs-' + Date.now());
+    config = {
+      type: 'file',
+      directory: directory,
+      maxFileSize: 1024 * 1024,
+      maxFiles: 2
+    };
+    done();
+  });
+
+  lab.test('Query entries written to file', function(done) {
+    var store = LogStore.create(LogStore.LOGS.RESPONSE, config);
+    addAll(store, responses);
+
+    store.query({status: 401}, {}).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([responses[1]]);
+      return fs.readFileAsync(path.join(directory, 'response.log'), 'utf8');
+    }).then(function(content) {
+      Code.expect(content.split('\n')).to.have.length(4);
+      done();
+    });
+  });
+
+  lab.test('Rotates files and drops the oldest', function(done) {
+    config.maxFileSize = 1;
+    var store = LogStore.create(LogStore.LOGS.RESPONSE, config);
+    addAll(store, responses);
+
+    store.query({}, {}).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([responses[2]]);
+      return fs.readdirAsync(directory);
+    }).then(function(files) {
+      Code.expect(files.sort()).to.deep.equal(['response.1.log']);
+      done();
+    });
+  });
+
+  lab.test('Query skips malformed lines', function(done) {
+    var store = LogStore.create(LogStore.LOGS.RESPONSE, config);
+    var file = path.join(directory, 'response.log');
+    store.add(responses[0]);
+
+    store.writing.then(function() {
+      return fs.appendFileAsync(file, '{"path": "/api/hal\n');
+    }).then(function() {
+      store.add(responses[1]);
+      return store.query({}, {});
+    }).then(function(result) {
+      Code.expect(result.logs).to.deep.equal([responses[1], responses[0]]);
+      done();
+    });
+  });
+
+  lab.test('Logs write errors until a write succeeds', function(done) {
+    var store = LogStore.create(LogStore.LOGS.RESPONSE, config);
+    var file = path.join(directory, 'response.log');
+
+    store.writing.then(() => fs.mkdirAsync(file)).then(function() {
+      store.add(responses[0]);
+      return store.writing;
+    }).then(function() {
+      Code.expect(store.failing).to.be.true();
+      return fs.rmdirAsync(file);
+    }).then(function() {
+      store.add(responses[1]);
+      return store.writing;
+    }).then(function() {
+      Code.expect(store.failing).to.be.false();
+      done();
+    });
+  });
+});
+
+lab.experiment('LogStore#SqlStore Tests', function() {
+  lab.beforeEach({timeout: 10000}, function(done) {
+    TestUtils.resetDatabase(done);
+  });
+
+  lab.test('Query entries written to database', function(done) {
+    var store = LogStore.create(LogStore.LOGS.SERVER, sqlConfig);
+    addAll(store, entries);
+
+    store.query({level: 'info'}, {limit: 1}).then(function(result) {
+      Code.expect(result.logs).to.have.length(1);
+      Code.expect(result.logs[0].message).to.equal(entries[2].message);
+      Code.expect(result.next).to.equal(1);
+
+      return store.query({level: 'info'}, {limit: 1, offset: 1});
+    }).then(function(result) {
+      Code.expect(result.logs[0].message).to.equal(entries[0].message);
+      Code.expect(result.next).to.be.null();
+      done();
+    });
+  });
+
+  lab.test('Query response entries by path prefix', function(done) {
+    var store = LogStore.create(LogStore.LOGS.RESPONSE, sqlConfig);
+    addAll(store, responses);
+
+    store.query({path: '/api/streams'}, {}).then(function(result) {
+      Code.expect(result.logs.map((log) => log.status))
+        .to.deep.equal([404, 200]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,47 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var TimeSeries = rfr('app/util/TimeSeries');
+
+var HOUR = TimeSeries.INTERVALS.hour;
+var start = Date.UTC(2016, 2, 1);
+
+lab.experiment('TimeSeries Tests', function() {
+  lab.test('Buckets are aligned to the interval', function(done) {
+    var buckets = TimeSeries.getBuckets(start + 30 * 60000, start + 3 * HOUR,
+                                        'hour');
+    Code.expect(buckets).to.deep.equal([start, start + HOUR,
+                                        start + 2 * HOUR]);
+
+    var days = TimeSeries.getBuckets(start + HOUR, start + 49 * HOUR, 'day');
+    Code.expect(days).to.have.length(3);
+    Code.expect(days[0]).to.equal(start);
+    done();
+  });
+
+  lab.test('Count events in buckets', function(done) {
+    var buckets = TimeSeries.getBuckets(start, start + 2 * HOUR, 'hour');
+    var counts = TimeSeries.count(buckets, HOUR, [
+      start - 1, start, start + HOUR - 1, start + HOUR, start + 2 * HOUR
+    ]);
+
+    Code.expect(counts).to.deep.equal([2, 1]);
+    Code.expect(TimeSeries.getBucketIndex([], HOUR, start)).to.equal(-1);
+    done();
+  });
+
+  lab.test('Peak overlap of intervals', function(done) {
+    var buckets = TimeSeries.getBuckets(start, start + 3 * HOUR, 'hour');
+    var peaks = TimeSeries.peakOverlap(buckets, HOUR, [
+      {start: start - HOUR, end: start + 10},
+      {start: start + 10, end: start + 20},
+      {start: start + 15, end: start + HOUR + 5},
+      {start: start + 2 * HOUR + 5, end: start + 4 * HOUR}
+    ]);
+
+    Code.expect(peaks).to.deep.equal([2, 1, 1]);
+    done();
+  });
+});
@@ -0,0 +1,52 @@
+var rfr = require('rfr');
+var Lab = require('lab');
+var lab = exports.lab = Lab.script();
+var Code = require('code');
+
+var Totp = rfr('app/util/Totp');
+
+// base32 of the ASCII secret "12345678901234567890" from RFC 6238
+var rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+lab.experiment('Totp Tests', function() {
+  lab.test('Codes match RFC 6238', function(done) {
+    var codeAt = (seconds) =>
+      Totp.generateCode(rfcSecret, Totp.getStep(seconds * 1000), {digits: 8});
+
+    Code.expect(codeAt(59)).to.equal('94287082');
+    Code.expect(codeAt(1111111109)).to.equal('07081804');
+    Code.expect(codeAt(1234567890)).to.equal('89005924');
+    Code.expect(codeAt(20000000000)).to.equal('65353130');
+    done();
+  });
+
+  lab.test('Generate secret', function(done) {
+    var secret = Totp.generateSecret();
+    Code.expect(secret).to.match(/^[A-Z2-7]{32}$/);
+    Code.expect(Totp.generateSecret()).to.not.equal(secret);
+    done();
+  });
+
+  lab.test('Verify codes around the time', function(done) {
+    var secret = Totp.generateSecret();
+    var now = Date.now();
+    var step = Totp.getStep(now);
+
+    Code.expect(Totp.verify(secret, Totp.generateCode(secret, step), now))
+      .to.equal(step);
+    Code.expect(Totp.verify(secret, Totp.generateCode(secret, step - 1), now))
+      .to.equal(step - 1);
+    Code.expect(Totp.verify(secret, Totp.generateCode(secret, step + 2), now))
+      .to.equal(-1);
+    Code.expect(Totp.verify(secret, 'abcdef', now)).to.equal(-1);
+    Code.expect(Totp.verify(secret, undefined, now)).to.equal(-1);
+    done();
+  });
+
+  lab.test('Provisioning URI', function(done) {
+    var uri = Totp.getProvisioningUri('WorldScope', 'jane', rfcSecret);
+    Code.expect(uri).to.equal('otpauth://totp/WorldScope%3Ajane?secret=' +
+      rfcSecret + '&issuer=WorldScope&algorithm=SHA1&digits=6&period=30');
+    done();
+  });
+});
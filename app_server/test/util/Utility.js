@@ -36,3 +36,40 @@ lab.experiment('Utility#randomValueBase64 tests', function () {
     done();
   });
 });
+
+lab.experiment('Utility#encodeBase64Url tests', function () {
+  lab.test('Should return a string that is safe in urls', function (done) {
+    var encoded = Utility.encodeBase64Url(new Buffer([251, 255, 191]));
+    Code.expect(encoded).to.equal('-_-_');
+    done();
+  });
+
+  lab.test('Should be decoded by decodeBase64Url', function (done) {
+    var encoded = Utility.encodeBase64Url('a token?');
+    Code.expect(encoded).to.not.include('=');
+    Code.expect(Utility.decodeBase64Url(encoded).toString())
+        .to.equal('a token?');
+    done();
+  });
+});
+
+lab.experiment('Utility#isEqual tests', function () {
+  lab.test('Should return true for equal strings', function (done) {
+    Code.expect(Utility.isEqual('abc123', 'abc123')).to.be.true();
+    done();
+  });
+
+  lab.test('Should return false for different strings', function (done) {
+    Code.expect(Utility.isEqual('abc123', 'abc124')).to.be.false();
+    Code.expect(Utility.isEqual('abc123', 'abc12')).to.be.false();
+    done();
+  });
+});
+
+lab.experiment('Utility#hash tests', function () {
+  lab.test('Should return the SHA-256 hash in hex', function (done) {
+    Code.expect(Utility.hash('abc')).to.equal(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    done();
+  });
+});
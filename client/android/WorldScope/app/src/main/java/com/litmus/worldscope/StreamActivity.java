@@ -184,6 +184,7 @@ public class StreamActivity extends AppCompatActivity implements StreamVideoFrag
         // Show titlebar
         titleFragment.loadStreamDetails(IS_STREAMER, stream.getStreamer().getIsSubscribed(), stream.getStreamer().getPlatformId(),
                 stream.getStreamer().getAlias(), stream.getTitle());
+        titleFragment.setRoom(stream.getAppInstance());
 
     }
 
@@ -80,6 +80,7 @@ public class ViewActivity extends AppCompatActivity implements
         // Show titlebar
         titleFragment.loadStreamDetails(isCreator(), viewStream.getStreamer().getIsSubscribed(), viewStream.getStreamer().getPlatformId(),
                 viewStream.getStreamer().getAlias(), viewStream.getTitle());
+        titleFragment.setRoom(viewStream.getAppInstance());
 
         titleFragment.showTitleUI();
 
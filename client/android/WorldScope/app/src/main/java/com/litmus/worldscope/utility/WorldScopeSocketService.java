@@ -27,6 +27,7 @@ public class WorldScopeSocketService {
     private static ArrayList<OnCommentEventListener> commentEventListeners = new ArrayList<>();
     private static ArrayList<OnLeaveEventListener> leaveEventListeners = new ArrayList<>();
     private static ArrayList<OnStickerEventListener> stickerEventListeners = new ArrayList<>();
+    private static ArrayList<OnViewersEventListener> viewersEventListeners = new ArrayList<>();
 
     // Event names
     private static String EVENT_IDENTIFY = "identify";
@@ -34,6 +35,7 @@ public class WorldScopeSocketService {
     private static String EVENT_COMMENT = "comment";
     private static String EVENT_LEAVE = "leave";
     private static String EVENT_STICKER = "sticker";
+    private static String EVENT_VIEWERS = "viewers";
 
 
     // Connect to Socket.IO in App Server
@@ -61,6 +63,7 @@ public class WorldScopeSocketService {
         socket.on(EVENT_COMMENT, onCommentEvent);
         socket.on(EVENT_LEAVE, onLeaveEvent);
         socket.on(EVENT_STICKER, onStickerEvent);
+        socket.on(EVENT_VIEWERS, onViewersEvent);
     }
 
     private static void stopListening() {
@@ -69,6 +72,7 @@ public class WorldScopeSocketService {
         socket.off(EVENT_COMMENT, onCommentEvent);
         socket.off(EVENT_LEAVE, onLeaveEvent);
         socket.off(EVENT_STICKER, onStickerEvent);
+        socket.off(EVENT_VIEWERS, onViewersEvent);
     }
 
     // Emits an identify event, payload should be the current cookie
@@ -146,6 +150,12 @@ public class WorldScopeSocketService {
             return true;
         }
 
+        if(listener instanceof OnViewersEventListener) {
+            Log.d(TAG, "Viewers listener added");
+            viewersEventListeners.add((OnViewersEventListener)listener);
+            return true;
+        }
+
 
         return false;
     }
@@ -178,6 +188,11 @@ public class WorldScopeSocketService {
             Log.d(TAG, "Removing Leave listener");
             stickerEventListeners.remove(listener);
         }
+
+        if(listener instanceof OnViewersEventListener) {
+            Log.d(TAG, "Removing Viewers listener");
+            viewersEventListeners.remove(listener);
+        }
     }
 
     public interface OnIdentifyEventListener {
@@ -200,6 +215,10 @@ public class WorldScopeSocketService {
         void onStickerEventEmitted();
     }
 
+    public interface OnViewersEventListener {
+        void onViewersEventEmitted(String data);
+    }
+
     // Generate an instance of the Emitter.Listener for identify
     private static Emitter.Listener onIdentifyEvent = new Emitter.Listener() {
         @Override
@@ -264,4 +283,16 @@ public class WorldScopeSocketService {
             }
         }
     };
+
+    // Generate an instance of the Emitter.Listener for viewers
+    private static Emitter.Listener onViewersEvent = new Emitter.Listener() {
+        @Override
+        public void call(final Object... args) {
+            String data = args[0].toString();
+            Log.d(TAG, "Socket adapter received viewers event: " + data);
+            for (OnViewersEventListener listener: viewersEventListeners) {
+                listener.onViewersEventEmitted(data);
+            }
+        }
+    };
 }
@@ -17,16 +17,22 @@ import android.widget.TextView;
 import com.litmus.worldscope.R;
 import com.litmus.worldscope.utility.CircleTransform;
 import com.litmus.worldscope.utility.FacebookWrapper;
+import com.litmus.worldscope.utility.WorldScopeSocketService;
 import com.squareup.picasso.Picasso;
 
+import org.json.JSONException;
+import org.json.JSONObject;
+
 /**
  * Fragment that contains picture, stream title, stream owner and menu button
  */
-public class TitleFragment extends Fragment implements FacebookWrapper.FacebookWrapperProfilePictureCallback {
+public class TitleFragment extends Fragment implements FacebookWrapper.FacebookWrapperProfilePictureCallback,
+        WorldScopeSocketService.OnViewersEventListener {
 
     private static final String TAG = "TitleFragment";
     private OnTitleFragmentButtonsListener mListener;
     private View view;
+    private String roomId;
 
     public TitleFragment() {
         // Required empty public constructor
@@ -68,6 +74,19 @@ public class TitleFragment extends Fragment implements FacebookWrapper.FacebookW
         mListener = null;
     }
 
+    @Override
+    public void onResume() {
+        super.onResume();
+        // Listen for the number of viewers in the room
+        WorldScopeSocketService.registerListener(this);
+    }
+
+    @Override
+    public void onPause() {
+        super.onPause();
+        WorldScopeSocketService.unregisterListener(this);
+    }
+
     /**
      * This interface must be implemented by activities that contain this
      * fragment to allow an interaction in this fragment to be communicated
@@ -119,6 +138,11 @@ public class TitleFragment extends Fragment implements FacebookWrapper.FacebookW
         }
     }
 
+    // Sets the appInstance/roomId whose number of viewers is shown
+    public void setRoom(String roomId) {
+        this.roomId = roomId;
+    }
+
     public void showTitleUI() {
         view.setVisibility(View.VISIBLE);
     }
@@ -142,6 +166,30 @@ public class TitleFragment extends Fragment implements FacebookWrapper.FacebookW
         }
     }
 
+    // Updates the live count of viewers, sent whenever someone joins or leaves the room
+    @Override
+    public void onViewersEventEmitted(String data) {
+        try {
+            JSONObject json = new JSONObject(data);
+
+            if(!json.getString("room").equals(roomId)) {
+                Log.d(TAG, "Viewers received from other rooms");
+                return;
+            }
+
+            final String viewers = getString(R.string.viewers_count, json.getInt("users"));
+
+            getActivity().runOnUiThread(new Runnable() {
+                @Override
+                public void run() {
+                    ((TextView) view.findViewById(R.id.viewersTextView)).setText(viewers);
+                }
+            });
+        } catch (JSONException e) {
+            e.printStackTrace();
+        }
+    }
+
     // On Facebook Profile Picture retrieval
     @Override
     public void onProfilePictureUrl(String profilePictureUrl) {
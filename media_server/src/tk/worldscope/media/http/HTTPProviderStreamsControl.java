@@ -1,5 +1,6 @@
 package tk.worldscope.media.http;
 
+import java.io.File;
 import java.io.OutputStream;
 import java.util.List;
 import java.util.Map;
@@ -21,12 +22,14 @@ import tk.worldscope.media.listener.ServerListenerVerifyStreams;
 
 /**
  * This class handles http requests to the media server to stop a stream
- * i.e. disconnecting all clients (viewers and publisher)
+ * i.e. disconnecting all clients (viewers and publisher), and to look up
+ * the recording of a stream
  */
 public class HTTPProviderStreamsControl extends HTTProvider2Base {
     public static final String MODULE_NAME = "HTTPProviderStreamsControl";
 
     private static final String CONTROL_STOP = "stop";
+    private static final String CONTROL_RECORDING = "recording";
 
     private WMSLogger logger = WMSLoggerFactory.getLogger(getClass());
 
@@ -76,6 +79,17 @@ public class HTTPProviderStreamsControl extends HTTProvider2Base {
             return createResponseJSONString("ERR", appPath + " failed to stop.");
         }
 
+        if (params.containsKey(CONTROL_RECORDING)) {
+            String validationResult = validateParameters(CONTROL_RECORDING, params);
+            if (!validationResult.isEmpty()) {
+                return createResponseJSONString("ERR", validationResult);
+            }
+
+            return this.getRecording(vhost, params.get("app").get(0),
+                    params.get("appInstance").get(0),
+                    params.get("stream").get(0));
+        }
+
         return createResponseJSONString("ERR", "Unknown control");
     }
 
@@ -95,6 +109,29 @@ public class HTTPProviderStreamsControl extends HTTProvider2Base {
         return String.format("{\"status\": \"%s\", \"message\": \"%s\"}", status, message);
     }
 
+    /**
+     * Recordings are saved as <stream>.mp4 in the storage directory of the app
+     * instance, which is <content>/<appInstance> as set up in the README. The
+     * path is relative to the content directory that the vod application
+     * plays from
+     */
+    private String getRecording(IVHost vhost, String applicationName, String appInstanceName, String streamName) {
+        String path = String.format("%s/%s.mp4", appInstanceName, streamName);
+        try {
+            IApplicationInstance appInstance = vhost.getApplication(applicationName).getAppInstance(appInstanceName);
+            File recording = new File(appInstance.getStreamStorageDir(), streamName + ".mp4");
+            if (!recording.isFile()) {
+                return createResponseJSONString("ERR", path + " was not recorded.");
+            }
+
+            return String.format("{\"status\": \"OK\", \"path\": \"%s\", \"size\": %d}",
+                    path, recording.length());
+        } catch (Exception ex) {
+            logger.error(MODULE_NAME + ".getRecording", ex);
+        }
+        return createResponseJSONString("ERR", path + " could not be read.");
+    }
+
     private boolean stopStream(IVHost vhost, String applicationName, String appInstanceName, String streamName) {
         try {
             IApplicationInstance appInstance = vhost.getApplication(applicationName).getAppInstance(appInstanceName);